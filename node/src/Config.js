@@ -4,6 +4,8 @@ import {
   DEFAULT_MAX_RETRIES,
   DEFAULT_RETRY_DELAY,
   DEFAULT_TIMEOUT,
+  DEFAULT_TOKEN_REFRESH_MARGIN,
+  DEFAULT_WEBHOOK_TOLERANCE,
   ENV_PRODUCTION,
   ENV_SANDBOX,
   PRODUCTION_URL,
@@ -33,14 +35,21 @@ export class Config {
    * @param {string} config.clientSecret Client secret key provided by SingaPay (required)
    * @param {string} config.apiKey API key provided by SingaPay (required)
    * @param {string} [config.hmacValidationKey] HMAC validation key for webhook verification
+   * @param {Array<string|{id?: string, key: string, retiresAt?: Date|string|number}>} [config.hmacValidationKeys] HMAC validation keys accepted during key rotation, current key first
    * @param {string} [config.environment=sandbox] API environment: 'sandbox' or 'production'
    * @param {string} [config.baseUrl] Custom base URL (defaults based on environment)
    * @param {number} [config.timeout=30] Request timeout in seconds
    * @param {number} [config.maxRetries=3] Maximum number of retry attempts
    * @param {number} [config.retryDelay=1000] Base retry delay in milliseconds
+   * @param {number|null} [config.totalTimeout=null] Time budget in seconds for a request including all retries (null for no budget)
    * @param {boolean} [config.autoReauth=true] Enable automatic token refresh on auth failures
    * @param {number} [config.cacheTtl=300] Default cache TTL in seconds
    * @param {object} [config.customHeaders={}] Additional HTTP headers for all requests
+   * @param {number} [config.webhookTolerance=300] Maximum webhook timestamp age in seconds (0 disables the check)
+   * @param {number} [config.tokenRefreshMargin=60] Seconds before access token expiry to renew it in the background
+   * @param {object|false} [config.logging={}] Options of the default LoggingInterceptor ({logger, level, logBodies, redactFields}), or false to leave it out
+   * @param {Array|false} [config.defaultInterceptors] Interceptors installed instead of the default logging and metrics interceptors, or false for none
+   * @param {object|null} [config.tracer=null] OpenTelemetry-compatible tracer; installs a TracingInterceptor creating a span for every request
    *
    * @example
    * // Minimal configuration
@@ -63,14 +72,30 @@ export class Config {
    *   }
    * });
    *
+   * // Webhook secret rotation
+   * const config = new Config({
+   *   clientId: 'your-client-id',
+   *   clientSecret: 'your-client-secret',
+   *   apiKey: 'your-api-key',
+   *   hmacValidationKeys: [
+   *     { id: 'current', key: 'new-hmac-key' },
+   *     { id: 'previous', key: 'old-hmac-key', retiresAt: '2024-07-01T00:00:00Z' }
+   *   ]
+   * });
+   *
    * @throws {Error} When required fields are missing or validation fails
    */
   constructor(config = {}) {
     this.clientId = config.clientId || config.client_id || null;
     this.clientSecret = config.clientSecret || config.client_secret || null;
     this.apiKey = config.apiKey || config.api_key || null;
-    this.hmacValidationKey =
-      config.hmacValidationKey || config.hmac_validation_key || null;
+    this.hmacValidationKeys = this.normalizeHmacValidationKeys(
+      config.hmacValidationKeys ||
+        config.hmac_validation_keys ||
+        config.hmacValidationKey ||
+        config.hmac_validation_key ||
+        []
+    );
 
     this.environment = config.environment || ENV_SANDBOX;
     this.baseUrl =
@@ -81,12 +106,28 @@ export class Config {
       config.maxRetries || config.max_retries || DEFAULT_MAX_RETRIES;
     this.retryDelay =
       config.retryDelay || config.retry_delay || DEFAULT_RETRY_DELAY;
+    this.totalTimeout = config.totalTimeout ?? config.total_timeout ?? null;
     this.autoReauth =
       config.autoReauth ?? config.auto_reauth ?? DEFAULT_AUTO_REAUTH;
     this.cacheTtl = config.cacheTtl || config.cache_ttl || DEFAULT_CACHE_TTL;
 
     this.customHeaders = config.customHeaders || config.custom_headers || {};
 
+    this.webhookTolerance =
+      config.webhookTolerance ??
+      config.webhook_tolerance ??
+      DEFAULT_WEBHOOK_TOLERANCE;
+
+    this.tokenRefreshMargin =
+      config.tokenRefreshMargin ??
+      config.token_refresh_margin ??
+      DEFAULT_TOKEN_REFRESH_MARGIN;
+
+    this.logging = config.logging ?? {};
+    this.defaultInterceptors =
+      config.defaultInterceptors ?? config.default_interceptors ?? null;
+    this.tracer = config.tracer ?? null;
+
     this.validate();
   }
 
@@ -115,6 +156,49 @@ export class Config {
     if (this.maxRetries < 0) {
       throw new Error("Max retries must be non-negative");
     }
+
+    if (this.totalTimeout !== null && !(this.totalTimeout > 0)) {
+      throw new Error("Total timeout must be a positive number of seconds");
+    }
+
+    if (this.webhookTolerance < 0) {
+      throw new Error("Webhook tolerance must be non-negative");
+    }
+
+    if (this.tokenRefreshMargin < 0) {
+      throw new Error("Token refresh margin must be non-negative");
+    }
+
+    for (const hmacKey of this.hmacValidationKeys) {
+      if (!hmacKey.key) {
+        throw new Error(`HMAC validation key '${hmacKey.id}' has no key`);
+      }
+    }
+  }
+
+  /**
+   * Normalize HMAC validation keys into key descriptors
+   *
+   * Accepts a single key string, an array of key strings, or an array of
+   * descriptors. Keys without an ID are identified by their position.
+   *
+   * @private
+   * @param {string|Array<string|object>} keys HMAC validation key(s)
+   * @returns {Array<{id: string, key: string, retiresAt: Date|null}>} Normalized key descriptors
+   */
+  normalizeHmacValidationKeys(keys) {
+    const list = Array.isArray(keys) ? keys : [keys];
+
+    return list.map((entry, index) => {
+      const descriptor = typeof entry === "string" ? { key: entry } : entry;
+      const retiresAt = descriptor.retiresAt ?? descriptor.retires_at ?? null;
+
+      return {
+        id: descriptor.id || (index === 0 ? "default" : `key-${index}`),
+        key: descriptor.key,
+        retiresAt: retiresAt === null ? null : new Date(retiresAt),
+      };
+    });
   }
 
   /**
@@ -161,10 +245,31 @@ export class Config {
   /**
    * Get HMAC validation key
    *
+   * Returns the current key, i.e. the first key that has not been retired.
+   *
    * @returns {string|null} HMAC validation key for webhook verification
    */
   getHmacValidationKey() {
-    return this.hmacValidationKey;
+    return this.getHmacValidationKeys()[0]?.key ?? null;
+  }
+
+  /**
+   * Get active HMAC validation keys
+   *
+   * Returns every key that has no retirement date or whose retirement date
+   * is still in the future, in configuration order.
+   *
+   * @param {number} [now=Date.now()] Reference time in milliseconds
+   * @returns {Array<{id: string, key: string, retiresAt: Date|null}>} Active key descriptors
+   *
+   * @example
+   * const keyIds = config.getHmacValidationKeys().map((key) => key.id);
+   * console.log('Accepting webhooks signed with:', keyIds);
+   */
+  getHmacValidationKeys(now = Date.now()) {
+    return this.hmacValidationKeys.filter(
+      (hmacKey) => hmacKey.retiresAt === null || hmacKey.retiresAt > now
+    );
   }
 
   /**
@@ -203,6 +308,15 @@ export class Config {
     return this.retryDelay;
   }
 
+  /**
+   * Get total request time budget
+   *
+   * @returns {number|null} Time budget in seconds for a request including all retries, or null for no budget
+   */
+  getTotalTimeout() {
+    return this.totalTimeout;
+  }
+
   /**
    * Check if auto reauthentication is enabled
    *
@@ -230,6 +344,57 @@ export class Config {
     return this.customHeaders;
   }
 
+  /**
+   * Get webhook timestamp tolerance
+   *
+   * @returns {number} Maximum webhook timestamp age in seconds (0 means disabled)
+   */
+  getWebhookTolerance() {
+    return this.webhookTolerance;
+  }
+
+  /**
+   * Get access token refresh margin
+   *
+   * @returns {number} Seconds before access token expiry to renew it
+   */
+  getTokenRefreshMargin() {
+    return this.tokenRefreshMargin;
+  }
+
+  /**
+   * Get options of the default LoggingInterceptor
+   *
+   * @returns {object|false} Logging options, or false if logging is disabled
+   */
+  getLogging() {
+    return this.logging;
+  }
+
+  /**
+   * Get the interceptors installed instead of the defaults
+   *
+   * @returns {Array|null} Interceptors to install, or null for the default logging and metrics interceptors
+   */
+  getDefaultInterceptors() {
+    if (this.defaultInterceptors === false) {
+      return [];
+    }
+
+    return Array.isArray(this.defaultInterceptors)
+      ? this.defaultInterceptors
+      : null;
+  }
+
+  /**
+   * Get the tracer of the TracingInterceptor
+   *
+   * @returns {object|null} OpenTelemetry-compatible tracer, or null if tracing is disabled
+   */
+  getTracer() {
+    return this.tracer;
+  }
+
   /**
    * Check if production environment is configured
    *
@@ -272,6 +437,17 @@ export class Config {
     return this;
   }
 
+  /**
+   * Set total request time budget
+   *
+   * @param {number|null} totalTimeout Time budget in seconds for a request including all retries, or null for no budget
+   * @returns {Config} Returns this for method chaining
+   */
+  setTotalTimeout(totalTimeout) {
+    this.totalTimeout = totalTimeout;
+    return this;
+  }
+
   /**
    * Enable or disable auto reauthentication
    *
@@ -294,6 +470,41 @@ export class Config {
     return this;
   }
 
+  /**
+   * Set HMAC validation keys
+   *
+   * Replaces all configured keys, e.g. when a rotated secret is loaded at runtime.
+   *
+   * @param {string|Array<string|object>} keys HMAC validation key(s), current key first
+   * @returns {Config} Returns this for method chaining
+   */
+  setHmacValidationKeys(keys) {
+    this.hmacValidationKeys = this.normalizeHmacValidationKeys(keys);
+    return this;
+  }
+
+  /**
+   * Set webhook timestamp tolerance
+   *
+   * @param {number} tolerance Maximum webhook timestamp age in seconds (0 disables the check)
+   * @returns {Config} Returns this for method chaining
+   */
+  setWebhookTolerance(tolerance) {
+    this.webhookTolerance = tolerance;
+    return this;
+  }
+
+  /**
+   * Set access token refresh margin
+   *
+   * @param {number} margin Seconds before access token expiry to renew it
+   * @returns {Config} Returns this for method chaining
+   */
+  setTokenRefreshMargin(margin) {
+    this.tokenRefreshMargin = margin;
+    return this;
+  }
+
   /**
    * Add custom HTTP header
    *
@@ -336,8 +547,11 @@ export class Config {
    * //   timeout: 30,
    * //   maxRetries: 3,
    * //   retryDelay: 1000,
+   * //   totalTimeout: null,
    * //   autoReauth: true,
-   * //   cacheTtl: 300
+   * //   cacheTtl: 300,
+   * //   webhookTolerance: 300,
+   * //   tokenRefreshMargin: 60
    * // }
    */
   toObject() {
@@ -350,8 +564,11 @@ export class Config {
       timeout: this.timeout,
       maxRetries: this.maxRetries,
       retryDelay: this.retryDelay,
+      totalTimeout: this.totalTimeout,
       autoReauth: this.autoReauth,
       cacheTtl: this.cacheTtl,
+      webhookTolerance: this.webhookTolerance,
+      tokenRefreshMargin: this.tokenRefreshMargin,
     };
   }
 }
@@ -1,6 +1,9 @@
 import { MemoryCache } from "./cache/MemoryCache.js";
 import { Config } from "./Config.js";
+import { CircuitBreaker } from "./http/CircuitBreaker.js";
 import { Client } from "./http/Client.js";
+import { RateLimiter } from "./http/RateLimiter.js";
+import { FetchTransport } from "./http/transports/FetchTransport.js";
 import { Account } from "./resources/Account.js";
 import { BalanceInquiry } from "./resources/BalanceInquiry.js";
 import { CardlessWithdrawal } from "./resources/CardlessWithdrawal.js";
@@ -43,6 +46,12 @@ export class SingaPay {
    * @param {string} config.apiKey API key provided by SingaPay
    * @param {string} [config.environment=sandbox] API environment: 'sandbox' or 'production'
    * @param {string} [config.hmacValidationKey] HMAC key for webhook signature verification
+   * @param {Array<string|object>} [config.hmacValidationKeys] HMAC keys accepted during webhook key rotation
+   * @param {boolean|object|CircuitBreaker} [config.circuitBreaker] Enable the circuit breaker: true for defaults, CircuitBreaker options, or an instance (default: disabled)
+   * @param {string|TransportInterface} [config.transport='axios'] HTTP transport: 'axios', 'fetch', or a TransportInterface implementation
+   * @param {object|RateLimiter} [config.rateLimit] Client-side rate limiting: RateLimiter options or an instance (default: disabled)
+   * @param {Cassette} [config.cassette] Cassette recording or replaying requests, from '@singapay/payment-gateway/testing' (default: disabled)
+   * @param {CacheInterface} [config.cache] Cache of the access token and of operations run with an `idempotencyKey`; share a RedisCache across processes to authenticate once and deduplicate operations across them (default: MemoryCache)
    *
    * @example
    * // Basic initialization
@@ -63,10 +72,93 @@ export class SingaPay {
    *   hmacValidationKey: 'your-hmac-key'
    * });
    *
+   * @example
+   * // Fail fast during API outages
+   * const singapay = new SingaPay({
+   *   clientId: 'your-client-id',
+   *   clientSecret: 'your-client-secret',
+   *   apiKey: 'your-api-key',
+   *   circuitBreaker: { failureThreshold: 5, coolDown: 30 }
+   * });
+   *
+   * @example
+   * // Send requests with the native fetch API instead of axios
+   * const singapay = new SingaPay({
+   *   clientId: 'your-client-id',
+   *   clientSecret: 'your-client-secret',
+   *   apiKey: 'your-api-key',
+   *   transport: 'fetch'
+   * });
+   *
+   * @example
+   * // Pace bulk jobs below the API rate limits
+   * const singapay = new SingaPay({
+   *   clientId: 'your-client-id',
+   *   clientSecret: 'your-client-secret',
+   *   apiKey: 'your-api-key',
+   *   rateLimit: {
+   *     requestsPerSecond: 20,
+   *     maxConcurrent: 10,
+   *     endpoints: [
+   *       { method: 'POST', pattern: /\/transfer$/, requestsPerSecond: 5 }
+   *     ]
+   *   }
+   * });
+   *
+   * @example
+   * // Workers sharing one access token through Redis
+   * const singapay = new SingaPay({
+   *   clientId: 'prod-client-id',
+   *   clientSecret: 'prod-client-secret',
+   *   apiKey: 'prod-api-key',
+   *   environment: 'production',
+   *   cache: new RedisCache(new Redis())
+   * });
+   *
    * @throws {Error} If required configuration is missing or invalid
    */
   constructor(config) {
     this.config = new Config(config);
+    /**
+     * @private
+     * @type {CacheInterface}
+     */
+    this.cache = config.cache || new MemoryCache();
+    /**
+     * @private
+     * @type {CircuitBreaker|null}
+     */
+    this.circuitBreaker = !config.circuitBreaker
+      ? null
+      : config.circuitBreaker instanceof CircuitBreaker
+      ? config.circuitBreaker
+      : new CircuitBreaker(
+          config.circuitBreaker === true ? {} : config.circuitBreaker
+        );
+    /**
+     * @private
+     * @type {TransportInterface|null}
+     */
+    this.transport =
+      config.transport === "fetch"
+        ? new FetchTransport()
+        : config.transport && config.transport !== "axios"
+        ? config.transport
+        : null;
+    /**
+     * @private
+     * @type {RateLimiter|null}
+     */
+    this.rateLimiter = !config.rateLimit
+      ? null
+      : config.rateLimit instanceof RateLimiter
+      ? config.rateLimit
+      : new RateLimiter(config.rateLimit);
+    /**
+     * @private
+     * @type {Cassette|null}
+     */
+    this.cassette = config.cassette || null;
     this.initializeDependencies();
     this.initializeResources();
   }
@@ -83,9 +175,14 @@ export class SingaPay {
    */
   initializeDependencies(client = null, auth = null) {
     if (client === null) {
-      this.auth =
-        auth || new Authentication(this.config, null, new MemoryCache());
+      this.auth = auth || new Authentication(this.config, null, this.cache);
       this.client = new Client(this.config, this.auth);
+      this.client.setCircuitBreaker(this.circuitBreaker);
+      this.client.setRateLimiter(this.rateLimiter);
+      this.client.setCassette(this.cassette);
+      if (this.transport) {
+        this.client.setTransport(this.transport);
+      }
       this.auth.setClient(this.client);
     } else {
       this.client = client;
@@ -122,6 +219,21 @@ export class SingaPay {
       apiKey
     );
     this.vaTransaction = new VATransaction(this.client, this.auth, apiKey);
+
+    for (const resource of [
+      this.account,
+      this.virtualAccount,
+      this.paymentLink,
+      this.disbursement,
+      this.qris,
+      this.cardlessWithdrawal,
+      this.balanceInquiry,
+      this.statement,
+      this.paymentLinkHistory,
+      this.vaTransaction,
+    ]) {
+      resource.setCache(this.cache);
+    }
   }
 
   /**
@@ -180,12 +292,13 @@ export class SingaPay {
    * Verify webhook signature
    *
    * Validates the authenticity of incoming webhook requests by verifying
-   * the HMAC signature against the provided timestamp and body.
+   * the HMAC signature against the provided timestamp and body. Webhooks whose
+   * timestamp falls outside the configured tolerance window are rejected.
    *
    * @param {string} timestamp Webhook timestamp
    * @param {string|object} body Webhook request body
    * @param {string} receivedSignature Received HMAC signature
-   * @returns {boolean} True if signature is valid
+   * @returns {boolean} True if signature is valid and timestamp is within tolerance
    *
    * @throws {Error} If HMAC validation key is not configured
    *
@@ -202,15 +315,55 @@ export class SingaPay {
    * }
    */
   verifyWebhookSignature(timestamp, body, receivedSignature) {
-    const hmacKey = this.config.getHmacValidationKey();
+    return this.verifyWebhook(timestamp, body, receivedSignature).valid;
+  }
 
-    if (!hmacKey) {
+  /**
+   * Verify webhook signature and report the matching key
+   *
+   * Checks the signature against every active HMAC validation key, so webhooks
+   * keep verifying while the secret is rotated. The ID of the key that matched
+   * is returned to help confirm when a previous key is no longer in use.
+   *
+   * @param {string} timestamp Webhook timestamp
+   * @param {string|object} body Webhook request body
+   * @param {string} receivedSignature Received HMAC signature
+   * @returns {{valid: boolean, keyId: string|null}} Verification result and the matching key ID
+   *
+   * @throws {Error} If no active HMAC validation key is configured
+   *
+   * @example
+   * const { valid, keyId } = singapay.verifyWebhook(
+   *   req.headers['x-timestamp'],
+   *   rawBody,
+   *   req.headers['x-signature']
+   * );
+   *
+   * if (valid && keyId === 'previous') {
+   *   console.warn('Webhook signed with the previous HMAC key');
+   * }
+   */
+  verifyWebhook(timestamp, body, receivedSignature) {
+    const hmacKeys = this.config.getHmacValidationKeys();
+
+    if (hmacKeys.length === 0) {
       throw new Error(
         "HMAC Validation Key is required for webhook verification"
       );
     }
 
-    return Signature.verifyWebhook(timestamp, body, receivedSignature, hmacKey);
+    const matched = Signature.matchWebhookKey(
+      timestamp,
+      body,
+      receivedSignature,
+      hmacKeys,
+      this.config.getWebhookTolerance()
+    );
+
+    return {
+      valid: matched !== null,
+      keyId: matched?.id ?? null,
+    };
   }
 
   /**
@@ -251,6 +404,20 @@ export class SingaPay {
     return this.client.getMetrics();
   }
 
+  /**
+   * Export request metrics in the Prometheus text exposition format
+   *
+   * @returns {string} Prometheus text exposition
+   *
+   * @example
+   * app.get('/metrics', (req, res) => {
+   *   res.type('text/plain; version=0.0.4').send(singapay.toPrometheus());
+   * });
+   */
+  toPrometheus() {
+    return this.client.toPrometheus();
+  }
+
   /**
    * Force refresh authentication token
    *
@@ -274,10 +441,11 @@ export class SingaPay {
    * Verifies that the SDK can successfully authenticate and connect
    * to the SingaPay API. Useful for health checks and initialization validation.
    *
-   * @returns {Promise<{success: boolean, message: string, tokenObtained?: boolean, errorCode?: number}>} Connection test result
+   * @returns {Promise<{success: boolean, message: string, tokenObtained?: boolean, errorCode?: number, circuitState: string|null}>} Connection test result
    * @returns {boolean} returns.success True if connection successful
    * @returns {string} returns.message Success or error message
    * @returns {number} [returns.errorCode] Error code if connection failed
+   * @returns {string|null} returns.circuitState Circuit breaker state of the authentication endpoint (null when the circuit breaker is disabled)
    *
    * @example
    * const result = await singapay.testConnection();
@@ -294,13 +462,36 @@ export class SingaPay {
         success: true,
         message: "Connection successful",
         tokenObtained: !!token,
+        circuitState: this.getCircuitState(),
       };
     } catch (error) {
       return {
         success: false,
         message: error.message,
         errorCode: error.code,
+        circuitState: this.getCircuitState(),
       };
     }
   }
+
+  /**
+   * Get the circuit breaker state of the authentication endpoint
+   *
+   * @private
+   * @returns {string|null} Circuit state, or null when the circuit breaker is disabled
+   */
+  getCircuitState() {
+    const circuitBreaker = this.client.getCircuitBreaker?.();
+
+    if (!circuitBreaker) {
+      return null;
+    }
+
+    return circuitBreaker.getState(
+      circuitBreaker.getScope(
+        this.config.getBaseUrl(),
+        Authentication.TOKEN_ENDPOINT
+      )
+    );
+  }
 }
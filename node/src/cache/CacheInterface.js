@@ -1,3 +1,5 @@
+import crypto from "crypto";
+
 /**
  * SingaPay Cache Interface
  *
@@ -48,6 +50,60 @@ export class CacheInterface {
     return true;
   }
 
+  /**
+   * Store item only if the key does not exist
+   *
+   * Atomically persists a value when no valid item exists for the key,
+   * leaving existing items untouched. Used for deduplication records and
+   * locks shared between processes. Implementations backed by shared storage
+   * should override this with an atomic operation; the default falls back to
+   * a non-atomic has()/set() sequence.
+   *
+   * @param {string} key Unique identifier for the cached item
+   * @param {*} value Data to be cached (must be serializable)
+   * @param {number|null} ttl Time-to-live in seconds, or null for default/indefinite
+   * @returns {Promise<boolean>} Promise resolving to true if the item was stored, false if the key already existed
+   */
+  async add(key, value, ttl = null) {
+    if (await this.has(key)) {
+      return false;
+    }
+    return this.set(key, value, ttl);
+  }
+
+  /**
+   * Acquire a short-lived lock
+   *
+   * The lock expires after the TTL even if it is never released, so a crashed
+   * holder cannot block other processes indefinitely. The default
+   * implementation is built on add() and is as atomic as add() is.
+   *
+   * @param {string} key Lock key
+   * @param {number} ttl Lock lifetime in seconds
+   * @returns {Promise<string|null>} Promise resolving to a lock token if acquired, null if the lock is held
+   */
+  async acquireLock(key, ttl) {
+    const token = crypto.randomBytes(16).toString("hex");
+    return (await this.add(key, token, ttl)) ? token : null;
+  }
+
+  /**
+   * Release a lock acquired with acquireLock()
+   *
+   * Only the holder's token releases the lock, so a holder whose lock expired
+   * cannot release a lock since acquired by someone else.
+   *
+   * @param {string} key Lock key
+   * @param {string} token Lock token returned by acquireLock()
+   * @returns {Promise<boolean>} Promise resolving to true if the lock was released
+   */
+  async releaseLock(key, token) {
+    if ((await this.get(key)) !== token) {
+      return false;
+    }
+    return this.delete(key);
+  }
+
   /**
    * Remove item from cache storage
    *
@@ -93,6 +93,70 @@ export class MemoryCache extends CacheInterface {
     return true;
   }
 
+  /**
+   * Store item in memory cache only if the key does not exist
+   *
+   * The existence check and write happen synchronously, so concurrent
+   * callers within the same process cannot both succeed for the same key.
+   *
+   * @param {string} key Unique identifier for the cached item
+   * @param {*} value Data to be cached (any serializable JavaScript value)
+   * @param {number|null} ttl Time-to-live in seconds, or null for indefinite storage
+   * @returns {Promise<boolean>} Promise resolving to true if stored, false if the key already existed
+   *
+   * @example
+   * if (await cache.add('webhook:evt_123', 'processing', 60)) {
+   *   console.log('First delivery of this event');
+   * }
+   */
+  async add(key, value, ttl = null) {
+    const expiryTime = this.expirations.get(key);
+    const exists =
+      this.storage.has(key) &&
+      (expiryTime === undefined || Date.now() <= expiryTime);
+
+    if (exists) {
+      return false;
+    }
+
+    return this.set(key, value, ttl);
+  }
+
+  /**
+   * Release a lock acquired with acquireLock()
+   *
+   * The token comparison and removal happen synchronously, so the lock acts
+   * as a plain mutex between callers sharing this cache instance.
+   *
+   * @param {string} key Lock key
+   * @param {string} token Lock token returned by acquireLock()
+   * @returns {Promise<boolean>} Promise resolving to true if the lock was released
+   *
+   * @example
+   * const lock = await cache.acquireLock('access_token_lock', 30);
+   * if (lock) {
+   *   try {
+   *     // critical section
+   *   } finally {
+   *     await cache.releaseLock('access_token_lock', lock);
+   *   }
+   * }
+   */
+  async releaseLock(key, token) {
+    const expiryTime = this.expirations.get(key);
+    const held =
+      this.storage.get(key) === token &&
+      (expiryTime === undefined || Date.now() <= expiryTime);
+
+    if (!held) {
+      return false;
+    }
+
+    this.storage.delete(key);
+    this.expirations.delete(key);
+    return true;
+  }
+
   /**
    * Remove item from memory cache
    *
@@ -1,5 +1,18 @@
 import { CacheInterface } from "./CacheInterface.js";
 
+/**
+ * Lua script deleting a key only if it still holds the expected value
+ *
+ * @private
+ * @constant {string}
+ */
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+  return redis.call("del", KEYS[1])
+end
+return 0
+`;
+
 /**
  * RedisCache - Redis-Based Cache Implementation
  *
@@ -107,6 +120,66 @@ export class RedisCache extends CacheInterface {
     return true;
   }
 
+  /**
+   * Store item in Redis cache only if the key does not exist
+   *
+   * Uses a single SET command with the NX flag (and EX when a TTL is given),
+   * making the operation atomic across all processes sharing the Redis server.
+   *
+   * @param {string} key Unique identifier for the cached item
+   * @param {*} value Data to be cached (must be JSON-serializable)
+   * @param {number|null} ttl Time-to-live in seconds, or null for no expiration
+   * @returns {Promise<boolean>} Promise resolving to true if stored, false if the key already existed
+   *
+   * @example
+   * if (await cache.add('webhook:evt_123', 'processing', 60)) {
+   *   console.log('First delivery of this event');
+   * }
+   */
+  async add(key, value, ttl = null) {
+    const serialized = JSON.stringify(value);
+    const prefixedKey = this.prefix + key;
+
+    const result =
+      ttl !== null
+        ? await this.redis.set(prefixedKey, serialized, "EX", ttl, "NX")
+        : await this.redis.set(prefixedKey, serialized, "NX");
+
+    return result === "OK";
+  }
+
+  /**
+   * Release a lock acquired with acquireLock()
+   *
+   * Locks are acquired with SET NX EX (see add()), and released with a Lua
+   * script that compares the token and deletes the key atomically on the
+   * Redis server, so workers never release a lock they no longer hold.
+   *
+   * @param {string} key Lock key
+   * @param {string} token Lock token returned by acquireLock()
+   * @returns {Promise<boolean>} Promise resolving to true if the lock was released
+   *
+   * @example
+   * const lock = await cache.acquireLock('access_token_lock', 30);
+   * if (lock) {
+   *   try {
+   *     // critical section shared by all workers
+   *   } finally {
+   *     await cache.releaseLock('access_token_lock', lock);
+   *   }
+   * }
+   */
+  async releaseLock(key, token) {
+    const result = await this.redis.eval(
+      RELEASE_LOCK_SCRIPT,
+      1,
+      this.prefix + key,
+      JSON.stringify(token)
+    );
+
+    return result > 0;
+  }
+
   /**
    * Remove item from Redis cache
    *
@@ -20,12 +20,18 @@ export const ENV_PRODUCTION = "production";
  * @constant {number} DEFAULT_RETRY_DELAY Default retry delay in milliseconds
  * @constant {boolean} DEFAULT_AUTO_REAUTH Default auto reauthentication setting
  * @constant {number} DEFAULT_CACHE_TTL Default cache time-to-live in seconds
+ * @constant {number} DEFAULT_WEBHOOK_TOLERANCE Default webhook timestamp tolerance in seconds
+ * @constant {number} DEFAULT_TOKEN_REFRESH_MARGIN Default time before token expiry to renew it, in seconds
+ * @constant {number} DEFAULT_IDEMPOTENCY_TTL Default time results of idempotent operations are remembered, in seconds
  */
 export const DEFAULT_TIMEOUT = 30; // seconds
 export const DEFAULT_MAX_RETRIES = 3; // times
 export const DEFAULT_RETRY_DELAY = 1000; // milliseconds
 export const DEFAULT_AUTO_REAUTH = true; // boolean
 export const DEFAULT_CACHE_TTL = 3600; // seconds
+export const DEFAULT_WEBHOOK_TOLERANCE = 300; // seconds
+export const DEFAULT_TOKEN_REFRESH_MARGIN = 60; // seconds
+export const DEFAULT_IDEMPOTENCY_TTL = 86400; // seconds
 
 /**
  * API Base URL Constants
@@ -37,3 +43,29 @@ export const DEFAULT_CACHE_TTL = 3600; // seconds
  */
 export const SANDBOX_URL = "https://sandbox-payment-b2b.singapay.id";
 export const PRODUCTION_URL = "https://payment-b2b.singapay.id";
+
+/**
+ * Idempotency Header Constant
+ *
+ * Requests carrying this header can be retried safely after server errors.
+ *
+ * @constant {string} IDEMPOTENCY_KEY_HEADER Name of the idempotency key HTTP header
+ */
+export const IDEMPOTENCY_KEY_HEADER = "Idempotency-Key";
+
+/**
+ * Webhook Event Type Constants
+ *
+ * Event types delivered by SingaPay webhook notifications.
+ *
+ * @constant {object} WEBHOOK_EVENTS Map of webhook event type identifiers
+ */
+export const WEBHOOK_EVENTS = Object.freeze({
+  PAYMENT_SUCCESS: "payment.success",
+  PAYMENT_FAILED: "payment.failed",
+  PAYMENT_EXPIRED: "payment.expired",
+  DISBURSEMENT_COMPLETED: "disbursement.completed",
+  DISBURSEMENT_FAILED: "disbursement.failed",
+  VA_CREATED: "va.created",
+  VA_PAID: "va.paid",
+});
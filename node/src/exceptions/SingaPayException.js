@@ -1,3 +1,41 @@
+/**
+ * SingaPay error codes reported for an insufficient account balance
+ *
+ * @private
+ * @constant {string[]}
+ */
+const INSUFFICIENT_BALANCE_CODES = [
+  "INSUFFICIENT_BALANCE",
+  "INSUFFICIENT_FUNDS",
+];
+
+/**
+ * SingaPay error codes reported for a reused reference number
+ *
+ * @private
+ * @constant {string[]}
+ */
+const DUPLICATE_REFERENCE_CODES = ["DUPLICATE_REFERENCE"];
+
+/**
+ * Messages of 4xx responses without an error code reporting an insufficient
+ * account balance
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const INSUFFICIENT_BALANCE_MESSAGE = /\binsufficient (balance|funds?)\b/i;
+
+/**
+ * Messages of 4xx responses without an error code reporting a reused
+ * reference number
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const DUPLICATE_REFERENCE_MESSAGE =
+  /\bduplicate reference\b|\breference (number )?(already exists|is already in use|already used)\b/i;
+
 /**
  * SingaPayException - Base Exception Class
  *
@@ -7,6 +45,8 @@
  *
  * This exception class extends the native JavaScript Error class and adds
  * additional properties specific to SingaPay error handling requirements.
+ * Exceptions raised for an API response also carry the HTTP status, the
+ * SingaPay error code, the endpoint, the request ID, and the raw body.
  *
  * @package '@singapay/payment-gateway'
  * @author PT. Abadi Singapay Indonesia
@@ -18,17 +58,74 @@ export class SingaPayException extends Error {
    * @param {string} message Human-readable error description
    * @param {number} code Numeric error code for programmatic identification (default: 0)
    * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response that caused this exception
+   * @param {number} [details.status] HTTP status code
+   * @param {string|number} [details.errorCode] SingaPay error code from the response body
+   * @param {string} [details.endpoint] API endpoint path of the request
+   * @param {string} [details.requestId] Request ID reported by the API
+   * @param {*} [details.body] Raw response body
+   * @param {boolean} [details.retryable] Whether sending the request again may succeed
    *
    * @example
    * throw new SingaPayException('Payment processing failed', 1001, originalError);
    */
-  constructor(message, code = 0, originalError = null) {
+  constructor(message, code = 0, originalError = null, details = {}) {
     super(message);
     this.name = "SingaPayException";
     this.code = code;
     this.originalError = originalError;
+    /**
+     * @type {number|null}
+     */
+    this.status = details.status ?? null;
+    /**
+     * @type {string|number|null}
+     */
+    this.errorCode = details.errorCode ?? null;
+    /**
+     * @type {string|null}
+     */
+    this.endpoint = details.endpoint ?? null;
+    /**
+     * @type {string|null}
+     */
+    this.requestId = details.requestId ?? null;
+    /**
+     * @type {*}
+     */
+    this.body = details.body ?? null;
+    /**
+     * @type {boolean}
+     */
+    this.isRetryable = details.retryable ?? false;
     Error.captureStackTrace(this, this.constructor);
   }
+
+  /**
+   * Convert the exception to a plain object for logging
+   *
+   * @returns {object} Exception name, message, codes, request details, and response body
+   *
+   * @example
+   * try {
+   *   await singapay.disbursement.transfer(accountId, data);
+   * } catch (error) {
+   *   logger.error(JSON.stringify(error));
+   * }
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      message: this.message,
+      code: this.code,
+      status: this.status,
+      errorCode: this.errorCode,
+      endpoint: this.endpoint,
+      requestId: this.requestId,
+      isRetryable: this.isRetryable,
+      body: this.body,
+    };
+  }
 }
 
 /**
@@ -48,13 +145,101 @@ export class ApiException extends SingaPayException {
    * @param {string} message Human-readable error description
    * @param {number} code HTTP status code or API-specific error code (default: 0)
    * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
    *
    * @example
    * throw new ApiException('API request timeout', 408, timeoutError);
    */
-  constructor(message, code = 0, originalError = null) {
-    super(message, code, originalError);
+  constructor(message, code = 0, originalError = null, details = {}) {
+    super(message, code, originalError, details);
     this.name = "ApiException";
+    this.isRetryable =
+      details.retryable ??
+      (this.status === 408 || this.status === 429 || this.status >= 500);
+  }
+
+  /**
+   * Create the exception matching a failed API response
+   *
+   * Maps the HTTP status and the SingaPay error code to the most specific
+   * exception class, falling back to ApiException. 429 and 5xx responses
+   * always map to RateLimitException and ServerException. Otherwise,
+   * insufficient balances and duplicate references are recognized by their
+   * SingaPay error code, including 2xx responses with `success: false`, and
+   * by their message only for 4xx responses without an error code.
+   *
+   * @param {Response} response Failed API response
+   * @param {string|null} [endpoint=null] API endpoint path of the request
+   * @param {Error|null} [originalError=null] Original error that caused this exception
+   * @param {object} [extraDetails={}] Additional details, e.g. the retryAfter delay
+   * @returns {ApiException} Exception for the response
+   *
+   * @example
+   * throw ApiException.fromResponse(response, '/api/v1.0/disbursement/acc_1/transfer');
+   */
+  static fromResponse(
+    response,
+    endpoint = null,
+    originalError = null,
+    extraDetails = {}
+  ) {
+    const status = response.getStatusCode();
+    const errorCode = response.getBody()?.error?.code ?? null;
+    const message = response.getMessage() || "API request failed";
+    const details = {
+      status,
+      errorCode,
+      endpoint,
+      requestId: response.getRequestId(),
+      body: response.getBody(),
+      ...extraDetails,
+    };
+    if (status === 429) {
+      return new RateLimitException(message, status, originalError, details);
+    }
+
+    if (status >= 500) {
+      return new ServerException(message, status, originalError, details);
+    }
+
+    const hasCode = typeof errorCode === "string";
+    const isClientError = status >= 400 && status < 500;
+
+    if (
+      hasCode
+        ? INSUFFICIENT_BALANCE_CODES.includes(errorCode.toUpperCase())
+        : isClientError && INSUFFICIENT_BALANCE_MESSAGE.test(message)
+    ) {
+      return new InsufficientBalanceException(
+        message,
+        status,
+        originalError,
+        details
+      );
+    }
+
+    if (
+      hasCode
+        ? DUPLICATE_REFERENCE_CODES.includes(errorCode.toUpperCase())
+        : isClientError && DUPLICATE_REFERENCE_MESSAGE.test(message)
+    ) {
+      return new DuplicateReferenceException(
+        message,
+        status,
+        originalError,
+        details
+      );
+    }
+
+    if (status === 404) {
+      return new NotFoundException(message, status, originalError, details);
+    }
+
+    if (status === 409) {
+      return new ConflictException(message, status, originalError, details);
+    }
+
+    return new ApiException(message, status, originalError, details);
   }
 }
 
@@ -76,12 +261,13 @@ export class AuthenticationException extends SingaPayException {
    * @param {string} message Human-readable error description
    * @param {number} code Authentication-specific error code (default: 0)
    * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
    *
    * @example
    * throw new AuthenticationException('Invalid API key provided', 401, authError);
    */
-  constructor(message, code = 0, originalError = null) {
-    super(message, code, originalError);
+  constructor(message, code = 0, originalError = null, details = {}) {
+    super(message, code, originalError, details);
     this.name = "AuthenticationException";
   }
 }
@@ -105,6 +291,7 @@ export class ValidationException extends SingaPayException {
    * @param {object} errors Object containing field-specific validation errors (default: {})
    * @param {number} code Validation-specific error code (default: 0)
    * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
    *
    * @example
    * throw new ValidationException(
@@ -114,8 +301,14 @@ export class ValidationException extends SingaPayException {
    *   validationError
    * );
    */
-  constructor(message, errors = {}, code = 0, originalError = null) {
-    super(message, code, originalError);
+  constructor(
+    message,
+    errors = {},
+    code = 0,
+    originalError = null,
+    details = {}
+  ) {
+    super(message, code, originalError, details);
     this.name = "ValidationException";
     /**
      * @type {object}
@@ -146,3 +339,249 @@ export class ValidationException extends SingaPayException {
     return this.errors;
   }
 }
+
+/**
+ * WebhookException - Webhook Processing Exception
+ *
+ * Represents errors that occur while receiving webhook notifications from
+ * SingaPay, such as invalid signatures, stale timestamps, or malformed payloads.
+ * The code follows HTTP semantics so it can be used directly as the response status.
+ *
+ * @extends SingaPayException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookException extends SingaPayException {
+  /**
+   * Creates a new WebhookException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code to respond with (default: 400)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   *
+   * @example
+   * throw new WebhookException('Invalid webhook signature', 401);
+   */
+  constructor(message, code = 400, originalError = null) {
+    super(message, code, originalError);
+    this.name = "WebhookException";
+  }
+}
+
+/**
+ * CircuitOpenException - Circuit Breaker Rejection
+ *
+ * Thrown without sending the request while the circuit breaker for the
+ * request's scope is open after repeated API failures. Use `openUntil` to
+ * decide when to try again.
+ *
+ * @extends ApiException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class CircuitOpenException extends ApiException {
+  /**
+   * Creates a new CircuitOpenException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {string|null} scope Circuit breaker scope the request belongs to (default: null)
+   * @param {Date|null} openUntil Time the circuit admits a trial request again (default: null)
+   *
+   * @example
+   * throw new CircuitOpenException('Circuit is open', 'https://payment-b2b.singapay.id', openUntil);
+   */
+  constructor(message, scope = null, openUntil = null) {
+    super(message, 503);
+    this.name = "CircuitOpenException";
+    /**
+     * @type {string|null}
+     */
+    this.scope = scope;
+    /**
+     * @type {Date|null}
+     */
+    this.openUntil = openUntil;
+  }
+}
+
+/**
+ * NotFoundException - Missing Resource Exception
+ *
+ * Thrown when the API responds with 404 Not Found, e.g. for an unknown
+ * account, virtual account, or transaction ID.
+ *
+ * @extends ApiException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class NotFoundException extends ApiException {
+  /**
+   * Creates a new NotFoundException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code (default: 404)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
+   *
+   * @example
+   * throw new NotFoundException('Account not found', 404, error, { endpoint: '/api/v1.0/accounts/acc_1' });
+   */
+  constructor(message, code = 404, originalError = null, details = {}) {
+    super(message, code, originalError, details);
+    this.name = "NotFoundException";
+  }
+}
+
+/**
+ * RateLimitException - Too Many Requests Exception
+ *
+ * Thrown when the API responds with 429 Too Many Requests. Always retryable;
+ * `retryAfter` holds the delay requested by the Retry-After header.
+ *
+ * @extends ApiException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class RateLimitException extends ApiException {
+  /**
+   * Creates a new RateLimitException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code (default: 429)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
+   * @param {number} [details.retryAfter] Delay in milliseconds requested by the Retry-After header
+   *
+   * @example
+   * throw new RateLimitException('Too many requests', 429, error, { retryAfter: 1000 });
+   */
+  constructor(message, code = 429, originalError = null, details = {}) {
+    super(message, code, originalError, { retryable: true, ...details });
+    this.name = "RateLimitException";
+    /**
+     * @type {number|null}
+     */
+    this.retryAfter = details.retryAfter ?? null;
+  }
+
+  /**
+   * Convert the exception to a plain object for logging
+   *
+   * @returns {object} Exception details including the requested retry delay
+   */
+  toJSON() {
+    return { ...super.toJSON(), retryAfter: this.retryAfter };
+  }
+}
+
+/**
+ * InsufficientBalanceException - Insufficient Balance Exception
+ *
+ * Thrown when a disbursement or withdrawal is rejected because the account
+ * balance does not cover the amount and fees.
+ *
+ * @extends ApiException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class InsufficientBalanceException extends ApiException {
+  /**
+   * Creates a new InsufficientBalanceException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code (default: 403)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
+   *
+   * @example
+   * throw new InsufficientBalanceException('Insufficient Balance', 403, error);
+   */
+  constructor(message, code = 403, originalError = null, details = {}) {
+    super(message, code, originalError, details);
+    this.name = "InsufficientBalanceException";
+  }
+}
+
+/**
+ * ConflictException - Conflicting Request Exception
+ *
+ * Thrown when the API responds with 409 Conflict, e.g. while another request
+ * for the same resource is still being processed.
+ *
+ * @extends ApiException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class ConflictException extends ApiException {
+  /**
+   * Creates a new ConflictException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code (default: 409)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
+   *
+   * @example
+   * throw new ConflictException('Request is being processed', 409, error);
+   */
+  constructor(message, code = 409, originalError = null, details = {}) {
+    super(message, code, originalError, details);
+    this.name = "ConflictException";
+  }
+}
+
+/**
+ * DuplicateReferenceException - Reused Reference Number Exception
+ *
+ * Thrown when a transaction is rejected because its reference number was
+ * already used. Look the original transaction up instead of retrying.
+ *
+ * @extends ConflictException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class DuplicateReferenceException extends ConflictException {
+  /**
+   * Creates a new DuplicateReferenceException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code (default: 409)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
+   *
+   * @example
+   * throw new DuplicateReferenceException('Reference number already exists', 409, error);
+   */
+  constructor(message, code = 409, originalError = null, details = {}) {
+    super(message, code, originalError, details);
+    this.name = "DuplicateReferenceException";
+  }
+}
+
+/**
+ * ServerException - SingaPay Server Error Exception
+ *
+ * Thrown when the API responds with a 5xx status. Retryable, although a
+ * non-idempotent request may already have been processed.
+ *
+ * @extends ApiException
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class ServerException extends ApiException {
+  /**
+   * Creates a new ServerException instance
+   *
+   * @param {string} message Human-readable error description
+   * @param {number} code HTTP status code (default: 500)
+   * @param {Error|null} originalError Original error that caused this exception (default: null)
+   * @param {object} [details={}] Details of the API response (see SingaPayException)
+   *
+   * @example
+   * throw new ServerException('Internal server error', 500, error);
+   */
+  constructor(message, code = 500, originalError = null, details = {}) {
+    super(message, code, originalError, { retryable: true, ...details });
+    this.name = "ServerException";
+  }
+}
@@ -0,0 +1,352 @@
+import { CircuitOpenException } from "../exceptions/SingaPayException.js";
+import { RetryPolicy } from "./RetryPolicy.js";
+
+/**
+ * Error codes of requests that ended on the caller's side, such as
+ * cancellations through an AbortSignal or a replaying cassette without a
+ * matching recording, which say nothing about the health of the API
+ *
+ * @private
+ * @constant {string[]}
+ */
+const CALLER_ERROR_CODES = [
+  "ERR_CANCELED",
+  "ABORT_ERR",
+  "UND_ERR_ABORTED",
+  "ERR_CASSETTE_UNMATCHED",
+];
+
+/**
+ * CircuitBreaker - Fail-Fast Protection Against API Outages
+ *
+ * Tracks consecutive failures per scope (the API base URL, or an endpoint
+ * group such as `disbursement`) and stops sending requests to a scope once
+ * the failure threshold is reached. While a circuit is open, requests fail
+ * immediately with CircuitOpenException instead of going through the full
+ * retry-and-backoff cycle. After the cool-down period a single trial request
+ * is let through (half-open); its outcome closes or re-opens the circuit.
+ *
+ * Only server-side failures count: network errors, timeouts, and 5xx
+ * responses. Client errors such as validation failures prove the API is up.
+ * Requests cancelled by the caller are neither failures nor successes.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class CircuitBreaker {
+  /**
+   * @constant {string} CLOSED Requests flow normally
+   */
+  static CLOSED = "closed";
+
+  /**
+   * @constant {string} OPEN Requests are rejected until the cool-down period ends
+   */
+  static OPEN = "open";
+
+  /**
+   * @constant {string} HALF_OPEN A single trial request decides whether to close the circuit
+   */
+  static HALF_OPEN = "half_open";
+
+  /**
+   * Creates a new CircuitBreaker instance
+   *
+   * @param {object} [options={}] Circuit breaker options
+   * @param {number} [options.failureThreshold=5] Consecutive failures that open the circuit
+   * @param {number} [options.coolDown=30] Seconds the circuit stays open before a trial request
+   * @param {string|Function} [options.scope='baseUrl'] 'baseUrl', 'endpoint' (endpoint group), or a function (baseUrl, endpoint) returning the scope
+   * @param {Function} [options.onStateChange] Listener receiving state changes (see onStateChange())
+   *
+   * @example
+   * const breaker = new CircuitBreaker({
+   *   failureThreshold: 3,
+   *   coolDown: 10,
+   *   scope: 'endpoint'
+   * });
+   *
+   * client.setCircuitBreaker(breaker);
+   */
+  constructor(options = {}) {
+    /**
+     * @private
+     * @type {number}
+     */
+    this.failureThreshold = options.failureThreshold ?? 5;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.coolDown = options.coolDown ?? 30;
+    /**
+     * @private
+     * @type {string|Function}
+     */
+    this.scope = options.scope || "baseUrl";
+    /**
+     * @private
+     * @type {Map<string, {state: string, failures: number, openedAt: number|null, trialInFlight: boolean}>}
+     */
+    this.circuits = new Map();
+    /**
+     * @private
+     * @type {Function[]}
+     */
+    this.listeners = [];
+
+    if (options.onStateChange) {
+      this.onStateChange(options.onStateChange);
+    }
+  }
+
+  /**
+   * Register a state change listener
+   *
+   * @param {Function} listener Listener receiving {scope, from, to, failures}
+   * @returns {CircuitBreaker} Returns this for method chaining
+   *
+   * @example
+   * breaker.onStateChange(({ scope, from, to }) => {
+   *   console.warn(`Circuit ${scope} changed from ${from} to ${to}`);
+   * });
+   */
+  onStateChange(listener) {
+    this.listeners.push(listener);
+    return this;
+  }
+
+  /**
+   * Get the scope a request belongs to
+   *
+   * @param {string} baseUrl API base URL
+   * @param {string} endpoint API endpoint path
+   * @returns {string} Scope identifier
+   */
+  getScope(baseUrl, endpoint) {
+    if (typeof this.scope === "function") {
+      return this.scope(baseUrl, endpoint);
+    }
+
+    if (this.scope === "endpoint") {
+      return `${baseUrl} ${CircuitBreaker.getEndpointGroup(endpoint)}`;
+    }
+
+    return baseUrl;
+  }
+
+  /**
+   * Get the endpoint group of an API path
+   *
+   * @param {string} endpoint API endpoint path
+   * @returns {string} Endpoint group (e.g. 'disbursement' for '/api/v1.0/disbursement/acc_1/transfer')
+   */
+  static getEndpointGroup(endpoint) {
+    const segments = endpoint.split("?")[0].split("/").filter(Boolean);
+
+    if (segments[0] === "api" && /^v\d/.test(segments[1] || "")) {
+      return segments[2] || "";
+    }
+
+    return segments[0] || "";
+  }
+
+  /**
+   * Admit a request, or reject it while the circuit is open
+   *
+   * Moves an open circuit whose cool-down has ended to half-open and admits
+   * the caller as its single trial request.
+   *
+   * @param {string} scope Scope identifier
+   * @returns {void}
+   *
+   * @throws {CircuitOpenException} When the circuit is open or a half-open trial is in flight
+   */
+  beforeRequest(scope) {
+    const circuit = this.getCircuit(scope);
+
+    if (circuit.state === CircuitBreaker.OPEN) {
+      const openUntil = circuit.openedAt + this.coolDown * 1000;
+
+      if (Date.now() < openUntil) {
+        throw new CircuitOpenException(
+          `Circuit for ${scope} is open`,
+          scope,
+          new Date(openUntil)
+        );
+      }
+
+      this.transition(scope, circuit, CircuitBreaker.HALF_OPEN);
+    }
+
+    if (circuit.state === CircuitBreaker.HALF_OPEN) {
+      if (circuit.trialInFlight) {
+        throw new CircuitOpenException(
+          `Circuit for ${scope} is half-open and awaiting a trial request`,
+          scope,
+          null
+        );
+      }
+      circuit.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Record the outcome of an admitted request
+   *
+   * @param {string} scope Scope identifier
+   * @param {Error|null} [error=null] Error the request failed with, or null on success
+   * @returns {void}
+   */
+  afterRequest(scope, error = null) {
+    const circuit = this.getCircuit(scope);
+    circuit.trialInFlight = false;
+
+    if (error && CircuitBreaker.isCallerError(error)) {
+      return;
+    }
+
+    if (!error || !CircuitBreaker.isFailure(error)) {
+      circuit.failures = 0;
+      if (circuit.state !== CircuitBreaker.CLOSED) {
+        this.transition(scope, circuit, CircuitBreaker.CLOSED);
+      }
+      return;
+    }
+
+    circuit.failures++;
+
+    if (
+      circuit.state === CircuitBreaker.HALF_OPEN ||
+      (circuit.state === CircuitBreaker.CLOSED &&
+        circuit.failures >= this.failureThreshold)
+    ) {
+      circuit.openedAt = Date.now();
+      this.transition(scope, circuit, CircuitBreaker.OPEN);
+    }
+  }
+
+  /**
+   * Check if an error indicates the API is unhealthy
+   *
+   * @param {Error} error Error the request failed with
+   * @returns {boolean} True for network errors, timeouts, and 5xx responses
+   */
+  static isFailure(error) {
+    if (
+      error instanceof CircuitOpenException ||
+      CircuitBreaker.isCallerError(error)
+    ) {
+      return false;
+    }
+
+    const statusCode = error.getCode ? error.getCode() : error.code;
+    const networkCode = (error.originalError ?? error).code;
+
+    return (
+      RetryPolicy.isNetworkError(error) ||
+      (statusCode === 0 && typeof networkCode === "string") ||
+      statusCode === 408 ||
+      statusCode >= 500
+    );
+  }
+
+  /**
+   * Check if an error was caused by the caller rather than the API
+   *
+   * @param {Error} error Error the request failed with
+   * @returns {boolean} True for cancelled requests and unmatched cassette replays
+   */
+  static isCallerError(error) {
+    const cause = error.originalError ?? error;
+
+    return (
+      CALLER_ERROR_CODES.includes(cause?.code) || cause?.name === "AbortError"
+    );
+  }
+
+  /**
+   * Get the state of a scope
+   *
+   * @param {string} scope Scope identifier
+   * @returns {string} Circuit state (closed, open, or half_open)
+   */
+  getState(scope) {
+    return this.circuits.get(scope)?.state || CircuitBreaker.CLOSED;
+  }
+
+  /**
+   * Get the states of all scopes that have seen requests
+   *
+   * @returns {object} Map of scope identifier to circuit state
+   *
+   * @example
+   * console.log(breaker.getStates());
+   * // { 'https://payment-b2b.singapay.id': 'open' }
+   */
+  getStates() {
+    const states = {};
+    for (const [scope, circuit] of this.circuits) {
+      states[scope] = circuit.state;
+    }
+    return states;
+  }
+
+  /**
+   * Close all circuits and forget recorded failures
+   *
+   * @returns {CircuitBreaker} Returns this for method chaining
+   */
+  reset() {
+    for (const [scope, circuit] of this.circuits) {
+      circuit.failures = 0;
+      circuit.trialInFlight = false;
+      if (circuit.state !== CircuitBreaker.CLOSED) {
+        this.transition(scope, circuit, CircuitBreaker.CLOSED);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Get or create the circuit of a scope
+   *
+   * @private
+   * @param {string} scope Scope identifier
+   * @returns {object} Circuit record
+   */
+  getCircuit(scope) {
+    if (!this.circuits.has(scope)) {
+      this.circuits.set(scope, {
+        state: CircuitBreaker.CLOSED,
+        failures: 0,
+        openedAt: null,
+        trialInFlight: false,
+      });
+    }
+    return this.circuits.get(scope);
+  }
+
+  /**
+   * Change the state of a circuit and notify listeners
+   *
+   * Listener errors are ignored so they cannot break requests.
+   *
+   * @private
+   * @param {string} scope Scope identifier
+   * @param {object} circuit Circuit record
+   * @param {string} to New state
+   * @returns {void}
+   */
+  transition(scope, circuit, to) {
+    const from = circuit.state;
+    circuit.state = to;
+
+    for (const listener of this.listeners) {
+      try {
+        listener({ scope, from, to, failures: circuit.failures });
+      } catch {
+        // Observers must not affect request handling
+      }
+    }
+  }
+}
@@ -1,13 +1,25 @@
-import axios from "axios";
 import https from "https";
 import {
   ApiException,
   AuthenticationException,
+  CircuitOpenException,
   ValidationException,
 } from "../exceptions/SingaPayException.js";
 import { Response } from "./Response.js";
+import { RetryPolicy } from "./RetryPolicy.js";
+import { AxiosTransport } from "./transports/AxiosTransport.js";
+import { FetchTransport } from "./transports/FetchTransport.js";
 import { LoggingInterceptor } from "./interceptors/LoggingInterceptor.js";
 import { MetricsInterceptor } from "./interceptors/MetricsInterceptor.js";
+import { TracingInterceptor } from "./interceptors/TracingInterceptor.js";
+
+/**
+ * Longest Retry-After delay honored before giving up on a request
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_RETRY_AFTER = 60000; // milliseconds
 
 /**
  * Client - HTTP Client for SingaPay API
@@ -50,26 +62,53 @@ export class Client {
     this.interceptors = [];
     /**
      * @private
-     * @type {boolean}
+     * @type {RetryPolicy}
+     */
+    this.retryPolicy = RetryPolicy.methodAware();
+    /**
+     * @private
+     * @type {CircuitBreaker|null}
+     */
+    this.circuitBreaker = null;
+    /**
+     * @private
+     * @type {Cassette|null}
+     */
+    this.cassette = null;
+    /**
+     * @private
+     * @type {RateLimiter|null}
      */
-    this.isRefreshingToken = false;
+    this.rateLimiter = null;
 
-    const axiosConfig = {
-      baseURL: config.getBaseUrl(),
-      timeout: config.getTimeout() * 1000,
-    };
+    /**
+     * Transport sending requests, created on first use when none is set
+     *
+     * @private
+     * @type {TransportInterface|null}
+     */
+    this.transport = null;
 
-    if (!config.isProduction()) {
-      axiosConfig.httpsAgent = new https.Agent({
-        rejectUnauthorized: false,
-      });
+    // Default interceptors
+    const defaultInterceptors = config.getDefaultInterceptors();
+
+    if (defaultInterceptors) {
+      defaultInterceptors.forEach((interceptor) =>
+        this.addInterceptor(interceptor)
+      );
+    } else {
+      const logging = config.getLogging();
+
+      if (logging !== false) {
+        const { logger = console, ...options } = logging;
+        this.addInterceptor(new LoggingInterceptor(logger, options));
+      }
+      this.addInterceptor(new MetricsInterceptor());
     }
 
-    this.httpClient = axios.create(axiosConfig);
-
-    // Default interceptors
-    this.addInterceptor(new LoggingInterceptor());
-    this.addInterceptor(new MetricsInterceptor());
+    if (config.getTracer()) {
+      this.addInterceptor(new TracingInterceptor(config.getTracer()));
+    }
   }
 
   /**
@@ -109,11 +148,123 @@ export class Client {
     return this.interceptors;
   }
 
+  /**
+   * Set the default retry policy
+   *
+   * Applies to requests that do not pass their own policy.
+   *
+   * @param {RetryPolicy} retryPolicy Retry policy
+   * @returns {Client} Returns this for method chaining
+   *
+   * @example
+   * client.setRetryPolicy(RetryPolicy.none());
+   */
+  setRetryPolicy(retryPolicy) {
+    this.retryPolicy = retryPolicy;
+    return this;
+  }
+
+  /**
+   * Get the default retry policy
+   *
+   * @returns {RetryPolicy} Retry policy
+   */
+  getRetryPolicy() {
+    return this.retryPolicy;
+  }
+
+  /**
+   * Set the circuit breaker
+   *
+   * Requests to a scope whose circuit is open fail immediately with
+   * CircuitOpenException instead of being sent and retried.
+   *
+   * @param {CircuitBreaker|null} circuitBreaker Circuit breaker, or null to disable it
+   * @returns {Client} Returns this for method chaining
+   *
+   * @example
+   * client.setCircuitBreaker(new CircuitBreaker({ failureThreshold: 3 }));
+   */
+  setCircuitBreaker(circuitBreaker) {
+    this.circuitBreaker = circuitBreaker;
+    return this;
+  }
+
+  /**
+   * Get the circuit breaker
+   *
+   * @returns {CircuitBreaker|null} Circuit breaker, or null if disabled
+   */
+  getCircuitBreaker() {
+    return this.circuitBreaker;
+  }
+
+  /**
+   * Set the rate limiter
+   *
+   * Every attempt, including retries, waits for the rate limiter before it
+   * is sent.
+   *
+   * @param {RateLimiter|null} rateLimiter Rate limiter, or null to disable it
+   * @returns {Client} Returns this for method chaining
+   *
+   * @example
+   * client.setRateLimiter(new RateLimiter({ requestsPerSecond: 10, maxConcurrent: 5 }));
+   */
+  setRateLimiter(rateLimiter) {
+    this.rateLimiter = rateLimiter;
+    return this;
+  }
+
+  /**
+   * Get the rate limiter
+   *
+   * @returns {RateLimiter|null} Rate limiter, or null if disabled
+   */
+  getRateLimiter() {
+    return this.rateLimiter;
+  }
+
+  /**
+   * Set the cassette recording or replaying requests
+   *
+   * In record mode requests still go through the transport and are written
+   * to the cassette; in replay mode they are answered from the cassette
+   * without using the transport.
+   *
+   * @param {Cassette|null} cassette Cassette, or null to send requests through the transport only
+   * @returns {Client} Returns this for method chaining
+   *
+   * @example
+   * client.setCassette(new Cassette({ path: 'test/cassettes/accounts.json' }));
+   */
+  setCassette(cassette) {
+    this.cassette = cassette;
+    return this;
+  }
+
+  /**
+   * Get the cassette recording or replaying requests
+   *
+   * @returns {Cassette|null} Cassette, or null if none is set
+   */
+  getCassette() {
+    return this.cassette;
+  }
+
   /**
    * Send GET request
    *
    * @param {string} endpoint API endpoint path
    * @param {object} headers Additional HTTP headers (default: {})
+   * @param {object} [options={}] Request options
+   * @param {boolean} [options.autoReauth] Override automatic reauthentication for this request
+   * @param {RetryPolicy} [options.retryPolicy] Override the retry policy for this request
+   * @param {number|null} [options.totalTimeout] Override the time budget in seconds for this request including all retries
+   * @param {number} [options.timeout] Override the timeout in seconds of each attempt
+   * @param {number} [options.maxRetries] Override the maximum number of retry attempts
+   * @param {AbortSignal} [options.signal] Signal cancelling the request, including while it waits for the rate limiter
+   * @param {Function} [options.signHeaders] Function (accessToken) resolving to the headers of a signed request, rebuilt with the refreshed token before retrying after a 401
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @example
@@ -122,8 +273,8 @@ export class Client {
    *   console.log('Payment data:', response.getData());
    * }
    */
-  async get(endpoint, headers = {}) {
-    return this.requestWithRetry("GET", endpoint, null, headers);
+  async get(endpoint, headers = {}, options = {}) {
+    return this.requestWithRetry("GET", endpoint, null, headers, options);
   }
 
   /**
@@ -132,6 +283,14 @@ export class Client {
    * @param {string} endpoint API endpoint path
    * @param {object|null} body Request body (default: null)
    * @param {object} headers Additional HTTP headers (default: {})
+   * @param {object} [options={}] Request options
+   * @param {boolean} [options.autoReauth] Override automatic reauthentication for this request
+   * @param {RetryPolicy} [options.retryPolicy] Override the retry policy for this request
+   * @param {number|null} [options.totalTimeout] Override the time budget in seconds for this request including all retries
+   * @param {number} [options.timeout] Override the timeout in seconds of each attempt
+   * @param {number} [options.maxRetries] Override the maximum number of retry attempts
+   * @param {AbortSignal} [options.signal] Signal cancelling the request, including while it waits for the rate limiter
+   * @param {Function} [options.signHeaders] Function (accessToken) resolving to the headers of a signed request, rebuilt with the refreshed token before retrying after a 401
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @example
@@ -140,8 +299,8 @@ export class Client {
    *   currency: 'IDR'
    * });
    */
-  async post(endpoint, body = null, headers = {}) {
-    return this.requestWithRetry("POST", endpoint, body, headers);
+  async post(endpoint, body = null, headers = {}, options = {}) {
+    return this.requestWithRetry("POST", endpoint, body, headers, options);
   }
 
   /**
@@ -150,6 +309,14 @@ export class Client {
    * @param {string} endpoint API endpoint path
    * @param {object|null} body Request body (default: null)
    * @param {object} headers Additional HTTP headers (default: {})
+   * @param {object} [options={}] Request options
+   * @param {boolean} [options.autoReauth] Override automatic reauthentication for this request
+   * @param {RetryPolicy} [options.retryPolicy] Override the retry policy for this request
+   * @param {number|null} [options.totalTimeout] Override the time budget in seconds for this request including all retries
+   * @param {number} [options.timeout] Override the timeout in seconds of each attempt
+   * @param {number} [options.maxRetries] Override the maximum number of retry attempts
+   * @param {AbortSignal} [options.signal] Signal cancelling the request, including while it waits for the rate limiter
+   * @param {Function} [options.signHeaders] Function (accessToken) resolving to the headers of a signed request, rebuilt with the refreshed token before retrying after a 401
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @example
@@ -157,8 +324,8 @@ export class Client {
    *   status: 'cancelled'
    * });
    */
-  async put(endpoint, body = null, headers = {}) {
-    return this.requestWithRetry("PUT", endpoint, body, headers);
+  async put(endpoint, body = null, headers = {}, options = {}) {
+    return this.requestWithRetry("PUT", endpoint, body, headers, options);
   }
 
   /**
@@ -167,6 +334,14 @@ export class Client {
    * @param {string} endpoint API endpoint path
    * @param {object|null} body Request body (default: null)
    * @param {object} headers Additional HTTP headers (default: {})
+   * @param {object} [options={}] Request options
+   * @param {boolean} [options.autoReauth] Override automatic reauthentication for this request
+   * @param {RetryPolicy} [options.retryPolicy] Override the retry policy for this request
+   * @param {number|null} [options.totalTimeout] Override the time budget in seconds for this request including all retries
+   * @param {number} [options.timeout] Override the timeout in seconds of each attempt
+   * @param {number} [options.maxRetries] Override the maximum number of retry attempts
+   * @param {AbortSignal} [options.signal] Signal cancelling the request, including while it waits for the rate limiter
+   * @param {Function} [options.signHeaders] Function (accessToken) resolving to the headers of a signed request, rebuilt with the refreshed token before retrying after a 401
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @example
@@ -174,8 +349,8 @@ export class Client {
    *   metadata: { note: 'Updated payment' }
    * });
    */
-  async patch(endpoint, body = null, headers = {}) {
-    return this.requestWithRetry("PATCH", endpoint, body, headers);
+  async patch(endpoint, body = null, headers = {}, options = {}) {
+    return this.requestWithRetry("PATCH", endpoint, body, headers, options);
   }
 
   /**
@@ -183,6 +358,14 @@ export class Client {
    *
    * @param {string} endpoint API endpoint path
    * @param {object} headers Additional HTTP headers (default: {})
+   * @param {object} [options={}] Request options
+   * @param {boolean} [options.autoReauth] Override automatic reauthentication for this request
+   * @param {RetryPolicy} [options.retryPolicy] Override the retry policy for this request
+   * @param {number|null} [options.totalTimeout] Override the time budget in seconds for this request including all retries
+   * @param {number} [options.timeout] Override the timeout in seconds of each attempt
+   * @param {number} [options.maxRetries] Override the maximum number of retry attempts
+   * @param {AbortSignal} [options.signal] Signal cancelling the request, including while it waits for the rate limiter
+   * @param {Function} [options.signHeaders] Function (accessToken) resolving to the headers of a signed request, rebuilt with the refreshed token before retrying after a 401
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @example
@@ -191,8 +374,8 @@ export class Client {
    *   console.log('Payment deleted successfully');
    * }
    */
-  async delete(endpoint, headers = {}) {
-    return this.requestWithRetry("DELETE", endpoint, null, headers);
+  async delete(endpoint, headers = {}, options = {}) {
+    return this.requestWithRetry("DELETE", endpoint, null, headers, options);
   }
 
   /**
@@ -200,56 +383,132 @@ export class Client {
    *
    * Handles automatic retries for failed requests with exponential backoff.
    * Supports token refresh for authentication errors and retries for
-   * transient network errors.
+   * transient network errors. Whether a failure is retried is decided by the
+   * request's RetryPolicy, so non-idempotent requests are never re-sent after
+   * the server may have acted on them.
+   *
+   * A Retry-After header sent with the failed response replaces the backoff
+   * delay. With a total timeout, no attempt or delay extends past the time
+   * budget; the last error is thrown once the budget is spent.
+   *
+   * With a circuit breaker, every attempt is admitted and recorded by it, and
+   * a CircuitOpenException ends the request without further retries.
+   *
+   * With a rate limiter, every attempt waits for its turn first. An aborted
+   * signal or a spent time budget ends the request while it is queued.
+   *
+   * Concurrent requests rejected with the same expired token share a single
+   * token refresh, and each retry is sent with the refreshed token. Signed
+   * requests pass `signHeaders` so their signature is computed again over
+   * the refreshed token instead of only swapping the Authorization header.
    *
    * @private
    * @param {string} method HTTP method
    * @param {string} endpoint API endpoint path
    * @param {object|null} body Request body
    * @param {object} headers HTTP headers
+   * @param {object} [options={}] Request options
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @throws {AuthenticationException} When authentication fails and cannot be recovered
    * @throws {ApiException} When request fails after all retry attempts
    */
-  async requestWithRetry(method, endpoint, body = null, headers = {}) {
+  async requestWithRetry(
+    method,
+    endpoint,
+    body = null,
+    headers = {},
+    options = {}
+  ) {
     let retryCount = 0;
-    const maxRetries = this.config.getMaxRetries();
+    let tokenRefreshes = 0;
+    const maxRetries = options.maxRetries ?? this.config.getMaxRetries();
+    const autoReauth = options.autoReauth ?? this.config.isAutoReauthEnabled();
+    const retryPolicy = options.retryPolicy || this.retryPolicy;
+    const totalTimeout =
+      options.totalTimeout !== undefined
+        ? options.totalTimeout
+        : this.config.getTotalTimeout();
+    const deadline = totalTimeout ? Date.now() + totalTimeout * 1000 : null;
     let lastException = null;
 
     while (retryCount <= maxRetries) {
+      if (options.signal?.aborted) {
+        lastException = new ApiException(
+          "Request aborted",
+          0,
+          options.signal.reason ?? null
+        );
+        break;
+      }
+
+      if (deadline !== null && Date.now() >= deadline) {
+        lastException =
+          lastException ||
+          new ApiException(
+            `Request exceeded total timeout of ${totalTimeout}s`
+          );
+        break;
+      }
+
       try {
-        return await this.request(method, endpoint, body, headers);
+        return await this.guardedRequest(method, endpoint, body, headers, {
+          deadline,
+          timeout: options.timeout,
+          signal: options.signal,
+          number: retryCount + 1,
+          tokenRefreshes,
+        });
       } catch (error) {
         lastException = error;
 
+        if (error instanceof CircuitOpenException) {
+          break;
+        }
+
         if (error instanceof AuthenticationException) {
-          if (this.config.isAutoReauthEnabled() && retryCount < maxRetries) {
+          if (autoReauth && retryCount < maxRetries) {
             retryCount++;
 
-            if (!this.isRefreshingToken) {
-              this.isRefreshingToken = true;
-              try {
-                await this.auth.refreshToken();
-                await this.sleep(this.config.getRetryDelay());
-                this.isRefreshingToken = false;
-                continue;
-              } catch (refreshError) {
-                this.isRefreshingToken = false;
-                break;
-              }
-            } else {
-              await this.sleep(this.config.getRetryDelay());
+            try {
+              const accessToken = await this.auth.refreshToken(
+                this.getBearerToken(headers)
+              );
+              headers = options.signHeaders
+                ? { ...headers, ...(await options.signHeaders(accessToken)) }
+                : this.withBearerToken(headers, accessToken);
+              tokenRefreshes++;
               continue;
+            } catch (refreshError) {
+              break;
             }
           } else {
             break;
           }
         }
 
-        if (this.shouldRetry(error, retryCount, maxRetries)) {
+        if (
+          retryPolicy.shouldRetry(
+            error,
+            method,
+            headers,
+            retryCount,
+            maxRetries
+          )
+        ) {
           retryCount++;
-          await this.sleep(this.calculateRetryDelay(retryCount));
+          const delay =
+            RetryPolicy.getRetryAfter(error) ??
+            this.calculateRetryDelay(retryCount);
+
+          if (
+            delay > MAX_RETRY_AFTER ||
+            (deadline !== null && Date.now() + delay >= deadline)
+          ) {
+            break;
+          }
+
+          await this.sleep(delay, options.signal, endpoint);
           continue;
         }
 
@@ -262,42 +521,138 @@ export class Client {
   }
 
   /**
-   * Determine if a request should be retried
+   * Extract the bearer token from request headers
    *
    * @private
-   * @param {Error} exception The exception that occurred
-   * @param {number} retryCount Current retry attempt count
-   * @param {number} maxRetries Maximum allowed retries
-   * @returns {boolean} True if request should be retried
+   * @param {object} headers HTTP headers
+   * @returns {string|null} Bearer token, or null when the request is unauthenticated
+   */
+  getBearerToken(headers) {
+    const authorization = headers.Authorization || headers.authorization;
+
+    if (typeof authorization !== "string") {
+      return null;
+    }
+
+    return authorization.replace(/^Bearer\s+/i, "") || null;
+  }
+
+  /**
+   * Replace the bearer token in request headers
+   *
+   * Headers of unauthenticated requests are returned unchanged.
+   *
+   * @private
+   * @param {object} headers HTTP headers
+   * @param {string} accessToken Access token to send
+   * @returns {object} Updated HTTP headers
    */
-  shouldRetry(exception, retryCount, maxRetries) {
-    if (retryCount >= maxRetries) {
-      return false;
+  withBearerToken(headers, accessToken) {
+    if (!this.getBearerToken(headers)) {
+      return headers;
     }
 
-    const statusCode = exception.getCode ? exception.getCode() : exception.code;
+    const updated = { ...headers, Authorization: `Bearer ${accessToken}` };
+    delete updated.authorization;
 
-    // Retryable HTTP status codes
-    const retryableStatusCodes = [408, 429, 500, 502, 503, 504];
-    return retryableStatusCodes.includes(statusCode);
+    return updated;
   }
 
   /**
-   * Check if error is a network error
+   * Execute HTTP request through the rate limiter and circuit breaker, if any
+   *
+   * The attempt timeout is derived from the time budget left once the rate
+   * limiter has admitted the request.
    *
    * @private
-   * @param {Error} error The error to check
-   * @returns {boolean} True if error is network-related
+   * @param {string} method HTTP method
+   * @param {string} endpoint API endpoint path
+   * @param {object|null} body Request body
+   * @param {object} headers HTTP headers
+   * @param {object} guard Attempt guard settings
+   * @param {number|null} guard.deadline UNIX time in milliseconds the request must finish by, or null without a budget
+   * @param {number} [guard.timeout] Timeout of each attempt in seconds (default: config timeout)
+   * @param {AbortSignal} [guard.signal] Signal cancelling the request
+   * @param {number} [guard.number] Attempt number, starting at 1
+   * @param {number} [guard.tokenRefreshes] Access token refreshes before this attempt
+   * @returns {Promise<Response>} Promise resolving to Response object
+   *
+   * @throws {ApiException} When the request is aborted or its time budget is spent while queued
+   * @throws {CircuitOpenException} When the circuit for the request's scope is open
    */
-  isNetworkError(error) {
-    // Check for network-related errors
-    return (
-      !error.response ||
-      error.code === "ECONNABORTED" ||
-      error.code === "ENOTFOUND" ||
-      error.code === "ECONNRESET" ||
-      error.code === "ECONNREFUSED"
+  async guardedRequest(method, endpoint, body, headers, guard) {
+    const release = this.rateLimiter
+      ? await this.rateLimiter.acquire(method, endpoint, guard)
+      : null;
+
+    try {
+      const remaining =
+        guard.deadline === null ? null : guard.deadline - Date.now();
+
+      return await this.breakerRequest(method, endpoint, body, headers, {
+        timeout: this.getAttemptTimeout(remaining, guard.timeout),
+        signal: guard.signal,
+        number: guard.number,
+        tokenRefreshes: guard.tokenRefreshes,
+      });
+    } finally {
+      release?.();
+    }
+  }
+
+  /**
+   * Execute HTTP request through the circuit breaker, if any
+   *
+   * @private
+   * @param {string} method HTTP method
+   * @param {string} endpoint API endpoint path
+   * @param {object|null} body Request body
+   * @param {object} headers HTTP headers
+   * @param {object} attempt Attempt settings
+   * @returns {Promise<Response>} Promise resolving to Response object
+   *
+   * @throws {CircuitOpenException} When the circuit for the request's scope is open
+   */
+  async breakerRequest(method, endpoint, body, headers, attempt) {
+    if (!this.circuitBreaker) {
+      return this.request(method, endpoint, body, headers, attempt);
+    }
+
+    const scope = this.circuitBreaker.getScope(
+      this.config.getBaseUrl(),
+      endpoint
     );
+    this.circuitBreaker.beforeRequest(scope);
+
+    try {
+      const response = await this.request(
+        method,
+        endpoint,
+        body,
+        headers,
+        attempt
+      );
+      this.circuitBreaker.afterRequest(scope);
+      return response;
+    } catch (error) {
+      this.circuitBreaker.afterRequest(scope, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the timeout of a single attempt
+   *
+   * @private
+   * @param {number|null} remaining Milliseconds left in the total time budget, or null without a budget
+   * @param {number} [override] Attempt timeout in seconds replacing the configured timeout
+   * @returns {number} Attempt timeout in milliseconds
+   */
+  getAttemptTimeout(remaining, override) {
+    const timeout = (override ?? this.config.getTimeout()) * 1000;
+    return remaining === null
+      ? timeout
+      : Math.min(timeout, Math.max(remaining, 1));
   }
 
   /**
@@ -318,20 +673,29 @@ export class Client {
   /**
    * Execute HTTP request
    *
+   * Sends the request through the transport and maps error responses to
+   * SDK exceptions, identically for every transport.
+   *
    * @private
    * @param {string} method HTTP method
    * @param {string} endpoint API endpoint path
    * @param {object|null} body Request body
    * @param {object} headers HTTP headers
+   * @param {object} [attempt={}] Attempt settings
+   * @param {number} [attempt.timeout] Timeout of this attempt in milliseconds
+   * @param {AbortSignal} [attempt.signal] Signal cancelling this attempt
+   * @param {number} [attempt.number=1] Attempt number, starting at 1
+   * @param {number} [attempt.tokenRefreshes=0] Access token refreshes before this attempt
    * @returns {Promise<Response>} Promise resolving to Response object
    *
    * @throws {AuthenticationException} For 401 responses
-   * @throws {ValidationException} For 422 responses
-   * @throws {ApiException} For other error responses
+   * @throws {ValidationException} For 422 responses without a more specific classification
+   * @throws {ApiException} For other error responses, as the subclass matching the status and SingaPay error code (see ApiException.fromResponse())
    */
-  async request(method, endpoint, body = null, headers = {}) {
+  async request(method, endpoint, body = null, headers = {}, attempt = {}) {
     const options = {
       method,
+      baseUrl: this.config.getBaseUrl(),
       url: endpoint,
       headers: {
         Accept: "application/json",
@@ -339,12 +703,21 @@ export class Client {
         ...this.config.getCustomHeaders(),
         ...headers,
       },
+      timeout: attempt.timeout ?? this.config.getTimeout() * 1000,
+      attempt: {
+        number: attempt.number ?? 1,
+        tokenRefreshes: attempt.tokenRefreshes ?? 0,
+      },
     };
 
     if (body !== null && body !== undefined) {
       options.data = body;
     }
 
+    if (attempt.signal) {
+      options.signal = attempt.signal;
+    }
+
     // Request interceptors
     for (const interceptor of this.interceptors) {
       if (interceptor.request) {
@@ -353,12 +726,44 @@ export class Client {
     }
 
     const startTime = Date.now();
+    let response;
 
     try {
-      const response = await this.httpClient.request(options);
-      const responseTime = Date.now() - startTime;
+      response = this.cassette
+        ? await this.cassette.send(options, this.getTransport())
+        : await this.getTransport().send(options);
+    } catch (error) {
+      await this.runErrorInterceptors(
+        method,
+        endpoint,
+        options,
+        error,
+        Date.now() - startTime
+      );
+
+      // Network error
+      throw new ApiException(error.message || "HTTP request failed", 0, error, {
+        endpoint,
+        retryable: RetryPolicy.isNetworkError(error),
+      });
+    }
+
+    const completedAt = Date.now();
+    const responseTime = completedAt - startTime;
+    const statusCode = response.status;
+    const timing = {
+      startedAt: startTime,
+      completedAt,
+      duration: responseTime,
+    };
 
-      const singaPayResponse = new Response(response.status, response.data);
+    if (statusCode >= 200 && statusCode < 300) {
+      const singaPayResponse = new Response(
+        statusCode,
+        response.data,
+        response.headers,
+        timing
+      );
 
       // Response interceptors
       for (const interceptor of this.interceptors) {
@@ -374,99 +779,245 @@ export class Client {
       }
 
       return singaPayResponse;
-    } catch (error) {
-      const responseTime = Date.now() - startTime;
+    }
 
-      // Error interceptors
-      for (const interceptor of this.interceptors) {
-        if (interceptor.error) {
-          await interceptor.error(
-            method,
-            endpoint,
-            options,
-            error,
-            responseTime
-          );
-        }
-      }
+    const error = new Error(`Request failed with status code ${statusCode}`);
+    error.code = statusCode < 500 ? "ERR_BAD_REQUEST" : "ERR_BAD_RESPONSE";
+    error.response = response;
+
+    await this.runErrorInterceptors(
+      method,
+      endpoint,
+      options,
+      error,
+      responseTime
+    );
 
-      if (error.response) {
-        const statusCode = error.response.status;
-        const body = error.response.data || {};
+    const responseBody = response.data || {};
+    const singaPayResponse = new Response(
+      statusCode,
+      responseBody,
+      response.headers,
+      timing
+    );
 
-        const singaPayResponse = new Response(statusCode, body);
+    const details = {
+      status: statusCode,
+      errorCode: responseBody.error?.code ?? null,
+      endpoint,
+      requestId: singaPayResponse.getRequestId(),
+      body: responseBody,
+    };
 
-        if (statusCode === 401) {
-          throw new AuthenticationException(
-            singaPayResponse.getMessage() || "Authentication failed",
-            statusCode,
-            error
-          );
-        } else if (statusCode === 422) {
-          throw new ValidationException(
-            singaPayResponse.getMessage() || "Validation failed",
-            body.errors || [],
-            statusCode,
-            error
-          );
-        } else {
-          throw new ApiException(
-            singaPayResponse.getMessage() || "API request failed",
-            statusCode,
-            error
-          );
-        }
-      } else {
-        // Network error
-        throw new ApiException(
-          error.message || "HTTP request failed",
-          0,
-          error
-        );
+    const exception = ApiException.fromResponse(
+      singaPayResponse,
+      endpoint,
+      error,
+      { retryAfter: RetryPolicy.getRetryAfter(error) }
+    );
+
+    if (statusCode === 401) {
+      throw new AuthenticationException(
+        singaPayResponse.getMessage() || "Authentication failed",
+        statusCode,
+        error,
+        details
+      );
+    } else if (statusCode === 422 && exception.constructor === ApiException) {
+      throw new ValidationException(
+        singaPayResponse.getMessage() || "Validation failed",
+        responseBody.errors || [],
+        statusCode,
+        error,
+        details
+      );
+    } else {
+      throw exception;
+    }
+  }
+
+  /**
+   * Run the error interceptors
+   *
+   * @private
+   * @param {string} method HTTP method
+   * @param {string} endpoint API endpoint path
+   * @param {object} options Request options that were sent
+   * @param {Error} error Error that occurred
+   * @param {number} responseTime Response time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async runErrorInterceptors(method, endpoint, options, error, responseTime) {
+    for (const interceptor of this.interceptors) {
+      if (interceptor.error) {
+        await interceptor.error(method, endpoint, options, error, responseTime);
       }
     }
   }
 
   /**
-   * Sleep for specified milliseconds
+   * Sleep for specified milliseconds, waking up early when the signal aborts
    *
    * @private
    * @param {number} ms Milliseconds to sleep
+   * @param {AbortSignal|null} [signal=null] Signal cancelling the wait
+   * @param {string|null} [endpoint=null] API endpoint path of the request
    * @returns {Promise} Promise that resolves after specified time
+   *
+   * @throws {ApiException} When the signal aborts before the time has passed
    */
-  sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  sleep(ms, signal = null, endpoint = null) {
+    const abortError = () =>
+      new ApiException("Request aborted", 0, signal.reason ?? null, {
+        endpoint,
+      });
+
+    if (signal?.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(abortError());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve();
+      }, ms);
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
   }
 
   /**
    * Get underlying HTTP client instance
    *
-   * @returns {object} Axios HTTP client instance
+   * @returns {object|null} Axios HTTP client instance, or null when the transport is not axios-based or has not sent a request yet
    *
    * @example
-   * const httpClient = client.getHttpClient();
-   * httpClient.defaults.headers.common['X-Custom-Header'] = 'value';
+   * // Configure axios up front by passing your own instance
+   * client.setTransport(new AxiosTransport({ httpClient: axios.create() }));
+   * client.getHttpClient().defaults.headers.common['X-Custom-Header'] = 'value';
    */
   getHttpClient() {
-    return this.httpClient;
+    const transport = this.getTransport();
+    return transport.getHttpClient ? transport.getHttpClient() : null;
+  }
+
+  /**
+   * Set the transport sending HTTP requests
+   *
+   * Retries, interceptors, and error mapping behave the same with every
+   * transport.
+   *
+   * @param {TransportInterface} transport HTTP transport
+   * @returns {Client} Returns this for method chaining
+   *
+   * @example
+   * client.setTransport(new FetchTransport());
+   */
+  setTransport(transport) {
+    this.transport = transport;
+    return this;
+  }
+
+  /**
+   * Get the transport sending HTTP requests
+   *
+   * Creates the default AxiosTransport when no transport was set, which
+   * sends requests with fetch when axios is not installed.
+   *
+   * @returns {TransportInterface} HTTP transport
+   */
+  getTransport() {
+    if (!this.transport) {
+      this.transport = this.createDefaultTransport();
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Create the default axios transport for the configured environment
+   *
+   * Falls back to a FetchTransport when axios is not installed.
+   *
+   * @private
+   * @returns {AxiosTransport} Axios transport
+   */
+  createDefaultTransport() {
+    const axiosConfig = {
+      baseURL: this.config.getBaseUrl(),
+      timeout: this.config.getTimeout() * 1000,
+    };
+
+    if (!this.config.isProduction()) {
+      axiosConfig.httpsAgent = new https.Agent({
+        rejectUnauthorized: false,
+      });
+    }
+
+    return new AxiosTransport({
+      axiosConfig,
+      fallback: () => new FetchTransport(),
+    });
   }
 
   /**
    * Get request metrics from MetricsInterceptor
    *
-   * @returns {object} Metrics data including request counts and response times
+   * Includes the number of requests waiting for the rate limiter
+   * (`queueDepth`, 0 without a rate limiter).
+   *
+   * @returns {object} Metrics data including request counts, response times, and queue depth
    *
    * @example
    * const metrics = client.getMetrics();
    * console.log(`Total requests: ${metrics.totalRequests}`);
    * console.log(`Average response time: ${metrics.averageResponseTime}ms`);
+   * console.log(`Queued requests: ${metrics.queueDepth}`);
    */
   getMetrics() {
+    const queueDepth = this.rateLimiter ? this.rateLimiter.getQueueDepth() : 0;
+
+    for (const interceptor of this.interceptors) {
+      if (interceptor instanceof MetricsInterceptor) {
+        return { ...interceptor.getMetrics(), queueDepth };
+      }
+    }
+    return { queueDepth };
+  }
+
+  /**
+   * Export the request metrics in the Prometheus text exposition format
+   *
+   * Includes the metrics of the MetricsInterceptor and the number of
+   * requests waiting for the rate limiter.
+   *
+   * @returns {string} Prometheus text exposition
+   *
+   * @example
+   * app.get('/metrics', (req, res) => {
+   *   res.type('text/plain; version=0.0.4').send(client.toPrometheus());
+   * });
+   */
+  toPrometheus() {
+    const queueDepth = this.rateLimiter ? this.rateLimiter.getQueueDepth() : 0;
+    let output = "";
+
     for (const interceptor of this.interceptors) {
       if (interceptor instanceof MetricsInterceptor) {
-        return interceptor.getMetrics();
+        output = interceptor.toPrometheus();
+        break;
       }
     }
-    return {};
+
+    return (
+      output +
+      "# HELP singapay_rate_limiter_queue_depth Requests waiting for the client-side rate limiter.\n" +
+      "# TYPE singapay_rate_limiter_queue_depth gauge\n" +
+      `singapay_rate_limiter_queue_depth ${queueDepth}\n`
+    );
   }
 }
@@ -0,0 +1,360 @@
+import { ApiException } from "../exceptions/SingaPayException.js";
+
+/**
+ * Token bucket and concurrency cap shared by the requests of one limit
+ *
+ * @private
+ */
+class Lane {
+  /**
+   * @param {object} [limits={}] Lane limits
+   * @param {number|null} [limits.requestsPerSecond=null] Sustained request rate (null: unlimited)
+   * @param {number} [limits.burst] Bucket capacity (default: requestsPerSecond, at least 1)
+   * @param {number|null} [limits.maxConcurrent=null] Maximum requests in flight (null: unlimited)
+   */
+  constructor(limits = {}) {
+    this.rate = limits.requestsPerSecond ?? null;
+    this.capacity = limits.burst ?? Math.max(1, Math.ceil(this.rate ?? 1));
+    this.tokens = this.capacity;
+    this.refilledAt = Date.now();
+    this.maxConcurrent = limits.maxConcurrent ?? null;
+    this.inFlight = 0;
+
+    if (this.rate !== null && !(this.rate > 0)) {
+      throw new Error("requestsPerSecond must be greater than 0");
+    }
+
+    if (this.maxConcurrent !== null && !(this.maxConcurrent >= 1)) {
+      throw new Error("maxConcurrent must be at least 1");
+    }
+  }
+
+  refill(now) {
+    if (this.rate !== null) {
+      const elapsed = (now - this.refilledAt) / 1000;
+      this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.rate);
+    }
+    this.refilledAt = now;
+  }
+
+  canAdmit() {
+    return (
+      (this.rate === null || this.tokens >= 1) &&
+      (this.maxConcurrent === null || this.inFlight < this.maxConcurrent)
+    );
+  }
+
+  getTokenWait() {
+    if (this.rate === null || this.tokens >= 1) {
+      return null;
+    }
+    return Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+
+  take() {
+    if (this.rate !== null) {
+      this.tokens -= 1;
+    }
+    this.inFlight++;
+  }
+
+  release() {
+    this.inFlight--;
+  }
+}
+
+/**
+ * Build a request matcher from an endpoint rule
+ *
+ * String patterns are path globs where `*` matches within one path segment
+ * and `**` matches across segments; the query string is ignored. RegExp
+ * patterns are tested against the full endpoint including the query string.
+ *
+ * @private
+ * @param {object} rule Endpoint rule
+ * @param {string|RegExp|Function} rule.pattern Endpoint pattern
+ * @param {string} [rule.method] HTTP method the rule is restricted to
+ * @returns {Function} Matcher receiving (method, endpoint)
+ */
+function compileRule(rule) {
+  const matchesPath = compilePattern(rule.pattern);
+
+  if (!rule.method) {
+    return matchesPath;
+  }
+
+  return (method, endpoint) =>
+    method.toUpperCase() === rule.method.toUpperCase() &&
+    matchesPath(method, endpoint);
+}
+
+/**
+ * Build an endpoint matcher from a rule pattern
+ *
+ * @private
+ * @param {string|RegExp|Function} pattern Endpoint pattern
+ * @returns {Function} Matcher receiving (method, endpoint)
+ */
+function compilePattern(pattern) {
+  if (typeof pattern === "function") {
+    return pattern;
+  }
+
+  if (pattern instanceof RegExp) {
+    return (_method, endpoint) => pattern.test(endpoint);
+  }
+
+  const source = pattern
+    .split("**")
+    .map((part) =>
+      part
+        .split("*")
+        .map((text) => text.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+        .join("[^/]*")
+    )
+    .join(".*");
+  const regex = new RegExp(`^${source}$`);
+
+  return (_method, endpoint) => regex.test(endpoint.split("?")[0]);
+}
+
+/**
+ * RateLimiter - Client-Side Rate Limiting and Concurrency Control
+ *
+ * Paces outgoing requests with a token bucket and caps the number of
+ * requests in flight, globally and optionally per endpoint pattern. A request
+ * matching an endpoint rule must satisfy both the global limits and the limits
+ * of the first matching rule.
+ *
+ * Requests that cannot be sent yet wait in a first-in, first-out queue. A
+ * queued request is rejected when its AbortSignal fires or its deadline
+ * passes, without ever being sent.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class RateLimiter {
+  /**
+   * Creates a new RateLimiter instance
+   *
+   * @param {object} [options={}] Rate limiter options
+   * @param {number} [options.requestsPerSecond] Global sustained request rate (default: unlimited)
+   * @param {number} [options.burst] Global bucket capacity, the number of requests sent at once after an idle period (default: requestsPerSecond)
+   * @param {number} [options.maxConcurrent] Global maximum of requests in flight (default: unlimited)
+   * @param {Array<object>} [options.endpoints=[]] Endpoint rules, each with a pattern (path glob, RegExp, or function (method, endpoint)), an optional method, and its own requestsPerSecond, burst, and maxConcurrent
+   *
+   * @throws {Error} When a rate or concurrency limit is invalid
+   *
+   * @example
+   * const limiter = new RateLimiter({
+   *   requestsPerSecond: 20,
+   *   maxConcurrent: 10,
+   *   endpoints: [
+   *     { method: 'POST', pattern: /\/disbursement\/[^/]+\/transfer$/, requestsPerSecond: 5 },
+   *     { method: 'GET', pattern: /\?page=/, requestsPerSecond: 20 }
+   *   ]
+   * });
+   *
+   * client.setRateLimiter(limiter);
+   */
+  constructor(options = {}) {
+    /**
+     * @private
+     * @type {Lane}
+     */
+    this.global = new Lane(options);
+    /**
+     * @private
+     * @type {Array<{matches: Function, lane: Lane}>}
+     */
+    this.rules = (options.endpoints || []).map((rule) => ({
+      matches: compileRule(rule),
+      lane: new Lane(rule),
+    }));
+    /**
+     * @private
+     * @type {Array<object>}
+     */
+    this.queue = [];
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+    this.timer = null;
+  }
+
+  /**
+   * Wait for permission to send a request
+   *
+   * Resolves with a release function that must be called once the request
+   * has completed, freeing its concurrency slot.
+   *
+   * @param {string} method HTTP method
+   * @param {string} endpoint API endpoint path
+   * @param {object} [options={}] Wait options
+   * @param {AbortSignal} [options.signal] Signal cancelling the wait
+   * @param {number|null} [options.deadline=null] UNIX time in milliseconds after which the wait is abandoned
+   * @returns {Promise<Function>} Promise resolving to the release function
+   *
+   * @throws {ApiException} When the signal fires or the deadline passes before the request may be sent
+   *
+   * @example
+   * const release = await limiter.acquire('POST', endpoint);
+   * try {
+   *   await send();
+   * } finally {
+   *   release();
+   * }
+   */
+  acquire(method, endpoint, options = {}) {
+    const { signal = null, deadline = null } = options;
+
+    if (signal?.aborted) {
+      return Promise.reject(RateLimiter.abortError(signal));
+    }
+
+    const rule = this.rules.find(({ matches }) => matches(method, endpoint));
+    const lanes = rule ? [this.global, rule.lane] : [this.global];
+
+    return new Promise((resolve, reject) => {
+      const waiter = { lanes, resolve, reject, cleanup: () => {} };
+      let deadlineTimer = null;
+
+      const abandon = (error) => {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        waiter.cleanup();
+        reject(error);
+        this.drain();
+      };
+      const onAbort = () => abandon(RateLimiter.abortError(signal));
+
+      if (signal) {
+        signal.addEventListener("abort", onAbort, { once: true });
+      }
+
+      if (deadline !== null) {
+        deadlineTimer = setTimeout(
+          () =>
+            abandon(
+              new ApiException(
+                "Request deadline passed while waiting for the rate limiter"
+              )
+            ),
+          Math.max(deadline - Date.now(), 0)
+        );
+      }
+
+      waiter.cleanup = () => {
+        signal?.removeEventListener("abort", onAbort);
+        clearTimeout(deadlineTimer);
+      };
+
+      this.queue.push(waiter);
+      this.drain();
+    });
+  }
+
+  /**
+   * Get the number of requests waiting to be sent
+   *
+   * @returns {number} Queue depth
+   */
+  getQueueDepth() {
+    return this.queue.length;
+  }
+
+  /**
+   * Get the number of requests in flight
+   *
+   * @returns {number} Requests admitted and not yet released
+   */
+  getInFlight() {
+    return this.global.inFlight;
+  }
+
+  /**
+   * Admit queued requests whose limits allow it
+   *
+   * Requests are admitted in queue order, but a request blocked by an
+   * endpoint limit does not hold back requests to other endpoints.
+   *
+   * @private
+   * @returns {void}
+   */
+  drain() {
+    const now = Date.now();
+    const blocked = new Set();
+    let wait = null;
+
+    this.global.refill(now);
+    for (const { lane } of this.rules) {
+      lane.refill(now);
+    }
+
+    for (const waiter of [...this.queue]) {
+      const admissible = waiter.lanes.every(
+        (lane) => !blocked.has(lane) && lane.canAdmit()
+      );
+
+      if (admissible) {
+        this.queue.splice(this.queue.indexOf(waiter), 1);
+        waiter.cleanup();
+        waiter.lanes.forEach((lane) => lane.take());
+        waiter.resolve(this.createRelease(waiter.lanes));
+        continue;
+      }
+
+      for (const lane of waiter.lanes) {
+        if (blocked.has(lane) || lane.canAdmit()) {
+          continue;
+        }
+        blocked.add(lane);
+
+        const tokenWait = lane.getTokenWait();
+        if (tokenWait !== null) {
+          wait = wait === null ? tokenWait : Math.min(wait, tokenWait);
+        }
+      }
+    }
+
+    clearTimeout(this.timer);
+    this.timer =
+      wait === null
+        ? null
+        : setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, wait);
+  }
+
+  /**
+   * Create the release function of an admitted request
+   *
+   * @private
+   * @param {Lane[]} lanes Lanes the request was admitted to
+   * @returns {Function} Idempotent release function
+   */
+  createRelease(lanes) {
+    let released = false;
+
+    return () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      lanes.forEach((lane) => lane.release());
+      this.drain();
+    };
+  }
+
+  /**
+   * Create the error for a request aborted while queued
+   *
+   * @private
+   * @param {AbortSignal} signal Aborted signal
+   * @returns {ApiException} Abort error
+   */
+  static abortError(signal) {
+    return new ApiException("Request aborted", 0, signal.reason ?? null);
+  }
+}
@@ -1,3 +1,11 @@
+/**
+ * Response headers that may carry the request ID, in order of preference
+ *
+ * @private
+ * @constant {string[]}
+ */
+const REQUEST_ID_HEADERS = ["x-request-id", "x-correlation-id", "request-id"];
+
 /**
  * Response - HTTP Response Wrapper Class
  *
@@ -18,15 +26,20 @@ export class Response {
    *
    * @param {number} statusCode HTTP status code (e.g., 200, 400, 500)
    * @param {object} body Response body object (default: {})
+   * @param {object} headers Response headers with lower-case names (default: {})
+   * @param {object|null} timing Request timing (default: null)
+   * @param {number} timing.startedAt UNIX time in milliseconds the request was sent
+   * @param {number} timing.completedAt UNIX time in milliseconds the response was received
+   * @param {number} timing.duration Response time in milliseconds
    *
    * @example
    * const response = new Response(200, {
    *   success: true,
    *   data: { id: 123, status: 'completed' },
    *   message: 'Operation successful'
-   * });
+   * }, { 'x-request-id': 'req-123' });
    */
-  constructor(statusCode, body = {}) {
+  constructor(statusCode, body = {}, headers = {}, timing = null) {
     /**
      * @type {number}
      */
@@ -35,6 +48,14 @@ export class Response {
      * @type {object}
      */
     this.body = body;
+    /**
+     * @type {object}
+     */
+    this.headers = headers || {};
+    /**
+     * @type {object|null}
+     */
+    this.timing = timing;
   }
 
   /**
@@ -74,6 +95,89 @@ export class Response {
     return this.statusCode;
   }
 
+  /**
+   * Get the response headers
+   *
+   * @returns {object} Response headers with lower-case names
+   *
+   * @example
+   * const headers = response.getHeaders();
+   * console.log('Content type:', headers['content-type']);
+   */
+  getHeaders() {
+    return this.headers;
+  }
+
+  /**
+   * Get a response header
+   *
+   * @param {string} name Header name (case-insensitive)
+   * @returns {string|null} Header value, or null if the header was not received
+   *
+   * @example
+   * const contentType = response.getHeader('Content-Type');
+   */
+  getHeader(name) {
+    const lowerName = name.toLowerCase();
+
+    for (const [header, value] of Object.entries(this.headers)) {
+      if (header.toLowerCase() === lowerName) {
+        return Array.isArray(value) ? value.join(", ") : String(value);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the request ID assigned by the server
+   *
+   * Quote this ID when contacting SingaPay support about a request.
+   *
+   * @returns {string|null} Request ID from the X-Request-ID (or X-Correlation-ID) header, or null
+   *
+   * @example
+   * console.log(`SingaPay request ID: ${response.getRequestId()}`);
+   */
+  getRequestId() {
+    for (const header of REQUEST_ID_HEADERS) {
+      const value = this.getHeader(header);
+      if (value) {
+        return value;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the server time of the response
+   *
+   * @returns {Date|null} Time from the Date response header, or null if absent or invalid
+   *
+   * @example
+   * console.log(`Processed at ${response.getServerTime()?.toISOString()}`);
+   */
+  getServerTime() {
+    const date = this.getHeader("date");
+    const time = date === null ? NaN : Date.parse(date);
+
+    return Number.isNaN(time) ? null : new Date(time);
+  }
+
+  /**
+   * Get the request timing
+   *
+   * @returns {object|null} Timing with startedAt, completedAt (UNIX milliseconds) and duration (milliseconds), or null if unknown
+   *
+   * @example
+   * const timing = response.getTiming();
+   * console.log(`Request took ${timing.duration}ms`);
+   */
+  getTiming() {
+    return this.timing;
+  }
+
   /**
    * Get the complete response body
    *
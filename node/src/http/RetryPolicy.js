@@ -0,0 +1,249 @@
+import { IDEMPOTENCY_KEY_HEADER } from "../constants.js";
+
+/**
+ * HTTP methods that can be repeated without changing the outcome
+ *
+ * @private
+ * @constant {string[]}
+ */
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "OPTIONS", "PUT", "DELETE"];
+
+/**
+ * Network error codes raised before any byte of the request reached the server
+ *
+ * @private
+ * @constant {string[]}
+ */
+const PRE_SEND_ERROR_CODES = ["ECONNREFUSED", "ENOTFOUND", "EAI_AGAIN"];
+
+/**
+ * Transient network error codes worth retrying for idempotent requests
+ *
+ * @private
+ * @constant {string[]}
+ */
+const NETWORK_ERROR_CODES = [
+  ...PRE_SEND_ERROR_CODES,
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "ECONNABORTED",
+];
+
+/**
+ * HTTP status codes worth retrying for idempotent requests
+ *
+ * @private
+ * @constant {number[]}
+ */
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * RetryPolicy - Method-Aware Retry Decisions
+ *
+ * Decides whether a failed request may be sent again. Idempotent requests
+ * (GET, PUT, DELETE, or any request carrying an idempotency key) are retried
+ * on transient HTTP and network errors. Non-idempotent requests such as disbursement
+ * transfers are only retried when the failure provably happened before the
+ * request was sent (connection refused, DNS failure), since a 5xx response
+ * or a dropped connection does not prove the server did not act on it.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class RetryPolicy {
+  /**
+   * Creates a new RetryPolicy instance
+   *
+   * @param {object} [options={}] Policy options
+   * @param {boolean|null} [options.idempotent=null] Treat every request as idempotent (true) or not (false); null decides by method and idempotency key
+   * @param {number[]} [options.statusCodes] HTTP status codes retried for idempotent requests (default: 408, 429, 500, 502, 503, 504)
+   * @param {boolean} [options.retryPreSendErrors=true] Retry any request failing before it was sent
+   * @param {boolean} [options.retryNetworkErrors=true] Retry idempotent requests on transient network errors (ECONNRESET, ETIMEDOUT, ...)
+   *
+   * @example
+   * // Also retry on 409 for idempotent requests
+   * client.setRetryPolicy(new RetryPolicy({
+   *   statusCodes: [409, 429, 500, 502, 503, 504]
+   * }));
+   */
+  constructor(options = {}) {
+    /**
+     * @private
+     * @type {boolean|null}
+     */
+    this.idempotent = options.idempotent ?? null;
+    /**
+     * @private
+     * @type {number[]}
+     */
+    this.statusCodes = options.statusCodes || RETRYABLE_STATUS_CODES;
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.retryPreSendErrors = options.retryPreSendErrors ?? true;
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.retryNetworkErrors = options.retryNetworkErrors ?? true;
+  }
+
+  /**
+   * Create the default method-aware policy
+   *
+   * @returns {RetryPolicy} Policy deciding by HTTP method and idempotency key
+   */
+  static methodAware() {
+    return new RetryPolicy();
+  }
+
+  /**
+   * Create a policy for requests that are safe to repeat regardless of method
+   *
+   * Intended for read-only POST endpoints such as fee and beneficiary checks.
+   *
+   * @returns {RetryPolicy} Policy treating every request as idempotent
+   *
+   * @example
+   * await client.post(endpoint, body, headers, {
+   *   retryPolicy: RetryPolicy.idempotent()
+   * });
+   */
+  static idempotent() {
+    return new RetryPolicy({ idempotent: true });
+  }
+
+  /**
+   * Create a policy that never retries failed requests
+   *
+   * Automatic reauthentication after a 401 response is not affected.
+   *
+   * @returns {RetryPolicy} Policy rejecting every retry
+   *
+   * @example
+   * singapay.disbursement.setRetryPolicy(RetryPolicy.none());
+   */
+  static none() {
+    return new RetryPolicy({
+      idempotent: false,
+      statusCodes: [],
+      retryPreSendErrors: false,
+      retryNetworkErrors: false,
+    });
+  }
+
+  /**
+   * Determine if a failed request should be retried
+   *
+   * @param {Error} error Error the request failed with
+   * @param {string} method HTTP method
+   * @param {object} headers HTTP headers sent with the request
+   * @param {number} retryCount Number of retries already made
+   * @param {number} maxRetries Maximum allowed retries
+   * @returns {boolean} True if the request should be sent again
+   */
+  shouldRetry(error, method, headers, retryCount, maxRetries) {
+    if (retryCount >= maxRetries) {
+      return false;
+    }
+
+    if (this.retryPreSendErrors && RetryPolicy.isPreSendError(error)) {
+      return true;
+    }
+
+    if (!this.isIdempotent(method, headers)) {
+      return false;
+    }
+
+    if (this.retryNetworkErrors && RetryPolicy.isNetworkError(error)) {
+      return true;
+    }
+
+    const statusCode = error.getCode ? error.getCode() : error.code;
+    return this.statusCodes.includes(statusCode);
+  }
+
+  /**
+   * Check if a request can be repeated without changing the outcome
+   *
+   * @param {string} method HTTP method
+   * @param {object} headers HTTP headers sent with the request
+   * @returns {boolean} True if the request is idempotent under this policy
+   */
+  isIdempotent(method, headers = {}) {
+    if (this.idempotent !== null) {
+      return this.idempotent;
+    }
+
+    return (
+      IDEMPOTENT_METHODS.includes(method.toUpperCase()) ||
+      RetryPolicy.hasIdempotencyKey(headers)
+    );
+  }
+
+  /**
+   * Check if request headers carry an idempotency key
+   *
+   * @param {object} headers HTTP headers
+   * @returns {boolean} True if an idempotency key header is present
+   */
+  static hasIdempotencyKey(headers = {}) {
+    const name = IDEMPOTENCY_KEY_HEADER.toLowerCase();
+    return Object.keys(headers).some(
+      (header) => header.toLowerCase() === name && Boolean(headers[header])
+    );
+  }
+
+  /**
+   * Check if an error happened before the request was sent
+   *
+   * @param {Error} error Error the request failed with
+   * @returns {boolean} True if the server cannot have received the request
+   */
+  static isPreSendError(error) {
+    const code = error.originalError?.code ?? error.code;
+    return PRE_SEND_ERROR_CODES.includes(code);
+  }
+
+  /**
+   * Check if an error is a transient network error
+   *
+   * @param {Error} error Error the request failed with
+   * @returns {boolean} True if the request failed without an HTTP response due to a network problem
+   */
+  static isNetworkError(error) {
+    const code = error.originalError?.code ?? error.code;
+    return NETWORK_ERROR_CODES.includes(code);
+  }
+
+  /**
+   * Get the delay requested by a Retry-After response header
+   *
+   * Supports both the delay-seconds and the HTTP-date forms.
+   *
+   * @param {Error} error Error the request failed with, or the HTTP error it wraps
+   * @param {number} [now=Date.now()] Current time in UNIX milliseconds
+   * @returns {number|null} Delay in milliseconds, or null if no valid header was received
+   *
+   * @example
+   * RetryPolicy.getRetryAfter(error); // 'Retry-After: 120' => 120000
+   */
+  static getRetryAfter(error, now = Date.now()) {
+    const headers = (error.originalError ?? error).response?.headers;
+    const retryAfter = headers?.["retry-after"] ?? headers?.["Retry-After"];
+
+    if (retryAfter === undefined || retryAfter === null) {
+      return null;
+    }
+
+    const value = String(retryAfter).trim();
+
+    if (/^\d+$/.test(value)) {
+      return parseInt(value, 10) * 1000;
+    }
+
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - now, 0);
+  }
+}
@@ -16,7 +16,9 @@ export class InterceptorInterface {
    * Handle outgoing HTTP request
    *
    * Called before an HTTP request is sent. Can be used to modify request options,
-   * add headers, log requests, or track metrics.
+   * add headers, log requests, or track metrics. The options also carry the
+   * base URL and `attempt` ({number, tokenRefreshes}) of the request, and
+   * are the same object passed to response() or error() for this attempt.
    *
    * @param {string} _method HTTP method (GET, POST, PUT, etc.)
    * @param {string} _endpoint API endpoint path
@@ -1,5 +1,36 @@
+import { LoggerAdapter } from "../../logging/LoggerAdapter.js";
 import { InterceptorInterface } from "./InterceptorInterface.js";
 
+/**
+ * Log levels by increasing severity
+ *
+ * @private
+ * @constant {object}
+ */
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+
+/**
+ * Placeholder replacing the value of a redacted field
+ *
+ * @private
+ * @constant {string}
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Normalize a field name for redaction matching
+ *
+ * Ignores case, dashes, and underscores, so `bank_account_number`,
+ * `bankAccountNumber`, and `Bank-Account-Number` all match.
+ *
+ * @private
+ * @param {string} name Field or header name
+ * @returns {string} Normalized name
+ */
+function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, "");
+}
+
 /**
  * LoggingInterceptor - HTTP Request/Response Logger
  *
@@ -7,18 +38,52 @@ import { InterceptorInterface } from "./InterceptorInterface.js";
  * to help with debugging, monitoring, and audit trails. This interceptor
  * provides structured logging for all API communications with SingaPay.
  *
+ * Requests and responses are logged at the info level, 4xx responses at the
+ * warn level, and server and network errors at the error level. Request and
+ * response bodies and header values are only logged with `logBodies`, with
+ * sensitive fields such as account numbers, phone numbers, tokens, and
+ * signatures redacted.
+ *
  * The logger can be customized to use any logging library that supports
- * info() and error() methods, with console being the default.
+ * info() and error() methods, with console being the default. Wrap pino- or
+ * winston-style loggers in a PinoLoggerAdapter or WinstonLoggerAdapter.
  *
  * @extends InterceptorInterface
  * @package '@singapay/payment-gateway'
  * @author PT. Abadi Singapay Indonesia
  */
 export class LoggingInterceptor extends InterceptorInterface {
+  /**
+   * Field and header names redacted from logged bodies and headers
+   *
+   * @type {string[]}
+   */
+  static DEFAULT_REDACTED_FIELDS = [
+    "Authorization",
+    "X-Signature",
+    "X-PARTNER-ID",
+    "client_secret",
+    "access_token",
+    "refresh_token",
+    "password",
+    "pin",
+    "otp",
+    "bank_account_number",
+    "account_number",
+    "card_number",
+    "phone",
+    "phone_number",
+    "email",
+  ];
+
   /**
    * Creates a new LoggingInterceptor instance
    *
-   * @param {object} logger Logger instance with info() and error() methods (default: console)
+   * @param {object|LoggerAdapter|null} logger Logger instance with info() and error() methods, or a LoggerAdapter (default: console)
+   * @param {object} [options={}] Logging options
+   * @param {string} [options.level='info'] Minimum level logged: 'debug', 'info', 'warn', 'error', or 'silent'
+   * @param {boolean} [options.logBodies=false] Log request and response bodies and header values
+   * @param {string[]} [options.redactFields=[]] Field and header names redacted in addition to DEFAULT_REDACTED_FIELDS
    *
    * @example
    * // Use default console logger
@@ -26,14 +91,53 @@ export class LoggingInterceptor extends InterceptorInterface {
    *
    * // Use custom logger (Winston, Pino, etc.)
    * const interceptor = new LoggingInterceptor(myCustomLogger);
+   *
+   * // Only log failures
+   * const interceptor = new LoggingInterceptor(console, { level: 'warn' });
+   *
+   * // Debug with redacted bodies
+   * const interceptor = new LoggingInterceptor(new PinoLoggerAdapter(pino()), {
+   *   logBodies: true,
+   *   redactFields: ['customer_name']
+   * });
    */
-  constructor(logger = console) {
+  constructor(logger = console, options = {}) {
     super();
+
+    const level = options.level || "info";
+
+    if (!(level in LOG_LEVELS)) {
+      throw new Error(`Invalid log level: ${level}`);
+    }
+
+    /**
+     * @private
+     * @type {LoggerAdapter|null}
+     */
+    this.logger =
+      logger && !(logger instanceof LoggerAdapter)
+        ? new LoggerAdapter(logger)
+        : logger;
+    /**
+     * @private
+     * @type {string}
+     */
+    this.level = level;
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.logBodies = options.logBodies ?? false;
     /**
      * @private
-     * @type {object}
+     * @type {Set<string>}
      */
-    this.logger = logger;
+    this.redactedFields = new Set(
+      [
+        ...LoggingInterceptor.DEFAULT_REDACTED_FIELDS,
+        ...(options.redactFields || []),
+      ].map(normalizeFieldName)
+    );
   }
 
   /**
@@ -51,14 +155,19 @@ export class LoggingInterceptor extends InterceptorInterface {
    * // Logs: SingaPay API Request { method: 'POST', endpoint: '/v1/payments', headers: ['Accept', 'Content-Type'], hasBody: true }
    */
   async request(method, endpoint, options) {
-    if (this.logger) {
-      this.logger.info("SingaPay API Request", {
-        method,
-        endpoint,
-        headers: Object.keys(options.headers || {}),
-        hasBody: !!options.data,
-      });
+    const context = {
+      method,
+      endpoint,
+      headers: Object.keys(options.headers || {}),
+      hasBody: !!options.data,
+    };
+
+    if (this.logBodies) {
+      context.headers = this.redact(options.headers || {});
+      context.body = this.redact(options.data ?? null);
     }
+
+    this.write("info", "SingaPay API Request", context);
   }
 
   /**
@@ -78,15 +187,19 @@ export class LoggingInterceptor extends InterceptorInterface {
    * // Logs: SingaPay API Response { method: 'POST', endpoint: '/v1/payments', statusCode: 200, success: true, responseTime: '245.67ms' }
    */
   async response(method, endpoint, options, response, responseTime) {
-    if (this.logger) {
-      this.logger.info("SingaPay API Response", {
-        method,
-        endpoint,
-        statusCode: response.getStatusCode(),
-        success: response.isSuccess(),
-        responseTime: `${responseTime.toFixed(2)}ms`,
-      });
+    const context = {
+      method,
+      endpoint,
+      statusCode: response.getStatusCode(),
+      success: response.isSuccess(),
+      responseTime: `${responseTime.toFixed(2)}ms`,
+    };
+
+    if (this.logBodies) {
+      context.body = this.redact(response.getBody());
     }
+
+    this.write("info", "SingaPay API Response", context);
   }
 
   /**
@@ -94,6 +207,7 @@ export class LoggingInterceptor extends InterceptorInterface {
    *
    * Logs error details including method, endpoint, error message, error code,
    * and response time when an HTTP request fails or returns an error response.
+   * Responses with a 4xx status are logged as warnings.
    *
    * @param {string} method HTTP method used for the request
    * @param {string} endpoint API endpoint path
@@ -106,14 +220,75 @@ export class LoggingInterceptor extends InterceptorInterface {
    * // Logs: SingaPay API Error { method: 'POST', endpoint: '/v1/payments', error: 'Authentication failed', code: 401, responseTime: '120.45ms' }
    */
   async error(method, endpoint, options, error, responseTime) {
-    if (this.logger) {
-      this.logger.error("SingaPay API Error", {
-        method,
-        endpoint,
-        error: error.message,
-        code: error.code,
-        responseTime: `${responseTime.toFixed(2)}ms`,
-      });
+    const status = error.response?.status;
+    const context = {
+      method,
+      endpoint,
+      error: error.message,
+      code: error.code,
+      responseTime: `${responseTime.toFixed(2)}ms`,
+    };
+
+    if (status !== undefined) {
+      context.statusCode = status;
+    }
+
+    if (this.logBodies && error.response) {
+      context.body = this.redact(error.response.data ?? null);
+    }
+
+    this.write(
+      status >= 400 && status < 500 ? "warn" : "error",
+      "SingaPay API Error",
+      context
+    );
+  }
+
+  /**
+   * Replace the values of sensitive fields
+   *
+   * Walks objects and arrays recursively and replaces the value of every
+   * field whose name matches a redacted field, ignoring case, dashes, and
+   * underscores. The input is not modified.
+   *
+   * @param {*} value Body, headers, or any other value to log
+   * @returns {*} Copy of the value with sensitive fields redacted
+   *
+   * @example
+   * interceptor.redact({ bank_account_number: '1234567890', amount: 10000 });
+   * // Returns: { bank_account_number: '[REDACTED]', amount: 10000 }
+   */
+  redact(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.redact(item));
+    }
+
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, fieldValue]) => [
+        key,
+        this.redactedFields.has(normalizeFieldName(key))
+          ? REDACTED
+          : this.redact(fieldValue),
+      ])
+    );
+  }
+
+  /**
+   * Write a log entry if its level is enabled
+   *
+   * @private
+   * @param {string} level Log level
+   * @param {string} message Log message
+   * @param {object} context Structured log fields
+   * @returns {void}
+   */
+  write(level, message, context) {
+    if (this.logger && LOG_LEVELS[level] >= LOG_LEVELS[this.level]) {
+      this.logger.log(level, message, context);
     }
   }
 }
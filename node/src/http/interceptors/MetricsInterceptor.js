@@ -1,5 +1,98 @@
 import { InterceptorInterface } from "./InterceptorInterface.js";
 
+/**
+ * Default upper bounds of the latency histogram buckets in milliseconds
+ *
+ * @private
+ * @constant {number[]}
+ */
+const DEFAULT_BUCKETS = [50, 100, 250, 500, 1000, 2500, 5000, 10000, 30000];
+
+/**
+ * Default number of recent response times kept per endpoint for percentiles
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_SAMPLES = 1000;
+
+/**
+ * Escape a Prometheus label value
+ *
+ * @private
+ * @param {*} value Label value
+ * @returns {string} Escaped label value
+ */
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+/**
+ * Format Prometheus labels
+ *
+ * @private
+ * @param {object} labels Label names and values
+ * @returns {string} Label set, e.g. {method="GET",status="200"}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return `{${pairs.join(",")}}`;
+}
+
+/**
+ * LatencyWindow - Recent Response Times
+ *
+ * Keeps the most recent response times in a ring buffer, bounding the
+ * memory used for percentile calculation.
+ *
+ * @private
+ */
+class LatencyWindow {
+  /**
+   * @param {number} size Maximum number of samples kept
+   */
+  constructor(size) {
+    this.size = size;
+    this.samples = [];
+    this.next = 0;
+  }
+
+  /**
+   * Record a response time
+   *
+   * @param {number} value Response time in milliseconds
+   * @returns {void}
+   */
+  add(value) {
+    if (this.samples.length < this.size) {
+      this.samples.push(value);
+    } else {
+      this.samples[this.next] = value;
+    }
+    this.next = (this.next + 1) % this.size;
+  }
+
+  /**
+   * Get the p50, p95, and p99 response times (nearest rank)
+   *
+   * @returns {{p50: number, p95: number, p99: number}} Percentiles in milliseconds (0 without samples)
+   */
+  getPercentiles() {
+    const sorted = [...this.samples].sort((a, b) => a - b);
+    const rank = (percentile) =>
+      sorted.length === 0
+        ? 0
+        : sorted[Math.ceil((percentile / 100) * sorted.length) - 1];
+
+    return { p50: rank(50), p95: rank(95), p99: rank(99) };
+  }
+}
+
 /**
  * MetricsInterceptor - HTTP Metrics Collector
  *
@@ -8,6 +101,11 @@ import { InterceptorInterface } from "./InterceptorInterface.js";
  * request counts, success/failure rates, response times, and other valuable
  * performance indicators.
  *
+ * Besides the global totals, requests are broken down by HTTP method and
+ * endpoint template (the path with IDs replaced by `:id`), with outcome
+ * counts by HTTP status and error code, a latency histogram, and p50/p95/p99
+ * response times. toPrometheus() exports them in the Prometheus text format.
+ *
  * The collected metrics can be used for monitoring, alerting, performance
  * optimization, and capacity planning of SingaPay API integrations.
  *
@@ -22,11 +120,15 @@ export class MetricsInterceptor extends InterceptorInterface {
    * Initializes the metrics storage with zero values for all counters and
    * null for timestamp fields.
    *
+   * @param {object} [options={}] Metrics options
+   * @param {number[]} [options.buckets] Upper bounds of the latency histogram buckets in milliseconds
+   * @param {number} [options.maxSamples=1000] Recent response times kept per endpoint for percentiles
+   *
    * @example
    * const interceptor = new MetricsInterceptor();
    * client.addInterceptor(interceptor);
    */
-  constructor() {
+  constructor(options = {}) {
     super();
     /**
      * @private
@@ -39,6 +141,62 @@ export class MetricsInterceptor extends InterceptorInterface {
       totalResponseTime: 0,
       lastRequestTime: null,
     };
+    /**
+     * @private
+     * @type {number[]}
+     */
+    this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort(
+      (a, b) => a - b
+    );
+    /**
+     * @private
+     * @type {number}
+     */
+    this.maxSamples = options.maxSamples || DEFAULT_MAX_SAMPLES;
+    /**
+     * @private
+     * @type {LatencyWindow}
+     */
+    this.latencies = new LatencyWindow(this.maxSamples);
+    /**
+     * @private
+     * @type {Map<string, object>}
+     */
+    this.endpoints = new Map();
+  }
+
+  /**
+   * Get the endpoint template of an API path
+   *
+   * Drops the query string and replaces ID segments (numbers, UUIDs, ULIDs,
+   * prefixed IDs such as `va_123`, and other long alphanumeric tokens) with
+   * `:id`, keeping the number of metric series bounded.
+   *
+   * @param {string} endpoint API endpoint path
+   * @returns {string} Endpoint template
+   *
+   * @example
+   * MetricsInterceptor.getEndpointTemplate('/api/v1.0/virtual-accounts/01K2KVRQQP45234X9T3YWG1FKT/va_123');
+   * // Returns: '/api/v1.0/virtual-accounts/:id/:id'
+   */
+  static getEndpointTemplate(endpoint) {
+    const [path] = endpoint.split("?");
+
+    return path
+      .split("/")
+      .map((segment) =>
+        /^\d+$/.test(segment) ||
+        /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+          segment
+        ) ||
+        /^[a-z]+_(?=.*\d)[A-Za-z0-9]+$/.test(segment) ||
+        (segment.length >= 8 &&
+          /\d/.test(segment) &&
+          /^[A-Za-z0-9_-]+$/.test(segment))
+          ? ":id"
+          : segment
+      )
+      .join("/");
   }
 
   /**
@@ -60,19 +218,28 @@ export class MetricsInterceptor extends InterceptorInterface {
   /**
    * Track successful HTTP response
    *
-   * Increments the successful request counter and accumulates response time
-   * when a successful response is received from SingaPay APIs.
+   * Counts the request as successful when the response reports success,
+   * and as failed when a 2xx response carries `success: false`.
    *
-   * @param {string} _method HTTP method used for the request
-   * @param {string} _endpoint API endpoint path
+   * @param {string} method HTTP method used for the request
+   * @param {string} endpoint API endpoint path
    * @param {object} _options Request options that were sent
-   * @param {Response} _response Response object from the API
+   * @param {Response} response Response object from the API
    * @param {number} responseTime Response time in milliseconds
    * @returns {Promise<void>}
    */
-  async response(_method, _endpoint, _options, _response, responseTime) {
-    this.metrics.successfulRequests++;
-    this.metrics.totalResponseTime += responseTime;
+  async response(method, endpoint, _options, response, responseTime) {
+    const success = response.isSuccess();
+    const errorCode = success ? "" : response.getBody()?.error?.code ?? "";
+
+    this.record(
+      method,
+      endpoint,
+      success,
+      response.getStatusCode(),
+      errorCode,
+      responseTime
+    );
   }
 
   /**
@@ -81,16 +248,81 @@ export class MetricsInterceptor extends InterceptorInterface {
    * Increments the failed request counter and accumulates response time
    * when an HTTP request fails or returns an error response.
    *
-   * @param {string} _method HTTP method used for the request
-   * @param {string} _endpoint API endpoint path
+   * @param {string} method HTTP method used for the request
+   * @param {string} endpoint API endpoint path
    * @param {object} _options Request options that were sent
-   * @param {Error} _error Error that occurred
+   * @param {Error} error Error that occurred
    * @param {number} responseTime Response time in milliseconds
    * @returns {Promise<void>}
    */
-  async error(_method, _endpoint, _options, _error, responseTime) {
-    this.metrics.failedRequests++;
+  async error(method, endpoint, _options, error, responseTime) {
+    const status = error.response?.status ?? 0;
+    const errorCode = error.response
+      ? error.response.data?.error?.code ?? ""
+      : error.code ?? "";
+
+    this.record(method, endpoint, false, status, errorCode, responseTime);
+  }
+
+  /**
+   * Record a completed request
+   *
+   * @private
+   * @param {string} method HTTP method
+   * @param {string} endpoint API endpoint path
+   * @param {boolean} success Whether the request succeeded
+   * @param {number} status HTTP status code (0 without a response)
+   * @param {string|number} errorCode SingaPay or network error code ('' if none)
+   * @param {number} responseTime Response time in milliseconds
+   * @returns {void}
+   */
+  record(method, endpoint, success, status, errorCode, responseTime) {
+    if (success) {
+      this.metrics.successfulRequests++;
+    } else {
+      this.metrics.failedRequests++;
+    }
     this.metrics.totalResponseTime += responseTime;
+    this.latencies.add(responseTime);
+
+    const template = MetricsInterceptor.getEndpointTemplate(endpoint);
+    const key = `${method} ${template}`;
+    let stats = this.endpoints.get(key);
+
+    if (!stats) {
+      stats = {
+        method,
+        endpoint: template,
+        requests: 0,
+        successfulRequests: 0,
+        failedRequests: 0,
+        totalResponseTime: 0,
+        outcomes: new Map(),
+        bucketCounts: this.buckets.map(() => 0),
+        latencies: new LatencyWindow(this.maxSamples),
+      };
+      this.endpoints.set(key, stats);
+    }
+
+    stats.requests++;
+    stats[success ? "successfulRequests" : "failedRequests"]++;
+    stats.totalResponseTime += responseTime;
+    stats.latencies.add(responseTime);
+
+    const outcomeKey = `${status}|${errorCode}`;
+    const outcome = stats.outcomes.get(outcomeKey) || {
+      status: String(status),
+      errorCode: String(errorCode),
+      count: 0,
+    };
+    outcome.count++;
+    stats.outcomes.set(outcomeKey, outcome);
+
+    this.buckets.forEach((bound, index) => {
+      if (responseTime <= bound) {
+        stats.bucketCounts[index]++;
+      }
+    });
   }
 
   /**
@@ -102,17 +334,23 @@ export class MetricsInterceptor extends InterceptorInterface {
    *
    * @returns {object} Metrics snapshot object with properties:
    * @returns {number} returns.totalRequests Total number of requests made
-   * @returns {number} returns.successfulRequests Number of successful requests (2xx status)
-   * @returns {number} returns.failedRequests Number of failed requests (non-2xx status)
+   * @returns {number} returns.successfulRequests Number of successful requests (2xx status reporting success)
+   * @returns {number} returns.failedRequests Number of failed requests (errors and unsuccessful responses)
    * @returns {number} returns.totalResponseTime Cumulative response time in milliseconds
    * @returns {number|null} returns.lastRequestTime Timestamp of last request initiation
    * @returns {number} returns.averageResponseTime Average response time in milliseconds
    * @returns {number} returns.successRate Success rate as percentage (0-100)
+   * @returns {{p50: number, p95: number, p99: number}} returns.percentiles Recent response time percentiles in milliseconds
+   * @returns {Array<object>} returns.endpoints Metrics per method and endpoint template, with outcomes by status and error code
    *
    * @example
    * const metrics = interceptor.getMetrics();
    * console.log(`Success rate: ${metrics.successRate.toFixed(1)}%`);
    * console.log(`Average response time: ${metrics.averageResponseTime.toFixed(2)}ms`);
+   *
+   * for (const endpoint of metrics.endpoints) {
+   *   console.log(`${endpoint.method} ${endpoint.endpoint}: p95 ${endpoint.p95}ms`);
+   * }
    */
   getMetrics() {
     const averageResponseTime = this.getAverageResponseTime();
@@ -125,6 +363,19 @@ export class MetricsInterceptor extends InterceptorInterface {
       ...this.metrics,
       averageResponseTime,
       successRate,
+      percentiles: this.latencies.getPercentiles(),
+      endpoints: [...this.endpoints.values()].map((stats) => ({
+        method: stats.method,
+        endpoint: stats.endpoint,
+        requests: stats.requests,
+        successfulRequests: stats.successfulRequests,
+        failedRequests: stats.failedRequests,
+        averageResponseTime: stats.totalResponseTime / stats.requests,
+        ...stats.latencies.getPercentiles(),
+        outcomes: [...stats.outcomes.values()].map((outcome) => ({
+          ...outcome,
+        })),
+      })),
     };
   }
 
@@ -146,4 +397,70 @@ export class MetricsInterceptor extends InterceptorInterface {
     }
     return this.metrics.totalResponseTime / this.metrics.totalRequests;
   }
+
+  /**
+   * Export the metrics in the Prometheus text exposition format
+   *
+   * Exposes `singapay_requests_total` (counter by method, endpoint, status,
+   * and error code) and `singapay_request_duration_seconds` (histogram by
+   * method and endpoint).
+   *
+   * @returns {string} Prometheus text exposition
+   *
+   * @example
+   * app.get('/metrics', (req, res) => {
+   *   res.type('text/plain; version=0.0.4').send(interceptor.toPrometheus());
+   * });
+   */
+  toPrometheus() {
+    const lines = [
+      "# HELP singapay_requests_total SingaPay API requests by outcome.",
+      "# TYPE singapay_requests_total counter",
+    ];
+
+    for (const stats of this.endpoints.values()) {
+      for (const outcome of stats.outcomes.values()) {
+        lines.push(
+          `singapay_requests_total${formatLabels({
+            method: stats.method,
+            endpoint: stats.endpoint,
+            status: outcome.status,
+            error_code: outcome.errorCode,
+          })} ${outcome.count}`
+        );
+      }
+    }
+
+    lines.push(
+      "# HELP singapay_request_duration_seconds SingaPay API response times.",
+      "# TYPE singapay_request_duration_seconds histogram"
+    );
+
+    for (const stats of this.endpoints.values()) {
+      const labels = { method: stats.method, endpoint: stats.endpoint };
+
+      this.buckets.forEach((bound, index) => {
+        lines.push(
+          `singapay_request_duration_seconds_bucket${formatLabels({
+            ...labels,
+            le: bound / 1000,
+          })} ${stats.bucketCounts[index]}`
+        );
+      });
+      lines.push(
+        `singapay_request_duration_seconds_bucket${formatLabels({
+          ...labels,
+          le: "+Inf",
+        })} ${stats.requests}`,
+        `singapay_request_duration_seconds_sum${formatLabels(labels)} ${
+          stats.totalResponseTime / 1000
+        }`,
+        `singapay_request_duration_seconds_count${formatLabels(labels)} ${
+          stats.requests
+        }`
+      );
+    }
+
+    return `${lines.join("\n")}\n`;
+  }
 }
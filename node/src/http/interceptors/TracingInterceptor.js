@@ -0,0 +1,228 @@
+import { Response } from "../Response.js";
+import { InterceptorInterface } from "./InterceptorInterface.js";
+import { MetricsInterceptor } from "./MetricsInterceptor.js";
+
+/**
+ * OpenTelemetry SpanKind.CLIENT
+ *
+ * @private
+ * @constant {number}
+ */
+const SPAN_KIND_CLIENT = 2;
+
+/**
+ * OpenTelemetry SpanStatusCode.ERROR
+ *
+ * @private
+ * @constant {number}
+ */
+const SPAN_STATUS_ERROR = 2;
+
+/**
+ * TracingInterceptor - OpenTelemetry-Compatible HTTP Tracer
+ *
+ * An interceptor implementation that creates a client span for every HTTP
+ * request attempt, following the OpenTelemetry semantic conventions for HTTP
+ * clients. Spans are named after the method and endpoint template (e.g.
+ * `POST /api/v1.0/disbursement/:id/transfer`) and started with the tracer's
+ * active context, so they nest under the caller's current span.
+ *
+ * Besides the standard HTTP attributes, each span records the attempt number
+ * (`singapay.attempt`), the number of access token refreshes so far
+ * (`singapay.token_refreshes`), the SingaPay error code
+ * (`singapay.error_code`), and the server request ID (`singapay.request_id`).
+ * Retries also set `http.request.resend_count`.
+ *
+ * The tracer is any object with an OpenTelemetry-style `startSpan(name,
+ * options)` method returning spans with setAttribute(), setStatus(),
+ * recordException(), and end(), such as `trace.getTracer()` from
+ * `@opentelemetry/api`. The SDK does not depend on OpenTelemetry itself.
+ *
+ * @extends InterceptorInterface
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class TracingInterceptor extends InterceptorInterface {
+  /**
+   * Creates a new TracingInterceptor instance
+   *
+   * @param {object} tracer OpenTelemetry-compatible tracer with a startSpan() method
+   *
+   * @example
+   * import { trace } from '@opentelemetry/api';
+   *
+   * singapay.addInterceptor(
+   *   new TracingInterceptor(trace.getTracer('@singapay/payment-gateway'))
+   * );
+   */
+  constructor(tracer) {
+    super();
+
+    if (!tracer || typeof tracer.startSpan !== "function") {
+      throw new Error("Tracer must implement startSpan()");
+    }
+
+    /**
+     * @private
+     * @type {object}
+     */
+    this.tracer = tracer;
+    /**
+     * Open spans by the request options of their attempt
+     *
+     * @private
+     * @type {WeakMap<object, object>}
+     */
+    this.spans = new WeakMap();
+  }
+
+  /**
+   * Start the span of an outgoing HTTP request
+   *
+   * @param {string} method HTTP method (GET, POST, PUT, etc.)
+   * @param {string} endpoint API endpoint path
+   * @param {object} options Request options including the base URL and attempt
+   * @returns {Promise<void>}
+   */
+  async request(method, endpoint, options) {
+    const template = MetricsInterceptor.getEndpointTemplate(endpoint);
+    const attempt = options.attempt || {};
+    const attributes = {
+      "http.request.method": method,
+      "url.template": template,
+      "singapay.attempt": attempt.number ?? 1,
+      "singapay.token_refreshes": attempt.tokenRefreshes ?? 0,
+    };
+
+    if (attempt.number > 1) {
+      attributes["http.request.resend_count"] = attempt.number - 1;
+    }
+
+    if (options.baseUrl) {
+      const url = new URL(endpoint, options.baseUrl);
+      attributes["url.full"] = url.href;
+      attributes["server.address"] = url.hostname;
+      attributes["server.port"] = Number(
+        url.port || (url.protocol === "https:" ? 443 : 80)
+      );
+    } else {
+      attributes["url.full"] = endpoint;
+    }
+
+    this.spans.set(
+      options,
+      this.tracer.startSpan(`${method} ${template}`, {
+        kind: SPAN_KIND_CLIENT,
+        attributes,
+      })
+    );
+  }
+
+  /**
+   * End the span of a successful HTTP response
+   *
+   * Responses with `success: false` end the span with an error status.
+   *
+   * @param {string} _method HTTP method used for the request
+   * @param {string} _endpoint API endpoint path
+   * @param {object} options Request options that were sent
+   * @param {Response} response Response object from the API
+   * @param {number} _responseTime Response time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async response(_method, _endpoint, options, response, _responseTime) {
+    const span = this.take(options);
+
+    if (!span) {
+      return;
+    }
+
+    span.setAttribute("http.response.status_code", response.getStatusCode());
+    this.setRequestId(span, response);
+
+    if (!response.isSuccess()) {
+      const errorCode = response.getBody()?.error?.code;
+
+      if (errorCode) {
+        span.setAttribute("singapay.error_code", errorCode);
+      }
+      span.setAttribute("error.type", errorCode || "SINGAPAY_ERROR");
+      span.setStatus({
+        code: SPAN_STATUS_ERROR,
+        message: response.getMessage() || undefined,
+      });
+    }
+
+    span.end();
+  }
+
+  /**
+   * End the span of a failed HTTP request
+   *
+   * HTTP error responses set `error.type` to the status code and network
+   * errors to their error code (e.g. ECONNRESET). The error is recorded as a
+   * span exception.
+   *
+   * @param {string} _method HTTP method used for the request
+   * @param {string} _endpoint API endpoint path
+   * @param {object} options Request options that were sent
+   * @param {Error} error Error that occurred
+   * @param {number} _responseTime Response time in milliseconds
+   * @returns {Promise<void>}
+   */
+  async error(_method, _endpoint, options, error, _responseTime) {
+    const span = this.take(options);
+
+    if (!span) {
+      return;
+    }
+
+    if (error.response) {
+      const { status, headers, data } = error.response;
+      const errorCode = data?.error?.code;
+
+      span.setAttribute("http.response.status_code", status);
+      span.setAttribute("error.type", String(status));
+      this.setRequestId(span, new Response(status, data || {}, headers));
+
+      if (errorCode) {
+        span.setAttribute("singapay.error_code", errorCode);
+      }
+    } else {
+      span.setAttribute("error.type", error.code || error.name || "Error");
+    }
+
+    span.recordException?.(error);
+    span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+    span.end();
+  }
+
+  /**
+   * Remove and return the open span of an attempt
+   *
+   * @private
+   * @param {object} options Request options of the attempt
+   * @returns {object|undefined} Span, or undefined if none was started
+   */
+  take(options) {
+    const span = this.spans.get(options);
+    this.spans.delete(options);
+    return span;
+  }
+
+  /**
+   * Record the server request ID of a response on a span
+   *
+   * @private
+   * @param {object} span Span to annotate
+   * @param {Response} response Response from the API
+   * @returns {void}
+   */
+  setRequestId(span, response) {
+    const requestId = response.getRequestId();
+
+    if (requestId) {
+      span.setAttribute("singapay.request_id", requestId);
+    }
+  }
+}
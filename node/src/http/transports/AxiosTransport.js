@@ -0,0 +1,168 @@
+import { TransportInterface } from "./TransportInterface.js";
+
+/**
+ * Load axios, an optional peer dependency of the SDK
+ *
+ * @private
+ * @returns {Promise<object>} Promise resolving to the axios module
+ *
+ * @throws {Error} When the axios package is not installed
+ */
+async function loadAxios() {
+  try {
+    return (await import("axios")).default;
+  } catch (error) {
+    throw new Error(
+      "The axios transport requires the axios package; install it with `npm install axios` or use transport: 'fetch'"
+    );
+  }
+}
+
+/**
+ * AxiosTransport - HTTP Transport Backed by axios
+ *
+ * The default transport of the SingaPay HTTP client. Sends requests through
+ * an axios instance, either created by the transport or supplied by the
+ * caller (e.g. one with custom agents or proxy settings).
+ *
+ * axios is an optional peer dependency: it is only loaded, and the axios
+ * instance only created, when the first request is sent. When axios is not
+ * installed, requests go through the fallback transport if one is given.
+ *
+ * @extends TransportInterface
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class AxiosTransport extends TransportInterface {
+  /**
+   * Creates a new AxiosTransport instance
+   *
+   * @param {object} [options={}] Transport options
+   * @param {object} [options.httpClient] Existing axios instance to send requests with
+   * @param {object} [options.axiosConfig={}] Configuration for the axios instance created when no httpClient is given
+   * @param {Function} [options.fallback] Function creating the transport used when axios is not installed (default: requests fail)
+   *
+   * @example
+   * const transport = new AxiosTransport({
+   *   axiosConfig: { proxy: { host: '10.0.0.1', port: 3128 } }
+   * });
+   */
+  constructor(options = {}) {
+    super();
+    /**
+     * @private
+     * @type {object|null}
+     */
+    this.httpClient = options.httpClient || null;
+    /**
+     * @private
+     * @type {object}
+     */
+    this.axiosConfig = options.axiosConfig || {};
+    /**
+     * @private
+     * @type {Function|null}
+     */
+    this.fallback = options.fallback || null;
+    /**
+     * Transport used instead of axios once axios was found missing
+     *
+     * @private
+     * @type {TransportInterface|null}
+     */
+    this.fallbackTransport = null;
+    /**
+     * Pending creation of the axios instance
+     *
+     * @private
+     * @type {Promise<object>|null}
+     */
+    this.creating = null;
+  }
+
+  /**
+   * Send an HTTP request through axios
+   *
+   * @param {object} request Request to send (see TransportInterface.send())
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the HTTP response
+   *
+   * @throws {Error} axios error when no response was received, or when axios is not installed
+   */
+  async send(request) {
+    const httpClient = await this.createHttpClient();
+
+    if (!httpClient) {
+      return this.fallbackTransport.send(request);
+    }
+
+    const options = {
+      method: request.method,
+      baseURL: request.baseUrl,
+      url: request.url,
+      headers: request.headers,
+      validateStatus: () => true,
+    };
+
+    if (request.data !== undefined) {
+      options.data = request.data;
+    }
+
+    if (request.timeout !== undefined) {
+      options.timeout = request.timeout;
+    }
+
+    if (request.signal) {
+      options.signal = request.signal;
+    }
+
+    const response = await httpClient.request(options);
+    const headers = response.headers || {};
+
+    return {
+      status: response.status,
+      headers:
+        typeof headers.toJSON === "function" ? headers.toJSON() : headers,
+      data: response.data,
+    };
+  }
+
+  /**
+   * Get the axios instance
+   *
+   * @returns {object|null} Axios HTTP client instance, or null until the first request when the transport creates it
+   */
+  getHttpClient() {
+    return this.httpClient;
+  }
+
+  /**
+   * Get the axios instance, loading axios and creating it on first use
+   *
+   * When axios is not installed and a fallback is given, the fallback
+   * transport is created instead and null is returned.
+   *
+   * @private
+   * @returns {Promise<object|null>} Promise resolving to the axios instance, or null when using the fallback transport
+   */
+  async createHttpClient() {
+    if (!this.httpClient) {
+      this.creating =
+        this.creating ||
+        loadAxios().then(
+          (axios) => axios.create(this.axiosConfig),
+          (error) => {
+            if (this.fallback) {
+              this.fallbackTransport = this.fallback();
+              return null;
+            }
+
+            this.creating = null;
+            throw error;
+          }
+        );
+      this.httpClient = await this.creating;
+    }
+
+    return this.httpClient;
+  }
+}
@@ -0,0 +1,191 @@
+import { TransportInterface } from "./TransportInterface.js";
+
+/**
+ * FetchTransport - Dependency-Free HTTP Transport
+ *
+ * Sends requests with the native fetch API (Node.js 18+), or with a fetch
+ * implementation supplied by the caller. Extra fetch options are passed to
+ * every request, e.g. an undici `dispatcher` to share a connection pool.
+ *
+ * Unlike the default axios transport, TLS certificates are verified in the
+ * sandbox environment too; pass a dispatcher to change the TLS settings.
+ *
+ * @extends TransportInterface
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class FetchTransport extends TransportInterface {
+  /**
+   * Creates a new FetchTransport instance
+   *
+   * @param {object} [options={}] Transport options
+   * @param {Function} [options.fetch=globalThis.fetch] fetch implementation
+   * @param {object} [options.fetchOptions={}] Extra options passed to every fetch call
+   *
+   * @throws {Error} When no fetch implementation is available
+   *
+   * @example
+   * import { Pool } from 'undici';
+   *
+   * const transport = new FetchTransport({
+   *   fetchOptions: { dispatcher: new Pool('https://payment-b2b.singapay.id', { connections: 10 }) }
+   * });
+   */
+  constructor(options = {}) {
+    super();
+    /**
+     * @private
+     * @type {Function}
+     */
+    this.fetch = options.fetch || globalThis.fetch;
+    /**
+     * @private
+     * @type {object}
+     */
+    this.fetchOptions = options.fetchOptions || {};
+
+    if (typeof this.fetch !== "function") {
+      throw new Error(
+        "fetch is not available; use Node.js 18+ or pass a fetch implementation"
+      );
+    }
+  }
+
+  /**
+   * Send an HTTP request with fetch
+   *
+   * @param {object} request Request to send (see TransportInterface.send())
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the HTTP response
+   *
+   * @throws {Error} When no response was received, with the network error code
+   */
+  async send(request) {
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+
+    const onAbort = () => controller.abort(request.signal.reason);
+
+    if (request.signal) {
+      if (request.signal.aborted) {
+        onAbort();
+      } else {
+        request.signal.addEventListener("abort", onAbort, { once: true });
+      }
+    }
+
+    if (request.timeout) {
+      timer = setTimeout(() => {
+        timedOut = true;
+        controller.abort();
+      }, request.timeout);
+    }
+
+    try {
+      const response = await this.fetch(
+        FetchTransport.buildUrl(request.baseUrl, request.url),
+        {
+          ...this.fetchOptions,
+          method: request.method,
+          headers: request.headers,
+          body: FetchTransport.serializeBody(request.data),
+          signal: controller.signal,
+        }
+      );
+      const text = await response.text();
+
+      return {
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        data: FetchTransport.parseBody(text),
+      };
+    } catch (error) {
+      throw FetchTransport.normalizeError(error, timedOut, request);
+    } finally {
+      clearTimeout(timer);
+      request.signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Join the base URL and the endpoint path
+   *
+   * @private
+   * @param {string} baseUrl API base URL
+   * @param {string} url Endpoint path or absolute URL
+   * @returns {string} Request URL
+   */
+  static buildUrl(baseUrl, url) {
+    if (/^https?:\/\//i.test(url) || !baseUrl) {
+      return url;
+    }
+
+    return `${baseUrl.replace(/\/+$/, "")}/${url.replace(/^\/+/, "")}`;
+  }
+
+  /**
+   * Serialize the request body
+   *
+   * @private
+   * @param {*} data Request body
+   * @returns {string|undefined} Serialized body
+   */
+  static serializeBody(data) {
+    if (data === undefined || data === null) {
+      return undefined;
+    }
+
+    return typeof data === "string" ? data : JSON.stringify(data);
+  }
+
+  /**
+   * Parse the response body as JSON, falling back to the raw text
+   *
+   * @private
+   * @param {string} text Response body
+   * @returns {*} Parsed body
+   */
+  static parseBody(text) {
+    if (text === "") {
+      return null;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  /**
+   * Give a fetch failure the error code used by the other transports
+   *
+   * @private
+   * @param {Error} error fetch failure
+   * @param {boolean} timedOut Whether the request hit its timeout
+   * @param {object} request Request that failed
+   * @returns {Error} Error with a network error code
+   */
+  static normalizeError(error, timedOut, request) {
+    if (timedOut) {
+      const timeoutError = new Error(
+        `timeout of ${request.timeout}ms exceeded`
+      );
+      timeoutError.code = "ECONNABORTED";
+      return timeoutError;
+    }
+
+    if (request.signal?.aborted) {
+      const abortError = new Error("canceled");
+      abortError.code = "ERR_CANCELED";
+      abortError.cause = error;
+      return abortError;
+    }
+
+    const cause = error.cause;
+    const networkError = new Error(cause?.message || error.message);
+    networkError.code = cause?.code || error.code;
+    networkError.cause = error;
+    return networkError;
+  }
+}
@@ -0,0 +1,45 @@
+/**
+ * TransportInterface - Base Interface for HTTP Transports
+ *
+ * Defines the contract between the SingaPay HTTP client and the library
+ * that actually sends requests. The client keeps retries, interceptors, and
+ * error mapping; a transport only has to send one request and report the
+ * HTTP response, whatever its status code.
+ *
+ * Implementations can wrap any HTTP stack, such as axios, the native fetch
+ * API, or an undici connection pool.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class TransportInterface {
+  /**
+   * Send an HTTP request
+   *
+   * Resolves with the response for every HTTP status code, including 4xx and
+   * 5xx. Rejects only when no response was received (connection failure,
+   * timeout, abort), with an error whose `code` carries the Node.js network
+   * error code (e.g. ECONNREFUSED, ECONNRESET) when one is known. Timeouts use
+   * ECONNABORTED and aborts ERR_CANCELED.
+   *
+   * @param {object} _request Request to send
+   * @param {string} _request.method HTTP method
+   * @param {string} _request.baseUrl API base URL
+   * @param {string} _request.url API endpoint path, relative to the base URL
+   * @param {object} _request.headers HTTP headers
+   * @param {*} [_request.data] Request body, serialized as JSON unless it is a string
+   * @param {number} [_request.timeout] Timeout in milliseconds
+   * @param {AbortSignal} [_request.signal] Signal cancelling the request
+   * @param {{number: number, tokenRefreshes: number}} [_request.attempt] Attempt number and access token refreshes so far, for information only
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the HTTP response with lower-case header names and the parsed JSON body
+   *
+   * @example
+   * async send(_request) {
+   *   const response = await myHttpStack.request(_request);
+   *   return { status: response.statusCode, headers: response.headers, data: response.body };
+   * }
+   */
+  async send(_request) {
+    throw new Error("Transport must implement send()");
+  }
+}
@@ -1,3 +1,5 @@
+import type { Cassette } from "./testing/index";
+
 /**
  * SingaPay - Main SDK Class
  *
@@ -54,6 +56,15 @@ export class SingaPay {
     receivedSignature: string
   ): boolean;
 
+  /**
+   * Verify webhook signature and report the matching key
+   */
+  verifyWebhook(
+    timestamp: string | number,
+    body: any,
+    receivedSignature: string
+  ): WebhookVerificationResult;
+
   /**
    * Add request/response interceptor
    */
@@ -64,6 +75,11 @@ export class SingaPay {
    */
   getMetrics(): Metrics;
 
+  /**
+   * Export request metrics in the Prometheus text exposition format
+   */
+  toPrometheus(): string;
+
   /**
    * Force refresh authentication token
    */
@@ -159,6 +175,18 @@ export class Config {
    */
   getHmacValidationKey(): string | null;
 
+  /**
+   * Get active HMAC validation keys
+   */
+  getHmacValidationKeys(now?: number): HmacValidationKey[];
+
+  /**
+   * Set HMAC validation keys
+   */
+  setHmacValidationKeys(
+    keys: string | Array<string | HmacValidationKeyInput>
+  ): this;
+
   /**
    * Get base URL
    */
@@ -179,6 +207,11 @@ export class Config {
    */
   getRetryDelay(): number;
 
+  /**
+   * Get total request time budget in seconds
+   */
+  getTotalTimeout(): number | null;
+
   /**
    * Check if auto reauthentication is enabled
    */
@@ -194,6 +227,31 @@ export class Config {
    */
   getCustomHeaders(): Record<string, string>;
 
+  /**
+   * Get webhook timestamp tolerance
+   */
+  getWebhookTolerance(): number;
+
+  /**
+   * Get access token refresh margin in seconds
+   */
+  getTokenRefreshMargin(): number;
+
+  /**
+   * Get options of the default LoggingInterceptor
+   */
+  getLogging(): (LoggingOptions & { logger?: any }) | false;
+
+  /**
+   * Get the interceptors installed instead of the defaults
+   */
+  getDefaultInterceptors(): InterceptorInterface[] | null;
+
+  /**
+   * Get the tracer of the TracingInterceptor
+   */
+  getTracer(): Tracer | null;
+
   /**
    * Check if production environment is configured
    */
@@ -209,6 +267,11 @@ export class Config {
    */
   setMaxRetries(maxRetries: number): this;
 
+  /**
+   * Set total request time budget in seconds (null for no budget)
+   */
+  setTotalTimeout(totalTimeout: number | null): this;
+
   /**
    * Set base retry delay
    */
@@ -224,6 +287,16 @@ export class Config {
    */
   setCacheTtl(ttl: number): this;
 
+  /**
+   * Set webhook timestamp tolerance
+   */
+  setWebhookTolerance(tolerance: number): this;
+
+  /**
+   * Set access token refresh margin in seconds
+   */
+  setTokenRefreshMargin(margin: number): this;
+
   /**
    * Add custom HTTP header
    */
@@ -248,14 +321,52 @@ export interface SingaPayConfig {
   clientSecret: string;
   apiKey: string;
   hmacValidationKey?: string;
+  hmacValidationKeys?: Array<string | HmacValidationKeyInput>;
   environment?: "sandbox" | "production";
   baseUrl?: string;
   timeout?: number;
   maxRetries?: number;
   retryDelay?: number;
+  totalTimeout?: number | null;
   autoReauth?: boolean;
   cacheTtl?: number;
   customHeaders?: Record<string, string>;
+  webhookTolerance?: number;
+  tokenRefreshMargin?: number;
+  logging?: (LoggingOptions & { logger?: any }) | false;
+  defaultInterceptors?: InterceptorInterface[] | false;
+  tracer?: Tracer | null;
+  cache?: CacheInterface;
+  circuitBreaker?: boolean | CircuitBreakerOptions | CircuitBreaker;
+  rateLimit?: RateLimiterOptions | RateLimiter;
+  cassette?: Cassette;
+  transport?: "axios" | "fetch" | TransportInterface;
+}
+
+/**
+ * HMAC validation key as configured
+ */
+export interface HmacValidationKeyInput {
+  id?: string;
+  key: string;
+  retiresAt?: Date | string | number;
+}
+
+/**
+ * Normalized HMAC validation key
+ */
+export interface HmacValidationKey {
+  id: string;
+  key: string;
+  retiresAt: Date | null;
+}
+
+/**
+ * Webhook verification result
+ */
+export interface WebhookVerificationResult {
+  valid: boolean;
+  keyId: string | null;
 }
 
 /**
@@ -270,8 +381,11 @@ export interface ConfigObject {
   timeout: number;
   maxRetries: number;
   retryDelay: number;
+  totalTimeout: number | null;
   autoReauth: boolean;
   cacheTtl: number;
+  webhookTolerance: number;
+  tokenRefreshMargin: number;
 }
 
 /**
@@ -282,6 +396,7 @@ export interface ConnectionTest {
   message: string;
   tokenObtained?: boolean;
   errorCode?: number;
+  circuitState: CircuitState | null;
 }
 
 /**
@@ -293,6 +408,71 @@ export interface Metrics {
   failedRequests: number;
   totalResponseTime: number;
   lastRequestTime: number | null;
+  averageResponseTime: number;
+  successRate: number;
+  percentiles: LatencyPercentiles;
+  endpoints: EndpointMetrics[];
+  queueDepth: number;
+}
+
+/**
+ * Recent response time percentiles in milliseconds
+ */
+export interface LatencyPercentiles {
+  p50: number;
+  p95: number;
+  p99: number;
+}
+
+/**
+ * Request metrics of one method and endpoint template
+ */
+export interface EndpointMetrics extends LatencyPercentiles {
+  method: string;
+  endpoint: string;
+  requests: number;
+  successfulRequests: number;
+  failedRequests: number;
+  averageResponseTime: number;
+  outcomes: Array<{ status: string; errorCode: string; count: number }>;
+}
+
+/**
+ * Options of the metrics interceptor
+ */
+export interface MetricsOptions {
+  /**
+   * Upper bounds of the latency histogram buckets in milliseconds
+   */
+  buckets?: number[];
+
+  /**
+   * Recent response times kept per endpoint for percentiles (default: 1000)
+   */
+  maxSamples?: number;
+}
+
+/**
+ * Span created by an OpenTelemetry-compatible tracer
+ */
+export interface Span {
+  setAttribute(key: string, value: string | number | boolean): any;
+  setStatus(status: { code: number; message?: string }): any;
+  recordException?(exception: Error): any;
+  end(): void;
+}
+
+/**
+ * OpenTelemetry-compatible tracer, such as trace.getTracer() from @opentelemetry/api
+ */
+export interface Tracer {
+  startSpan(
+    name: string,
+    options?: {
+      kind?: number;
+      attributes?: Record<string, string | number | boolean>;
+    }
+  ): Span;
 }
 
 /**
@@ -303,6 +483,9 @@ export interface Pagination {
   per_page: number;
   total: number;
   total_pages: number;
+  total_items?: number;
+  last_page?: number;
+  has_next?: boolean;
 }
 
 /**
@@ -314,9 +497,54 @@ export interface Pagination {
  * @author PT. Abadi Singapay Indonesia
  */
 export class SingaPayException extends Error {
-  constructor(message: string, code?: number, originalError?: Error);
+  constructor(
+    message: string,
+    code?: number,
+    originalError?: Error | null,
+    details?: ExceptionDetails
+  );
   code: number;
   originalError: Error | null;
+  status: number | null;
+  errorCode: string | number | null;
+  endpoint: string | null;
+  requestId: string | null;
+  body: any;
+  isRetryable: boolean;
+
+  /**
+   * Convert the exception to a plain object for logging
+   */
+  toJSON(): SerializedException;
+}
+
+/**
+ * Details of the API response that caused an exception
+ */
+export interface ExceptionDetails {
+  status?: number;
+  errorCode?: string | number | null;
+  endpoint?: string | null;
+  requestId?: string | null;
+  body?: any;
+  retryable?: boolean;
+  retryAfter?: number | null;
+}
+
+/**
+ * Exception as returned by toJSON()
+ */
+export interface SerializedException {
+  name: string;
+  message: string;
+  code: number;
+  status: number | null;
+  errorCode: string | number | null;
+  endpoint: string | null;
+  requestId: string | null;
+  isRetryable: boolean;
+  body: any;
+  retryAfter?: number | null;
 }
 
 /**
@@ -327,7 +555,17 @@ export class SingaPayException extends Error {
  * @package '@singapay/payment-gateway'
  * @author PT. Abadi Singapay Indonesia
  */
-export class ApiException extends SingaPayException {}
+export class ApiException extends SingaPayException {
+  /**
+   * Create the exception matching a failed API response
+   */
+  static fromResponse(
+    response: Response,
+    endpoint?: string | null,
+    originalError?: Error | null,
+    extraDetails?: ExceptionDetails
+  ): ApiException;
+}
 
 /**
  * AuthenticationException - Authentication & Authorization Exception
@@ -339,6 +577,21 @@ export class ApiException extends SingaPayException {}
  */
 export class AuthenticationException extends SingaPayException {}
 
+/**
+ * CircuitOpenException - Circuit Breaker Rejection
+ *
+ * Thrown without contacting the API while the circuit of a scope is open.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class CircuitOpenException extends ApiException {
+  constructor(message: string, scope?: string | null, openUntil?: Date | null);
+
+  scope: string | null;
+  openUntil: Date | null;
+}
+
 /**
  * ValidationException - Data Validation Exception
  *
@@ -352,7 +605,8 @@ export class ValidationException extends SingaPayException {
     message: string,
     errors?: Record<string, string>,
     code?: number,
-    originalError?: Error
+    originalError?: Error | null,
+    details?: ExceptionDetails
   );
   errors: Record<string, string>;
 
@@ -362,6 +616,81 @@ export class ValidationException extends SingaPayException {
   getErrors(): Record<string, string>;
 }
 
+/**
+ * WebhookException - Webhook Processing Exception
+ *
+ * Represents invalid signatures, stale timestamps, or malformed webhook payloads.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookException extends SingaPayException {}
+
+/**
+ * NotFoundException - Missing Resource Exception
+ *
+ * Thrown for 404 Not Found responses.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class NotFoundException extends ApiException {}
+
+/**
+ * RateLimitException - Too Many Requests Exception
+ *
+ * Thrown for 429 Too Many Requests responses.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class RateLimitException extends ApiException {
+  /**
+   * Delay in milliseconds requested by the Retry-After header
+   */
+  retryAfter: number | null;
+}
+
+/**
+ * InsufficientBalanceException - Insufficient Balance Exception
+ *
+ * Thrown when the account balance does not cover a transaction.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class InsufficientBalanceException extends ApiException {}
+
+/**
+ * ConflictException - Conflicting Request Exception
+ *
+ * Thrown for 409 Conflict responses.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class ConflictException extends ApiException {}
+
+/**
+ * DuplicateReferenceException - Reused Reference Number Exception
+ *
+ * Thrown when a transaction reuses a reference number.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class DuplicateReferenceException extends ConflictException {}
+
+/**
+ * ServerException - SingaPay Server Error Exception
+ *
+ * Thrown for 5xx responses.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class ServerException extends ApiException {}
+
 /**
  * Response - HTTP Response Wrapper Class
  *
@@ -371,7 +700,42 @@ export class ValidationException extends SingaPayException {
  * @author PT. Abadi Singapay Indonesia
  */
 export class Response {
-  constructor(statusCode: number, body?: any);
+  constructor(
+    statusCode: number,
+    body?: any,
+    headers?: Record<string, string>,
+    timing?: ResponseTiming | null
+  );
+
+  statusCode: number;
+  body: any;
+  headers: Record<string, string>;
+  timing: ResponseTiming | null;
+
+  /**
+   * Get the response headers
+   */
+  getHeaders(): Record<string, string>;
+
+  /**
+   * Get a response header (case-insensitive)
+   */
+  getHeader(name: string): string | null;
+
+  /**
+   * Get the request ID assigned by the server
+   */
+  getRequestId(): string | null;
+
+  /**
+   * Get the server time from the Date response header
+   */
+  getServerTime(): Date | null;
+
+  /**
+   * Get the request timing
+   */
+  getTiming(): ResponseTiming | null;
 
   /**
    * Check if the response indicates success
@@ -420,269 +784,1292 @@ export class Response {
 }
 
 /**
- * Client - HTTP Client for SingaPay API
- *
- * A robust HTTP client specifically designed for interacting with SingaPay APIs.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
+ * Request timing of a response
  */
-export class Client {
-  constructor(config: Config, auth: Authentication);
+export interface ResponseTiming {
+  startedAt: number;
+  completedAt: number;
+  duration: number;
+}
 
-  /**
-   * Add request/response interceptor
-   */
-  addInterceptor(interceptor: InterceptorInterface): this;
+/**
+ * Result of a resource call made with the withResponse option
+ */
+export interface ResourceResult<T = any> {
+  data: T;
+  response: Response | null;
+}
 
+/**
+ * Per-request options accepted by Client methods
+ */
+export interface RequestOptions {
   /**
-   * Get all registered interceptors
+   * Override automatic reauthentication for this request
    */
-  getInterceptors(): InterceptorInterface[];
+  autoReauth?: boolean;
 
   /**
-   * Send GET request
+   * Override the retry policy for this request
    */
-  get(endpoint: string, headers?: Record<string, string>): Promise<Response>;
+  retryPolicy?: RetryPolicy;
 
   /**
-   * Send POST request
+   * Override the time budget in seconds for this request including all retries
    */
-  post(
-    endpoint: string,
-    body?: any,
-    headers?: Record<string, string>
-  ): Promise<Response>;
+  totalTimeout?: number | null;
 
   /**
-   * Send PUT request
+   * Override the timeout in seconds of each attempt
    */
-  put(
-    endpoint: string,
-    body?: any,
-    headers?: Record<string, string>
-  ): Promise<Response>;
+  timeout?: number;
 
   /**
-   * Send PATCH request
+   * Override the maximum number of retry attempts
    */
-  patch(
-    endpoint: string,
-    body?: any,
-    headers?: Record<string, string>
-  ): Promise<Response>;
+  maxRetries?: number;
 
   /**
-   * Send DELETE request
+   * Signal cancelling the request, including while it waits for the rate limiter
    */
-  delete(endpoint: string, headers?: Record<string, string>): Promise<Response>;
+  signal?: AbortSignal;
 
   /**
-   * Get request metrics
+   * Rebuild the headers of a signed request with a refreshed access token
+   * before retrying after a 401
    */
-  getMetrics(): Metrics;
+  signHeaders?: (
+    accessToken: string
+  ) => Record<string, string> | Promise<Record<string, string>>;
 }
 
 /**
- * InterceptorInterface - Base Interface for HTTP Interceptors
+ * Limits of a rate limiter or of one of its endpoint rules
+ */
+export interface RateLimits {
+  requestsPerSecond?: number;
+  burst?: number;
+  maxConcurrent?: number;
+}
+
+/**
+ * Rate limits applied to requests matching a pattern
+ */
+export interface RateLimitEndpointRule extends RateLimits {
+  pattern: string | RegExp | ((method: string, endpoint: string) => boolean);
+  method?: string;
+}
+
+/**
+ * Rate limiter options
+ */
+export interface RateLimiterOptions extends RateLimits {
+  endpoints?: RateLimitEndpointRule[];
+}
+
+/**
+ * RateLimiter - Client-Side Rate Limiting and Concurrency Control
  *
- * Defines the standard contract for HTTP request/response interceptors.
+ * Paces requests with a token bucket and caps requests in flight, globally
+ * and per endpoint pattern, queueing requests until they may be sent.
  *
  * @package '@singapay/payment-gateway'
  * @author PT. Abadi Singapay Indonesia
  */
-export abstract class InterceptorInterface {
-  /**
-   * Handle outgoing HTTP request
-   */
-  request(method: string, endpoint: string, options: any): Promise<void>;
+export class RateLimiter {
+  constructor(options?: RateLimiterOptions);
 
   /**
-   * Handle successful HTTP response
+   * Wait for permission to send a request; resolves to a release function
    */
-  response(
+  acquire(
     method: string,
     endpoint: string,
-    options: any,
-    response: Response,
-    responseTime: number
-  ): Promise<void>;
+    options?: { signal?: AbortSignal; deadline?: number | null }
+  ): Promise<() => void>;
 
   /**
-   * Handle HTTP error
+   * Get the number of requests waiting to be sent
    */
-  error(
-    method: string,
-    endpoint: string,
-    options: any,
+  getQueueDepth(): number;
+
+  /**
+   * Get the number of requests in flight
+   */
+  getInFlight(): number;
+}
+
+/**
+ * Options for a RetryPolicy
+ */
+export interface RetryPolicyOptions {
+  /**
+   * Treat every request as idempotent (true) or not (false); null decides by method and idempotency key
+   */
+  idempotent?: boolean | null;
+
+  /**
+   * HTTP status codes retried for idempotent requests
+   */
+  statusCodes?: number[];
+
+  /**
+   * Retry any request failing before it was sent
+   */
+  retryPreSendErrors?: boolean;
+
+  /**
+   * Retry idempotent requests on transient network errors
+   */
+  retryNetworkErrors?: boolean;
+}
+
+/**
+ * RetryPolicy - Method-Aware Retry Decisions
+ *
+ * Retries idempotent requests on transient errors, and non-idempotent
+ * requests only when they failed before being sent.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class RetryPolicy {
+  constructor(options?: RetryPolicyOptions);
+
+  /**
+   * Create the default method-aware policy
+   */
+  static methodAware(): RetryPolicy;
+
+  /**
+   * Create a policy for requests that are safe to repeat regardless of method
+   */
+  static idempotent(): RetryPolicy;
+
+  /**
+   * Create a policy that never retries failed requests
+   */
+  static none(): RetryPolicy;
+
+  /**
+   * Check if request headers carry an idempotency key
+   */
+  static hasIdempotencyKey(headers?: Record<string, string>): boolean;
+
+  /**
+   * Check if an error happened before the request was sent
+   */
+  static isPreSendError(error: Error): boolean;
+
+  /**
+   * Check if an error is a transient network error
+   */
+  static isNetworkError(error: Error): boolean;
+
+  /**
+   * Get the delay in milliseconds requested by a Retry-After response header
+   */
+  static getRetryAfter(error: Error, now?: number): number | null;
+
+  /**
+   * Determine if a failed request should be retried
+   */
+  shouldRetry(
     error: Error,
-    responseTime: number
-  ): Promise<void>;
+    method: string,
+    headers: Record<string, string>,
+    retryCount: number,
+    maxRetries: number
+  ): boolean;
+
+  /**
+   * Check if a request can be repeated without changing the outcome
+   */
+  isIdempotent(method: string, headers?: Record<string, string>): boolean;
+}
+
+/**
+ * Circuit breaker state
+ */
+export type CircuitState = "closed" | "open" | "half_open";
+
+/**
+ * Circuit breaker state change
+ */
+export interface CircuitStateChange {
+  scope: string;
+  from: CircuitState;
+  to: CircuitState;
+  failures: number;
+}
+
+/**
+ * Circuit breaker options
+ */
+export interface CircuitBreakerOptions {
+  failureThreshold?: number;
+  coolDown?: number;
+  scope?:
+    | "baseUrl"
+    | "endpoint"
+    | ((baseUrl: string, endpoint: string) => string);
+  onStateChange?: (change: CircuitStateChange) => void;
+}
+
+/**
+ * CircuitBreaker - Fail-Fast Protection Against API Outages
+ *
+ * Opens after consecutive server-side failures and rejects requests with
+ * CircuitOpenException until a trial request succeeds after the cool-down.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class CircuitBreaker {
+  static CLOSED: "closed";
+  static OPEN: "open";
+  static HALF_OPEN: "half_open";
+
+  constructor(options?: CircuitBreakerOptions);
+
+  /**
+   * Register a state change listener
+   */
+  onStateChange(listener: (change: CircuitStateChange) => void): this;
+
+  /**
+   * Get the scope a request belongs to
+   */
+  getScope(baseUrl: string, endpoint: string): string;
+
+  /**
+   * Get the endpoint group of an API path
+   */
+  static getEndpointGroup(endpoint: string): string;
+
+  /**
+   * Admit a request, or throw CircuitOpenException while the circuit is open
+   */
+  beforeRequest(scope: string): void;
+
+  /**
+   * Record the outcome of an admitted request
+   */
+  afterRequest(scope: string, error?: Error | null): void;
+
+  /**
+   * Check if an error indicates the API is unhealthy
+   */
+  static isFailure(error: Error): boolean;
+
+  /**
+   * Check if an error was caused by the caller rather than the API, e.g. a
+   * cancelled request
+   */
+  static isCallerError(error: Error): boolean;
+
+  /**
+   * Get the state of a scope
+   */
+  getState(scope: string): CircuitState;
+
+  /**
+   * Get the states of all scopes that have seen requests
+   */
+  getStates(): Record<string, CircuitState>;
+
+  /**
+   * Close all circuits and forget recorded failures
+   */
+  reset(): this;
+}
+
+/**
+ * HTTP request handed to a transport
+ */
+export interface TransportRequest {
+  method: string;
+  baseUrl: string;
+  url: string;
+  headers: Record<string, string>;
+  data?: any;
+  timeout?: number;
+  signal?: AbortSignal;
+  attempt?: RequestAttempt;
+}
+
+/**
+ * Attempt number and access token refreshes of a request
+ */
+export interface RequestAttempt {
+  /**
+   * Attempt number, starting at 1
+   */
+  number: number;
+
+  /**
+   * Access token refreshes before this attempt
+   */
+  tokenRefreshes: number;
+}
+
+/**
+ * HTTP response reported by a transport
+ */
+export interface TransportResponse {
+  status: number;
+  headers: Record<string, string>;
+  data: any;
+}
+
+/**
+ * TransportInterface - Base Interface for HTTP Transports
+ *
+ * Sends one request and resolves with the response for every status code;
+ * rejects only when no response was received.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class TransportInterface {
+  /**
+   * Send an HTTP request
+   */
+  send(request: TransportRequest): Promise<TransportResponse>;
+}
+
+/**
+ * AxiosTransport - HTTP Transport Backed by axios
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class AxiosTransport extends TransportInterface {
+  constructor(options?: {
+    httpClient?: any;
+    axiosConfig?: any;
+    fallback?: () => TransportInterface;
+  });
+
+  /**
+   * Get the axios instance, or null until the first request when the
+   * transport creates it
+   */
+  getHttpClient(): any;
+}
+
+/**
+ * FetchTransport - Dependency-Free HTTP Transport
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class FetchTransport extends TransportInterface {
+  constructor(options?: {
+    fetch?: typeof fetch;
+    fetchOptions?: Record<string, any>;
+  });
+}
+
+/**
+ * Client - HTTP Client for SingaPay API
+ *
+ * A robust HTTP client specifically designed for interacting with SingaPay APIs.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class Client {
+  constructor(config: Config, auth: Authentication);
+
+  /**
+   * Add request/response interceptor
+   */
+  addInterceptor(interceptor: InterceptorInterface): this;
+
+  /**
+   * Get all registered interceptors
+   */
+  getInterceptors(): InterceptorInterface[];
+
+  /**
+   * Set the default retry policy
+   */
+  setRetryPolicy(retryPolicy: RetryPolicy): this;
+
+  /**
+   * Get the default retry policy
+   */
+  getRetryPolicy(): RetryPolicy;
+
+  /**
+   * Set the circuit breaker guarding requests (null disables it)
+   */
+  setCircuitBreaker(circuitBreaker: CircuitBreaker | null): this;
+
+  /**
+   * Get the circuit breaker guarding requests
+   */
+  getCircuitBreaker(): CircuitBreaker | null;
+
+  /**
+   * Set the rate limiter (null disables it)
+   */
+  setRateLimiter(rateLimiter: RateLimiter | null): this;
+
+  /**
+   * Get the rate limiter
+   */
+  getRateLimiter(): RateLimiter | null;
+
+  /**
+   * Set the cassette recording or replaying requests (null disables it)
+   */
+  setCassette(cassette: Cassette | null): this;
+
+  /**
+   * Get the cassette recording or replaying requests
+   */
+  getCassette(): Cassette | null;
+
+  /**
+   * Set the transport sending HTTP requests
+   */
+  setTransport(transport: TransportInterface): this;
+
+  /**
+   * Get the transport sending HTTP requests
+   */
+  getTransport(): TransportInterface;
+
+  /**
+   * Send GET request
+   */
+  get(
+    endpoint: string,
+    headers?: Record<string, string>,
+    options?: RequestOptions
+  ): Promise<Response>;
+
+  /**
+   * Send POST request
+   */
+  post(
+    endpoint: string,
+    body?: any,
+    headers?: Record<string, string>,
+    options?: RequestOptions
+  ): Promise<Response>;
+
+  /**
+   * Send PUT request
+   */
+  put(
+    endpoint: string,
+    body?: any,
+    headers?: Record<string, string>,
+    options?: RequestOptions
+  ): Promise<Response>;
+
+  /**
+   * Send PATCH request
+   */
+  patch(
+    endpoint: string,
+    body?: any,
+    headers?: Record<string, string>,
+    options?: RequestOptions
+  ): Promise<Response>;
+
+  /**
+   * Send DELETE request
+   */
+  delete(
+    endpoint: string,
+    headers?: Record<string, string>,
+    options?: RequestOptions
+  ): Promise<Response>;
+
+  /**
+   * Get request metrics
+   */
+  getMetrics(): Metrics;
+
+  /**
+   * Export request metrics in the Prometheus text exposition format
+   */
+  toPrometheus(): string;
+}
+
+/**
+ * InterceptorInterface - Base Interface for HTTP Interceptors
+ *
+ * Defines the standard contract for HTTP request/response interceptors.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export abstract class InterceptorInterface {
+  /**
+   * Handle outgoing HTTP request
+   */
+  request(method: string, endpoint: string, options: any): Promise<void>;
+
+  /**
+   * Handle successful HTTP response
+   */
+  response(
+    method: string,
+    endpoint: string,
+    options: any,
+    response: Response,
+    responseTime: number
+  ): Promise<void>;
+
+  /**
+   * Handle HTTP error
+   */
+  error(
+    method: string,
+    endpoint: string,
+    options: any,
+    error: Error,
+    responseTime: number
+  ): Promise<void>;
+}
+
+/**
+ * LoggingInterceptor - HTTP Request/Response Logger
+ *
+ * An interceptor implementation that logs HTTP requests, responses, and errors.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class LoggingInterceptor extends InterceptorInterface {
+  constructor(logger?: any, options?: LoggingOptions);
+
+  /**
+   * Field and header names redacted from logged bodies and headers
+   */
+  static DEFAULT_REDACTED_FIELDS: string[];
+
+  /**
+   * Replace the values of sensitive fields
+   */
+  redact<T = any>(value: T): T;
+}
+
+/**
+ * Log levels of the logging interceptor
+ */
+export type LogLevel = "debug" | "info" | "warn" | "error" | "silent";
+
+/**
+ * Options of the logging interceptor
+ */
+export interface LoggingOptions {
+  /**
+   * Minimum level logged (default: 'info')
+   */
+  level?: LogLevel;
+
+  /**
+   * Log request and response bodies and header values (default: false)
+   */
+  logBodies?: boolean;
+
+  /**
+   * Field and header names redacted in addition to the defaults
+   */
+  redactFields?: string[];
+}
+
+/**
+ * LoggerAdapter - Console-Style Logger Adapter
+ *
+ * Calls logger[level](message, context).
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class LoggerAdapter {
+  constructor(logger?: any);
+
+  /**
+   * Write a log entry
+   */
+  log(
+    level: Exclude<LogLevel, "silent">,
+    message: string,
+    context?: Record<string, any>
+  ): void;
+}
+
+/**
+ * PinoLoggerAdapter - Adapter for pino-Style Loggers
+ *
+ * Calls logger[level](context, message).
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class PinoLoggerAdapter extends LoggerAdapter {}
+
+/**
+ * WinstonLoggerAdapter - Adapter for winston-Style Loggers
+ *
+ * Calls logger.log(level, message, context).
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WinstonLoggerAdapter extends LoggerAdapter {}
+
+/**
+ * MetricsInterceptor - HTTP Metrics Collector
+ *
+ * An interceptor implementation that collects performance metrics and statistics.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class MetricsInterceptor extends InterceptorInterface {
+  constructor(options?: MetricsOptions);
+
+  /**
+   * Get the endpoint template of an API path
+   */
+  static getEndpointTemplate(endpoint: string): string;
+
+  /**
+   * Get complete metrics snapshot
+   */
+  getMetrics(): Omit<Metrics, "queueDepth">;
+
+  /**
+   * Calculate average response time
+   */
+  getAverageResponseTime(): number;
+
+  /**
+   * Export the metrics in the Prometheus text exposition format
+   */
+  toPrometheus(): string;
+}
+
+/**
+ * TracingInterceptor - OpenTelemetry-Compatible HTTP Tracer
+ *
+ * Creates a client span for every HTTP request attempt, following the
+ * OpenTelemetry semantic conventions for HTTP clients.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class TracingInterceptor extends InterceptorInterface {
+  constructor(tracer: Tracer);
+}
+
+/**
+ * CacheInterface - Base Interface for Cache Implementations
+ *
+ * Defines the standard contract for cache implementations.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export abstract class CacheInterface {
+  /**
+   * Retrieve item from cache storage
+   */
+  get(key: string): Promise<any>;
+
+  /**
+   * Store item in cache storage
+   */
+  set(key: string, value: any, ttl?: number): Promise<boolean>;
+
+  /**
+   * Store item only if the key does not exist
+   */
+  add(key: string, value: any, ttl?: number): Promise<boolean>;
+
+  /**
+   * Acquire a short-lived lock, resolving to a lock token or null if held
+   */
+  acquireLock(key: string, ttl: number): Promise<string | null>;
+
+  /**
+   * Release a lock acquired with acquireLock()
+   */
+  releaseLock(key: string, token: string): Promise<boolean>;
+
+  /**
+   * Remove item from cache storage
+   */
+  delete(key: string): Promise<boolean>;
+
+  /**
+   * Clear entire cache storage
+   */
+  clear(): Promise<boolean>;
+
+  /**
+   * Check for item existence in cache
+   */
+  has(key: string): Promise<boolean>;
+}
+
+/**
+ * MemoryCache - In-Memory Cache Implementation
+ *
+ * A concrete implementation that stores cached items in memory.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class MemoryCache extends CacheInterface {}
+
+/**
+ * RedisCache - Redis-Based Cache Implementation
+ *
+ * A concrete implementation that utilizes Redis as cache storage.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class RedisCache extends CacheInterface {
+  constructor(redisClient: any, prefix?: string);
+}
+
+/**
+ * Authentication - SingaPay API Authentication Handler
+ *
+ * Handles the complete authentication lifecycle for SingaPay API interactions.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class Authentication {
+  /**
+   * API endpoint issuing access tokens
+   */
+  static TOKEN_ENDPOINT: string;
+
+  constructor(
+    config: Config,
+    client?: Client | null,
+    cache?: CacheInterface | null
+  );
+
+  accessToken: string | null;
+  cache: CacheInterface | null;
+
+  /**
+   * Set HTTP client for authentication requests
+   */
+  setClient(client: Client): void;
+
+  /**
+   * Get current access token
+   */
+  getAccessToken(): Promise<string>;
+
+  /**
+   * Perform authentication with SingaPay API
+   */
+  authenticate(): Promise<string>;
+
+  /**
+   * Refresh access token
+   *
+   * Concurrent calls share one authentication request; passing the rejected
+   * token skips the refresh when it has already been replaced.
+   */
+  refreshToken(staleToken?: string | null): Promise<string>;
+
+  /**
+   * Get access token lifetime information
+   */
+  getTokenInfo(): TokenInfo | null;
+
+  /**
+   * Check if currently authenticated
+   */
+  isAuthenticated(): boolean;
+}
+
+/**
+ * Access token lifetime information
+ *
+ * Times are null for tokens cached without expiry information.
+ */
+export interface TokenInfo {
+  issuedAt: Date | null;
+  expiresAt: Date | null;
+  secondsRemaining: number | null;
+}
+
+/**
+ * Signature - Cryptographic Signature Generator
+ *
+ * Provides cryptographic signature generation utilities for SingaPay API.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class Signature {
+  /**
+   * Generate disbursement request signature
+   */
+  static generateDisbursementSignature(
+    method: string,
+    endpoint: string,
+    accessToken: string,
+    body: any,
+    timestamp: number,
+    clientSecret: string
+  ): string;
+
+  /**
+   * Verify webhook signature
+   */
+  static verifyWebhook(
+    timestamp: string | number,
+    body: any,
+    receivedSignature: string,
+    hmacKey: string,
+    tolerance?: number | null
+  ): boolean;
+
+  /**
+   * Find the HMAC key that produced a webhook signature
+   */
+  static matchWebhookKey<T extends { id: string; key: string }>(
+    timestamp: string | number,
+    body: any,
+    receivedSignature: string,
+    keys: T[],
+    tolerance?: number | null
+  ): T | null;
+
+  /**
+   * Generate webhook signature
+   */
+  static signWebhook(
+    timestamp: string | number,
+    body: any,
+    hmacKey: string
+  ): string;
+
+  /**
+   * Check whether a webhook timestamp is within the tolerance window
+   */
+  static isTimestampWithinTolerance(
+    timestamp: string | number,
+    tolerance: number,
+    now?: number
+  ): boolean;
+}
+
+/**
+ * Webhook event type identifiers
+ */
+export type WebhookEventType =
+  | "payment.success"
+  | "payment.failed"
+  | "payment.expired"
+  | "disbursement.completed"
+  | "disbursement.failed"
+  | "va.created"
+  | "va.paid";
+
+/**
+ * Payment webhook data
+ */
+export interface PaymentWebhookData {
+  reff_no?: string;
+  transaction_id?: string;
+  account_id?: string;
+  amount?: number;
+  status?: string;
+  payment_method?: string;
+  [key: string]: any;
+}
+
+/**
+ * Disbursement webhook data
+ */
+export interface DisbursementWebhookData {
+  transaction_id?: string;
+  reference_number?: string;
+  account_id?: string;
+  amount?: number;
+  bank_swift_code?: string;
+  bank_account_number?: string;
+  status?: string;
+  failure_reason?: string;
+  [key: string]: any;
+}
+
+/**
+ * Virtual account webhook data
+ */
+export interface VirtualAccountWebhookData {
+  va_id?: string;
+  va_number?: string;
+  account_id?: string;
+  bank_code?: string;
+  amount?: number;
+  paid_amount?: number;
+  status?: string;
+  [key: string]: any;
+}
+
+/**
+ * WebhookEvent - Parsed Webhook Notification
+ *
+ * A normalized representation of a webhook notification sent by SingaPay.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookEvent<TType extends string = string, TData = any> {
+  constructor(payload: any, rawBody?: string | null);
+
+  type: TType;
+  id: string | null;
+  data: TData;
+  createdAt: string | number | null;
+  payload: any;
+  rawBody: string | null;
+  duplicate: boolean;
+  keyId: string | null;
+
+  /**
+   * Check if the event type is one documented by SingaPay
+   */
+  isKnownType(): boolean;
+
+  /**
+   * Convert event to plain object
+   */
+  toObject(): {
+    type: TType;
+    id: string | null;
+    data: TData;
+    createdAt: string | number | null;
+  };
+}
+
+/**
+ * Webhook event payloads keyed by event type
+ */
+export interface WebhookEventMap {
+  "payment.success": WebhookEvent<"payment.success", PaymentWebhookData>;
+  "payment.failed": WebhookEvent<"payment.failed", PaymentWebhookData>;
+  "payment.expired": WebhookEvent<"payment.expired", PaymentWebhookData>;
+  "disbursement.completed": WebhookEvent<
+    "disbursement.completed",
+    DisbursementWebhookData
+  >;
+  "disbursement.failed": WebhookEvent<
+    "disbursement.failed",
+    DisbursementWebhookData
+  >;
+  "va.created": WebhookEvent<"va.created", VirtualAccountWebhookData>;
+  "va.paid": WebhookEvent<"va.paid", VirtualAccountWebhookData>;
+}
+
+/**
+ * Discriminated union of all known webhook events
+ */
+export type KnownWebhookEvent = WebhookEventMap[WebhookEventType];
+
+/**
+ * Webhook listener function
+ */
+export type WebhookListener<TEvent> = (event: TEvent) => void | Promise<void>;
+
+/**
+ * WebhookIdempotencyStore - Webhook Deduplication Record
+ *
+ * Tracks processing and completed webhook events through a CacheInterface.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookIdempotencyStore {
+  static readonly STATE_PROCESSING: "processing";
+  static readonly STATE_COMPLETED: "completed";
+
+  constructor(
+    cache: CacheInterface,
+    options?: {
+      processingTtl?: number;
+      completedTtl?: number;
+      prefix?: string;
+    }
+  );
+
+  /**
+   * Derive the deduplication key for an event
+   */
+  static keyFor(event: WebhookEvent): string;
+
+  /**
+   * Claim an event for processing
+   */
+  begin(key: string): Promise<boolean>;
+
+  /**
+   * Mark an event as successfully processed
+   */
+  complete(key: string): Promise<boolean>;
+
+  /**
+   * Release a processing claim so the event can be retried
+   */
+  release(key: string): Promise<boolean>;
+
+  /**
+   * Get the current state of an event
+   */
+  getState(key: string): Promise<"processing" | "completed" | null>;
+}
+
+/**
+ * Options for WebhookHandler
+ */
+export interface WebhookHandlerOptions {
+  idempotencyStore?: WebhookIdempotencyStore;
+  cache?: CacheInterface;
+}
+
+/**
+ * WebhookHandler - Webhook Event Dispatcher
+ *
+ * Verifies, parses, and routes SingaPay webhook notifications to listeners.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookHandler {
+  constructor(singapay: SingaPay, options?: WebhookHandlerOptions);
+
+  /**
+   * Register a listener for an event type
+   */
+  on<K extends WebhookEventType>(
+    eventType: K,
+    listener: WebhookListener<WebhookEventMap[K]>
+  ): this;
+  on(eventType: string, listener: WebhookListener<WebhookEvent>): this;
+
+  /**
+   * Remove a previously registered listener
+   */
+  off(eventType: string, listener: WebhookListener<any>): this;
+
+  /**
+   * Register a catch-all listener for unhandled event types
+   */
+  onUnknown(listener: WebhookListener<WebhookEvent>): this;
+
+  /**
+   * Verify, parse, and dispatch a webhook request
+   */
+  handle(
+    timestamp: string | number,
+    body: string | Buffer | object,
+    signature: string
+  ): Promise<KnownWebhookEvent | WebhookEvent>;
+
+  /**
+   * Parse a raw webhook body into a WebhookEvent
+   */
+  parse(rawBody: string): KnownWebhookEvent | WebhookEvent;
+
+  /**
+   * Dispatch an event to its registered listeners
+   */
+  dispatch(event: WebhookEvent): Promise<void>;
 }
 
 /**
- * LoggingInterceptor - HTTP Request/Response Logger
- *
- * An interceptor implementation that logs HTTP requests, responses, and errors.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
+ * Options for the webhook middleware
  */
-export class LoggingInterceptor extends InterceptorInterface {
-  constructor(logger?: any);
+export interface WebhookMiddlewareOptions {
+  property?: string;
+  acknowledge?: boolean;
+  acknowledgement?: Record<string, any>;
+  limit?: number;
 }
 
 /**
- * MetricsInterceptor - HTTP Metrics Collector
- *
- * An interceptor implementation that collects performance metrics and statistics.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
+ * Create an Express/Connect middleware for SingaPay webhooks
  */
-export class MetricsInterceptor extends InterceptorInterface {
+export function createWebhookMiddleware(
+  handler: WebhookHandler | SingaPay,
+  options?: WebhookMiddlewareOptions
+): (req: any, res: any, next: (error?: any) => void) => Promise<void>;
+
+/**
+ * Body parser `verify` callback that keeps a copy of the raw body
+ */
+export function captureRawBody(req: any, res: any, buffer: Buffer): void;
+
+/**
+ * Per-call options accepted by every resource method
+ */
+export interface ResourceRequestOptions {
   /**
-   * Get complete metrics snapshot
+   * Signal cancelling the request
    */
-  getMetrics(): Metrics;
+  signal?: AbortSignal;
 
   /**
-   * Calculate average response time
+   * Timeout of each attempt in seconds
    */
-  getAverageResponseTime(): number;
-}
+  timeout?: number;
 
-/**
- * CacheInterface - Base Interface for Cache Implementations
- *
- * Defines the standard contract for cache implementations.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
- */
-export abstract class CacheInterface {
   /**
-   * Retrieve item from cache storage
+   * Time budget in seconds including all retries
    */
-  get(key: string): Promise<any>;
+  totalTimeout?: number | null;
 
   /**
-   * Store item in cache storage
+   * Maximum number of retry attempts
    */
-  set(key: string, value: any, ttl?: number): Promise<boolean>;
+  maxRetries?: number;
 
   /**
-   * Remove item from cache storage
+   * Retry policy for this call
    */
-  delete(key: string): Promise<boolean>;
+  retryPolicy?: RetryPolicy;
 
   /**
-   * Clear entire cache storage
+   * Extra HTTP headers
    */
-  clear(): Promise<boolean>;
+  headers?: Record<string, string>;
 
   /**
-   * Check for item existence in cache
+   * Idempotency key sent as the Idempotency-Key header
    */
-  has(key: string): Promise<boolean>;
+  idempotencyKey?: string;
+
+  /**
+   * Resolve to {data, response} (see ResourceResult) instead of the data only
+   */
+  withResponse?: boolean;
 }
 
 /**
- * MemoryCache - In-Memory Cache Implementation
- *
- * A concrete implementation that stores cached items in memory.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
+ * Options for create and transfer operations
  */
-export class MemoryCache extends CacheInterface {}
+export interface IdempotentOperationOptions extends ResourceRequestOptions {
+  /**
+   * Idempotency key reused across retries; generated when omitted. A
+   * caller-provided key is remembered in the resource's cache (the SingaPay
+   * `cache` option, see BaseResource.setCache()), so repeated calls return
+   * the first result
+   */
+  idempotencyKey?: string;
+}
 
 /**
- * RedisCache - Redis-Based Cache Implementation
- *
- * A concrete implementation that utilizes Redis as cache storage.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
+ * Options for listAll() iterators
  */
-export class RedisCache extends CacheInterface {
-  constructor(redisClient: any, prefix?: string);
+export interface ListAllOptions extends ResourceRequestOptions {
+  /**
+   * Page size of each request (default: 25)
+   */
+  perPage?: number;
+
+  /**
+   * Maximum number of pages fetched at once (default: 1)
+   */
+  concurrency?: number;
+
+  /**
+   * Maximum number of items to yield
+   */
+  maxItems?: number;
 }
 
 /**
- * Authentication - SingaPay API Authentication Handler
- *
- * Handles the complete authentication lifecycle for SingaPay API interactions.
+ * Page - One Page of a List Endpoint
  *
  * @package '@singapay/payment-gateway'
  * @author PT. Abadi Singapay Indonesia
  */
-export class Authentication {
+export class Page<T = any> implements Iterable<T> {
   constructor(
-    config: Config,
-    client?: Client | null,
-    cache?: CacheInterface | null
+    items: T[],
+    pagination: Pagination | null,
+    pageNumber: number,
+    perPage: number,
+    fetchPage: (pageNumber: number) => Promise<Page<T>>,
+    response?: Response | null
   );
 
-  accessToken: string | null;
-  cache: CacheInterface | null;
+  /**
+   * Create a page from a list response
+   */
+  static fromResponse<T = any>(
+    response: Response,
+    pageNumber: number,
+    perPage: number,
+    fetchPage: (pageNumber: number) => Promise<Page<T>>
+  ): Page<T>;
 
   /**
-   * Set HTTP client for authentication requests
+   * Get the items of this page
    */
-  setClient(client: Client): void;
+  getItems(): T[];
 
   /**
-   * Get current access token
+   * Get the pagination metadata of this page
    */
-  getAccessToken(): Promise<string>;
+  getPagination(): Pagination | null;
 
   /**
-   * Perform authentication with SingaPay API
+   * Get the number of this page
    */
-  authenticate(): Promise<string>;
+  getPageNumber(): number;
 
   /**
-   * Refresh access token
+   * Get the total number of items across all pages
    */
-  refreshToken(): Promise<string>;
+  getTotal(): number | null;
 
   /**
-   * Check if currently authenticated
+   * Get the total number of pages
    */
-  isAuthenticated(): boolean;
-}
+  getTotalPages(): number | null;
 
-/**
- * Signature - Cryptographic Signature Generator
- *
- * Provides cryptographic signature generation utilities for SingaPay API.
- *
- * @package '@singapay/payment-gateway'
- * @author PT. Abadi Singapay Indonesia
- */
-export class Signature {
   /**
-   * Generate disbursement request signature
+   * Get the API response of this page
    */
-  static generateDisbursementSignature(
-    method: string,
-    endpoint: string,
-    accessToken: string,
-    body: any,
-    timestamp: number,
-    clientSecret: string
-  ): string;
+  getResponse(): Response | null;
 
   /**
-   * Verify webhook signature
+   * Check if another page follows this one
    */
-  static verifyWebhook(
-    timestamp: string | number,
-    body: any,
-    receivedSignature: string,
-    hmacKey: string
-  ): boolean;
+  hasNextPage(): boolean;
+
+  /**
+   * Fetch the next page, or null if this is the last page
+   */
+  nextPage(): Promise<Page<T> | null>;
+
+  [Symbol.iterator](): Iterator<T>;
+
+  /**
+   * Convert the page to a plain object
+   */
+  toJSON(): { items: T[]; pagination: Pagination | null };
 }
 
 /**
@@ -699,7 +2086,20 @@ export class BaseResource {
   /**
    * Get default headers for API requests
    */
-  protected getHeaders(): Record<string, string>;
+  protected getHeaders(
+    options?: ResourceRequestOptions
+  ): Promise<Record<string, string>>;
+
+  /**
+   * Set the retry policy for all requests of this resource
+   */
+  setRetryPolicy(retryPolicy: RetryPolicy | null): this;
+
+  /**
+   * Set the cache remembering operations run with a caller idempotency key
+   * (without one, repeated calls are not deduplicated)
+   */
+  setCache(cache: CacheInterface | null): this;
 }
 
 /**
@@ -714,27 +2114,43 @@ export class Account extends BaseResource {
   /**
    * List all accounts
    */
-  list(page?: number, perPage?: number): Promise<any>;
+  list(
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all accounts
+   */
+  listAll(options?: ListAllOptions): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get account details
    */
-  get(accountId: string): Promise<any>;
+  get(accountId: string, options?: ResourceRequestOptions): Promise<any>;
 
   /**
    * Create new account
    */
-  create(data: CreateAccountData): Promise<any>;
+  create(
+    data: CreateAccountData,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Update account status
    */
-  updateStatus(accountId: string, status: "active" | "inactive"): Promise<any>;
+  updateStatus(
+    accountId: string,
+    status: "active" | "inactive",
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Delete account
    */
-  delete(accountId: string): Promise<any>;
+  delete(accountId: string, options?: ResourceRequestOptions): Promise<any>;
 }
 
 /**
@@ -759,27 +2175,57 @@ export class VirtualAccount extends BaseResource {
   /**
    * List virtual accounts for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all virtual accounts for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get virtual account details
    */
-  get(accountId: string, vaId: string): Promise<any>;
+  get(
+    accountId: string,
+    vaId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Create new virtual account
    */
-  create(accountId: string, data: CreateVAData): Promise<any>;
+  create(
+    accountId: string,
+    data: CreateVAData,
+    options?: IdempotentOperationOptions
+  ): Promise<any>;
 
   /**
    * Update virtual account
    */
-  update(accountId: string, vaId: string, data: any): Promise<any>;
+  update(
+    accountId: string,
+    vaId: string,
+    data: any,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Delete virtual account
    */
-  delete(accountId: string, vaId: string): Promise<any>;
+  delete(
+    accountId: string,
+    vaId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 }
 
 /**
@@ -806,32 +2252,62 @@ export class PaymentLink extends BaseResource {
   /**
    * List payment links for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all payment links for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get payment link details
    */
-  get(accountId: string, paymentLinkId: string): Promise<any>;
+  get(
+    accountId: string,
+    paymentLinkId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Create new payment link
    */
-  create(accountId: string, data: CreatePaymentLinkData): Promise<any>;
+  create(
+    accountId: string,
+    data: CreatePaymentLinkData,
+    options?: IdempotentOperationOptions
+  ): Promise<any>;
 
   /**
    * Update payment link
    */
-  update(accountId: string, paymentLinkId: string, data: any): Promise<any>;
+  update(
+    accountId: string,
+    paymentLinkId: string,
+    data: any,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Delete payment link
    */
-  delete(accountId: string, paymentLinkId: string): Promise<any>;
+  delete(
+    accountId: string,
+    paymentLinkId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Get available payment methods
    */
-  getAvailablePaymentMethods(): Promise<any>;
+  getAvailablePaymentMethods(options?: ResourceRequestOptions): Promise<any>;
 }
 
 /**
@@ -869,12 +2345,29 @@ export class Disbursement extends BaseResource {
   /**
    * List disbursements for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all disbursements for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get disbursement details
    */
-  get(accountId: string, transactionId: string): Promise<any>;
+  get(
+    accountId: string,
+    transactionId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Check disbursement fee
@@ -882,7 +2375,8 @@ export class Disbursement extends BaseResource {
   checkFee(
     accountId: string,
     amount: number,
-    bankSwiftCode: string
+    bankSwiftCode: string,
+    options?: ResourceRequestOptions
   ): Promise<any>;
 
   /**
@@ -890,13 +2384,18 @@ export class Disbursement extends BaseResource {
    */
   checkBeneficiary(
     bankAccountNumber: string,
-    bankSwiftCode: string
+    bankSwiftCode: string,
+    options?: ResourceRequestOptions
   ): Promise<any>;
 
   /**
    * Execute transfer
    */
-  transfer(accountId: string, data: TransferData): Promise<any>;
+  transfer(
+    accountId: string,
+    data: TransferData,
+    options?: IdempotentOperationOptions
+  ): Promise<any>;
 }
 
 /**
@@ -923,22 +2422,43 @@ export class Qris extends BaseResource {
   /**
    * List QRIS transactions for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all QRIS transactions for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get QRIS transaction details
    */
-  get(accountId: string, qrisId: string): Promise<any>;
+  get(
+    accountId: string,
+    qrisId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Generate QRIS code
    */
-  generate(accountId: string, data: GenerateQrisData): Promise<any>;
+  generate(
+    accountId: string,
+    data: GenerateQrisData,
+    options?: IdempotentOperationOptions
+  ): Promise<any>;
 
   /**
    * Delete QRIS transaction
    */
-  delete(qrisId: string): Promise<any>;
+  delete(qrisId: string, options?: ResourceRequestOptions): Promise<any>;
 }
 
 /**
@@ -964,27 +2484,56 @@ export class CardlessWithdrawal extends BaseResource {
   /**
    * List cardless withdrawals for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all cardless withdrawals for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get cardless withdrawal details
    */
-  get(accountId: string, transactionId: string): Promise<any>;
+  get(
+    accountId: string,
+    transactionId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Create cardless withdrawal
    */
-  create(accountId: string, data: CreateCardlessData): Promise<any>;
+  create(
+    accountId: string,
+    data: CreateCardlessData,
+    options?: IdempotentOperationOptions
+  ): Promise<any>;
 
   /**
    * Cancel cardless withdrawal
    */
-  cancel(accountId: string, transactionId: string): Promise<any>;
+  cancel(
+    accountId: string,
+    transactionId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Delete cardless withdrawal
    */
-  delete(accountId: string, transactionId: string): Promise<any>;
+  delete(
+    accountId: string,
+    transactionId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 }
 
 /**
@@ -1008,12 +2557,15 @@ export class BalanceInquiry extends BaseResource {
   /**
    * Get account balance
    */
-  getAccountBalance(accountId: string): Promise<any>;
+  getAccountBalance(
+    accountId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 
   /**
    * Get merchant balance
    */
-  getMerchantBalance(): Promise<any>;
+  getMerchantBalance(options?: ResourceRequestOptions): Promise<any>;
 }
 
 /**
@@ -1032,13 +2584,27 @@ export class Statement extends BaseResource {
     accountId: string,
     page?: number,
     perPage?: number,
-    filters?: StatementFilters
-  ): Promise<any>;
+    filters?: StatementFilters,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all statements for an account
+   */
+  listAll(
+    accountId: string,
+    filters?: StatementFilters,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get statement details
    */
-  get(accountId: string, statementId: string): Promise<any>;
+  get(
+    accountId: string,
+    statementId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 }
 
 /**
@@ -1061,12 +2627,29 @@ export class PaymentLinkHistory extends BaseResource {
   /**
    * List payment link history for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all payment link history for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get payment link history details
    */
-  get(accountId: string, historyId: string): Promise<any>;
+  get(
+    accountId: string,
+    historyId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 }
 
 /**
@@ -1081,12 +2664,29 @@ export class VATransaction extends BaseResource {
   /**
    * List VA transactions for an account
    */
-  list(accountId: string, page?: number, perPage?: number): Promise<any>;
+  list(
+    accountId: string,
+    page?: number,
+    perPage?: number,
+    options?: ResourceRequestOptions
+  ): Promise<Page>;
+
+  /**
+   * Iterate over all VA transactions for an account
+   */
+  listAll(
+    accountId: string,
+    options?: ListAllOptions
+  ): AsyncGenerator<any, void, undefined>;
 
   /**
    * Get VA transaction details
    */
-  get(accountId: string, transactionId: string): Promise<any>;
+  get(
+    accountId: string,
+    transactionId: string,
+    options?: ResourceRequestOptions
+  ): Promise<any>;
 }
 
 /**
@@ -1124,6 +2724,14 @@ export const DEFAULT_AUTO_REAUTH: true;
  */
 export const DEFAULT_CACHE_TTL: 3600;
 
+/**
+ * Default webhook timestamp tolerance in seconds
+ */
+export const DEFAULT_WEBHOOK_TOLERANCE: 300;
+export const DEFAULT_TOKEN_REFRESH_MARGIN: 60;
+export const IDEMPOTENCY_KEY_HEADER: "Idempotency-Key";
+export const DEFAULT_IDEMPOTENCY_TTL: 86400;
+
 /**
  * Sandbox API base URL
  */
@@ -1134,4 +2742,17 @@ export const SANDBOX_URL: "https://sandbox-payment-b2b.singapay.id";
  */
 export const PRODUCTION_URL: "https://payment-b2b.singapay.id";
 
+/**
+ * Webhook event type identifiers
+ */
+export const WEBHOOK_EVENTS: {
+  readonly PAYMENT_SUCCESS: "payment.success";
+  readonly PAYMENT_FAILED: "payment.failed";
+  readonly PAYMENT_EXPIRED: "payment.expired";
+  readonly DISBURSEMENT_COMPLETED: "disbursement.completed";
+  readonly DISBURSEMENT_FAILED: "disbursement.failed";
+  readonly VA_CREATED: "va.created";
+  readonly VA_PAID: "va.paid";
+};
+
 export const SDK_VERSION: "";
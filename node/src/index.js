@@ -27,8 +27,16 @@ export { SDK_VERSION } from "./version.js";
 export {
   ApiException,
   AuthenticationException,
+  CircuitOpenException,
+  ConflictException,
+  DuplicateReferenceException,
+  InsufficientBalanceException,
+  NotFoundException,
+  RateLimitException,
+  ServerException,
   SingaPayException,
   ValidationException,
+  WebhookException,
 } from "./exceptions/SingaPayException.js";
 
 /**
@@ -43,11 +51,26 @@ export { RedisCache } from "./cache/RedisCache.js";
  * HTTP client, response handling, and interceptors
  * @namespace HTTP
  */
+export { CircuitBreaker } from "./http/CircuitBreaker.js";
 export { Client } from "./http/Client.js";
 export { InterceptorInterface } from "./http/interceptors/InterceptorInterface.js";
 export { LoggingInterceptor } from "./http/interceptors/LoggingInterceptor.js";
 export { MetricsInterceptor } from "./http/interceptors/MetricsInterceptor.js";
+export { TracingInterceptor } from "./http/interceptors/TracingInterceptor.js";
+export { RateLimiter } from "./http/RateLimiter.js";
 export { Response } from "./http/Response.js";
+export { RetryPolicy } from "./http/RetryPolicy.js";
+export { AxiosTransport } from "./http/transports/AxiosTransport.js";
+export { FetchTransport } from "./http/transports/FetchTransport.js";
+export { TransportInterface } from "./http/transports/TransportInterface.js";
+
+/**
+ * Logger adapters for the logging interceptor
+ * @namespace Logging
+ */
+export { LoggerAdapter } from "./logging/LoggerAdapter.js";
+export { PinoLoggerAdapter } from "./logging/PinoLoggerAdapter.js";
+export { WinstonLoggerAdapter } from "./logging/WinstonLoggerAdapter.js";
 
 /**
  * Authentication and cryptographic utilities
@@ -56,6 +79,18 @@ export { Response } from "./http/Response.js";
 export { Authentication } from "./security/Authentication.js";
 export { Signature } from "./security/Signature.js";
 
+/**
+ * Webhook verification, parsing, and event dispatching
+ * @namespace Webhook
+ */
+export { WebhookEvent } from "./webhook/WebhookEvent.js";
+export { WebhookHandler } from "./webhook/WebhookHandler.js";
+export { WebhookIdempotencyStore } from "./webhook/WebhookIdempotencyStore.js";
+export {
+  captureRawBody,
+  createWebhookMiddleware,
+} from "./webhook/webhookMiddleware.js";
+
 /**
  * API resource classes for various SingaPay services
  * @namespace Resources
@@ -65,6 +100,7 @@ export { BalanceInquiry } from "./resources/BalanceInquiry.js";
 export { BaseResource } from "./resources/BaseResource.js";
 export { CardlessWithdrawal } from "./resources/CardlessWithdrawal.js";
 export { Disbursement } from "./resources/Disbursement.js";
+export { Page } from "./resources/Page.js";
 export { PaymentLink } from "./resources/PaymentLink.js";
 export { PaymentLinkHistory } from "./resources/PaymentLinkHistory.js";
 export { Qris } from "./resources/Qris.js";
@@ -0,0 +1,46 @@
+/**
+ * LoggerAdapter - Console-Style Logger Adapter
+ *
+ * Adapts a logger to the interface used by the SingaPay SDK, a single
+ * log(level, message, context) method. This base adapter calls
+ * `logger[level](message, context)`, which fits console and any logger with
+ * the same argument order. Extend it to support other logging libraries.
+ *
+ * Levels the logger does not implement fall back to info(), then log().
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class LoggerAdapter {
+  /**
+   * Creates a new LoggerAdapter instance
+   *
+   * @param {object} [logger=console] Logger with debug(), info(), warn(), and error() methods
+   *
+   * @example
+   * const adapter = new LoggerAdapter(console);
+   * adapter.log('info', 'SingaPay API Request', { method: 'GET' });
+   */
+  constructor(logger = console) {
+    /**
+     * @protected
+     * @type {object}
+     */
+    this.logger = logger;
+  }
+
+  /**
+   * Write a log entry
+   *
+   * @param {string} level Log level: 'debug', 'info', 'warn', or 'error'
+   * @param {string} message Log message
+   * @param {object} [context={}] Structured log fields
+   * @returns {void}
+   */
+  log(level, message, context = {}) {
+    const write =
+      this.logger[level] || this.logger.info || this.logger.log || (() => {});
+
+    write.call(this.logger, message, context);
+  }
+}
@@ -0,0 +1,33 @@
+import { LoggerAdapter } from "./LoggerAdapter.js";
+
+/**
+ * PinoLoggerAdapter - Adapter for pino-Style Loggers
+ *
+ * Writes entries as `logger[level](context, message)`, the merging-object
+ * first signature used by pino and bunyan, so the context fields become
+ * top-level properties of the JSON log line.
+ *
+ * @extends LoggerAdapter
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class PinoLoggerAdapter extends LoggerAdapter {
+  /**
+   * Write a log entry
+   *
+   * @param {string} level Log level: 'debug', 'info', 'warn', or 'error'
+   * @param {string} message Log message
+   * @param {object} [context={}] Structured log fields
+   * @returns {void}
+   *
+   * @example
+   * import pino from 'pino';
+   *
+   * const interceptor = new LoggingInterceptor(new PinoLoggerAdapter(pino()));
+   */
+  log(level, message, context = {}) {
+    const write = this.logger[level] || this.logger.info;
+
+    write.call(this.logger, context, message);
+  }
+}
@@ -0,0 +1,32 @@
+import { LoggerAdapter } from "./LoggerAdapter.js";
+
+/**
+ * WinstonLoggerAdapter - Adapter for winston-Style Loggers
+ *
+ * Writes entries as `logger.log(level, message, context)`, so the context
+ * fields become metadata of the winston log entry and pass through its
+ * formats and transports.
+ *
+ * @extends LoggerAdapter
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WinstonLoggerAdapter extends LoggerAdapter {
+  /**
+   * Write a log entry
+   *
+   * @param {string} level Log level: 'debug', 'info', 'warn', or 'error'
+   * @param {string} message Log message
+   * @param {object} [context={}] Structured log fields
+   * @returns {void}
+   *
+   * @example
+   * import winston from 'winston';
+   *
+   * const logger = winston.createLogger({ transports: [new winston.transports.Console()] });
+   * const interceptor = new LoggingInterceptor(new WinstonLoggerAdapter(logger));
+   */
+  log(level, message, context = {}) {
+    this.logger.log(level, message, context);
+  }
+}
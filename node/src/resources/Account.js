@@ -1,98 +1,101 @@
-import {
-  ApiException,
-  ValidationException,
-} from "../exceptions/SingaPayException.js";
+import { ValidationException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class Account extends BaseResource {
-  async list(page = 1, perPage = 25) {
-    const headers = await this.getHeaders();
+  async list(page = 1, perPage = 25, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/accounts?page=${page}&per_page=${perPage}`;
     const response = await this.client.get(
-      `/api/v1.0/accounts?page=${page}&per_page=${perPage}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) => this.list(next, perPage, pageOptions)
+    );
+  }
+
+  listAll(options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(page, options.perPage ?? 25, pageOptions),
+      options
+    );
   }
 
-  async get(accountId) {
-    const headers = await this.getHeaders();
+  async get(accountId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/accounts/${accountId}`;
     const response = await this.client.get(
-      `/api/v1.0/accounts/${accountId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async create(data) {
+  async create(data, options = {}) {
     this.validateCreateData(data);
 
-    const headers = await this.getHeaders();
+    const headers = await this.getHeaders(options);
+    const endpoint = "/api/v1.0/accounts";
     const response = await this.client.post(
-      "/api/v1.0/accounts",
+      endpoint,
       data,
-      headers
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      const error = response.getError();
-      if (error?.errors) {
-        throw new ValidationException(
-          response.getMessage(),
-          error.errors,
-          response.getCode()
-        );
-      }
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async updateStatus(accountId, status) {
+  async updateStatus(accountId, status, options = {}) {
     if (!["active", "inactive"].includes(status)) {
       throw new ValidationException(
         'Status must be either "active" or "inactive"'
       );
     }
 
-    const headers = await this.getHeaders();
+    const headers = await this.getHeaders(options);
     const body = { status };
 
+    const endpoint = `/api/v1.0/accounts/update-status/${accountId}`;
     const response = await this.client.patch(
-      `/api/v1.0/accounts/update-status/${accountId}`,
+      endpoint,
       body,
-      headers
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async delete(accountId) {
-    const headers = await this.getHeaders();
+  async delete(accountId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/accounts/${accountId}`;
     const response = await this.client.delete(
-      `/api/v1.0/accounts/${accountId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
   validateCreateData(data) {
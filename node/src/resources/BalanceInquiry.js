@@ -1,32 +1,31 @@
-import { ApiException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class BalanceInquiry extends BaseResource {
-  async getAccountBalance(accountId) {
-    const headers = await this.getHeaders();
+  async getAccountBalance(accountId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/balance-inquiry/${accountId}`;
     const response = await this.client.get(
-      `/api/v1.0/balance-inquiry/${accountId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async getMerchantBalance() {
-    const headers = await this.getHeaders();
+  async getMerchantBalance(options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = "/api/v1.0/balance-inquiry";
     const response = await this.client.get(
-      "/api/v1.0/balance-inquiry",
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 }
@@ -1,3 +1,55 @@
+import crypto from "crypto";
+import {
+  DEFAULT_IDEMPOTENCY_TTL,
+  IDEMPOTENCY_KEY_HEADER,
+} from "../constants.js";
+import {
+  ApiException,
+  ConflictException,
+  ValidationException,
+} from "../exceptions/SingaPayException.js";
+import { Page } from "./Page.js";
+
+/**
+ * Cache state of an idempotency key reserved by a pending operation
+ *
+ * @private
+ * @constant {string}
+ */
+const IDEMPOTENCY_STATE_PENDING = "pending";
+
+/**
+ * Cache state of an idempotency key whose operation result is remembered
+ *
+ * @private
+ * @constant {string}
+ */
+const IDEMPOTENCY_STATE_COMPLETED = "completed";
+
+/**
+ * Time an idempotency key stays reserved by a pending operation, so a
+ * process that dies mid-request does not block the key for the full
+ * DEFAULT_IDEMPOTENCY_TTL
+ *
+ * @private
+ * @constant {number}
+ */
+const IDEMPOTENCY_PENDING_TTL = 600; // seconds
+
+/**
+ * Per-call options passed through to the HTTP client
+ *
+ * @private
+ * @constant {string[]}
+ */
+const REQUEST_OPTION_NAMES = [
+  "signal",
+  "timeout",
+  "totalTimeout",
+  "maxRetries",
+  "retryPolicy",
+];
+
 /**
  * BaseResource - Base class for all API resources
  *
@@ -57,6 +109,404 @@ export class BaseResource {
      * @type {boolean}
      */
     this.needToken = needToken;
+
+    /**
+     * @protected
+     * @type {RetryPolicy|null}
+     */
+    this.retryPolicy = null;
+
+    /**
+     * Cache remembering operations run with a caller idempotency key
+     *
+     * @protected
+     * @type {CacheInterface|null}
+     */
+    this.cache = null;
+
+    /**
+     * Pending operations by idempotency cache key
+     *
+     * @private
+     * @type {Map<string, Promise<{response: Response|null, data: *}>>}
+     */
+    this.pendingOperations = new Map();
+  }
+
+  /**
+   * Set the retry policy for all requests of this resource
+   *
+   * Overrides the client's default policy and the policies of individual
+   * endpoints, e.g. to disable retries for every disbursement request.
+   *
+   * @param {RetryPolicy|null} retryPolicy Retry policy, or null to restore the defaults
+   * @returns {BaseResource} Returns this for method chaining
+   *
+   * @example
+   * singapay.disbursement.setRetryPolicy(RetryPolicy.none());
+   */
+  setRetryPolicy(retryPolicy) {
+    this.retryPolicy = retryPolicy;
+    return this;
+  }
+
+  /**
+   * Set the cache remembering operations run with a caller idempotency key
+   *
+   * Without a cache, a caller-provided `idempotencyKey` is still sent as the
+   * Idempotency-Key header, but repeated calls are not deduplicated by the
+   * SDK. SingaPay sets its `cache` on every resource.
+   *
+   * @param {CacheInterface|null} cache Cache shared by the processes that must not repeat an operation
+   * @returns {BaseResource} Returns this for method chaining
+   *
+   * @example
+   * const disbursement = new Disbursement(client, auth, config).setCache(redisCache);
+   */
+  setCache(cache) {
+    this.cache = cache;
+    return this;
+  }
+
+  /**
+   * Get the idempotency header for a create or transfer operation
+   *
+   * Uses the caller's idempotency key, or generates one for the operation.
+   * The header is sent unchanged with every retry of the request, which
+   * also makes the request retryable under the default RetryPolicy.
+   *
+   * @protected
+   * @param {object} options Operation options
+   * @param {string} [options.idempotencyKey] Caller-provided idempotency key (e.g. derived from an order ID)
+   * @returns {object} Headers object with the idempotency key
+   */
+  getIdempotencyHeaders(options) {
+    return {
+      [IDEMPOTENCY_KEY_HEADER]:
+        options.idempotencyKey || crypto.randomBytes(16).toString("hex"),
+    };
+  }
+
+  /**
+   * Run an operation at most once per caller idempotency key
+   *
+   * With a caller-provided idempotency key and a cache (see setCache()), the
+   * key is reserved in the cache (see CacheInterface.add()) before the
+   * request is sent, and the result is
+   * remembered for DEFAULT_IDEMPOTENCY_TTL. A repeated call returns the
+   * remembered result instead of sending the request again; a concurrent call
+   * in the same process waits for the pending one and shares its result, and
+   * one in another process sharing the cache fails with a ConflictException.
+   * A failed operation releases the key so it can be retried.
+   *
+   * Generated keys are not remembered since they are never reused.
+   *
+   * @protected
+   * @param {string} endpoint API endpoint path of the operation
+   * @param {object} options Operation options
+   * @param {string} [options.idempotencyKey] Caller-provided idempotency key
+   * @param {boolean} [options.withResponse=false] Return {data, response} instead of the data only
+   * @param {Function} operation Function sending the request, resolving to the successful Response
+   * @returns {Promise<*>} Promise resolving to the operation result (see respond())
+   *
+   * @throws {ConflictException} When another process holds the key for a pending operation
+   */
+  async rememberOperation(endpoint, options, operation) {
+    const cache = this.cache;
+
+    if (!cache || !options.idempotencyKey) {
+      return this.respond(await operation(), options);
+    }
+
+    const key = this.getIdempotencyCacheKey(endpoint, options.idempotencyKey);
+    const pending = this.pendingOperations.get(key);
+
+    if (pending) {
+      return this.respond(null, options, (await pending).data);
+    }
+
+    const running = this.runOnce(cache, key, endpoint, options, operation);
+    this.pendingOperations.set(key, running);
+
+    try {
+      const { response, data } = await running;
+      return this.respond(response, options, data);
+    } finally {
+      this.pendingOperations.delete(key);
+    }
+  }
+
+  /**
+   * Reserve an idempotency key, run the operation, and remember its result
+   *
+   * @private
+   * @param {CacheInterface} cache Cache shared with other processes
+   * @param {string} key Idempotency cache key
+   * @param {string} endpoint API endpoint path of the operation
+   * @param {object} options Operation options
+   * @param {Function} operation Function sending the request
+   * @returns {Promise<{response: Response|null, data: *}>} Promise resolving to the response (null for a remembered result) and its data
+   */
+  async runOnce(cache, key, endpoint, options, operation) {
+    const reserved = await cache.add(
+      key,
+      { state: IDEMPOTENCY_STATE_PENDING },
+      IDEMPOTENCY_PENDING_TTL
+    );
+
+    if (!reserved) {
+      const entry = await cache.get(key);
+
+      if (entry?.state === IDEMPOTENCY_STATE_COMPLETED) {
+        return { response: null, data: entry.result };
+      }
+
+      throw new ConflictException(
+        `An operation with idempotency key ${options.idempotencyKey} is already in progress`,
+        409,
+        null,
+        { status: 409, endpoint }
+      );
+    }
+
+    let response;
+
+    try {
+      response = await operation();
+    } catch (error) {
+      await cache.delete(key);
+      throw error;
+    }
+
+    await cache.set(
+      key,
+      { state: IDEMPOTENCY_STATE_COMPLETED, result: response.getData() },
+      DEFAULT_IDEMPOTENCY_TTL
+    );
+
+    return { response, data: response.getData() };
+  }
+
+  /**
+   * Get the cache key of a remembered operation result
+   *
+   * Keys are scoped by endpoint, so reusing an order ID as the key for
+   * different operations does not return the wrong result.
+   *
+   * @private
+   * @param {string} endpoint API endpoint path of the operation
+   * @param {string} idempotencyKey Idempotency key
+   * @returns {string} Cache key
+   */
+  getIdempotencyCacheKey(endpoint, idempotencyKey) {
+    return `idempotency:${endpoint}:${idempotencyKey}`;
+  }
+
+  /**
+   * Get request options for the HTTP client
+   *
+   * Per-call options take precedence over the resource retry policy, which
+   * takes precedence over the endpoint defaults.
+   *
+   * @protected
+   * @param {object} [options={}] Per-call options of the resource method
+   * @param {AbortSignal} [options.signal] Signal cancelling the request
+   * @param {number} [options.timeout] Timeout of each attempt in seconds
+   * @param {number|null} [options.totalTimeout] Time budget in seconds including all retries
+   * @param {number} [options.maxRetries] Maximum number of retry attempts
+   * @param {RetryPolicy} [options.retryPolicy] Retry policy for this call
+   * @param {object} [defaults={}] Endpoint-specific request options
+   * @returns {object} Request options for the HTTP client
+   */
+  requestOptions(options = {}, defaults = {}) {
+    const requestOptions = { ...defaults };
+
+    if (this.retryPolicy) {
+      requestOptions.retryPolicy = this.retryPolicy;
+    }
+
+    for (const name of REQUEST_OPTION_NAMES) {
+      if (options[name] !== undefined) {
+        requestOptions[name] = options[name];
+      }
+    }
+
+    return requestOptions;
+  }
+
+  /**
+   * Throw the exception matching an unsuccessful API response
+   *
+   * The client maps non-2xx responses to exceptions itself; this also
+   * covers 2xx responses whose body reports `success: false`, so both
+   * raise the same ApiException subclass for the SingaPay error code.
+   * Field errors without a more specific classification raise a
+   * ValidationException.
+   *
+   * @protected
+   * @param {Response} response API response
+   * @param {string} endpoint API endpoint path of the request
+   * @returns {void}
+   *
+   * @throws {ValidationException} When the response reports field errors
+   * @throws {ApiException} When the response is otherwise unsuccessful
+   */
+  assertSuccess(response, endpoint) {
+    if (response.isSuccess()) {
+      return;
+    }
+
+    const exception = ApiException.fromResponse(response, endpoint);
+    const fieldErrors = response.getError()?.errors;
+
+    if (fieldErrors && exception.constructor === ApiException) {
+      throw new ValidationException(
+        exception.message,
+        fieldErrors,
+        exception.code,
+        null,
+        {
+          status: exception.status,
+          errorCode: exception.errorCode,
+          endpoint,
+          requestId: exception.requestId,
+          body: exception.body,
+        }
+      );
+    }
+
+    throw exception;
+  }
+
+  /**
+   * Build the result of a resource call
+   *
+   * Returns the response data, or the data together with the full Response
+   * (headers, request ID, timing) when the caller passed `withResponse`.
+   *
+   * @protected
+   * @param {Response|null} response API response, or null for a remembered result
+   * @param {object} [options={}] Per-call options of the resource method
+   * @param {boolean} [options.withResponse=false] Return {data, response} instead of the data only
+   * @param {*} [data] Result data (default: the response data)
+   * @returns {*} Response data, or {data, response}
+   */
+  respond(response, options = {}, data = response.getData()) {
+    return options.withResponse ? { data, response } : data;
+  }
+
+  /**
+   * Build the Page result of a list call
+   *
+   * The page fetches its successor through `fetchPage`, which receives the
+   * page number and the per-call options without `withResponse`.
+   *
+   * @protected
+   * @param {Response} response API response of the list endpoint
+   * @param {object} options Per-call options of the resource method
+   * @param {number} page Number of the requested page
+   * @param {number} perPage Requested page size
+   * @param {Function} fetchPage Function (page, options) calling the list method again
+   * @returns {Page|{data: Page, response: Response}} Page, or {data, response}
+   */
+  respondPage(response, options, page, perPage, fetchPage) {
+    const pageOptions = { ...options, withResponse: false };
+    const result = Page.fromResponse(response, page, perPage, (next) =>
+      fetchPage(next, pageOptions)
+    );
+
+    return this.respond(response, options, result);
+  }
+
+  /**
+   * Iterate over the items of every page of a list
+   *
+   * Pages are fetched in order, one at a time by default. With a concurrency
+   * above 1 and a known page count, the following pages are fetched in
+   * batches while the items are still yielded in order.
+   *
+   * @protected
+   * @param {Function} fetchPage Function (page, options) resolving to a Page
+   * @param {object} [options={}] Per-call options of the list method
+   * @param {number} [options.concurrency=1] Maximum number of pages fetched at once
+   * @param {number} [options.maxItems=Infinity] Maximum number of items to yield
+   * @returns {AsyncGenerator} Async iterator over the list items
+   */
+  async *paginate(fetchPage, options = {}) {
+    const { concurrency = 1, maxItems = Infinity } = options;
+    const pageOptions = { ...options, withResponse: false };
+    const fetch = (page) => fetchPage(page, pageOptions);
+    let yielded = 0;
+
+    if (maxItems <= 0) {
+      return;
+    }
+
+    let page = await fetch(1);
+
+    for (;;) {
+      for (const item of page.getItems()) {
+        yield item;
+
+        if (++yielded >= maxItems) {
+          return;
+        }
+      }
+
+      if (!page.hasNextPage()) {
+        return;
+      }
+
+      const current = page.getPageNumber();
+      const totalPages = page.getTotalPages();
+      const pagesNeeded = Math.ceil(
+        (maxItems - yielded) / Math.max(page.getItems().length, 1)
+      );
+      const batchSize =
+        totalPages === null
+          ? 1
+          : Math.min(concurrency, pagesNeeded, totalPages - current);
+
+      if (batchSize <= 1) {
+        page = await page.nextPage();
+        continue;
+      }
+
+      const pages = await Promise.all(
+        Array.from({ length: batchSize }, (_, i) => fetch(current + 1 + i))
+      );
+
+      page = pages.pop();
+
+      for (const batchPage of pages) {
+        for (const item of batchPage.getItems()) {
+          yield item;
+
+          if (++yielded >= maxItems) {
+            return;
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the extra headers requested by a caller
+   *
+   * @protected
+   * @param {object} [options={}] Per-call options of the resource method
+   * @param {object} [options.headers] Extra HTTP headers
+   * @param {string} [options.idempotencyKey] Idempotency key sent as the Idempotency-Key header
+   * @returns {object} Headers object
+   */
+  getOptionHeaders(options = {}) {
+    const headers = { ...options.headers };
+
+    if (options.idempotencyKey) {
+      headers[IDEMPOTENCY_KEY_HEADER] = options.idempotencyKey;
+    }
+
+    return headers;
   }
 
   /**
@@ -65,7 +515,11 @@ export class BaseResource {
    * Generates the appropriate HTTP headers for API requests, including
    * authentication tokens when required. Automatically handles token
    * retrieval and validation based on the resource's configuration.
+   * Extra headers and the idempotency key of the call are added last.
    *
+   * @param {object} [options={}] Per-call options of the resource method
+   * @param {object} [options.headers] Extra HTTP headers
+   * @param {string} [options.idempotencyKey] Idempotency key sent as the Idempotency-Key header
    * @returns {Promise<object>} Promise resolving to headers object with properties:
    * @returns {string} returns['X-PARTNER-ID'] API key for partner identification
    * @returns {string} [returns.Authorization] Bearer token when authentication is required
@@ -83,7 +537,7 @@ export class BaseResource {
    * //   'Content-Type': 'application/json'
    * // }
    */
-  async getHeaders() {
+  async getHeaders(options = {}) {
     const apiKey = this.auth?.config?.getApiKey?.() || this.apiKey;
 
     if (!apiKey) {
@@ -95,6 +549,7 @@ export class BaseResource {
         "X-PARTNER-ID": apiKey,
         Accept: "application/json",
         "Content-Type": "application/json",
+        ...this.getOptionHeaders(options),
       };
     }
 
@@ -109,6 +564,7 @@ export class BaseResource {
       Authorization: `Bearer ${token}`,
       Accept: "application/json",
       "Content-Type": "application/json",
+      ...this.getOptionHeaders(options),
     };
   }
 }
@@ -1,7 +1,5 @@
-import {
-  ApiException,
-  ValidationException,
-} from "../exceptions/SingaPayException.js";
+import { ValidationException } from "../exceptions/SingaPayException.js";
+import { RetryPolicy } from "../http/RetryPolicy.js";
 import { Signature } from "../security/Signature.js";
 import { BaseResource } from "./BaseResource.js";
 
@@ -11,97 +9,115 @@ export class Disbursement extends BaseResource {
     this.config = config;
   }
 
-  async list(accountId, page = 1, perPage = 25) {
-    const headers = await this.getHeaders();
+  async list(accountId, page = 1, perPage = 25, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/disbursement/${accountId}?page=${page}&per_page=${perPage}`;
     const response = await this.client.get(
-      `/api/v1.0/disbursement/${accountId}?page=${page}&per_page=${perPage}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
+
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) => this.list(accountId, next, perPage, pageOptions)
+    );
+  }
 
-    return response.getData();
+  listAll(accountId, options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(accountId, page, options.perPage ?? 25, pageOptions),
+      options
+    );
   }
 
-  async get(accountId, transactionId) {
-    const headers = await this.getHeaders();
+  async get(accountId, transactionId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/disbursement/${accountId}/${transactionId}`;
     const response = await this.client.get(
-      `/api/v1.0/disbursement/${accountId}/${transactionId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async checkFee(accountId, amount, bankSwiftCode) {
-    const headers = await this.getHeaders();
+  async checkFee(accountId, amount, bankSwiftCode, options = {}) {
+    const headers = await this.getHeaders(options);
     const body = {
       amount,
       bank_swift_code: bankSwiftCode,
     };
 
+    const endpoint = `/api/v1.0/disbursement/${accountId}/check-fee`;
     const response = await this.client.post(
-      `/api/v1.0/disbursement/${accountId}/check-fee`,
+      endpoint,
       body,
-      headers
+      headers,
+      this.requestOptions(options, {
+        retryPolicy: RetryPolicy.idempotent(),
+      })
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async checkBeneficiary(bankAccountNumber, bankSwiftCode) {
-    const headers = await this.getHeaders();
+  async checkBeneficiary(bankAccountNumber, bankSwiftCode, options = {}) {
+    const headers = await this.getHeaders(options);
     const body = {
       bank_account_number: bankAccountNumber,
       bank_swift_code: bankSwiftCode,
     };
 
+    const endpoint = "/api/v1.0/disbursement/check-beneficiary";
     const response = await this.client.post(
-      "/api/v1.0/disbursement/check-beneficiary",
+      endpoint,
       body,
-      headers
+      headers,
+      this.requestOptions(options, {
+        retryPolicy: RetryPolicy.idempotent(),
+      })
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async transfer(accountId, data) {
+  async transfer(accountId, data, options = {}) {
     this.validateTransferData(data);
 
-    const headers = await this.getTransferHeaders(accountId, data);
-    const response = await this.client.post(
-      `/api/v1.0/disbursement/${accountId}/transfer`,
-      data,
-      headers
-    );
-
-    if (!response.isSuccess()) {
-      const error = response.getError();
-      if (error?.errors) {
-        throw new ValidationException(
-          response.getMessage(),
-          error.errors,
-          response.getCode()
-        );
-      }
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
-
-    return response.getData();
+    const endpoint = `/api/v1.0/disbursement/${accountId}/transfer`;
+    return this.rememberOperation(endpoint, options, async () => {
+      const headers = await this.getTransferHeaders(accountId, data);
+      const response = await this.client.post(
+        endpoint,
+        data,
+        {
+          ...headers,
+          ...this.getOptionHeaders(options),
+          ...this.getIdempotencyHeaders(options),
+        },
+        this.requestOptions(options, {
+          signHeaders: (accessToken) =>
+            this.getTransferHeaders(accountId, data, accessToken),
+        })
+      );
+
+      this.assertSuccess(response, endpoint);
+      return response;
+    });
   }
 
   validateTransferData(data) {
@@ -128,10 +144,10 @@ export class Disbursement extends BaseResource {
     }
   }
 
-  async getTransferHeaders(accountId, body) {
+  async getTransferHeaders(accountId, body, token = null) {
     const timestamp = Math.floor(Date.now() / 1000);
     const endpoint = `/api/v1.0/disbursement/${accountId}/transfer`;
-    const accessToken = await this.auth.getAccessToken();
+    const accessToken = token ?? (await this.auth.getAccessToken());
 
     const signature = Signature.generateDisbursementSignature(
       "POST",
@@ -0,0 +1,221 @@
+/**
+ * Page - One Page of a List Endpoint
+ *
+ * Holds the items and pagination metadata of a list response, and fetches
+ * the following page with the same arguments. Pages are iterable over their
+ * items.
+ *
+ * Whether another page exists is decided by the pagination metadata
+ * (`has_next`, or `current_page` against `total_pages`/`last_page`). Without
+ * metadata, a full page is assumed to be followed by another one.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class Page {
+  /**
+   * Creates a new Page instance
+   *
+   * @param {Array} items Items of this page
+   * @param {object|null} pagination Pagination metadata from the response
+   * @param {number} pageNumber Number of this page, starting at 1
+   * @param {number} perPage Requested page size
+   * @param {Function} fetchPage Function (pageNumber) resolving to another Page of the same list
+   * @param {Response|null} [response=null] API response of this page
+   *
+   * @example
+   * const page = await singapay.virtualAccount.list(accountId);
+   * for (const virtualAccount of page) {
+   *   console.log(virtualAccount.va_number);
+   * }
+   *
+   * if (page.hasNextPage()) {
+   *   const next = await page.nextPage();
+   * }
+   */
+  constructor(
+    items,
+    pagination,
+    pageNumber,
+    perPage,
+    fetchPage,
+    response = null
+  ) {
+    /**
+     * @private
+     * @type {Array}
+     */
+    this.items = items;
+    /**
+     * @private
+     * @type {object|null}
+     */
+    this.pagination = pagination;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.pageNumber = Number(pageNumber);
+    /**
+     * @private
+     * @type {number}
+     */
+    this.perPage = Number(perPage);
+    /**
+     * @private
+     * @type {Function}
+     */
+    this.fetchPage = fetchPage;
+    /**
+     * @private
+     * @type {Response|null}
+     */
+    this.response = response;
+  }
+
+  /**
+   * Create a page from a list response
+   *
+   * Items are read from the response data when it is an array, or from its
+   * `items`/`data` array otherwise.
+   *
+   * @param {Response} response API response of the list endpoint
+   * @param {number} pageNumber Number of the requested page
+   * @param {number} perPage Requested page size
+   * @param {Function} fetchPage Function (pageNumber) resolving to another Page of the same list
+   * @returns {Page} Page of the response
+   */
+  static fromResponse(response, pageNumber, perPage, fetchPage) {
+    const data = response.getData();
+    let items = [];
+
+    if (Array.isArray(data)) {
+      items = data;
+    } else if (Array.isArray(data?.items)) {
+      items = data.items;
+    } else if (Array.isArray(data?.data)) {
+      items = data.data;
+    }
+
+    const pagination = response.getPagination() || data?.pagination || null;
+
+    return new Page(
+      items,
+      pagination,
+      pageNumber,
+      perPage,
+      fetchPage,
+      response
+    );
+  }
+
+  /**
+   * Get the items of this page
+   *
+   * @returns {Array} Page items
+   */
+  getItems() {
+    return this.items;
+  }
+
+  /**
+   * Get the pagination metadata of this page
+   *
+   * @returns {object|null} Pagination metadata, or null if the response had none
+   */
+  getPagination() {
+    return this.pagination;
+  }
+
+  /**
+   * Get the number of this page
+   *
+   * @returns {number} Page number, starting at 1
+   */
+  getPageNumber() {
+    return this.pagination?.current_page ?? this.pageNumber;
+  }
+
+  /**
+   * Get the total number of items across all pages
+   *
+   * @returns {number|null} Total item count, or null if unknown
+   */
+  getTotal() {
+    return this.pagination?.total ?? this.pagination?.total_items ?? null;
+  }
+
+  /**
+   * Get the total number of pages
+   *
+   * @returns {number|null} Page count, or null if unknown
+   */
+  getTotalPages() {
+    return this.pagination?.total_pages ?? this.pagination?.last_page ?? null;
+  }
+
+  /**
+   * Get the API response of this page
+   *
+   * @returns {Response|null} API response
+   */
+  getResponse() {
+    return this.response;
+  }
+
+  /**
+   * Check if another page follows this one
+   *
+   * @returns {boolean} True if a next page exists
+   */
+  hasNextPage() {
+    if (typeof this.pagination?.has_next === "boolean") {
+      return this.pagination.has_next;
+    }
+
+    const totalPages = this.getTotalPages();
+    if (totalPages !== null) {
+      return this.getPageNumber() < totalPages;
+    }
+
+    return this.items.length > 0 && this.items.length >= this.perPage;
+  }
+
+  /**
+   * Fetch the next page
+   *
+   * @returns {Promise<Page|null>} Promise resolving to the next page, or null if this is the last page
+   *
+   * @example
+   * let page = await singapay.disbursement.list(accountId);
+   * while (page) {
+   *   process(page.getItems());
+   *   page = await page.nextPage();
+   * }
+   */
+  async nextPage() {
+    if (!this.hasNextPage()) {
+      return null;
+    }
+
+    return this.fetchPage(this.getPageNumber() + 1);
+  }
+
+  /**
+   * Iterate over the items of this page
+   *
+   * @returns {Iterator} Item iterator
+   */
+  [Symbol.iterator]() {
+    return this.items[Symbol.iterator]();
+  }
+
+  /**
+   * Convert the page to a plain object
+   *
+   * @returns {{items: Array, pagination: object|null}} Items and pagination metadata
+   */
+  toJSON() {
+    return { items: this.items, pagination: this.pagination };
+  }
+}
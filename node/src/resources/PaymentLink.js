@@ -1,104 +1,108 @@
-import {
-  ApiException,
-  ValidationException,
-} from "../exceptions/SingaPayException.js";
+import { ValidationException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class PaymentLink extends BaseResource {
-  async list(accountId, page = 1, perPage = 25) {
-    const headers = await this.getHeaders();
+  async list(accountId, page = 1, perPage = 25, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/payment-link-manage/${accountId}?page=${page}&per_page=${perPage}`;
     const response = await this.client.get(
-      `/api/v1.0/payment-link-manage/${accountId}?page=${page}&per_page=${perPage}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
+
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) => this.list(accountId, next, perPage, pageOptions)
+    );
+  }
 
-    return response.getData();
+  listAll(accountId, options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(accountId, page, options.perPage ?? 25, pageOptions),
+      options
+    );
   }
 
-  async get(accountId, paymentLinkId) {
-    const headers = await this.getHeaders();
+  async get(accountId, paymentLinkId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/payment-link-manage/${accountId}/${paymentLinkId}`;
     const response = await this.client.get(
-      `/api/v1.0/payment-link-manage/${accountId}/${paymentLinkId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async create(accountId, data) {
+  async create(accountId, data, options = {}) {
     this.validateCreateData(data);
 
-    const headers = await this.getHeaders();
-    const response = await this.client.post(
-      `/api/v1.0/payment-link-manage/${accountId}`,
-      data,
-      headers
-    );
-
-    if (!response.isSuccess()) {
-      const error = response.getError();
-      if (error?.errors) {
-        throw new ValidationException(
-          response.getMessage(),
-          error.errors,
-          response.getCode()
-        );
-      }
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
-
-    return response.getData();
+    const endpoint = `/api/v1.0/payment-link-manage/${accountId}`;
+    return this.rememberOperation(endpoint, options, async () => {
+      const headers = await this.getHeaders(options);
+      const response = await this.client.post(
+        endpoint,
+        data,
+        { ...headers, ...this.getIdempotencyHeaders(options) },
+        this.requestOptions(options)
+      );
+
+      this.assertSuccess(response, endpoint);
+      return response;
+    });
   }
 
-  async update(accountId, paymentLinkId, data) {
-    const headers = await this.getHeaders();
+  async update(accountId, paymentLinkId, data, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/payment-link-manage/${accountId}/${paymentLinkId}`;
     const response = await this.client.put(
-      `/api/v1.0/payment-link-manage/${accountId}/${paymentLinkId}`,
+      endpoint,
       data,
-      headers
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async delete(accountId, paymentLinkId) {
-    const headers = await this.getHeaders();
+  async delete(accountId, paymentLinkId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/payment-link-manage/${accountId}/${paymentLinkId}`;
     const response = await this.client.delete(
-      `/api/v1.0/payment-link-manage/${accountId}/${paymentLinkId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async getAvailablePaymentMethods() {
-    const headers = await this.getHeaders();
+  async getAvailablePaymentMethods(options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = "/api/v1.0/payment-link-manage/payment-methods";
     const response = await this.client.get(
-      "/api/v1.0/payment-link-manage/payment-methods",
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
   validateCreateData(data) {
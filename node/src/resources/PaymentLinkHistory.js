@@ -1,32 +1,45 @@
-import { ApiException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class PaymentLinkHistory extends BaseResource {
-  async list(accountId, page = 1, perPage = 25) {
-    const headers = await this.getHeaders();
+  async list(accountId, page = 1, perPage = 25, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/payment-link-histories/${accountId}?page=${page}&per_page=${perPage}`;
     const response = await this.client.get(
-      `/api/v1.0/payment-link-histories/${accountId}?page=${page}&per_page=${perPage}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) => this.list(accountId, next, perPage, pageOptions)
+    );
+  }
+
+  listAll(accountId, options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(accountId, page, options.perPage ?? 25, pageOptions),
+      options
+    );
   }
 
-  async get(accountId, historyId) {
-    const headers = await this.getHeaders();
+  async get(accountId, historyId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/payment-link-histories/${accountId}/${historyId}`;
     const response = await this.client.get(
-      `/api/v1.0/payment-link-histories/${accountId}/${historyId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 }
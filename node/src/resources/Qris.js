@@ -1,75 +1,79 @@
-import {
-  ApiException,
-  ValidationException,
-} from "../exceptions/SingaPayException.js";
+import { ValidationException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class Qris extends BaseResource {
-  async list(accountId, page = 1, perPage = 25) {
-    const headers = await this.getHeaders();
+  async list(accountId, page = 1, perPage = 25, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/qris-dynamic/${accountId}?page=${page}&per_page=${perPage}`;
     const response = await this.client.get(
-      `/api/v1.0/qris-dynamic/${accountId}?page=${page}&per_page=${perPage}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
+
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) => this.list(accountId, next, perPage, pageOptions)
+    );
+  }
 
-    return response.getData();
+  listAll(accountId, options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(accountId, page, options.perPage ?? 25, pageOptions),
+      options
+    );
   }
 
-  async get(accountId, qrisId) {
-    const headers = await this.getHeaders();
+  async get(accountId, qrisId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/qris-dynamic/${accountId}/show/${qrisId}`;
     const response = await this.client.get(
-      `/api/v1.0/qris-dynamic/${accountId}/show/${qrisId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async generate(accountId, data) {
+  async generate(accountId, data, options = {}) {
     this.validateGenerateData(data);
 
-    const headers = await this.getHeaders();
-    const response = await this.client.post(
-      `/api/v1.0/qris-dynamic/${accountId}/generate-qr`,
-      data,
-      headers
-    );
-
-    if (!response.isSuccess()) {
-      const error = response.getError();
-      if (error?.errors) {
-        throw new ValidationException(
-          response.getMessage(),
-          error.errors,
-          response.getCode()
-        );
-      }
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
-
-    return response.getData();
+    const endpoint = `/api/v1.0/qris-dynamic/${accountId}/generate-qr`;
+    return this.rememberOperation(endpoint, options, async () => {
+      const headers = await this.getHeaders(options);
+      const response = await this.client.post(
+        endpoint,
+        data,
+        { ...headers, ...this.getIdempotencyHeaders(options) },
+        this.requestOptions(options)
+      );
+
+      this.assertSuccess(response, endpoint);
+      return response;
+    });
   }
 
-  async delete(qrisId) {
-    const headers = await this.getHeaders();
+  async delete(qrisId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/qris-dynamic/${qrisId}/delete`;
     const response = await this.client.delete(
-      `/api/v1.0/qris-dynamic/${qrisId}/delete`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
   validateGenerateData(data) {
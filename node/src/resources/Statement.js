@@ -1,9 +1,8 @@
-import { ApiException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class Statement extends BaseResource {
-  async list(accountId, page = 1, perPage = 25, filters = {}) {
-    const headers = await this.getHeaders();
+  async list(accountId, page = 1, perPage = 25, filters = {}, options = {}) {
+    const headers = await this.getHeaders(options);
     const queryParams = new URLSearchParams({
       page,
       per_page: perPage,
@@ -11,29 +10,44 @@ export class Statement extends BaseResource {
       ...(filters.end_date && { end_date: filters.end_date }),
     });
 
+    const endpoint = `/api/v1.0/statements/${accountId}?${queryParams}`;
     const response = await this.client.get(
-      `/api/v1.0/statements/${accountId}?${queryParams}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) =>
+        this.list(accountId, next, perPage, filters, pageOptions)
+    );
+  }
+
+  listAll(accountId, filters = {}, options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(accountId, page, options.perPage ?? 25, filters, pageOptions),
+      options
+    );
   }
 
-  async get(accountId, statementId) {
-    const headers = await this.getHeaders();
+  async get(accountId, statementId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/statements/${accountId}/${statementId}`;
     const response = await this.client.get(
-      `/api/v1.0/statements/${accountId}/${statementId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 }
@@ -1,90 +1,94 @@
-import {
-  ApiException,
-  ValidationException,
-} from "../exceptions/SingaPayException.js";
+import { ValidationException } from "../exceptions/SingaPayException.js";
 import { BaseResource } from "./BaseResource.js";
 
 export class VirtualAccount extends BaseResource {
-  async list(accountId, page = 1, perPage = 25) {
-    const headers = await this.getHeaders();
+  async list(accountId, page = 1, perPage = 25, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/virtual-accounts/${accountId}?page=${page}&per_page=${perPage}`;
     const response = await this.client.get(
-      `/api/v1.0/virtual-accounts/${accountId}?page=${page}&per_page=${perPage}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respondPage(
+      response,
+      options,
+      page,
+      perPage,
+      (next, pageOptions) => this.list(accountId, next, perPage, pageOptions)
+    );
   }
 
-  async get(accountId, vaId) {
-    const headers = await this.getHeaders();
+  listAll(accountId, options = {}) {
+    return this.paginate(
+      (page, pageOptions) =>
+        this.list(accountId, page, options.perPage ?? 25, pageOptions),
+      options
+    );
+  }
+
+  async get(accountId, vaId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/virtual-accounts/${accountId}/${vaId}`;
     const response = await this.client.get(
-      `/api/v1.0/virtual-accounts/${accountId}/${vaId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async create(accountId, data) {
+  async create(accountId, data, options = {}) {
     this.validateCreateData(data);
 
-    const headers = await this.getHeaders();
-    const response = await this.client.post(
-      `/api/v1.0/virtual-accounts/${accountId}`,
-      data,
-      headers
-    );
-
-    if (!response.isSuccess()) {
-      const error = response.getError();
-      if (error?.errors) {
-        throw new ValidationException(
-          response.getMessage(),
-          error.errors,
-          response.getCode()
-        );
-      }
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
-
-    return response.getData();
+    const endpoint = `/api/v1.0/virtual-accounts/${accountId}`;
+    return this.rememberOperation(endpoint, options, async () => {
+      const headers = await this.getHeaders(options);
+      const response = await this.client.post(
+        endpoint,
+        data,
+        { ...headers, ...this.getIdempotencyHeaders(options) },
+        this.requestOptions(options)
+      );
+
+      this.assertSuccess(response, endpoint);
+      return response;
+    });
   }
 
-  async update(accountId, vaId, data) {
-    const headers = await this.getHeaders();
+  async update(accountId, vaId, data, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/virtual-accounts/${accountId}/${vaId}`;
     const response = await this.client.put(
-      `/api/v1.0/virtual-accounts/${accountId}/${vaId}`,
+      endpoint,
       data,
-      headers
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
-  async delete(accountId, vaId) {
-    const headers = await this.getHeaders();
+  async delete(accountId, vaId, options = {}) {
+    const headers = await this.getHeaders(options);
+    const endpoint = `/api/v1.0/virtual-accounts/${accountId}/${vaId}`;
     const response = await this.client.delete(
-      `/api/v1.0/virtual-accounts/${accountId}/${vaId}`,
-      headers
+      endpoint,
+      headers,
+      this.requestOptions(options)
     );
 
-    if (!response.isSuccess()) {
-      throw new ApiException(response.getMessage(), response.getCode());
-    }
+    this.assertSuccess(response, endpoint);
 
-    return response.getData();
+    return this.respond(response, options);
   }
 
   validateCreateData(data) {
@@ -1,6 +1,42 @@
 import { AuthenticationException } from "../exceptions/SingaPayException.js";
+import { RetryPolicy } from "../http/RetryPolicy.js";
 import { Signature } from "./Signature.js";
 
+/**
+ * Cache key of the lock guarding access token requests
+ *
+ * @private
+ * @constant {string}
+ */
+const TOKEN_LOCK_KEY = "access_token_lock";
+
+/**
+ * Time budget of a token request including all retries, in seconds
+ *
+ * @private
+ * @constant {number}
+ */
+const TOKEN_REQUEST_DEADLINE = 60;
+
+/**
+ * Lifetime of the token request lock, in seconds
+ *
+ * Outlives the token request it guards, so the lock cannot expire while its
+ * holder is still waiting for a token and let another process request one.
+ *
+ * @private
+ * @constant {number}
+ */
+const TOKEN_LOCK_TTL = TOKEN_REQUEST_DEADLINE + 10;
+
+/**
+ * Interval between checks for a token obtained by another process
+ *
+ * @private
+ * @constant {number}
+ */
+const TOKEN_LOCK_POLL_INTERVAL = 100; // milliseconds
+
 /**
  * Authentication - SingaPay API Authentication Handler
  *
@@ -10,12 +46,28 @@ import { Signature } from "./Signature.js";
  * SingaPay's B2B API authentication.
  *
  * Supports both in-memory and persistent cache backends for token storage
- * to optimize performance and reduce authentication requests.
+ * to optimize performance and reduce authentication requests. Concurrent
+ * callers share a single in-flight authentication request, so a burst of
+ * requests on a cold start or after token expiry authenticates only once.
+ *
+ * The absolute expiry of each token is tracked from the `expires_in` returned
+ * by the API, and the token is renewed in the background shortly before it
+ * expires (see Config `tokenRefreshMargin`), so requests never wait on
+ * authentication or fail with an expired token in long-running processes.
+ *
+ * When processes share a cache (e.g. RedisCache), a token is requested only
+ * by the process holding a short-lived lock in the cache; the others wait for
+ * its token to appear in the cache instead of authenticating themselves.
  *
  * @package '@singapay/payment-gateway'
  * @author PT. Abadi Singapay Indonesia
  */
 export class Authentication {
+  /**
+   * @constant {string} TOKEN_ENDPOINT API endpoint issuing access tokens
+   */
+  static TOKEN_ENDPOINT = "/api/v1.1/access-token/b2b";
+
   /**
    * Creates a new Authentication instance
    *
@@ -51,6 +103,26 @@ export class Authentication {
      * @type {string|null}
      */
     this.accessToken = null;
+    /**
+     * @private
+     * @type {Promise<string>|null}
+     */
+    this.pendingAuthentication = null;
+    /**
+     * @private
+     * @type {number|null}
+     */
+    this.tokenIssuedAt = null;
+    /**
+     * @private
+     * @type {number|null}
+     */
+    this.tokenExpiresAt = null;
+    /**
+     * @private
+     * @type {NodeJS.Timeout|null}
+     */
+    this.renewalTimer = null;
   }
 
   /**
@@ -74,6 +146,7 @@ export class Authentication {
    *
    * Retrieves the current access token from memory cache, persistent cache,
    * or performs a new authentication if no valid token is available.
+   * A token close to expiry is returned while it is renewed in the background.
    *
    * @returns {Promise<string>} Promise resolving to valid access token
    *
@@ -88,28 +161,36 @@ export class Authentication {
    * }
    */
   async getAccessToken() {
-    if (this.accessToken) {
+    if (this.accessToken && !this.isTokenExpired()) {
+      if (this.isTokenExpiring()) {
+        this.renewInBackground();
+      }
       return this.accessToken;
     }
 
+    if (this.pendingAuthentication) {
+      return this.pendingAuthentication;
+    }
+
     if (this.cache) {
-      const cachedToken = await this.cache.get("access_token");
+      const cachedToken = this.parseCachedToken(
+        await this.cache.get("access_token")
+      );
       if (cachedToken) {
-        this.accessToken = cachedToken;
-        return cachedToken;
+        this.setToken(cachedToken);
+        return this.getAccessToken();
       }
     }
 
-    await this.authenticate();
-    return this.accessToken;
+    return this.authenticate();
   }
 
   /**
    * Perform authentication with SingaPay API
    *
    * Executes the client credentials flow to obtain a new access token.
-   * Generates the required cryptographic signature and handles the
-   * authentication API response.
+   * If an authentication request is already in flight, its result is
+   * shared instead of sending another request.
    *
    * @returns {Promise<string>} Promise resolving to new access token
    *
@@ -124,6 +205,91 @@ export class Authentication {
    * }
    */
   async authenticate() {
+    return this.singleFlight(() => this.obtainAccessToken());
+  }
+
+  /**
+   * Obtain an access token, coordinating with processes sharing the cache
+   *
+   * Adopts a token another process stored in the cache, or takes the token
+   * request lock and requests one. While another process holds the lock, the
+   * cache is polled for its token; if that process fails, the lock is taken
+   * over once released or expired.
+   *
+   * @private
+   * @param {string|null} [staleToken=null] Token that must not be adopted from the cache
+   * @returns {Promise<string>} Promise resolving to the access token
+   *
+   * @throws {AuthenticationException} If authentication fails or no token appears in time
+   */
+  async obtainAccessToken(staleToken = null) {
+    if (!this.cache || typeof this.cache.acquireLock !== "function") {
+      return this.requestAccessToken();
+    }
+
+    const deadline = Date.now() + TOKEN_LOCK_TTL * 2 * 1000;
+
+    for (;;) {
+      const sharedToken = await this.adoptCachedToken(staleToken);
+      if (sharedToken) {
+        return sharedToken;
+      }
+
+      const lock = await this.cache.acquireLock(TOKEN_LOCK_KEY, TOKEN_LOCK_TTL);
+
+      if (lock) {
+        try {
+          // Another process may have stored its token just before releasing the lock
+          return (
+            (await this.adoptCachedToken(staleToken)) ||
+            (await this.requestAccessToken())
+          );
+        } finally {
+          await this.cache.releaseLock(TOKEN_LOCK_KEY, lock);
+        }
+      }
+
+      if (Date.now() >= deadline) {
+        throw new AuthenticationException(
+          "Timed out waiting for another process to obtain an access token"
+        );
+      }
+
+      await this.sleep(TOKEN_LOCK_POLL_INTERVAL);
+    }
+  }
+
+  /**
+   * Hold the token stored in the cache, unless it is missing, expired, or stale
+   *
+   * @private
+   * @param {string|null} staleToken Token that must not be adopted
+   * @returns {Promise<string|null>} Promise resolving to the adopted token, or null
+   */
+  async adoptCachedToken(staleToken) {
+    const token = this.parseCachedToken(await this.cache.get("access_token"));
+
+    if (!token || token.accessToken === staleToken) {
+      return null;
+    }
+
+    this.setToken(token);
+    return token.accessToken;
+  }
+
+  /**
+   * Request a new access token from SingaPay API
+   *
+   * Generates the required cryptographic signature and handles the
+   * authentication API response. Token requests never trigger automatic
+   * reauthentication themselves.
+   *
+   * @private
+   * @returns {Promise<string>} Promise resolving to new access token
+   *
+   * @throws {AuthenticationException} If authentication request fails or response is invalid
+   */
+  async requestAccessToken() {
     if (!this.client) {
       throw new AuthenticationException("HTTP client not initialized");
     }
@@ -135,7 +301,7 @@ export class Authentication {
       );
 
       const response = await this.client.post(
-        "/api/v1.1/access-token/b2b",
+        Authentication.TOKEN_ENDPOINT,
         {
           grant_type: "client_credentials",
         },
@@ -146,6 +312,14 @@ export class Authentication {
           "X-Signature": signature,
           Accept: "application/json",
           "Content-Type": "application/json",
+        },
+        {
+          autoReauth: false,
+          retryPolicy: RetryPolicy.idempotent(),
+          totalTimeout: Math.min(
+            this.config.getTotalTimeout() || TOKEN_REQUEST_DEADLINE,
+            TOKEN_REQUEST_DEADLINE
+          ),
         }
       );
 
@@ -157,18 +331,28 @@ export class Authentication {
       }
 
       const data = response.getData();
-      this.accessToken = data.access_token || data.data?.access_token;
+      const accessToken = data.access_token || data.data?.access_token;
 
-      if (!this.accessToken) {
+      if (!accessToken) {
         throw new AuthenticationException("No access token in response");
       }
 
+      const expiresIn = data.expires_in || data.data?.expires_in || 3600;
+      const issuedAt = Date.now();
+      const token = {
+        accessToken,
+        issuedAt,
+        expiresAt: issuedAt + expiresIn * 1000,
+      };
+
+      this.setToken(token);
+
       if (this.cache) {
-        const expiresIn = data.expires_in || data.data?.expires_in || 3600;
-        await this.cache.set("access_token", this.accessToken, expiresIn - 60);
+        const ttl = expiresIn - this.config.getTokenRefreshMargin();
+        await this.cache.set("access_token", token, Math.max(ttl, 1));
       }
 
-      return this.accessToken;
+      return accessToken;
     } catch (error) {
       if (error instanceof AuthenticationException) {
         throw error;
@@ -187,6 +371,12 @@ export class Authentication {
    * Invalidates the current token and performs a new authentication.
    * This method is typically called when a token expires or becomes invalid.
    *
+   * Callers that pass the token that was rejected receive the current token
+   * without another authentication if it has already been replaced, and
+   * concurrent refreshes share the in-flight authentication request. With a
+   * shared cache, a replacement token stored by another process is adopted.
+   *
+   * @param {string|null} [staleToken=null] Access token that was rejected by the API
    * @returns {Promise<string>} Promise resolving to new access token
    *
    * @throws {AuthenticationException} If refresh operation fails
@@ -199,23 +389,255 @@ export class Authentication {
    *   console.error('Token refresh failed:', error.message);
    * }
    */
-  async refreshToken() {
+  async refreshToken(staleToken = null) {
+    if (this.pendingAuthentication) {
+      return this.pendingAuthentication;
+    }
+
+    if (staleToken && this.accessToken && this.accessToken !== staleToken) {
+      return this.accessToken;
+    }
+
+    return this.singleFlight(async () => {
+      let rejectedToken = staleToken || this.accessToken;
+      this.clearToken();
+
+      if (!rejectedToken && this.cache) {
+        rejectedToken =
+          this.parseCachedToken(await this.cache.get("access_token"))
+            ?.accessToken ?? null;
+      }
+
+      return this.obtainAccessToken(rejectedToken);
+    });
+  }
+
+  /**
+   * Run an authentication operation at most once concurrently
+   *
+   * Starts the operation unless one is already in flight, and returns the
+   * shared promise so every caller receives the same token or error.
+   *
+   * @private
+   * @param {Function} operation Async function resolving to an access token
+   * @returns {Promise<string>} Promise resolving to the access token
+   */
+  singleFlight(operation) {
+    if (!this.pendingAuthentication) {
+      this.pendingAuthentication = operation().finally(() => {
+        this.pendingAuthentication = null;
+      });
+    }
+
+    return this.pendingAuthentication;
+  }
+
+  /**
+   * Get access token lifetime information
+   *
+   * @returns {{issuedAt: Date|null, expiresAt: Date|null, secondsRemaining: number|null}|null} Token lifetime, or null when no token is held; times are null for tokens cached without expiry information
+   *
+   * @example
+   * const info = auth.getTokenInfo();
+   * if (info) {
+   *   console.log(`Token expires in ${info.secondsRemaining}s at ${info.expiresAt}`);
+   * }
+   */
+  getTokenInfo() {
+    if (!this.accessToken) {
+      return null;
+    }
+
+    return {
+      issuedAt:
+        this.tokenIssuedAt !== null ? new Date(this.tokenIssuedAt) : null,
+      expiresAt:
+        this.tokenExpiresAt !== null ? new Date(this.tokenExpiresAt) : null,
+      secondsRemaining:
+        this.tokenExpiresAt !== null
+          ? Math.max(Math.floor((this.tokenExpiresAt - Date.now()) / 1000), 0)
+          : null,
+    };
+  }
+
+  /**
+   * Check if the held access token has expired
+   *
+   * @private
+   * @returns {boolean} True if the token expiry time has passed
+   */
+  isTokenExpired() {
+    return this.tokenExpiresAt !== null && Date.now() >= this.tokenExpiresAt;
+  }
+
+  /**
+   * Check if the held access token is within the refresh margin of expiry
+   *
+   * @private
+   * @returns {boolean} True if the token should be renewed
+   */
+  isTokenExpiring() {
+    return this.tokenExpiresAt !== null && Date.now() >= this.getRenewalTime();
+  }
+
+  /**
+   * Get the time at which the held token should be renewed
+   *
+   * Tokens living shorter than twice the refresh margin are renewed halfway
+   * through their lifetime instead, so they are not renewed continuously.
+   *
+   * @private
+   * @returns {number} Renewal time in UNIX milliseconds
+   */
+  getRenewalTime() {
+    const renewAt =
+      this.tokenExpiresAt - this.config.getTokenRefreshMargin() * 1000;
+
+    if (this.tokenIssuedAt === null) {
+      return renewAt;
+    }
+
+    return Math.max(
+      renewAt,
+      this.tokenIssuedAt + (this.tokenExpiresAt - this.tokenIssuedAt) / 2
+    );
+  }
+
+  /**
+   * Hold an access token and schedule its renewal
+   *
+   * @private
+   * @param {{accessToken: string, issuedAt: number|null, expiresAt: number|null}} token Access token with lifetime in UNIX milliseconds
+   * @returns {void}
+   */
+  setToken(token) {
+    this.accessToken = token.accessToken;
+    this.tokenIssuedAt = token.issuedAt ?? null;
+    this.tokenExpiresAt = token.expiresAt ?? null;
+    this.scheduleRenewal();
+  }
+
+  /**
+   * Drop the held access token and cancel its renewal
+   *
+   * @private
+   * @returns {void}
+   */
+  clearToken() {
     this.accessToken = null;
-    if (this.cache) {
-      await this.cache.delete("access_token");
+    this.tokenIssuedAt = null;
+    this.tokenExpiresAt = null;
+
+    if (this.renewalTimer) {
+      clearTimeout(this.renewalTimer);
+      this.renewalTimer = null;
     }
-    
-    return this.authenticate();
+  }
+
+  /**
+   * Parse a token read from the cache
+   *
+   * Tokens cached as plain strings by earlier versions are accepted without
+   * expiry information; they are used until the cache entry expires.
+   *
+   * @private
+   * @param {*} cached Cached value
+   * @returns {{accessToken: string, issuedAt: number|null, expiresAt: number|null}|null} Token, or null if missing or expired
+   */
+  parseCachedToken(cached) {
+    if (!cached) {
+      return null;
+    }
+
+    if (typeof cached === "string") {
+      return { accessToken: cached, issuedAt: null, expiresAt: null };
+    }
+
+    if (
+      !cached.accessToken ||
+      (cached.expiresAt && Date.now() >= cached.expiresAt)
+    ) {
+      return null;
+    }
+
+    return cached;
+  }
+
+  /**
+   * Schedule background renewal of the held token before it expires
+   *
+   * The timer does not keep the process alive.
+   *
+   * @private
+   * @returns {void}
+   */
+  scheduleRenewal() {
+    if (this.renewalTimer) {
+      clearTimeout(this.renewalTimer);
+      this.renewalTimer = null;
+    }
+
+    if (this.tokenExpiresAt === null || !this.client) {
+      return;
+    }
+
+    // setTimeout overflows above ~24.8 days; reschedule when woken early
+    const delay = Math.min(
+      Math.max(this.getRenewalTime() - Date.now(), 0),
+      2147483647
+    );
+
+    this.renewalTimer = setTimeout(() => {
+      this.renewalTimer = null;
+
+      if (this.isTokenExpiring()) {
+        this.renewInBackground();
+      } else {
+        this.scheduleRenewal();
+      }
+    }, delay);
+    this.renewalTimer.unref?.();
+  }
+
+  /**
+   * Renew the access token without blocking callers
+   *
+   * The current token stays in use until the new one arrives. A failed
+   * renewal is retried on the next getAccessToken() call, and the token is
+   * requested on demand once it has expired.
+   *
+   * @private
+   * @returns {void}
+   */
+  renewInBackground() {
+    if (this.pendingAuthentication || !this.client) {
+      return;
+    }
+
+    const expiringToken = this.accessToken;
+    this.singleFlight(() => this.obtainAccessToken(expiringToken)).catch(
+      () => {}
+    );
+  }
+
+  /**
+   * Sleep for specified duration
+   *
+   * @private
+   * @param {number} ms Duration in milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
   }
 
   /**
    * Check if currently authenticated
    *
-   * Verifies whether a valid access token is available in memory.
-   * Note: This does not validate the token against the API or check
-   * cache expiration.
+   * Verifies whether an unexpired access token is available in memory.
+   * Note: This does not validate the token against the API.
    *
-   * @returns {boolean} True if access token is present in memory
+   * @returns {boolean} True if an unexpired access token is present in memory
    *
    * @example
    * if (auth.isAuthenticated()) {
@@ -225,6 +647,6 @@ export class Authentication {
    * }
    */
   isAuthenticated() {
-    return this.accessToken !== null;
+    return this.accessToken !== null && !this.isTokenExpired();
   }
 }
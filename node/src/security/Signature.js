@@ -3,9 +3,10 @@ import crypto from "crypto";
 /**
  * Signature - Cryptographic Signature Generator
  *
- * Provides cryptographic signature generation utilities for SingaPay API authentication
- * and request verification. This class implements the signature algorithms required
- * for secure communication with SingaPay disbursement and authentication endpoints.
+ * Provides cryptographic signature utilities for SingaPay API authentication,
+ * request signing, and webhook verification. This class implements the signature
+ * algorithms required for secure communication with SingaPay disbursement and
+ * authentication endpoints and for validating incoming webhook notifications.
  *
  * All methods are static and stateless, making them thread-safe and easy to use
  * without instance creation.
@@ -121,4 +122,183 @@ export class Signature {
       payload,
     };
   }
+
+  /**
+   * Verify webhook signature authenticity
+   *
+   * Validates incoming webhook requests to ensure they originate from SingaPay
+   * and have not been tampered with during transmission. The expected signature
+   * is a hex-encoded HMAC-SHA256 of the timestamp concatenated with the SHA-256
+   * hash of the raw body, compared in constant time.
+   *
+   * When a tolerance is given, the timestamp must also fall within that many
+   * seconds of the current time, so captured webhooks cannot be replayed later.
+   *
+   * @param {string|number} timestamp Timestamp from webhook request headers (X-Timestamp)
+   * @param {object|string|Buffer} body Webhook request body (raw string/Buffer recommended)
+   * @param {string} receivedSignature Signature from webhook request headers (X-Signature)
+   * @param {string} hmacKey HMAC validation key provided by SingaPay
+   * @param {number|null} [tolerance=null] Maximum timestamp age in seconds (null or 0 disables the check)
+   * @returns {boolean} True if signature is valid and timestamp is within tolerance
+   *
+   * @throws {Error} If timestamp, signature, or HMAC key is missing
+   *
+   * @example
+   * const isValid = Signature.verifyWebhook(
+   *   req.headers['x-timestamp'],
+   *   rawBody,
+   *   req.headers['x-signature'],
+   *   'your-hmac-validation-key',
+   *   300
+   * );
+   */
+  static verifyWebhook(
+    timestamp,
+    body,
+    receivedSignature,
+    hmacKey,
+    tolerance = null
+  ) {
+    if (!timestamp || !receivedSignature || !hmacKey) {
+      throw new Error(
+        "Timestamp, signature, and HMAC key are required for webhook verification"
+      );
+    }
+
+    if (
+      tolerance &&
+      !Signature.isTimestampWithinTolerance(timestamp, tolerance)
+    ) {
+      return false;
+    }
+
+    const expectedSignature = Signature.signWebhook(timestamp, body, hmacKey);
+    const expected = Buffer.from(expectedSignature, "utf8");
+    const received = Buffer.from(String(receivedSignature), "utf8");
+
+    if (expected.length !== received.length) {
+      return false;
+    }
+
+    return crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Find the HMAC key that produced a webhook signature
+   *
+   * Verifies the webhook against each candidate key, which allows webhooks
+   * signed with either the current or a previous key to be accepted while a
+   * secret is being rotated.
+   *
+   * @param {string|number} timestamp Timestamp from webhook request headers (X-Timestamp)
+   * @param {object|string|Buffer} body Webhook request body (raw string/Buffer recommended)
+   * @param {string} receivedSignature Signature from webhook request headers (X-Signature)
+   * @param {Array<{id: string, key: string}>} keys Candidate HMAC key descriptors
+   * @param {number|null} [tolerance=null] Maximum timestamp age in seconds (null or 0 disables the check)
+   * @returns {{id: string, key: string}|null} Matching key descriptor, or null if no key matches
+   *
+   * @throws {Error} If no keys are given, or the timestamp or signature is missing
+   *
+   * @example
+   * const matched = Signature.matchWebhookKey(timestamp, rawBody, signature, [
+   *   { id: 'current', key: 'new-hmac-key' },
+   *   { id: 'previous', key: 'old-hmac-key' }
+   * ], 300);
+   */
+  static matchWebhookKey(
+    timestamp,
+    body,
+    receivedSignature,
+    keys,
+    tolerance = null
+  ) {
+    if (!keys || keys.length === 0) {
+      throw new Error(
+        "At least one HMAC validation key is required for webhook verification"
+      );
+    }
+
+    for (const hmacKey of keys) {
+      if (
+        Signature.verifyWebhook(
+          timestamp,
+          body,
+          receivedSignature,
+          hmacKey.key,
+          tolerance
+        )
+      ) {
+        return hmacKey;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Generate webhook signature
+   *
+   * Produces the signature SingaPay sends in the X-Signature header: a
+   * hex-encoded HMAC-SHA256 of the timestamp concatenated with the SHA-256
+   * hash of the raw body. Useful for signing webhooks in tests and simulators.
+   *
+   * @param {string|number} timestamp Webhook timestamp (X-Timestamp)
+   * @param {object|string|Buffer} body Webhook body (raw string/Buffer recommended)
+   * @param {string} hmacKey HMAC validation key
+   * @returns {string} Hex-encoded HMAC-SHA256 signature
+   *
+   * @example
+   * const signature = Signature.signWebhook(
+   *   '1672531200',
+   *   JSON.stringify(payload),
+   *   'your-hmac-validation-key'
+   * );
+   */
+  static signWebhook(timestamp, body, hmacKey) {
+    const bodyString = Buffer.isBuffer(body)
+      ? body.toString("utf8")
+      : typeof body === "string"
+      ? body
+      : JSON.stringify(body);
+    const hashedBody = crypto
+      .createHash("sha256")
+      .update(bodyString)
+      .digest("hex");
+
+    return crypto
+      .createHmac("sha256", hmacKey)
+      .update(`${timestamp}${hashedBody}`)
+      .digest("hex");
+  }
+
+  /**
+   * Check whether a webhook timestamp is within the tolerance window
+   *
+   * Accepts UNIX timestamps in seconds or milliseconds as well as ISO-8601
+   * date strings. Unparseable timestamps are treated as outside the window.
+   *
+   * @param {string|number} timestamp Webhook timestamp
+   * @param {number} tolerance Maximum allowed difference in seconds
+   * @param {number} [now=Date.now()] Current time in milliseconds
+   * @returns {boolean} True if the timestamp is within tolerance of the current time
+   *
+   * @example
+   * Signature.isTimestampWithinTolerance('1672531200', 300);
+   */
+  static isTimestampWithinTolerance(timestamp, tolerance, now = Date.now()) {
+    let milliseconds;
+
+    if (/^\d+$/.test(String(timestamp).trim())) {
+      const numeric = Number(timestamp);
+      milliseconds = numeric > 1e12 ? numeric : numeric * 1000;
+    } else {
+      milliseconds = Date.parse(timestamp);
+    }
+
+    if (Number.isNaN(milliseconds)) {
+      return false;
+    }
+
+    return Math.abs(now - milliseconds) <= tolerance * 1000;
+  }
 }
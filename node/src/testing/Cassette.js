@@ -0,0 +1,462 @@
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Cassette file format version
+ *
+ * @private
+ * @constant {number}
+ */
+const CASSETTE_VERSION = 1;
+
+/**
+ * Request parts a recorded interaction can be matched by
+ *
+ * @private
+ * @constant {string[]}
+ */
+const MATCH_FIELDS = ["method", "path", "body"];
+
+/**
+ * Placeholder replacing the value of a redacted field
+ *
+ * @private
+ * @constant {string}
+ */
+const REDACTED = "[REDACTED]";
+
+/**
+ * Placeholder replacing the value of a normalized timestamp field
+ *
+ * @private
+ * @constant {string}
+ */
+const TIMESTAMP = "[TIMESTAMP]";
+
+/**
+ * Normalize a field name for redaction matching
+ *
+ * @private
+ * @param {string} name Field or header name
+ * @returns {string} Lower-case name without dashes and underscores
+ */
+function normalizeFieldName(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, "");
+}
+
+/**
+ * Serialize a value with sorted object keys, so equal bodies compare equal
+ * regardless of key order
+ *
+ * @private
+ * @param {*} value JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  const sort = (item) => {
+    if (Array.isArray(item)) {
+      return item.map(sort);
+    }
+
+    if (item === null || typeof item !== "object") {
+      return item;
+    }
+
+    return Object.fromEntries(
+      Object.keys(item)
+        .sort()
+        .map((key) => [key, sort(item[key])])
+    );
+  };
+
+  return JSON.stringify(sort(value ?? null));
+}
+
+/**
+ * Cassette - Record/Replay of HTTP Interactions
+ *
+ * Records the requests a Client sends to SingaPay and the responses it
+ * receives into a JSON cassette file, and replays them later without network
+ * access, for deterministic integration tests in CI.
+ *
+ * In record mode every request goes through the client's transport and the
+ * interaction is appended to the cassette. In replay mode each request is
+ * answered with the first unplayed recorded interaction matching its method,
+ * path (including the query string), and body; an unmatched request fails
+ * with the `ERR_CASSETTE_UNMATCHED` error code instead of reaching the
+ * network.
+ *
+ * Secrets such as access tokens, client secrets, and signatures are redacted
+ * before anything is written, and timestamps are normalized, on both the
+ * recorded and the replayed requests. Replayed token responses therefore
+ * carry a placeholder access token, which the SDK signs requests with like
+ * any other token, so authentication and disbursement signing work
+ * unchanged during replay.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class Cassette {
+  /**
+   * Field and header names whose values are redacted
+   *
+   * @type {string[]}
+   */
+  static DEFAULT_REDACTED_FIELDS = [
+    "Authorization",
+    "X-Signature",
+    "X-CLIENT-ID",
+    "X-PARTNER-ID",
+    "client_secret",
+    "access_token",
+    "refresh_token",
+    "password",
+    "pin",
+    "otp",
+  ];
+
+  /**
+   * Field and header names whose values are normalized as timestamps
+   *
+   * @type {string[]}
+   */
+  static DEFAULT_TIMESTAMP_FIELDS = ["X-Timestamp", "timestamp"];
+
+  /**
+   * Creates a new Cassette instance
+   *
+   * @param {object} options Cassette options
+   * @param {string} options.path Path of the JSON cassette file
+   * @param {string} [options.mode='replay'] 'record' to record interactions, or 'replay' to serve recorded ones
+   * @param {string[]|Function} [options.match=['method', 'path', 'body']] Request parts that must match, or a function (request, recorded) => boolean comparing the normalized requests
+   * @param {string[]} [options.redactFields=[]] Field and header names redacted in addition to DEFAULT_REDACTED_FIELDS
+   * @param {string[]} [options.timestampFields=[]] Field and header names normalized in addition to DEFAULT_TIMESTAMP_FIELDS
+   * @param {boolean} [options.allowRepeats=false] Replay the last matching interaction again once all matching ones were played
+   *
+   * @throws {Error} When the mode or a match field is invalid
+   *
+   * @example
+   * import { Cassette } from '@singapay/payment-gateway/testing';
+   *
+   * // Record once against the sandbox
+   * const singapay = new SingaPay({
+   *   ...credentials,
+   *   cassette: new Cassette({ path: 'test/cassettes/transfer.json', mode: 'record' })
+   * });
+   *
+   * // Replay in CI, without network access
+   * const singapay = new SingaPay({
+   *   ...credentials,
+   *   cassette: new Cassette({ path: 'test/cassettes/transfer.json' })
+   * });
+   */
+  constructor(options) {
+    const mode = options.mode || "replay";
+
+    if (!["record", "replay"].includes(mode)) {
+      throw new Error(`Invalid cassette mode: ${mode}`);
+    }
+
+    const match = options.match || MATCH_FIELDS;
+
+    if (typeof match !== "function") {
+      for (const field of match) {
+        if (!MATCH_FIELDS.includes(field)) {
+          throw new Error(`Invalid cassette match field: ${field}`);
+        }
+      }
+    }
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.path = options.path;
+    /**
+     * @private
+     * @type {string}
+     */
+    this.mode = mode;
+    /**
+     * @private
+     * @type {string[]|Function}
+     */
+    this.match = match;
+    /**
+     * @private
+     * @type {Set<string>}
+     */
+    this.redactedFields = new Set(
+      [
+        ...Cassette.DEFAULT_REDACTED_FIELDS,
+        ...(options.redactFields || []),
+      ].map(normalizeFieldName)
+    );
+    /**
+     * @private
+     * @type {Set<string>}
+     */
+    this.timestampFields = new Set(
+      [
+        ...Cassette.DEFAULT_TIMESTAMP_FIELDS,
+        ...(options.timestampFields || []),
+      ].map(normalizeFieldName)
+    );
+    /**
+     * @private
+     * @type {boolean}
+     */
+    this.allowRepeats = options.allowRepeats ?? false;
+    /**
+     * Recorded interactions, loaded on the first replayed request
+     *
+     * @private
+     * @type {Array<object>|null}
+     */
+    this.interactions = mode === "record" ? [] : null;
+    /**
+     * Indexes of the interactions already replayed
+     *
+     * @private
+     * @type {Set<number>}
+     */
+    this.played = new Set();
+    /**
+     * Pending cassette file write
+     *
+     * @private
+     * @type {Promise<void>}
+     */
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Send a request through the cassette
+   *
+   * Records the request and the transport's response in record mode, and
+   * returns the matching recorded response without using the transport in
+   * replay mode.
+   *
+   * @param {object} request Request handed to the transport (see TransportInterface.send())
+   * @param {TransportInterface} transport Transport sending the request in record mode
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the HTTP response
+   *
+   * @throws {Error} With code ERR_CASSETTE_UNMATCHED when no recorded interaction matches in replay mode
+   */
+  async send(request, transport) {
+    return this.mode === "record"
+      ? this.record(request, transport)
+      : this.replay(request);
+  }
+
+  /**
+   * Get the cassette mode
+   *
+   * @returns {string} 'record' or 'replay'
+   */
+  getMode() {
+    return this.mode;
+  }
+
+  /**
+   * Get the recorded interactions
+   *
+   * @returns {Promise<Array<{request: object, response: object}>>} Promise resolving to the interactions, as stored in the cassette file
+   *
+   * @example
+   * const interactions = await cassette.getInteractions();
+   * console.log(`${interactions.length} interactions recorded`);
+   */
+  async getInteractions() {
+    return this.load();
+  }
+
+  /**
+   * Check whether every recorded interaction was replayed
+   *
+   * @returns {Promise<boolean>} Promise resolving to true if no interaction is left unplayed
+   *
+   * @example
+   * afterAll(async () => {
+   *   expect(await cassette.isExhausted()).toBe(true);
+   * });
+   */
+  async isExhausted() {
+    const interactions = await this.load();
+    return this.played.size >= interactions.length;
+  }
+
+  /**
+   * Send a request and record the interaction
+   *
+   * @private
+   * @param {object} request Request handed to the transport
+   * @param {TransportInterface} transport Transport sending the request
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the HTTP response
+   */
+  async record(request, transport) {
+    const response = await transport.send(request);
+
+    this.interactions.push({
+      request: this.normalizeRequest(request),
+      response: {
+        status: response.status,
+        headers: this.normalize(response.headers || {}),
+        data: this.normalize(response.data ?? null),
+      },
+    });
+
+    const contents = JSON.stringify(
+      { version: CASSETTE_VERSION, interactions: this.interactions },
+      null,
+      2
+    );
+
+    this.writing = this.writing.then(async () => {
+      await fs.mkdir(path.dirname(this.path), { recursive: true });
+      await fs.writeFile(this.path, `${contents}\n`);
+    });
+    await this.writing;
+
+    return response;
+  }
+
+  /**
+   * Serve the recorded response matching a request
+   *
+   * @private
+   * @param {object} request Request handed to the transport
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the recorded HTTP response
+   */
+  async replay(request) {
+    const interactions = await this.load();
+    const normalized = this.normalizeRequest(request);
+    let repeat = null;
+
+    for (const [index, interaction] of interactions.entries()) {
+      if (!this.matches(normalized, interaction.request)) {
+        continue;
+      }
+
+      if (!this.played.has(index)) {
+        this.played.add(index);
+        return JSON.parse(JSON.stringify(interaction.response));
+      }
+
+      repeat = interaction;
+    }
+
+    if (repeat && this.allowRepeats) {
+      return JSON.parse(JSON.stringify(repeat.response));
+    }
+
+    const error = new Error(
+      `No unplayed interaction in cassette ${this.path} matches ${normalized.method} ${normalized.path}`
+    );
+    error.code = "ERR_CASSETTE_UNMATCHED";
+    throw error;
+  }
+
+  /**
+   * Load the interactions from the cassette file
+   *
+   * @private
+   * @returns {Promise<Array<object>>} Promise resolving to the interactions
+   *
+   * @throws {Error} When the cassette file is missing or invalid in replay mode
+   */
+  async load() {
+    if (this.interactions === null) {
+      const contents = JSON.parse(await fs.readFile(this.path, "utf8"));
+
+      if (contents.version !== CASSETTE_VERSION) {
+        throw new Error(
+          `Unsupported cassette version ${contents.version} in ${this.path}`
+        );
+      }
+
+      this.interactions = contents.interactions;
+    }
+
+    return this.interactions;
+  }
+
+  /**
+   * Check whether a request matches a recorded one
+   *
+   * @private
+   * @param {object} request Normalized request
+   * @param {object} recorded Normalized recorded request
+   * @returns {boolean} True if the configured request parts match
+   */
+  matches(request, recorded) {
+    if (typeof this.match === "function") {
+      return this.match(request, recorded);
+    }
+
+    return this.match.every((field) =>
+      field === "body"
+        ? canonicalJson(request.body) === canonicalJson(recorded.body)
+        : request[field] === recorded[field]
+    );
+  }
+
+  /**
+   * Build the stored form of a request
+   *
+   * @private
+   * @param {object} request Request handed to the transport
+   * @returns {{method: string, path: string, headers: object, body: *}} Normalized request
+   */
+  normalizeRequest(request) {
+    let body = request.data ?? null;
+
+    if (typeof body === "string") {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        // Keep non-JSON bodies as they are
+      }
+    }
+
+    return {
+      method: request.method.toUpperCase(),
+      path: request.url,
+      headers: this.normalize(request.headers || {}),
+      body: this.normalize(body),
+    };
+  }
+
+  /**
+   * Redact secrets and normalize timestamps in a value
+   *
+   * @private
+   * @param {*} value Headers, body, or any other JSON value
+   * @returns {*} Copy of the value with redacted and normalized fields replaced
+   */
+  normalize(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.normalize(item));
+    }
+
+    if (value === null || typeof value !== "object") {
+      return value;
+    }
+
+    return Object.fromEntries(
+      Object.entries(value).map(([key, fieldValue]) => {
+        const name = normalizeFieldName(key);
+
+        if (this.redactedFields.has(name)) {
+          return [key, REDACTED];
+        }
+
+        if (this.timestampFields.has(name)) {
+          return [key, TIMESTAMP];
+        }
+
+        return [key, this.normalize(fieldValue)];
+      })
+    );
+  }
+}
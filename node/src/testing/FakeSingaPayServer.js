@@ -0,0 +1,1973 @@
+import crypto from "crypto";
+import http from "http";
+import { WEBHOOK_EVENTS } from "../constants.js";
+import { Config } from "../Config.js";
+import { TransportInterface } from "../http/transports/TransportInterface.js";
+import { Signature } from "../security/Signature.js";
+import { WebhookSimulator } from "./WebhookSimulator.js";
+
+/**
+ * Default lifetime of issued access tokens in seconds
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_TOKEN_TTL = 3600;
+
+/**
+ * Default maximum age of signed request timestamps in seconds
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_TIMESTAMP_TOLERANCE = 300;
+
+/**
+ * Default disbursement fee in IDR
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_TRANSFER_FEE = 2500;
+
+/**
+ * Default balance of new accounts in IDR
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_BALANCE = 10000000;
+
+/**
+ * Bank names by bank code or SWIFT code
+ *
+ * @private
+ * @constant {object}
+ */
+const BANK_NAMES = {
+  BCA: "Bank Central Asia",
+  BNI: "Bank Negara Indonesia",
+  BRI: "Bank Rakyat Indonesia",
+  MANDIRI: "Bank Mandiri",
+  PERMATA: "Bank Permata",
+  CENAIDJA: "Bank Central Asia",
+  BNINIDJA: "Bank Negara Indonesia",
+  BRINIDJA: "Bank Rakyat Indonesia",
+  BMRIIDJA: "Bank Mandiri",
+  BBBAIDJA: "Bank Permata",
+};
+
+/**
+ * API routes as [method, path pattern, handler method name]
+ *
+ * More specific patterns come first where two patterns overlap.
+ *
+ * @private
+ * @constant {Array<[string, string, string]>}
+ */
+const ROUTES = [
+  ["POST", "/api/v1.1/access-token/b2b", "issueToken"],
+
+  ["GET", "/api/v1.0/accounts", "listAccounts"],
+  ["POST", "/api/v1.0/accounts", "createAccount"],
+  ["PATCH", "/api/v1.0/accounts/update-status/:accountId", "updateAccount"],
+  ["GET", "/api/v1.0/accounts/:accountId", "showAccount"],
+  ["DELETE", "/api/v1.0/accounts/:accountId", "deleteAccount"],
+
+  ["GET", "/api/v1.0/balance-inquiry", "showMerchantBalance"],
+  ["GET", "/api/v1.0/balance-inquiry/:accountId", "showAccountBalance"],
+
+  ["GET", "/api/v1.0/virtual-accounts/:accountId", "listVirtualAccounts"],
+  ["POST", "/api/v1.0/virtual-accounts/:accountId", "createVirtualAccount"],
+  ["GET", "/api/v1.0/virtual-accounts/:accountId/:id", "showVirtualAccount"],
+  ["PUT", "/api/v1.0/virtual-accounts/:accountId/:id", "updateVirtualAccount"],
+  [
+    "DELETE",
+    "/api/v1.0/virtual-accounts/:accountId/:id",
+    "deleteVirtualAccount",
+  ],
+
+  [
+    "GET",
+    "/api/v1.0/payment-link-manage/payment-methods",
+    "listPaymentMethods",
+  ],
+  ["GET", "/api/v1.0/payment-link-manage/:accountId", "listPaymentLinks"],
+  ["POST", "/api/v1.0/payment-link-manage/:accountId", "createPaymentLink"],
+  ["GET", "/api/v1.0/payment-link-manage/:accountId/:id", "showPaymentLink"],
+  ["PUT", "/api/v1.0/payment-link-manage/:accountId/:id", "updatePaymentLink"],
+  [
+    "DELETE",
+    "/api/v1.0/payment-link-manage/:accountId/:id",
+    "deletePaymentLink",
+  ],
+
+  ["GET", "/api/v1.0/qris-dynamic/:accountId", "listQris"],
+  ["GET", "/api/v1.0/qris-dynamic/:accountId/show/:id", "showQris"],
+  ["POST", "/api/v1.0/qris-dynamic/:accountId/generate-qr", "createQris"],
+  ["DELETE", "/api/v1.0/qris-dynamic/:id/delete", "deleteQris"],
+
+  ["POST", "/api/v1.0/disbursement/check-beneficiary", "checkBeneficiary"],
+  ["GET", "/api/v1.0/disbursement/:accountId", "listDisbursements"],
+  ["POST", "/api/v1.0/disbursement/:accountId/check-fee", "checkFee"],
+  ["POST", "/api/v1.0/disbursement/:accountId/transfer", "transfer"],
+  ["GET", "/api/v1.0/disbursement/:accountId/:id", "showDisbursement"],
+
+  ["GET", "/api/v1.0/cardless-withdrawals/:accountId", "listWithdrawals"],
+  [
+    "GET",
+    "/api/v1.0/cardless-withdrawals/:accountId/show/:id",
+    "showWithdrawal",
+  ],
+  ["POST", "/api/v1.0/cardless-withdrawals/:accountId", "createWithdrawal"],
+  [
+    "PATCH",
+    "/api/v1.0/cardless-withdrawals/:accountId/cancel/:id",
+    "cancelWithdrawal",
+  ],
+  [
+    "DELETE",
+    "/api/v1.0/cardless-withdrawals/:accountId/delete/:id",
+    "deleteWithdrawal",
+  ],
+
+  ["GET", "/api/v1.0/statements/:accountId", "listStatements"],
+  ["GET", "/api/v1.0/statements/:accountId/:id", "showStatement"],
+
+  [
+    "GET",
+    "/api/v1.0/payment-link-histories/:accountId",
+    "listPaymentLinkHistories",
+  ],
+  [
+    "GET",
+    "/api/v1.0/payment-link-histories/:accountId/:id",
+    "showPaymentLinkHistory",
+  ],
+
+  ["GET", "/api/v1.0/va-transactions/:accountId", "listVaTransactions"],
+  ["GET", "/api/v1.0/va-transactions/:accountId/:id", "showVaTransaction"],
+].map(([method, pattern, handler]) => {
+  const names = [];
+  const source = pattern.replace(/:(\w+)/g, (_match, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+
+  return { method, regex: new RegExp(`^${source}$`), names, handler };
+});
+
+/**
+ * Error response raised by a route handler
+ *
+ * @private
+ */
+class FakeApiError extends Error {
+  /**
+   * @param {number} status HTTP status code
+   * @param {string} code SingaPay error code
+   * @param {string} message Error message
+   * @param {object} [errors] Field validation errors
+   */
+  constructor(status, code, message, errors) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Transport answering requests from a FakeSingaPayServer in process
+ *
+ * @private
+ * @extends TransportInterface
+ */
+class FakeSingaPayTransport extends TransportInterface {
+  /**
+   * @param {FakeSingaPayServer} server Fake server answering requests
+   */
+  constructor(server) {
+    super();
+    this.server = server;
+  }
+
+  /**
+   * Send an HTTP request to the fake server
+   *
+   * The body goes through JSON serialization like on the network, so
+   * handlers never share objects with the caller.
+   *
+   * @param {object} request Request to send
+   * @returns {Promise<{status: number, headers: object, data: *}>} Promise resolving to the HTTP response
+   */
+  async send(request) {
+    if (request.signal?.aborted) {
+      const error = new Error("Request aborted");
+      error.code = "ERR_CANCELED";
+      throw error;
+    }
+
+    const rawBody =
+      request.data === undefined || request.data === null
+        ? ""
+        : typeof request.data === "string"
+        ? request.data
+        : JSON.stringify(request.data);
+
+    return this.server.handle({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      body: rawBody,
+    });
+  }
+}
+
+/**
+ * FakeSingaPayServer - Stateful In-Memory SingaPay API
+ *
+ * Implements every SingaPay B2B endpoint the SDK resources call, keeping
+ * accounts, virtual accounts, payment links, QRIS codes, disbursements,
+ * cardless withdrawals, statements, payment link histories, and VA
+ * transactions in memory, so tests and local development run the real SDK
+ * code paths without network access.
+ *
+ * The access token endpoint checks the X-CLIENT-ID, X-Timestamp, and
+ * X-Signature headers like SingaPay does, every other endpoint requires the
+ * API key and a valid bearer token, and disbursement transfers verify their
+ * request signature. Transfers debit the account balance (plus a fee) and
+ * record a statement entry, then stay processing until completed or failed;
+ * repeated requests with the same Idempotency-Key return the first response
+ * once they pass the same authentication and signature checks.
+ *
+ * Customer behavior is simulated with payVirtualAccount(), payQris(),
+ * expirePaymentLink(), completeDisbursement(), and failDisbursement(), which
+ * update balances, statements, and VA transactions, then deliver a signed
+ * webhook to `webhookUrl` when one is configured. State changes are committed
+ * before delivery: a receiver that is down or rejects the request does not
+ * undo them, and the delivery error is returned in the `webhook` result.
+ *
+ * The server runs in process through createTransport(), or as a local HTTP
+ * server through listen().
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class FakeSingaPayServer {
+  /**
+   * Creates a new FakeSingaPayServer instance
+   *
+   * @param {object} options Server options
+   * @param {string} options.clientId Client ID accepted by the access token endpoint
+   * @param {string} options.clientSecret Client secret used to check signatures
+   * @param {string} options.apiKey API key expected in the X-PARTNER-ID header
+   * @param {number} [options.tokenTtl=3600] Lifetime of issued access tokens in seconds
+   * @param {number} [options.timestampTolerance=300] Maximum age of signed request timestamps in seconds
+   * @param {number} [options.transferFee=2500] Disbursement fee in IDR
+   * @param {number} [options.initialBalance=10000000] Balance of new accounts in IDR
+   * @param {string} [options.webhookUrl] URL simulated payments deliver webhooks to (default: no webhooks)
+   * @param {string} [options.hmacValidationKey] HMAC key signing the webhooks, required with webhookUrl
+   *
+   * @throws {Error} When webhookUrl is set without hmacValidationKey
+   *
+   * @example
+   * const server = new FakeSingaPayServer({
+   *   clientId: 'test-id',
+   *   clientSecret: 'test-secret',
+   *   apiKey: 'test-key'
+   * });
+   *
+   * const singapay = new SingaPay({
+   *   clientId: 'test-id',
+   *   clientSecret: 'test-secret',
+   *   apiKey: 'test-key',
+   *   transport: server.createTransport()
+   * });
+   */
+  constructor(options) {
+    if (options.webhookUrl && !options.hmacValidationKey) {
+      throw new Error("hmacValidationKey is required when webhookUrl is set");
+    }
+
+    /**
+     * @private
+     * @type {string}
+     */
+    this.clientId = options.clientId;
+    /**
+     * @private
+     * @type {string}
+     */
+    this.clientSecret = options.clientSecret;
+    /**
+     * @private
+     * @type {string}
+     */
+    this.apiKey = options.apiKey;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.tokenTtl = options.tokenTtl ?? DEFAULT_TOKEN_TTL;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.timestampTolerance =
+      options.timestampTolerance ?? DEFAULT_TIMESTAMP_TOLERANCE;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.transferFee = options.transferFee ?? DEFAULT_TRANSFER_FEE;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.initialBalance = options.initialBalance ?? DEFAULT_BALANCE;
+    /**
+     * @private
+     * @type {WebhookSimulator|null}
+     */
+    this.webhooks = options.webhookUrl
+      ? new WebhookSimulator(
+          new Config({
+            clientId: options.clientId,
+            clientSecret: options.clientSecret,
+            apiKey: options.apiKey,
+            hmacValidationKey: options.hmacValidationKey,
+          }),
+          { url: options.webhookUrl }
+        )
+      : null;
+    /**
+     * @private
+     * @type {http.Server|null}
+     */
+    this.httpServer = null;
+
+    this.reset();
+  }
+
+  /**
+   * Remove all accounts, transactions, and issued tokens
+   *
+   * @returns {FakeSingaPayServer} Returns this for method chaining
+   *
+   * @example
+   * afterEach(() => server.reset());
+   */
+  reset() {
+    /**
+     * Issued access tokens and their expiry in UNIX milliseconds
+     *
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.tokens = new Map();
+    /**
+     * Stored records by collection name and ID
+     *
+     * @private
+     * @type {object}
+     */
+    this.store = {
+      accounts: new Map(),
+      virtualAccounts: new Map(),
+      paymentLinks: new Map(),
+      qris: new Map(),
+      disbursements: new Map(),
+      withdrawals: new Map(),
+      statements: new Map(),
+      paymentLinkHistories: new Map(),
+      vaTransactions: new Map(),
+    };
+    /**
+     * Responses by idempotency key
+     *
+     * @private
+     * @type {Map<string, object>}
+     */
+    this.idempotentResponses = new Map();
+    /**
+     * Last sequence number by ID prefix
+     *
+     * @private
+     * @type {Map<string, number>}
+     */
+    this.sequences = new Map();
+
+    return this;
+  }
+
+  /**
+   * Add an account without going through the API
+   *
+   * @param {object} [data={}] Account fields (name, email, phone, balance, ...)
+   * @returns {object} Stored account
+   *
+   * @example
+   * const account = server.addAccount({ name: 'Toko Budi', balance: 500000 });
+   * await singapay.disbursement.transfer(account.id, transfer);
+   */
+  addAccount(data = {}) {
+    const id = data.id ?? this.nextId("acc");
+
+    return this.save("accounts", {
+      name: `Account ${id}`,
+      email: `${id}@example.com`,
+      phone: "628123456789",
+      status: "active",
+      balance: this.initialBalance,
+      pending_balance: 0,
+      created_at: new Date().toISOString(),
+      ...data,
+      id,
+    });
+  }
+
+  /**
+   * Create a transport sending requests to this server in process
+   *
+   * @returns {TransportInterface} Transport for the `transport` option or Client.setTransport()
+   *
+   * @example
+   * client.setTransport(server.createTransport());
+   */
+  createTransport() {
+    return new FakeSingaPayTransport(this);
+  }
+
+  /**
+   * Start serving the API over HTTP
+   *
+   * @param {number} [port=0] Port to listen on (0 picks a free port)
+   * @param {string} [host='127.0.0.1'] Host to bind to
+   * @returns {Promise<string>} Promise resolving to the server's base URL
+   *
+   * @example
+   * const baseUrl = await server.listen();
+   * const singapay = new SingaPay({ ...credentials, baseUrl });
+   */
+  async listen(port = 0, host = "127.0.0.1") {
+    this.httpServer = http.createServer((req, res) => this.serve(req, res));
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(port, host, resolve);
+    });
+
+    return this.getUrl();
+  }
+
+  /**
+   * Answer an HTTP request received by the server started by listen()
+   *
+   * Failures outside the API handling, such as an aborted upload, are
+   * answered with a 500 error, or end the connection when the response has
+   * already started.
+   *
+   * @private
+   * @param {http.IncomingMessage} req Incoming request
+   * @param {http.ServerResponse} res Server response
+   * @returns {Promise<void>}
+   */
+  async serve(req, res) {
+    try {
+      const chunks = [];
+
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+
+      const response = await this.handle({
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString("utf8"),
+      });
+
+      res.writeHead(response.status, response.headers);
+      res.end(JSON.stringify(response.data));
+    } catch (error) {
+      if (res.headersSent || res.destroyed) {
+        res.destroy();
+        return;
+      }
+
+      res.writeHead(500, { "content-type": "application/json" });
+      res.end(
+        JSON.stringify({
+          success: false,
+          error: { code: "INTERNAL_ERROR", message: error.message },
+        })
+      );
+    }
+  }
+
+  /**
+   * Stop the HTTP server started by listen()
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.httpServer) {
+      return;
+    }
+
+    const server = this.httpServer;
+    this.httpServer = null;
+
+    await new Promise((resolve, reject) =>
+      server.close((error) => (error ? reject(error) : resolve()))
+    );
+  }
+
+  /**
+   * Get the base URL of the HTTP server started by listen()
+   *
+   * @returns {string|null} Base URL, or null if the server is not listening
+   */
+  getUrl() {
+    const address = this.httpServer?.address();
+    return address ? `http://${address.address}:${address.port}` : null;
+  }
+
+  /**
+   * Handle an API request
+   *
+   * @param {object} request HTTP request
+   * @param {string} request.method HTTP method
+   * @param {string} request.url Path including the query string
+   * @param {object} [request.headers={}] HTTP headers
+   * @param {string} [request.body=''] Raw request body
+   * @returns {Promise<{status: number, headers: object, data: object}>} Promise resolving to the HTTP response
+   *
+   * @example
+   * const response = await server.handle({ method: 'GET', url: '/api/v1.0/accounts' });
+   * console.log(response.status); // 401
+   */
+  async handle(request) {
+    const url = new URL(request.url, "http://singapay.local");
+    const headers = Object.fromEntries(
+      Object.entries(request.headers || {}).map(([name, value]) => [
+        name.toLowerCase(),
+        String(value),
+      ])
+    );
+    const method = request.method.toUpperCase();
+    const rawBody = request.body || "";
+    let result;
+
+    try {
+      const context = {
+        method,
+        path: url.pathname,
+        query: url.searchParams,
+        headers,
+        rawBody,
+        body: this.parseBody(rawBody),
+      };
+      result = await this.route(context);
+    } catch (error) {
+      const apiError =
+        error instanceof FakeApiError
+          ? error
+          : new FakeApiError(500, "INTERNAL_ERROR", error.message);
+
+      result = {
+        status: apiError.status,
+        data: {
+          success: false,
+          error: {
+            code: apiError.code,
+            message: apiError.message,
+            ...(apiError.errors && { errors: apiError.errors }),
+          },
+        },
+      };
+    }
+
+    return {
+      status: result.status,
+      headers: {
+        "content-type": "application/json",
+        "x-request-id": crypto.randomBytes(16).toString("hex"),
+      },
+      data: JSON.parse(JSON.stringify(result.data)),
+    };
+  }
+
+  /**
+   * Dispatch a request to its route handler
+   *
+   * @private
+   * @param {object} context Parsed request
+   * @returns {Promise<{status: number, data: object}>} Promise resolving to the response status and body
+   *
+   * @throws {FakeApiError} For authentication, validation, and lookup failures
+   */
+  async route(context) {
+    for (const route of ROUTES) {
+      const match = route.regex.exec(context.path);
+
+      if (!match || route.method !== context.method) {
+        continue;
+      }
+
+      const params = Object.fromEntries(
+        route.names.map((name, index) => [
+          name,
+          decodeURIComponent(match[index + 1]),
+        ])
+      );
+
+      if (route.handler !== "issueToken") {
+        this.authorize(context);
+      }
+
+      if (route.handler === "transfer") {
+        this.checkTransferSignature(context);
+      }
+
+      return this.replayIdempotent(context, () =>
+        this[route.handler](params, context)
+      );
+    }
+
+    throw new FakeApiError(
+      404,
+      "NOT_FOUND",
+      `Route ${context.method} ${context.path} not found`
+    );
+  }
+
+  /**
+   * Return the first response to a POST with the same Idempotency-Key, or
+   * handle the request and remember its response
+   *
+   * Called once the request is authorized, so replays are authenticated like
+   * the first request.
+   *
+   * @private
+   * @param {object} context Parsed request
+   * @param {Function} handle Function handling the request
+   * @returns {Promise<{status: number, data: object}>} Promise resolving to the response status and body
+   */
+  async replayIdempotent(context, handle) {
+    const key =
+      context.method === "POST" && context.headers["idempotency-key"]
+        ? `${context.path} ${context.headers["idempotency-key"]}`
+        : null;
+
+    if (key && this.idempotentResponses.has(key)) {
+      return this.idempotentResponses.get(key);
+    }
+
+    const result = await handle();
+
+    if (key) {
+      this.idempotentResponses.set(key, result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Issue an access token for a correctly signed request
+   *
+   * @private
+   * @param {object} _params Route parameters
+   * @param {object} context Parsed request
+   * @returns {{status: number, data: object}} Token response
+   */
+  issueToken(_params, { headers, body }) {
+    this.checkApiKey(headers);
+
+    if (headers["x-client-id"] !== this.clientId) {
+      throw new FakeApiError(401, "INVALID_CLIENT", "Unknown client ID");
+    }
+
+    const timestamp = this.checkTimestamp(headers);
+    const date = new Date(timestamp * 1000);
+    const currentDate = `${date.getFullYear()}${String(
+      date.getMonth() + 1
+    ).padStart(2, "0")}${String(date.getDate()).padStart(2, "0")}`;
+    const expected = crypto
+      .createHmac("sha512", this.clientSecret)
+      .update(`${this.clientId}_${this.clientSecret}_${currentDate}`)
+      .digest("hex");
+
+    if (!this.signaturesMatch(expected, headers["x-signature"])) {
+      throw new FakeApiError(401, "INVALID_SIGNATURE", "Invalid signature");
+    }
+
+    if (body?.grant_type !== "client_credentials") {
+      throw new FakeApiError(
+        400,
+        "UNSUPPORTED_GRANT_TYPE",
+        "grant_type must be client_credentials"
+      );
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    this.tokens.set(accessToken, Date.now() + this.tokenTtl * 1000);
+
+    return this.ok({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: this.tokenTtl,
+    });
+  }
+
+  /**
+   * List accounts
+   *
+   * @private
+   */
+  listAccounts(_params, { query }) {
+    return this.page([...this.store.accounts.values()], query);
+  }
+
+  /**
+   * Create account
+   *
+   * @private
+   */
+  createAccount(_params, { body }) {
+    this.validate(body, ["name", "phone", "email"]);
+
+    const data = { ...body };
+    delete data.id;
+    delete data.balance;
+
+    return this.ok(this.addAccount(data), 201);
+  }
+
+  /**
+   * Show account
+   *
+   * @private
+   */
+  showAccount({ accountId }) {
+    return this.ok(this.findAccount(accountId));
+  }
+
+  /**
+   * Update account status
+   *
+   * @private
+   */
+  updateAccount({ accountId }, { body }) {
+    if (!["active", "inactive"].includes(body?.status)) {
+      throw new FakeApiError(422, "VALIDATION_ERROR", "Validation failed", {
+        status: 'Status must be either "active" or "inactive"',
+      });
+    }
+
+    const account = this.findAccount(accountId);
+    account.status = body.status;
+    return this.ok(account);
+  }
+
+  /**
+   * Delete account
+   *
+   * @private
+   */
+  deleteAccount({ accountId }) {
+    const account = this.findAccount(accountId);
+    this.store.accounts.delete(accountId);
+    return this.ok({ id: account.id, deleted: true });
+  }
+
+  /**
+   * Show merchant balance
+   *
+   * @private
+   */
+  showMerchantBalance() {
+    const accounts = [...this.store.accounts.values()];
+
+    return this.ok({
+      balance: accounts.reduce((sum, account) => sum + account.balance, 0),
+      currency: "IDR",
+    });
+  }
+
+  /**
+   * Show account balance
+   *
+   * @private
+   */
+  showAccountBalance({ accountId }) {
+    const account = this.findAccount(accountId);
+
+    return this.ok({
+      account_id: account.id,
+      available_balance: account.balance,
+      pending_balance: account.pending_balance,
+      total_balance: account.balance + account.pending_balance,
+      currency: "IDR",
+    });
+  }
+
+  /**
+   * List virtual accounts
+   *
+   * @private
+   */
+  listVirtualAccounts({ accountId }, { query }) {
+    return this.page(this.findAll("virtualAccounts", accountId), query);
+  }
+
+  /**
+   * Create virtual account
+   *
+   * @private
+   */
+  createVirtualAccount({ accountId }, { body }) {
+    this.findAccount(accountId);
+    this.validate(body, ["bank_code", "amount", "kind"]);
+    this.checkReference("virtualAccounts", accountId, body.reference_number);
+
+    const id = this.nextId("va");
+
+    return this.ok(
+      this.save("virtualAccounts", {
+        ...body,
+        id,
+        account_id: accountId,
+        va_number: `8808${String(this.sequences.get("va")).padStart(10, "0")}`,
+        bank_name: BANK_NAMES[body.bank_code] || body.bank_code,
+        status: "active",
+        usage_count: 0,
+        created_at: new Date().toISOString(),
+      }),
+      201
+    );
+  }
+
+  /**
+   * Show virtual account
+   *
+   * @private
+   */
+  showVirtualAccount({ accountId, id }) {
+    return this.ok(this.find("virtualAccounts", accountId, id));
+  }
+
+  /**
+   * Update virtual account
+   *
+   * @private
+   */
+  updateVirtualAccount({ accountId, id }, { body }) {
+    return this.ok(this.update("virtualAccounts", accountId, id, body));
+  }
+
+  /**
+   * Delete virtual account
+   *
+   * @private
+   */
+  deleteVirtualAccount({ accountId, id }) {
+    return this.ok(this.remove("virtualAccounts", accountId, id));
+  }
+
+  /**
+   * List payment methods
+   *
+   * @private
+   */
+  listPaymentMethods() {
+    return this.ok([
+      { code: "VA_BCA", name: "BCA Virtual Account", type: "virtual_account" },
+      { code: "VA_BRI", name: "BRI Virtual Account", type: "virtual_account" },
+      { code: "VA_BNI", name: "BNI Virtual Account", type: "virtual_account" },
+      { code: "QRIS", name: "QRIS", type: "qris" },
+    ]);
+  }
+
+  /**
+   * List payment links
+   *
+   * @private
+   */
+  listPaymentLinks({ accountId }, { query }) {
+    return this.page(this.findAll("paymentLinks", accountId), query);
+  }
+
+  /**
+   * Create payment link
+   *
+   * @private
+   */
+  createPaymentLink({ accountId }, { body }) {
+    this.findAccount(accountId);
+    this.validate(body, ["reff_no", "title", "total_amount", "items"]);
+
+    const id = this.nextId("pl");
+
+    return this.ok(
+      this.save("paymentLinks", {
+        ...body,
+        id,
+        account_id: accountId,
+        status: "active",
+        payment_url: `https://payment.singapay.local/pay/${id}`,
+        qr_code_url: `https://payment.singapay.local/qr/${id}.png`,
+        created_at: new Date().toISOString(),
+      }),
+      201
+    );
+  }
+
+  /**
+   * Show payment link
+   *
+   * @private
+   */
+  showPaymentLink({ accountId, id }) {
+    return this.ok(this.find("paymentLinks", accountId, id));
+  }
+
+  /**
+   * Update payment link
+   *
+   * @private
+   */
+  updatePaymentLink({ accountId, id }, { body }) {
+    return this.ok(this.update("paymentLinks", accountId, id, body));
+  }
+
+  /**
+   * Delete payment link
+   *
+   * @private
+   */
+  deletePaymentLink({ accountId, id }) {
+    return this.ok(this.remove("paymentLinks", accountId, id));
+  }
+
+  /**
+   * List QRIS
+   *
+   * @private
+   */
+  listQris({ accountId }, { query }) {
+    return this.page(this.findAll("qris", accountId), query);
+  }
+
+  /**
+   * Create QRIS
+   *
+   * @private
+   */
+  createQris({ accountId }, { body }) {
+    this.findAccount(accountId);
+    this.validate(body, ["amount", "expired_at"]);
+
+    const id = this.nextId("qris");
+
+    return this.ok(
+      this.save("qris", {
+        ...body,
+        id,
+        account_id: accountId,
+        qr_string: `00020101021226${id}5303360540${body.amount}6304`,
+        qr_image_url: `https://payment.singapay.local/qris/${id}.png`,
+        status: "active",
+        created_at: new Date().toISOString(),
+      }),
+      201
+    );
+  }
+
+  /**
+   * Show QRIS
+   *
+   * @private
+   */
+  showQris({ accountId, id }) {
+    return this.ok(this.find("qris", accountId, id));
+  }
+
+  /**
+   * Delete QRIS
+   *
+   * @private
+   */
+  deleteQris({ id }) {
+    const qris = this.store.qris.get(id);
+
+    if (!qris) {
+      throw new FakeApiError(404, "NOT_FOUND", `QRIS ${id} not found`);
+    }
+
+    this.store.qris.delete(id);
+    return this.ok({ id, deleted: true });
+  }
+
+  /**
+   * Check beneficiary
+   *
+   * @private
+   */
+  checkBeneficiary(_params, { body }) {
+    this.validate(body, ["bank_account_number", "bank_swift_code"]);
+
+    return this.ok({
+      bank_account_number: body.bank_account_number,
+      bank_swift_code: body.bank_swift_code,
+      bank_name: BANK_NAMES[body.bank_swift_code] || body.bank_swift_code,
+      account_name: `Beneficiary ${body.bank_account_number.slice(-4)}`,
+      is_valid: true,
+    });
+  }
+
+  /**
+   * List disbursements
+   *
+   * @private
+   */
+  listDisbursements({ accountId }, { query }) {
+    return this.page(this.findAll("disbursements", accountId), query);
+  }
+
+  /**
+   * Check fee
+   *
+   * @private
+   */
+  checkFee({ accountId }, { body }) {
+    this.findAccount(accountId);
+    this.validate(body, ["amount", "bank_swift_code"]);
+
+    return this.ok({
+      amount: body.amount,
+      fee: this.transferFee,
+      total_amount: body.amount + this.transferFee,
+    });
+  }
+
+  /**
+   * Check the disbursement signature of a transfer request
+   *
+   * @private
+   * @param {object} context Parsed request
+   * @returns {void}
+   *
+   * @throws {FakeApiError} When the timestamp or signature is invalid
+   */
+  checkTransferSignature({ method, path, headers, rawBody }) {
+    const timestamp = this.checkTimestamp(headers);
+    const expected = Signature.generateDisbursementSignature(
+      method,
+      path,
+      this.getBearerToken(headers),
+      rawBody,
+      timestamp,
+      this.clientSecret
+    );
+
+    if (!this.signaturesMatch(expected, headers["x-signature"])) {
+      throw new FakeApiError(401, "INVALID_SIGNATURE", "Invalid signature");
+    }
+  }
+
+  /**
+   * Transfer funds; the disbursement signature was checked by route()
+   *
+   * @private
+   * @param {object} params Route parameters
+   * @param {object} context Parsed request
+   * @returns {{status: number, data: object}} Disbursement response
+   */
+  transfer({ accountId }, { body }) {
+    const account = this.findAccount(accountId);
+    this.validate(body, [
+      "amount",
+      "bank_swift_code",
+      "bank_account_number",
+      "reference_number",
+    ]);
+    this.checkReference("disbursements", accountId, body.reference_number);
+
+    const total = body.amount + this.transferFee;
+
+    if (account.balance < total) {
+      throw new FakeApiError(
+        400,
+        "INSUFFICIENT_BALANCE",
+        "Insufficient balance"
+      );
+    }
+
+    account.balance -= total;
+
+    const disbursement = this.save("disbursements", {
+      ...body,
+      id: this.nextId("disb"),
+      account_id: accountId,
+      transaction_id: this.nextTransactionId(),
+      bank_name: BANK_NAMES[body.bank_swift_code] || body.bank_swift_code,
+      beneficiary_name:
+        body.bank_account_name ||
+        `Beneficiary ${body.bank_account_number.slice(-4)}`,
+      fee: this.transferFee,
+      total_amount: total,
+      status: "processing",
+      created_at: new Date().toISOString(),
+    });
+
+    this.addStatement(account, "debit", total, {
+      description: `Disbursement ${body.reference_number}`,
+      reference_number: body.reference_number,
+    });
+
+    return this.ok(disbursement, 201);
+  }
+
+  /**
+   * Show disbursement
+   *
+   * @private
+   */
+  showDisbursement({ accountId, id }) {
+    return this.ok(this.find("disbursements", accountId, id));
+  }
+
+  /**
+   * List withdrawals
+   *
+   * @private
+   */
+  listWithdrawals({ accountId }, { query }) {
+    return this.page(this.findAll("withdrawals", accountId), query);
+  }
+
+  /**
+   * Show withdrawal
+   *
+   * @private
+   */
+  showWithdrawal({ accountId, id }) {
+    return this.ok(this.find("withdrawals", accountId, id));
+  }
+
+  /**
+   * Create withdrawal
+   *
+   * @private
+   */
+  createWithdrawal({ accountId }, { body }) {
+    const account = this.findAccount(accountId);
+    this.validate(body, ["withdraw_amount", "payment_vendor_code"]);
+
+    if (account.balance < body.withdraw_amount) {
+      throw new FakeApiError(
+        400,
+        "INSUFFICIENT_BALANCE",
+        "Insufficient balance"
+      );
+    }
+
+    account.balance -= body.withdraw_amount;
+    account.pending_balance += body.withdraw_amount;
+
+    return this.ok(
+      this.save("withdrawals", {
+        ...body,
+        id: this.nextId("cw"),
+        account_id: accountId,
+        withdrawal_code: String(crypto.randomInt(100000, 1000000)),
+        status: "pending",
+        created_at: new Date().toISOString(),
+      }),
+      201
+    );
+  }
+
+  /**
+   * Cancel withdrawal
+   *
+   * @private
+   */
+  cancelWithdrawal({ accountId, id }) {
+    const withdrawal = this.find("withdrawals", accountId, id);
+
+    if (withdrawal.status !== "pending") {
+      throw new FakeApiError(
+        409,
+        "INVALID_STATUS",
+        `Withdrawal ${id} is ${withdrawal.status}`
+      );
+    }
+
+    const account = this.findAccount(accountId);
+    account.balance += withdrawal.withdraw_amount;
+    account.pending_balance -= withdrawal.withdraw_amount;
+    withdrawal.status = "cancelled";
+
+    return this.ok(withdrawal);
+  }
+
+  /**
+   * Delete withdrawal
+   *
+   * @private
+   */
+  deleteWithdrawal({ accountId, id }) {
+    const withdrawal = this.find("withdrawals", accountId, id);
+
+    if (withdrawal.status === "pending") {
+      this.cancelWithdrawal({ accountId, id });
+    }
+
+    return this.ok(this.remove("withdrawals", accountId, id));
+  }
+
+  /**
+   * List statements
+   *
+   * @private
+   */
+  listStatements({ accountId }, { query }) {
+    this.findAccount(accountId);
+
+    const start = query.get("start_date");
+    const end = query.get("end_date");
+    const statements = this.findAll("statements", accountId).filter(
+      ({ transaction_date: date }) =>
+        (!start || date.slice(0, 10) >= start) &&
+        (!end || date.slice(0, 10) <= end)
+    );
+
+    return this.page(statements, query);
+  }
+
+  /**
+   * Show statement
+   *
+   * @private
+   */
+  showStatement({ accountId, id }) {
+    return this.ok(this.find("statements", accountId, id));
+  }
+
+  /**
+   * List payment link histories
+   *
+   * @private
+   */
+  listPaymentLinkHistories({ accountId }, { query }) {
+    return this.page(this.findAll("paymentLinkHistories", accountId), query);
+  }
+
+  /**
+   * Show payment link history
+   *
+   * @private
+   */
+  showPaymentLinkHistory({ accountId, id }) {
+    return this.ok(this.find("paymentLinkHistories", accountId, id));
+  }
+
+  /**
+   * List VA transactions
+   *
+   * @private
+   */
+  listVaTransactions({ accountId }, { query }) {
+    return this.page(this.findAll("vaTransactions", accountId), query);
+  }
+
+  /**
+   * Show VA transaction
+   *
+   * @private
+   */
+  showVaTransaction({ accountId, id }) {
+    return this.ok(this.find("vaTransactions", accountId, id));
+  }
+
+  /**
+   * Simulate a customer paying a virtual account
+   *
+   * Credits the account, records a statement entry and a VA transaction,
+   * marks temporary VAs (and VAs reaching max_usage) as paid, and delivers a
+   * `va.paid` webhook.
+   *
+   * @param {string} vaId Virtual account ID
+   * @param {number} [amount] Paid amount in IDR (default: the VA amount)
+   * @returns {Promise<{transaction: object, webhook: object|null}>} Promise resolving to the VA transaction and the webhook delivery result (null without webhookUrl, `{error}` when delivery fails)
+   *
+   * @throws {Error} When the VA does not exist, is not active, or has expired
+   *
+   * @example
+   * const va = await singapay.virtualAccount.create(accountId, vaData);
+   * const { webhook } = await server.payVirtualAccount(va.id);
+   * console.log(webhook.response.statusCode); // 200
+   */
+  async payVirtualAccount(vaId, amount) {
+    const va = this.findPayable("virtualAccounts", vaId, "Virtual account");
+    const account = this.findAccount(va.account_id);
+    const paidAmount = amount ?? va.amount;
+    const now = new Date().toISOString();
+
+    account.balance += paidAmount;
+    va.usage_count += 1;
+
+    if (
+      va.kind === "temporary" ||
+      (va.max_usage && va.usage_count >= va.max_usage)
+    ) {
+      va.status = "paid";
+    }
+
+    const transaction = this.save("vaTransactions", {
+      id: this.nextId("vatrx"),
+      account_id: account.id,
+      va_id: va.id,
+      va_number: va.va_number,
+      bank_code: va.bank_code,
+      transaction_id: this.nextTransactionId(),
+      amount: paidAmount,
+      status: "paid",
+      paid_at: now,
+    });
+
+    this.addStatement(account, "credit", paidAmount, {
+      description: `VA payment ${va.va_number}`,
+      reference_number: transaction.transaction_id,
+    });
+
+    const webhook = await this.deliverWebhook(WEBHOOK_EVENTS.VA_PAID, {
+      va_id: va.id,
+      va_number: va.va_number,
+      account_id: account.id,
+      bank_code: va.bank_code,
+      kind: va.kind,
+      amount: va.amount,
+      status: va.status,
+      transaction_id: transaction.transaction_id,
+      paid_amount: paidAmount,
+      paid_at: now,
+    });
+
+    return { transaction, webhook };
+  }
+
+  /**
+   * Simulate a customer paying a QRIS code
+   *
+   * Credits the account, records a statement entry, marks the QRIS code as
+   * paid, and delivers a `payment.success` webhook.
+   *
+   * @param {string} qrisId QRIS ID
+   * @param {number} [amount] Paid amount in IDR (default: the QRIS amount)
+   * @returns {Promise<{qris: object, webhook: object|null}>} Promise resolving to the paid QRIS code and the webhook delivery result (null without webhookUrl, `{error}` when delivery fails)
+   *
+   * @throws {Error} When the QRIS code does not exist, is not active, or has expired
+   *
+   * @example
+   * await server.payQris(qris.id);
+   */
+  async payQris(qrisId, amount) {
+    const qris = this.findPayable("qris", qrisId, "QRIS");
+    const account = this.findAccount(qris.account_id);
+    const paidAmount = amount ?? qris.amount;
+    const now = new Date().toISOString();
+
+    account.balance += paidAmount;
+    Object.assign(qris, {
+      status: "paid",
+      paid_amount: paidAmount,
+      paid_at: now,
+      transaction_id: this.nextTransactionId(),
+    });
+
+    this.addStatement(account, "credit", paidAmount, {
+      description: `QRIS payment ${qris.id}`,
+      reference_number: qris.transaction_id,
+    });
+
+    const webhook = await this.deliverWebhook(WEBHOOK_EVENTS.PAYMENT_SUCCESS, {
+      transaction_id: qris.transaction_id,
+      reff_no: qris.reference_number ?? qris.id,
+      account_id: account.id,
+      amount: paidAmount,
+      currency: "IDR",
+      payment_method: "QRIS",
+      status: "success",
+      updated_at: now,
+    });
+
+    return { qris, webhook };
+  }
+
+  /**
+   * Simulate a payment link expiring unpaid
+   *
+   * Marks the link as expired, records a payment link history entry, and
+   * delivers a `payment.expired` webhook.
+   *
+   * @param {string} paymentLinkId Payment link ID
+   * @returns {Promise<{history: object, webhook: object|null}>} Promise resolving to the history entry and the webhook delivery result (null without webhookUrl, `{error}` when delivery fails)
+   *
+   * @throws {Error} When the payment link does not exist or is not active
+   *
+   * @example
+   * await server.expirePaymentLink(link.id);
+   */
+  async expirePaymentLink(paymentLinkId) {
+    const link = this.findRecord("paymentLinks", paymentLinkId, "Payment link");
+
+    if (link.status !== "active") {
+      throw new Error(`Payment link ${paymentLinkId} is ${link.status}`);
+    }
+
+    const now = new Date().toISOString();
+    link.status = "expired";
+
+    const history = this.save("paymentLinkHistories", {
+      id: this.nextId("plh"),
+      account_id: link.account_id,
+      payment_link_id: link.id,
+      reff_no: link.reff_no,
+      transaction_id: this.nextTransactionId(),
+      amount: link.total_amount,
+      status: "expired",
+      created_at: now,
+    });
+
+    const webhook = await this.deliverWebhook(WEBHOOK_EVENTS.PAYMENT_EXPIRED, {
+      transaction_id: history.transaction_id,
+      reff_no: link.reff_no,
+      account_id: link.account_id,
+      amount: link.total_amount,
+      currency: "IDR",
+      payment_method: "PAYMENT_LINK",
+      status: "expired",
+      updated_at: now,
+    });
+
+    return { history, webhook };
+  }
+
+  /**
+   * Simulate a processing disbursement completing
+   *
+   * Marks the disbursement as successful and delivers a
+   * `disbursement.completed` webhook. The balance was already debited when
+   * the transfer was accepted.
+   *
+   * @param {string} disbursementId Disbursement ID
+   * @returns {Promise<{disbursement: object, webhook: object|null}>} Promise resolving to the disbursement and the webhook delivery result (null without webhookUrl, `{error}` when delivery fails)
+   *
+   * @throws {Error} When the disbursement does not exist or is not processing
+   *
+   * @example
+   * const result = await singapay.disbursement.transfer(accountId, transfer);
+   * await server.completeDisbursement(result.id);
+   */
+  async completeDisbursement(disbursementId) {
+    const disbursement = this.findProcessing(disbursementId);
+    disbursement.status = "success";
+    disbursement.updated_at = new Date().toISOString();
+
+    const webhook = await this.deliverWebhook(
+      WEBHOOK_EVENTS.DISBURSEMENT_COMPLETED,
+      this.getDisbursementEvent(disbursement, "completed")
+    );
+
+    return { disbursement, webhook };
+  }
+
+  /**
+   * Simulate a processing disbursement failing
+   *
+   * Marks the disbursement as failed, refunds the amount and fee to the
+   * account with a statement entry, and delivers a `disbursement.failed`
+   * webhook.
+   *
+   * @param {string} disbursementId Disbursement ID
+   * @param {string} [reason='Beneficiary account not found'] Failure reason
+   * @returns {Promise<{disbursement: object, webhook: object|null}>} Promise resolving to the disbursement and the webhook delivery result (null without webhookUrl, `{error}` when delivery fails)
+   *
+   * @throws {Error} When the disbursement does not exist or is not processing
+   *
+   * @example
+   * await server.failDisbursement(result.id, 'Beneficiary bank is offline');
+   */
+  async failDisbursement(
+    disbursementId,
+    reason = "Beneficiary account not found"
+  ) {
+    const disbursement = this.findProcessing(disbursementId);
+    const account = this.findAccount(disbursement.account_id);
+
+    account.balance += disbursement.total_amount;
+    Object.assign(disbursement, {
+      status: "failed",
+      failure_reason: reason,
+      updated_at: new Date().toISOString(),
+    });
+
+    this.addStatement(account, "credit", disbursement.total_amount, {
+      description: `Refund of disbursement ${disbursement.reference_number}`,
+      reference_number: disbursement.reference_number,
+    });
+
+    const webhook = await this.deliverWebhook(
+      WEBHOOK_EVENTS.DISBURSEMENT_FAILED,
+      {
+        ...this.getDisbursementEvent(disbursement, "failed"),
+        failure_reason: reason,
+      }
+    );
+
+    return { disbursement, webhook };
+  }
+
+  /**
+   * Check the API key and bearer token of a request
+   *
+   * @private
+   * @param {object} context Parsed request
+   * @returns {void}
+   *
+   * @throws {FakeApiError} When the API key or token is missing, unknown, or expired
+   */
+  authorize({ headers }) {
+    this.checkApiKey(headers);
+
+    const token = this.getBearerToken(headers);
+    const expiresAt = this.tokens.get(token);
+
+    if (!expiresAt || Date.now() >= expiresAt) {
+      this.tokens.delete(token);
+      throw new FakeApiError(
+        401,
+        "INVALID_TOKEN",
+        "Access token is invalid or expired"
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @param {object} headers Lower-case request headers
+   * @returns {void}
+   *
+   * @throws {FakeApiError} When the X-PARTNER-ID header does not match the API key
+   */
+  checkApiKey(headers) {
+    if (headers["x-partner-id"] !== this.apiKey) {
+      throw new FakeApiError(401, "INVALID_PARTNER", "Invalid API key");
+    }
+  }
+
+  /**
+   * @private
+   * @param {object} headers Lower-case request headers
+   * @returns {number} X-Timestamp in UNIX seconds
+   *
+   * @throws {FakeApiError} When the timestamp is missing or outside the tolerance
+   */
+  checkTimestamp(headers) {
+    const timestamp = Number(headers["x-timestamp"]);
+
+    if (
+      !Number.isFinite(timestamp) ||
+      !Signature.isTimestampWithinTolerance(timestamp, this.timestampTolerance)
+    ) {
+      throw new FakeApiError(
+        401,
+        "INVALID_TIMESTAMP",
+        "X-Timestamp is missing or outside the allowed window"
+      );
+    }
+
+    return timestamp;
+  }
+
+  /**
+   * @private
+   * @param {object} headers Lower-case request headers
+   * @returns {string} Bearer token, or an empty string
+   */
+  getBearerToken(headers) {
+    return (headers.authorization || "").replace(/^Bearer\s+/i, "");
+  }
+
+  /**
+   * Compare signatures in constant time
+   *
+   * @private
+   * @param {string} expected Expected signature
+   * @param {string} [received] Received signature
+   * @returns {boolean} True if the signatures are equal
+   */
+  signaturesMatch(expected, received) {
+    const expectedBuffer = Buffer.from(expected);
+    const receivedBuffer = Buffer.from(received || "");
+
+    return (
+      expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer)
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} rawBody Raw request body
+   * @returns {object|null} Parsed JSON body, or null when empty
+   *
+   * @throws {FakeApiError} When the body is not valid JSON
+   */
+  parseBody(rawBody) {
+    if (!rawBody) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(rawBody);
+    } catch {
+      throw new FakeApiError(400, "INVALID_JSON", "Malformed JSON body");
+    }
+  }
+
+  /**
+   * @private
+   * @param {object|null} body Request body
+   * @param {string[]} required Required field names
+   * @returns {void}
+   *
+   * @throws {FakeApiError} With field errors when a required field is missing
+   */
+  validate(body, required) {
+    const errors = {};
+
+    for (const field of required) {
+      if (
+        body?.[field] === undefined ||
+        body[field] === null ||
+        body[field] === ""
+      ) {
+        errors[field] = `The ${field} field is required`;
+      }
+    }
+
+    if (Object.keys(errors).length > 0) {
+      throw new FakeApiError(
+        422,
+        "VALIDATION_ERROR",
+        "Validation failed",
+        errors
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} accountId Account ID
+   * @param {string} [reference] Reference number of the new record
+   * @returns {void}
+   *
+   * @throws {FakeApiError} When another record of the account uses the reference number
+   */
+  checkReference(collection, accountId, reference) {
+    if (
+      reference &&
+      this.findAll(collection, accountId).some(
+        (record) => record.reference_number === reference
+      )
+    ) {
+      throw new FakeApiError(
+        409,
+        "DUPLICATE_REFERENCE",
+        `Reference number ${reference} already exists`
+      );
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} accountId Account ID
+   * @returns {object} Stored account
+   *
+   * @throws {FakeApiError} When the account does not exist
+   */
+  findAccount(accountId) {
+    const account = this.store.accounts.get(accountId);
+
+    if (!account) {
+      throw new FakeApiError(
+        404,
+        "ACCOUNT_NOT_FOUND",
+        `Account ${accountId} not found`
+      );
+    }
+
+    return account;
+  }
+
+  /**
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} accountId Account ID
+   * @returns {object[]} Records of the account, oldest first
+   */
+  findAll(collection, accountId) {
+    return [...this.store[collection].values()].filter(
+      (record) => record.account_id === accountId
+    );
+  }
+
+  /**
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} accountId Account ID
+   * @param {string} id Record ID
+   * @returns {object} Stored record
+   *
+   * @throws {FakeApiError} When the record does not exist or belongs to another account
+   */
+  find(collection, accountId, id) {
+    const record = this.store[collection].get(id);
+
+    if (!record || record.account_id !== accountId) {
+      throw new FakeApiError(404, "NOT_FOUND", `Record ${id} not found`);
+    }
+
+    return record;
+  }
+
+  /**
+   * @private
+   * @param {string} collection Collection name
+   * @param {object} record Record with an ID
+   * @returns {object} Stored record
+   */
+  save(collection, record) {
+    this.store[collection].set(record.id, record);
+    return record;
+  }
+
+  /**
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} accountId Account ID
+   * @param {string} id Record ID
+   * @param {object|null} changes Updated fields
+   * @returns {object} Updated record
+   */
+  update(collection, accountId, id, changes) {
+    const record = this.find(collection, accountId, id);
+
+    return Object.assign(record, changes, {
+      id,
+      account_id: accountId,
+      updated_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} accountId Account ID
+   * @param {string} id Record ID
+   * @returns {{id: string, deleted: boolean}} Deletion result
+   */
+  remove(collection, accountId, id) {
+    this.find(collection, accountId, id);
+    this.store[collection].delete(id);
+    return { id, deleted: true };
+  }
+
+  /**
+   * Find a record by ID in any account
+   *
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} id Record ID
+   * @param {string} label Record name for error messages
+   * @returns {object} Stored record
+   *
+   * @throws {Error} When the record does not exist
+   */
+  findRecord(collection, id, label) {
+    const record = this.store[collection].get(id);
+
+    if (!record) {
+      throw new Error(`${label} ${id} not found`);
+    }
+
+    return record;
+  }
+
+  /**
+   * Find an active, unexpired VA or QRIS code
+   *
+   * @private
+   * @param {string} collection Collection name
+   * @param {string} id Record ID
+   * @param {string} label Record name for error messages
+   * @returns {object} Stored record
+   *
+   * @throws {Error} When the record does not exist, is not active, or has expired
+   */
+  findPayable(collection, id, label) {
+    const record = this.findRecord(collection, id, label);
+
+    if (record.status !== "active") {
+      throw new Error(`${label} ${id} is ${record.status}`);
+    }
+
+    if (record.expired_at && new Date(record.expired_at) <= new Date()) {
+      record.status = "expired";
+      throw new Error(`${label} ${id} has expired`);
+    }
+
+    return record;
+  }
+
+  /**
+   * @private
+   * @param {string} id Disbursement ID
+   * @returns {object} Stored disbursement
+   *
+   * @throws {Error} When the disbursement does not exist or is not processing
+   */
+  findProcessing(id) {
+    const disbursement = this.findRecord("disbursements", id, "Disbursement");
+
+    if (disbursement.status !== "processing") {
+      throw new Error(`Disbursement ${id} is ${disbursement.status}`);
+    }
+
+    return disbursement;
+  }
+
+  /**
+   * @private
+   * @param {object} disbursement Stored disbursement
+   * @param {string} status Webhook status
+   * @returns {object} Disbursement webhook event data
+   */
+  getDisbursementEvent(disbursement, status) {
+    return {
+      transaction_id: disbursement.transaction_id,
+      reference_number: disbursement.reference_number,
+      account_id: disbursement.account_id,
+      amount: disbursement.amount,
+      fee: disbursement.fee,
+      bank_swift_code: disbursement.bank_swift_code,
+      bank_account_number: disbursement.bank_account_number,
+      beneficiary_name: disbursement.beneficiary_name,
+      status,
+      updated_at: disbursement.updated_at,
+    };
+  }
+
+  /**
+   * Deliver a signed webhook if a webhook URL is configured
+   *
+   * @private
+   * @param {string} eventType Event type identifier
+   * @param {object} data Event data
+   * @returns {Promise<object|null>} Promise resolving to the delivery result, `{error}` when delivery fails, or null without webhookUrl
+   */
+  async deliverWebhook(eventType, data) {
+    if (!this.webhooks) {
+      return null;
+    }
+
+    try {
+      return await this.webhooks.deliver(eventType, data);
+    } catch (error) {
+      return { error };
+    }
+  }
+
+  /**
+   * @private
+   * @returns {string} New SingaPay-style transaction ID
+   */
+  nextTransactionId() {
+    return `TRX${Date.now()}${this.nextId("trx").slice(4)}`;
+  }
+
+  /**
+   * Record a balance change on the account statement
+   *
+   * @private
+   * @param {object} account Stored account, with the balance already updated
+   * @param {string} type 'credit' or 'debit'
+   * @param {number} amount Amount in IDR
+   * @param {object} [details={}] Additional statement fields
+   * @returns {object} Statement entry
+   */
+  addStatement(account, type, amount, details = {}) {
+    return this.save("statements", {
+      id: this.nextId("stmt"),
+      account_id: account.id,
+      transaction_date: new Date().toISOString(),
+      transaction_type: type,
+      amount,
+      running_balance: account.balance,
+      ...details,
+    });
+  }
+
+  /**
+   * @private
+   * @param {string} prefix ID prefix
+   * @returns {string} Next ID with the prefix (e.g. acc_1)
+   */
+  nextId(prefix) {
+    const sequence = (this.sequences.get(prefix) || 0) + 1;
+    this.sequences.set(prefix, sequence);
+    return `${prefix}_${sequence}`;
+  }
+
+  /**
+   * @private
+   * @param {*} data Response data
+   * @param {number} [status=200] HTTP status code
+   * @returns {{status: number, data: object}} Successful response
+   */
+  ok(data, status = 200) {
+    return { status, data: { success: true, data } };
+  }
+
+  /**
+   * @private
+   * @param {object[]} items All records
+   * @param {URLSearchParams} query Query with page and per_page
+   * @returns {{status: number, data: object}} Paginated response
+   */
+  page(items, query) {
+    const perPage = Math.max(Number(query.get("per_page")) || 25, 1);
+    const currentPage = Math.max(Number(query.get("page")) || 1, 1);
+    const start = (currentPage - 1) * perPage;
+
+    return {
+      status: 200,
+      data: {
+        success: true,
+        data: items.slice(start, start + perPage),
+        pagination: {
+          current_page: currentPage,
+          per_page: perPage,
+          total: items.length,
+          total_pages: Math.ceil(items.length / perPage),
+        },
+      },
+    };
+  }
+}
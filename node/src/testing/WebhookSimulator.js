@@ -0,0 +1,296 @@
+import crypto from "crypto";
+import { WEBHOOK_EVENTS } from "../constants.js";
+import { FetchTransport } from "../http/transports/FetchTransport.js";
+import { Signature } from "../security/Signature.js";
+
+/**
+ * WebhookSimulator - Local Webhook Delivery Simulator
+ *
+ * Builds realistic SingaPay webhook payloads, signs them with the configured
+ * HMAC validation key using the same scheme the SDK verifies, and delivers
+ * them to a local endpoint with the X-Timestamp and X-Signature headers.
+ *
+ * Delivery options can produce invalid signatures, stale timestamps, and
+ * duplicate deliveries so negative paths can be tested end to end without
+ * SingaPay sending anything.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookSimulator {
+  /**
+   * Creates a new WebhookSimulator instance
+   *
+   * @param {SingaPay|Config} source SingaPay instance or Config providing the HMAC validation key
+   * @param {object} [options={}] Simulator options
+   * @param {string} [options.url] Default URL webhooks are delivered to
+   * @param {string} [options.hmacValidationKey] HMAC key overriding the configured one
+   * @param {TransportInterface} [options.transport] Transport delivering the webhooks (default: FetchTransport with the global fetch)
+   *
+   * @example
+   * const simulator = new WebhookSimulator(singapay, {
+   *   url: 'http://localhost:3000/webhooks/singapay'
+   * });
+   *
+   * const result = await simulator.deliver('va.paid', { amount: 150000 });
+   * console.log(result.response.statusCode); // 200
+   */
+  constructor(source, options = {}) {
+    /**
+     * @private
+     * @type {Config}
+     */
+    this.config = source.getConfig ? source.getConfig() : source;
+    /**
+     * @private
+     * @type {string|null}
+     */
+    this.url = options.url || null;
+    /**
+     * @private
+     * @type {string|null}
+     */
+    this.hmacValidationKey =
+      options.hmacValidationKey || this.config.getHmacValidationKey();
+    /**
+     * Transport delivering the webhooks, created on first use when not given
+     *
+     * @private
+     * @type {TransportInterface|null}
+     */
+    this.transport = options.transport || null;
+  }
+
+  /**
+   * Build a realistic webhook payload
+   *
+   * @param {string} eventType Event type identifier (e.g., 'va.paid')
+   * @param {object} [data={}] Fields overriding the generated event data
+   * @param {object} [envelope={}] Fields overriding the generated envelope (event_id, timestamp)
+   * @returns {object} Webhook payload
+   *
+   * @example
+   * const payload = simulator.buildPayload('disbursement.failed', {
+   *   reference_number: 'TRX-001',
+   *   failure_reason: 'Invalid beneficiary account'
+   * });
+   */
+  buildPayload(eventType, data = {}, envelope = {}) {
+    return {
+      event_type: eventType,
+      event_id: `evt_${crypto.randomBytes(12).toString("hex")}`,
+      timestamp: new Date().toISOString(),
+      ...envelope,
+      data: {
+        ...this.generateData(eventType),
+        ...data,
+      },
+    };
+  }
+
+  /**
+   * Sign a webhook payload
+   *
+   * @param {object|string} payload Webhook payload or raw JSON body
+   * @param {object} [options={}] Signing options
+   * @param {string|number} [options.timestamp] Timestamp to sign with (default: now, in UNIX seconds)
+   * @param {string} [options.hmacValidationKey] HMAC key overriding the simulator's key
+   * @returns {{body: string, timestamp: string, signature: string, headers: object}} Signed request parts
+   *
+   * @throws {Error} If no HMAC validation key is available
+   */
+  sign(payload, options = {}) {
+    const hmacKey = options.hmacValidationKey || this.hmacValidationKey;
+
+    if (!hmacKey) {
+      throw new Error("HMAC Validation Key is required for webhook simulation");
+    }
+
+    const body =
+      typeof payload === "string" ? payload : JSON.stringify(payload);
+    const timestamp = String(
+      options.timestamp ?? Math.floor(Date.now() / 1000)
+    );
+    const signature = Signature.signWebhook(timestamp, body, hmacKey);
+
+    return {
+      body,
+      timestamp,
+      signature,
+      headers: {
+        "Content-Type": "application/json",
+        "X-Timestamp": timestamp,
+        "X-Signature": signature,
+      },
+    };
+  }
+
+  /**
+   * Build, sign, and deliver a webhook to a local endpoint
+   *
+   * @param {string} eventType Event type identifier (e.g., 'payment.success')
+   * @param {object} [data={}] Fields overriding the generated event data
+   * @param {object} [options={}] Delivery options
+   * @param {string} [options.url] URL overriding the simulator's default URL
+   * @param {object} [options.envelope] Fields overriding the generated envelope
+   * @param {boolean} [options.invalidSignature=false] Send a signature made with the wrong key
+   * @param {boolean|number} [options.stale=false] Send a stale timestamp; a number sets its age in seconds
+   * @param {number} [options.duplicates=0] Number of additional identical deliveries
+   * @returns {Promise<{payload: object, request: object, response: object, responses: object[]}>} Promise resolving to the delivery result
+   *
+   * @throws {Error} If no URL is configured or the request cannot be sent
+   *
+   * @example
+   * // Replay the same signed webhook twice to test deduplication
+   * const { responses } = await simulator.deliver('va.paid', {}, {
+   *   duplicates: 1
+   * });
+   *
+   * @example
+   * // Expect the receiver to reject stale webhooks
+   * const { response } = await simulator.deliver('va.paid', {}, { stale: true });
+   * assert.equal(response.statusCode, 401);
+   */
+  async deliver(eventType, data = {}, options = {}) {
+    const url = options.url || this.url;
+
+    if (!url) {
+      throw new Error("A delivery URL is required for webhook simulation");
+    }
+
+    const payload = this.buildPayload(eventType, data, options.envelope);
+    const request = this.sign(payload, {
+      timestamp: this.resolveTimestamp(options.stale),
+      hmacValidationKey: options.invalidSignature
+        ? crypto.randomBytes(32).toString("hex")
+        : undefined,
+    });
+
+    const responses = [];
+    const deliveries = 1 + (options.duplicates || 0);
+
+    for (let i = 0; i < deliveries; i++) {
+      responses.push(await this.send(url, request));
+    }
+
+    return {
+      payload,
+      request: { url, ...request },
+      response: responses[0],
+      responses,
+    };
+  }
+
+  /**
+   * Send a signed webhook request
+   *
+   * @private
+   * @param {string} url Delivery URL
+   * @param {object} request Signed request parts
+   * @returns {Promise<{statusCode: number, headers: object, body: *}>} Promise resolving to the receiver's response
+   */
+  async send(url, request) {
+    if (!this.transport) {
+      this.transport = new FetchTransport();
+    }
+
+    const response = await this.transport.send({
+      method: "POST",
+      url,
+      headers: request.headers,
+      data: request.body,
+    });
+
+    return {
+      statusCode: response.status,
+      headers: response.headers,
+      body: response.data,
+    };
+  }
+
+  /**
+   * Resolve the timestamp to sign with
+   *
+   * @private
+   * @param {boolean|number|undefined} stale Stale option
+   * @returns {number} UNIX timestamp in seconds
+   */
+  resolveTimestamp(stale) {
+    const now = Math.floor(Date.now() / 1000);
+
+    if (!stale) {
+      return now;
+    }
+
+    const age =
+      typeof stale === "number"
+        ? stale
+        : (this.config.getWebhookTolerance?.() || 300) + 60;
+
+    return now - age;
+  }
+
+  /**
+   * Generate realistic event data for an event type
+   *
+   * @private
+   * @param {string} eventType Event type identifier
+   * @returns {object} Event data
+   */
+  generateData(eventType) {
+    const accountId = `acc_${crypto.randomBytes(6).toString("hex")}`;
+    const transactionId = `TRX${Date.now()}`;
+    const now = new Date().toISOString();
+
+    switch (eventType) {
+      case WEBHOOK_EVENTS.PAYMENT_SUCCESS:
+      case WEBHOOK_EVENTS.PAYMENT_FAILED:
+      case WEBHOOK_EVENTS.PAYMENT_EXPIRED:
+        return {
+          transaction_id: transactionId,
+          reff_no: `INV-${Date.now()}`,
+          account_id: accountId,
+          amount: 150000,
+          currency: "IDR",
+          payment_method: "QRIS",
+          status: eventType.split(".")[1],
+          updated_at: now,
+        };
+      case WEBHOOK_EVENTS.DISBURSEMENT_COMPLETED:
+      case WEBHOOK_EVENTS.DISBURSEMENT_FAILED:
+        return {
+          transaction_id: transactionId,
+          reference_number: `DISB-${Date.now()}`,
+          account_id: accountId,
+          amount: 250000,
+          fee: 2500,
+          bank_swift_code: "BRINIDJA",
+          bank_account_number: "1234567890",
+          beneficiary_name: "John Doe",
+          status: eventType.split(".")[1],
+          ...(eventType === WEBHOOK_EVENTS.DISBURSEMENT_FAILED && {
+            failure_reason: "Beneficiary account not found",
+          }),
+          updated_at: now,
+        };
+      case WEBHOOK_EVENTS.VA_CREATED:
+      case WEBHOOK_EVENTS.VA_PAID:
+        return {
+          va_id: `va_${crypto.randomBytes(6).toString("hex")}`,
+          va_number: `8808${String(Date.now()).slice(-10)}`,
+          account_id: accountId,
+          bank_code: "BRI",
+          kind: "temporary",
+          amount: 150000,
+          status: eventType === WEBHOOK_EVENTS.VA_PAID ? "paid" : "active",
+          ...(eventType === WEBHOOK_EVENTS.VA_PAID && {
+            transaction_id: transactionId,
+            paid_amount: 150000,
+            paid_at: now,
+          }),
+        };
+      default:
+        return {};
+    }
+  }
+}
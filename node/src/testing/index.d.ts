@@ -0,0 +1,337 @@
+import type {
+  Config,
+  SingaPay,
+  TransportInterface,
+  TransportRequest,
+  TransportResponse,
+  WebhookEventType,
+} from "../index";
+
+/**
+ * Signed webhook request parts
+ */
+export interface SignedWebhookRequest {
+  body: string;
+  timestamp: string;
+  signature: string;
+  headers: Record<string, string>;
+}
+
+/**
+ * Response received by a simulated webhook delivery
+ */
+export interface SimulatedWebhookResponse {
+  statusCode: number;
+  headers: Record<string, any>;
+  body: any;
+}
+
+/**
+ * Options for simulated webhook delivery
+ */
+export interface WebhookDeliveryOptions {
+  url?: string;
+  envelope?: Record<string, any>;
+  invalidSignature?: boolean;
+  stale?: boolean | number;
+  duplicates?: number;
+}
+
+/**
+ * Request as stored in a cassette, with secrets redacted and timestamps normalized
+ */
+export interface CassetteRequest {
+  method: string;
+  path: string;
+  headers: Record<string, string>;
+  body: any;
+}
+
+/**
+ * Recorded request/response pair
+ */
+export interface CassetteInteraction {
+  request: CassetteRequest;
+  response: TransportResponse;
+}
+
+/**
+ * Options of a cassette
+ */
+export interface CassetteOptions {
+  /**
+   * Path of the JSON cassette file
+   */
+  path: string;
+
+  /**
+   * Record interactions, or serve recorded ones (default: 'replay')
+   */
+  mode?: "record" | "replay";
+
+  /**
+   * Request parts that must match, or a custom comparison (default: method, path, and body)
+   */
+  match?:
+    | Array<"method" | "path" | "body">
+    | ((request: CassetteRequest, recorded: CassetteRequest) => boolean);
+
+  /**
+   * Field and header names redacted in addition to Cassette.DEFAULT_REDACTED_FIELDS
+   */
+  redactFields?: string[];
+
+  /**
+   * Field and header names normalized in addition to Cassette.DEFAULT_TIMESTAMP_FIELDS
+   */
+  timestampFields?: string[];
+
+  /**
+   * Replay the last matching interaction again once all were played (default: false)
+   */
+  allowRepeats?: boolean;
+}
+
+/**
+ * Cassette - Record/Replay of HTTP Interactions
+ *
+ * Records requests and responses into a JSON cassette file and replays them
+ * without network access.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class Cassette {
+  static DEFAULT_REDACTED_FIELDS: string[];
+  static DEFAULT_TIMESTAMP_FIELDS: string[];
+
+  constructor(options: CassetteOptions);
+
+  /**
+   * Send a request through the cassette
+   */
+  send(
+    request: TransportRequest,
+    transport: TransportInterface
+  ): Promise<TransportResponse>;
+
+  /**
+   * Get the cassette mode
+   */
+  getMode(): "record" | "replay";
+
+  /**
+   * Get the recorded interactions
+   */
+  getInteractions(): Promise<CassetteInteraction[]>;
+
+  /**
+   * Check whether every recorded interaction was replayed
+   */
+  isExhausted(): Promise<boolean>;
+}
+
+/**
+ * Options of the fake SingaPay server
+ */
+export interface FakeSingaPayServerOptions {
+  clientId: string;
+  clientSecret: string;
+  apiKey: string;
+
+  /**
+   * Lifetime of issued access tokens in seconds (default: 3600)
+   */
+  tokenTtl?: number;
+
+  /**
+   * Maximum age of signed request timestamps in seconds (default: 300)
+   */
+  timestampTolerance?: number;
+
+  /**
+   * Disbursement fee in IDR (default: 2500)
+   */
+  transferFee?: number;
+
+  /**
+   * Balance of new accounts in IDR (default: 10000000)
+   */
+  initialBalance?: number;
+
+  /**
+   * URL simulated payments deliver webhooks to (default: no webhooks)
+   */
+  webhookUrl?: string;
+
+  /**
+   * HMAC key signing the simulated webhooks, required with webhookUrl
+   */
+  hmacValidationKey?: string;
+}
+
+/**
+ * Webhook delivered by a FakeSingaPayServer simulation
+ */
+export type SimulatedWebhookDelivery = Awaited<
+  ReturnType<WebhookSimulator["deliver"]>
+>;
+
+/**
+ * Webhook delivery of a simulated payment that failed to reach the receiver
+ */
+export interface FailedWebhookDelivery {
+  error: Error;
+}
+
+/**
+ * FakeSingaPayServer - Stateful In-Memory SingaPay API
+ *
+ * Implements every SingaPay B2B endpoint the SDK resources call, in process
+ * or as a local HTTP server.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class FakeSingaPayServer {
+  constructor(options: FakeSingaPayServerOptions);
+
+  /**
+   * Remove all accounts, transactions, and issued tokens
+   */
+  reset(): this;
+
+  /**
+   * Add an account without going through the API
+   */
+  addAccount(data?: Record<string, any>): Record<string, any>;
+
+  /**
+   * Create a transport sending requests to this server in process
+   */
+  createTransport(): TransportInterface;
+
+  /**
+   * Start serving the API over HTTP; resolves to the base URL
+   */
+  listen(port?: number, host?: string): Promise<string>;
+
+  /**
+   * Stop the HTTP server started by listen()
+   */
+  close(): Promise<void>;
+
+  /**
+   * Get the base URL of the HTTP server, or null if not listening
+   */
+  getUrl(): string | null;
+
+  /**
+   * Handle an API request
+   */
+  handle(request: {
+    method: string;
+    url: string;
+    headers?: Record<string, string>;
+    body?: string;
+  }): Promise<TransportResponse>;
+
+  /**
+   * Simulate a customer paying a virtual account and deliver a va.paid webhook
+   */
+  payVirtualAccount(
+    vaId: string,
+    amount?: number
+  ): Promise<{
+    transaction: Record<string, any>;
+    webhook: SimulatedWebhookDelivery | FailedWebhookDelivery | null;
+  }>;
+
+  /**
+   * Simulate a customer paying a QRIS code and deliver a payment.success webhook
+   */
+  payQris(
+    qrisId: string,
+    amount?: number
+  ): Promise<{
+    qris: Record<string, any>;
+    webhook: SimulatedWebhookDelivery | FailedWebhookDelivery | null;
+  }>;
+
+  /**
+   * Simulate a payment link expiring and deliver a payment.expired webhook
+   */
+  expirePaymentLink(paymentLinkId: string): Promise<{
+    history: Record<string, any>;
+    webhook: SimulatedWebhookDelivery | FailedWebhookDelivery | null;
+  }>;
+
+  /**
+   * Complete a processing disbursement and deliver a disbursement.completed webhook
+   */
+  completeDisbursement(disbursementId: string): Promise<{
+    disbursement: Record<string, any>;
+    webhook: SimulatedWebhookDelivery | FailedWebhookDelivery | null;
+  }>;
+
+  /**
+   * Fail a processing disbursement, refund it, and deliver a disbursement.failed webhook
+   */
+  failDisbursement(
+    disbursementId: string,
+    reason?: string
+  ): Promise<{
+    disbursement: Record<string, any>;
+    webhook: SimulatedWebhookDelivery | FailedWebhookDelivery | null;
+  }>;
+}
+
+/**
+ * WebhookSimulator - Local Webhook Delivery Simulator
+ *
+ * Builds, signs, and delivers SingaPay webhook payloads for local testing.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookSimulator {
+  constructor(
+    source: SingaPay | Config,
+    options?: {
+      url?: string;
+      hmacValidationKey?: string;
+      transport?: TransportInterface;
+    }
+  );
+
+  /**
+   * Build a realistic webhook payload
+   */
+  buildPayload(
+    eventType: WebhookEventType | string,
+    data?: Record<string, any>,
+    envelope?: Record<string, any>
+  ): Record<string, any>;
+
+  /**
+   * Sign a webhook payload
+   */
+  sign(
+    payload: Record<string, any> | string,
+    options?: { timestamp?: string | number; hmacValidationKey?: string }
+  ): SignedWebhookRequest;
+
+  /**
+   * Build, sign, and deliver a webhook to a local endpoint
+   */
+  deliver(
+    eventType: WebhookEventType | string,
+    data?: Record<string, any>,
+    options?: WebhookDeliveryOptions
+  ): Promise<{
+    payload: Record<string, any>;
+    request: SignedWebhookRequest & { url: string };
+    response: SimulatedWebhookResponse;
+    responses: SimulatedWebhookResponse[];
+  }>;
+}
@@ -0,0 +1,17 @@
+/**
+ * SingaPay Payment Gateway SDK - Testing Utilities
+ *
+ * Utilities for testing SingaPay integrations locally, published separately
+ * from the main entry point so production bundles do not include them.
+ *
+ * @module @singapay/payment-gateway/testing
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ *
+ * @example
+ * import { FakeSingaPayServer } from '@singapay/payment-gateway/testing';
+ */
+
+export { Cassette } from "./Cassette.js";
+export { FakeSingaPayServer } from "./FakeSingaPayServer.js";
+export { WebhookSimulator } from "./WebhookSimulator.js";
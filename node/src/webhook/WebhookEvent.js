@@ -0,0 +1,90 @@
+import { WEBHOOK_EVENTS } from "../constants.js";
+
+/**
+ * WebhookEvent - Parsed Webhook Notification
+ *
+ * A normalized representation of a webhook notification sent by SingaPay.
+ * Exposes the event type, identifier, and data payload regardless of minor
+ * differences in the notification envelope, while keeping the original
+ * payload available for fields the SDK does not model.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookEvent {
+  /**
+   * Creates a new WebhookEvent instance
+   *
+   * @param {object} payload Parsed webhook request body
+   * @param {string|null} rawBody Raw webhook request body as received (default: null)
+   *
+   * @example
+   * const event = new WebhookEvent({
+   *   event_type: 'va.paid',
+   *   event_id: 'evt_123',
+   *   data: { amount: 150000 }
+   * });
+   */
+  constructor(payload, rawBody = null) {
+    /**
+     * @type {string|null}
+     */
+    this.type = payload.event_type ?? payload.event ?? payload.type ?? null;
+    /**
+     * @type {string|null}
+     */
+    this.id = payload.event_id ?? payload.id ?? null;
+    /**
+     * @type {object}
+     */
+    this.data = payload.data ?? payload;
+    /**
+     * @type {string|null}
+     */
+    this.createdAt = payload.created_at ?? payload.timestamp ?? null;
+    /**
+     * @type {object}
+     */
+    this.payload = payload;
+    /**
+     * @type {string|null}
+     */
+    this.rawBody = rawBody;
+    /**
+     * @type {boolean}
+     */
+    this.duplicate = false;
+    /**
+     * @type {string|null}
+     */
+    this.keyId = null;
+  }
+
+  /**
+   * Check if the event type is one documented by SingaPay
+   *
+   * @returns {boolean} True if the event type is listed in WEBHOOK_EVENTS
+   *
+   * @example
+   * if (!event.isKnownType()) {
+   *   console.warn(`Unrecognized webhook event: ${event.type}`);
+   * }
+   */
+  isKnownType() {
+    return Object.values(WEBHOOK_EVENTS).includes(this.type);
+  }
+
+  /**
+   * Convert event to plain object
+   *
+   * @returns {object} Plain object with type, id, data and createdAt
+   */
+  toObject() {
+    return {
+      type: this.type,
+      id: this.id,
+      data: this.data,
+      createdAt: this.createdAt,
+    };
+  }
+}
@@ -0,0 +1,239 @@
+import { WebhookException } from "../exceptions/SingaPayException.js";
+import { WebhookEvent } from "./WebhookEvent.js";
+import { WebhookIdempotencyStore } from "./WebhookIdempotencyStore.js";
+
+/**
+ * WebhookHandler - Webhook Event Dispatcher
+ *
+ * Verifies, parses, and routes SingaPay webhook notifications to listeners
+ * registered per event type. Events without a registered listener are passed
+ * to catch-all listeners instead of failing, so new event types introduced by
+ * SingaPay do not break existing receivers.
+ *
+ * When an idempotency store is configured, redelivered events are acknowledged
+ * without invoking listeners again.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookHandler {
+  /**
+   * Creates a new WebhookHandler instance
+   *
+   * @param {SingaPay} singapay SingaPay instance used for signature verification
+   * @param {object} [options={}] Handler options
+   * @param {WebhookIdempotencyStore} [options.idempotencyStore] Store used to deduplicate redelivered events
+   * @param {CacheInterface} [options.cache] Cache to build a default WebhookIdempotencyStore from
+   *
+   * @example
+   * const handler = new WebhookHandler(singapay, {
+   *   cache: new RedisCache(redisClient)
+   * });
+   *
+   * handler.on('va.paid', async (event) => {
+   *   await orders.markPaid(event.data.reff_no, event.data.amount);
+   * });
+   */
+  constructor(singapay, options = {}) {
+    /**
+     * @private
+     * @type {SingaPay}
+     */
+    this.singapay = singapay;
+    /**
+     * @private
+     * @type {Map<string, Function[]>}
+     */
+    this.listeners = new Map();
+    /**
+     * @private
+     * @type {Function[]}
+     */
+    this.unknownListeners = [];
+    /**
+     * @private
+     * @type {WebhookIdempotencyStore|null}
+     */
+    this.idempotencyStore =
+      options.idempotencyStore ||
+      (options.cache ? new WebhookIdempotencyStore(options.cache) : null);
+  }
+
+  /**
+   * Register a listener for an event type
+   *
+   * Multiple listeners can be registered for the same event type; they are
+   * invoked sequentially in registration order.
+   *
+   * @param {string} eventType Event type identifier (e.g., 'payment.success')
+   * @param {Function} listener Listener receiving the WebhookEvent
+   * @returns {WebhookHandler} Returns this for method chaining
+   *
+   * @example
+   * handler.on('disbursement.failed', (event) => {
+   *   console.error('Transfer failed:', event.data.reference_number);
+   * });
+   */
+  on(eventType, listener) {
+    if (!this.listeners.has(eventType)) {
+      this.listeners.set(eventType, []);
+    }
+    this.listeners.get(eventType).push(listener);
+    return this;
+  }
+
+  /**
+   * Remove a previously registered listener
+   *
+   * @param {string} eventType Event type identifier
+   * @param {Function} listener Listener to remove
+   * @returns {WebhookHandler} Returns this for method chaining
+   */
+  off(eventType, listener) {
+    const listeners = this.listeners.get(eventType) || [];
+    this.listeners.set(
+      eventType,
+      listeners.filter((registered) => registered !== listener)
+    );
+    return this;
+  }
+
+  /**
+   * Register a catch-all listener for unhandled event types
+   *
+   * Called for any event whose type has no listener registered through on().
+   *
+   * @param {Function} listener Listener receiving the WebhookEvent
+   * @returns {WebhookHandler} Returns this for method chaining
+   *
+   * @example
+   * handler.onUnknown((event) => {
+   *   console.warn(`Unhandled webhook event: ${event.type}`);
+   * });
+   */
+  onUnknown(listener) {
+    this.unknownListeners.push(listener);
+    return this;
+  }
+
+  /**
+   * Verify, parse, and dispatch a webhook request
+   *
+   * With an idempotency store, an event that was already processed is returned
+   * with `duplicate` set to true and its listeners are not called again.
+   *
+   * @param {string} timestamp Webhook timestamp (X-Timestamp header)
+   * @param {string|Buffer|object} body Raw webhook request body
+   * @param {string} signature Webhook signature (X-Signature header)
+   * @returns {Promise<WebhookEvent>} Promise resolving to the dispatched event
+   *
+   * @throws {WebhookException} When the signature is missing or invalid (401), the body is malformed (400), or the event is still being processed by another delivery (409)
+   *
+   * @example
+   * const event = await handler.handle(
+   *   req.headers['x-timestamp'],
+   *   rawBody,
+   *   req.headers['x-signature']
+   * );
+   */
+  async handle(timestamp, body, signature) {
+    if (!timestamp || !signature) {
+      throw new WebhookException(
+        "Missing webhook timestamp or signature header",
+        401
+      );
+    }
+
+    const rawBody = Buffer.isBuffer(body)
+      ? body.toString("utf8")
+      : typeof body === "string"
+      ? body
+      : JSON.stringify(body);
+
+    const { valid, keyId } = this.singapay.verifyWebhook(
+      timestamp,
+      rawBody,
+      signature
+    );
+
+    if (!valid) {
+      throw new WebhookException("Invalid webhook signature", 401);
+    }
+
+    const event = this.parse(rawBody);
+    event.keyId = keyId;
+
+    if (!this.idempotencyStore) {
+      await this.dispatch(event);
+      return event;
+    }
+
+    const key = WebhookIdempotencyStore.keyFor(event);
+
+    if (!(await this.idempotencyStore.begin(key))) {
+      const state = await this.idempotencyStore.getState(key);
+
+      if (state !== WebhookIdempotencyStore.STATE_COMPLETED) {
+        throw new WebhookException(
+          "Webhook event is already being processed",
+          409
+        );
+      }
+
+      event.duplicate = true;
+      return event;
+    }
+
+    try {
+      await this.dispatch(event);
+    } catch (error) {
+      await this.idempotencyStore.release(key);
+      throw error;
+    }
+
+    await this.idempotencyStore.complete(key);
+
+    return event;
+  }
+
+  /**
+   * Parse a raw webhook body into a WebhookEvent
+   *
+   * Does not verify the signature; use handle() for untrusted input.
+   *
+   * @param {string} rawBody Raw JSON webhook body
+   * @returns {WebhookEvent} Parsed webhook event
+   *
+   * @throws {WebhookException} When the body is not a JSON object (400)
+   */
+  parse(rawBody) {
+    let payload;
+
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      throw new WebhookException("Malformed webhook payload", 400, error);
+    }
+
+    if (payload === null || typeof payload !== "object") {
+      throw new WebhookException("Malformed webhook payload", 400);
+    }
+
+    return new WebhookEvent(payload, rawBody);
+  }
+
+  /**
+   * Dispatch an event to its registered listeners
+   *
+   * @param {WebhookEvent} event Event to dispatch
+   * @returns {Promise<void>}
+   */
+  async dispatch(event) {
+    const listeners = this.listeners.get(event.type) || [];
+    const targets = listeners.length > 0 ? listeners : this.unknownListeners;
+
+    for (const listener of targets) {
+      await listener(event);
+    }
+  }
+}
@@ -0,0 +1,140 @@
+import crypto from "crypto";
+
+/**
+ * WebhookIdempotencyStore - Webhook Deduplication Record
+ *
+ * Tracks which webhook events have been processed so redelivered events are
+ * not handled twice. Each event moves through two states: `processing` while
+ * its listeners run, and `completed` once they succeed. The processing record
+ * expires after a short TTL and is removed when a listener fails, so an event
+ * interrupted by a crash or error is retried instead of being skipped.
+ *
+ * Records are stored through any CacheInterface implementation; use a shared
+ * backend such as RedisCache when webhooks are received by several processes.
+ *
+ * @package '@singapay/payment-gateway'
+ * @author PT. Abadi Singapay Indonesia
+ */
+export class WebhookIdempotencyStore {
+  /**
+   * @constant {string} STATE_PROCESSING Event listeners are currently running
+   */
+  static STATE_PROCESSING = "processing";
+
+  /**
+   * @constant {string} STATE_COMPLETED Event listeners finished successfully
+   */
+  static STATE_COMPLETED = "completed";
+
+  /**
+   * Creates a new WebhookIdempotencyStore instance
+   *
+   * @param {CacheInterface} cache Cache backend for deduplication records
+   * @param {object} [options={}] Store options
+   * @param {number} [options.processingTtl=60] Seconds before an unfinished processing record expires
+   * @param {number} [options.completedTtl=604800] Seconds a completed record is remembered
+   * @param {string} [options.prefix='webhook_'] Key prefix for deduplication records
+   *
+   * @example
+   * const store = new WebhookIdempotencyStore(new RedisCache(redis), {
+   *   completedTtl: 3 * 24 * 3600
+   * });
+   * const handler = new WebhookHandler(singapay, { idempotencyStore: store });
+   */
+  constructor(cache, options = {}) {
+    /**
+     * @private
+     * @type {CacheInterface}
+     */
+    this.cache = cache;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.processingTtl = options.processingTtl || 60;
+    /**
+     * @private
+     * @type {number}
+     */
+    this.completedTtl = options.completedTtl || 7 * 24 * 3600;
+    /**
+     * @private
+     * @type {string}
+     */
+    this.prefix = options.prefix || "webhook_";
+  }
+
+  /**
+   * Derive the deduplication key for an event
+   *
+   * Uses the event ID when present, otherwise the SHA-256 hash of the raw body.
+   *
+   * @param {WebhookEvent} event Parsed webhook event
+   * @returns {string} Deduplication key
+   */
+  static keyFor(event) {
+    if (event.id) {
+      return `id:${event.id}`;
+    }
+
+    const body = event.rawBody ?? JSON.stringify(event.payload);
+    return `hash:${crypto.createHash("sha256").update(body).digest("hex")}`;
+  }
+
+  /**
+   * Claim an event for processing
+   *
+   * Atomically creates a processing record if none exists.
+   *
+   * @param {string} key Deduplication key
+   * @returns {Promise<boolean>} Promise resolving to true if claimed, false if already processing or completed
+   */
+  async begin(key) {
+    return this.cache.add(
+      this.prefix + key,
+      {
+        state: WebhookIdempotencyStore.STATE_PROCESSING,
+        updatedAt: Date.now(),
+      },
+      this.processingTtl
+    );
+  }
+
+  /**
+   * Mark an event as successfully processed
+   *
+   * @param {string} key Deduplication key
+   * @returns {Promise<boolean>} Promise resolving to true when the record is stored
+   */
+  async complete(key) {
+    return this.cache.set(
+      this.prefix + key,
+      {
+        state: WebhookIdempotencyStore.STATE_COMPLETED,
+        updatedAt: Date.now(),
+      },
+      this.completedTtl
+    );
+  }
+
+  /**
+   * Release a processing claim so the event can be retried
+   *
+   * @param {string} key Deduplication key
+   * @returns {Promise<boolean>} Promise resolving to true when the record is removed
+   */
+  async release(key) {
+    return this.cache.delete(this.prefix + key);
+  }
+
+  /**
+   * Get the current state of an event
+   *
+   * @param {string} key Deduplication key
+   * @returns {Promise<string|null>} Promise resolving to 'processing', 'completed', or null if unknown
+   */
+  async getState(key) {
+    const record = await this.cache.get(this.prefix + key);
+    return record?.state ?? null;
+  }
+}
@@ -0,0 +1,178 @@
+import { WebhookException } from "../exceptions/SingaPayException.js";
+import { WebhookHandler } from "./WebhookHandler.js";
+
+/**
+ * Default maximum size of a webhook body read from the request stream
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_BODY_LIMIT = 1024 * 1024; // bytes
+
+/**
+ * Create an Express/Connect middleware for SingaPay webhooks
+ *
+ * The middleware resolves the raw request body, verifies the X-Timestamp and
+ * X-Signature headers, dispatches the event through a WebhookHandler, attaches
+ * the verified event to the request, and sends the acknowledgement response.
+ *
+ * The raw body is taken, in order of preference, from a Buffer or string
+ * `req.body` (e.g. `express.raw()` or `express.text()`), from `req.rawBody`
+ * (see captureRawBody()), or from the request stream when no body parser
+ * consumed it. A non-empty parsed `req.body` without a raw copy is
+ * re-serialized as a last resort; JSON.stringify() may differ from the signed
+ * bytes (key order, whitespace, unicode escapes), in which case the signature
+ * check fails, so keep the raw body with `express.raw()` or captureRawBody().
+ * An empty parsed body (e.g. `{}` left by a parser that skipped the request)
+ * is ignored and the stream is read instead.
+ *
+ * Invalid signatures are answered with 401 and malformed payloads with 400.
+ * Duplicate deliveries are acknowledged, while deliveries of an event still
+ * being processed elsewhere are answered with 409 so SingaPay retries later.
+ * Errors thrown by listeners are passed to next() so SingaPay retries delivery.
+ *
+ * @param {WebhookHandler|SingaPay} handler Webhook handler, or SingaPay instance to create one for
+ * @param {object} [options={}] Middleware options
+ * @param {string} [options.property='singapayEvent'] Request property the verified event is attached to
+ * @param {boolean} [options.acknowledge=true] Send the acknowledgement response; when false, next() is called instead
+ * @param {object} [options.acknowledgement={status:'success'}] JSON body of the acknowledgement response
+ * @param {number} [options.limit=1048576] Maximum body size in bytes when reading the request stream
+ * @returns {Function} Middleware function (req, res, next)
+ *
+ * @example
+ * const handler = new WebhookHandler(singapay)
+ *   .on('va.paid', (event) => orders.markPaid(event.data.reff_no));
+ *
+ * app.post(
+ *   '/webhooks/singapay',
+ *   express.raw({ type: 'application/json' }),
+ *   createWebhookMiddleware(handler)
+ * );
+ */
+export function createWebhookMiddleware(handler, options = {}) {
+  const webhookHandler =
+    handler instanceof WebhookHandler ? handler : new WebhookHandler(handler);
+  const property = options.property || "singapayEvent";
+  const acknowledge = options.acknowledge ?? true;
+  const acknowledgement = options.acknowledgement || { status: "success" };
+  const limit = options.limit || DEFAULT_BODY_LIMIT;
+
+  return async function singapayWebhookMiddleware(req, res, next) {
+    let event;
+
+    try {
+      const rawBody = await resolveRawBody(req, limit);
+      event = await webhookHandler.handle(
+        req.headers["x-timestamp"],
+        rawBody,
+        req.headers["x-signature"]
+      );
+    } catch (error) {
+      if (error instanceof WebhookException) {
+        sendJson(res, error.code, { error: error.message });
+        return;
+      }
+      next(error);
+      return;
+    }
+
+    req[property] = event;
+
+    if (!acknowledge) {
+      next();
+      return;
+    }
+
+    sendJson(res, 200, acknowledgement);
+  };
+}
+
+/**
+ * Body parser `verify` callback that keeps a copy of the raw body
+ *
+ * Use with `express.json()` when webhook routes share a JSON body parser,
+ * so the middleware can verify the signature against the exact bytes received.
+ *
+ * @param {object} req Incoming request
+ * @param {object} _res Server response
+ * @param {Buffer} buffer Raw request body
+ * @returns {void}
+ *
+ * @example
+ * app.use(express.json({ verify: captureRawBody }));
+ */
+export function captureRawBody(req, _res, buffer) {
+  req.rawBody = buffer;
+}
+
+/**
+ * Resolve the raw webhook body from the request
+ *
+ * @private
+ * @param {object} req Incoming request
+ * @param {number} limit Maximum body size in bytes when reading the stream
+ * @returns {Promise<string>} Promise resolving to the raw body
+ *
+ * @throws {WebhookException} When the body exceeds the size limit (413)
+ */
+async function resolveRawBody(req, limit) {
+  if (Buffer.isBuffer(req.body) || typeof req.body === "string") {
+    return req.body.toString("utf8");
+  }
+
+  if (Buffer.isBuffer(req.rawBody) || typeof req.rawBody === "string") {
+    return req.rawBody.toString("utf8");
+  }
+
+  if (!isEmptyBody(req.body)) {
+    return JSON.stringify(req.body);
+  }
+
+  const chunks = [];
+  let size = 0;
+
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) {
+      throw new WebhookException("Webhook payload too large", 413);
+    }
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Check whether a parsed body is missing or empty
+ *
+ * @private
+ * @param {*} body Parsed request body
+ * @returns {boolean} True when there is no parsed content to re-serialize
+ */
+function isEmptyBody(body) {
+  if (body === undefined || body === null) {
+    return true;
+  }
+
+  return typeof body === "object" && Object.keys(body).length === 0;
+}
+
+/**
+ * Send a JSON response on Express or plain Node.js responses
+ *
+ * @private
+ * @param {object} res Server response
+ * @param {number} statusCode HTTP status code
+ * @param {object} body Response body
+ * @returns {void}
+ */
+function sendJson(res, statusCode, body) {
+  if (typeof res.status === "function" && typeof res.json === "function") {
+    res.status(statusCode).json(body);
+    return;
+  }
+
+  res.statusCode = statusCode;
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,220 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import { MemoryCache } from "../../src/cache/MemoryCache.js";
+import { Config } from "../../src/Config.js";
+import { AuthenticationException } from "../../src/exceptions/SingaPayException.js";
+import { Client } from "../../src/http/Client.js";
+import { Response } from "../../src/http/Response.js";
+import { Authentication } from "../../src/security/Authentication.js";
+
+const TOKEN_ENDPOINT = "/api/v1.1/access-token/b2b";
+
+/**
+ * Build a client whose transport simulates the token endpoint and a
+ * protected endpoint that only accepts the most recently issued token.
+ * Workers created with the same server share its token state.
+ */
+function createFakeApi(cache = null, server = null) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    retryDelay: 1,
+  });
+  const auth = new Authentication(config, null, cache);
+  const client = new Client(config, auth);
+  auth.setClient(client);
+
+  const api = { tokenRequests: 0, currentToken: null, client, auth };
+  const state = server || api;
+
+  client.request = async (method, endpoint, body, headers) => {
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    if (endpoint === TOKEN_ENDPOINT) {
+      state.tokenRequests++;
+      state.currentToken = `token-${state.tokenRequests}`;
+      return new Response(200, {
+        success: true,
+        data: { access_token: state.currentToken, expires_in: 3600 },
+      });
+    }
+
+    if (headers.Authorization !== `Bearer ${state.currentToken}`) {
+      throw new AuthenticationException("Token expired", 401);
+    }
+
+    return new Response(200, { success: true, data: { ok: true } });
+  };
+
+  api.call = async () => {
+    const token = await auth.getAccessToken();
+    return client.get("/api/v1.0/accounts", {
+      Authorization: `Bearer ${token}`,
+    });
+  };
+
+  return api;
+}
+
+describe("Authentication single-flight refresh", () => {
+  it("should authenticate once for concurrent cold-start requests", async () => {
+    const api = createFakeApi();
+
+    const tokens = await Promise.all(
+      Array.from({ length: 10 }, () => api.auth.getAccessToken())
+    );
+
+    expect(api.tokenRequests).toBe(1);
+    expect(new Set(tokens)).toEqual(new Set(["token-1"]));
+  });
+
+  it("should refresh once and retry every request rejected with the expired token", async () => {
+    const api = createFakeApi();
+    await api.auth.getAccessToken();
+    api.currentToken = "revoked";
+
+    const responses = await Promise.all(
+      Array.from({ length: 10 }, () => api.call())
+    );
+
+    expect(api.tokenRequests).toBe(2);
+    expect(responses.every((response) => response.isSuccess())).toBe(true);
+  });
+
+  it("should share a failed refresh with every waiting caller", async () => {
+    const api = createFakeApi();
+    api.client.request = async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      api.tokenRequests++;
+      return new Response(401, { success: false, message: "Bad credentials" });
+    };
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 5 }, () => api.auth.getAccessToken())
+    );
+
+    expect(api.tokenRequests).toBe(1);
+    expect(results.every((result) => result.status === "rejected")).toBe(true);
+    expect(results[0].reason).toBeInstanceOf(AuthenticationException);
+  });
+
+  it("should skip the refresh when the stale token was already replaced", async () => {
+    const api = createFakeApi();
+    await api.auth.authenticate();
+    await api.auth.refreshToken("token-1");
+
+    await expect(api.auth.refreshToken("token-1")).resolves.toBe("token-2");
+    expect(api.tokenRequests).toBe(2);
+  });
+});
+
+describe("Authentication token lifetime", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should expose the token issue time, expiry time and seconds remaining", async () => {
+    const api = createFakeApi();
+
+    expect(api.auth.getTokenInfo()).toBeNull();
+
+    await api.auth.getAccessToken();
+    const info = api.auth.getTokenInfo();
+
+    expect(info.expiresAt - info.issuedAt).toBe(3600 * 1000);
+    expect(info.secondsRemaining).toBeGreaterThan(3590);
+    expect(info.secondsRemaining).toBeLessThanOrEqual(3600);
+  });
+
+  it("should renew the token in the background before it expires", async () => {
+    jest.useFakeTimers({ now: 0 });
+    const api = createFakeApi();
+
+    const firstToken = api.auth.getAccessToken();
+    await jest.advanceTimersByTimeAsync(10);
+    await expect(firstToken).resolves.toBe("token-1");
+
+    await jest.advanceTimersByTimeAsync((3600 - 60) * 1000 - 10);
+    await expect(api.auth.getAccessToken()).resolves.toBe("token-1");
+    expect(api.tokenRequests).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(20);
+    await expect(api.auth.getAccessToken()).resolves.toBe("token-2");
+    expect(api.tokenRequests).toBe(2);
+  });
+
+  it("should accept tokens cached as plain strings", async () => {
+    const cache = new MemoryCache();
+    await cache.set("access_token", "legacy-token", 600);
+    const api = createFakeApi(cache);
+
+    await expect(api.auth.getAccessToken()).resolves.toBe("legacy-token");
+    expect(api.auth.getTokenInfo()).toEqual({
+      issuedAt: null,
+      expiresAt: null,
+      secondsRemaining: null,
+    });
+    expect(api.tokenRequests).toBe(0);
+  });
+});
+
+describe("Authentication shared cache lock", () => {
+  it("should let one worker authenticate while the others wait for its token", async () => {
+    const cache = new MemoryCache();
+    const server = { tokenRequests: 0, currentToken: null };
+    const workers = Array.from({ length: 5 }, () =>
+      createFakeApi(cache, server)
+    );
+
+    const tokens = await Promise.all(
+      workers.map((worker) => worker.auth.getAccessToken())
+    );
+
+    expect(server.tokenRequests).toBe(1);
+    expect(new Set(tokens)).toEqual(new Set(["token-1"]));
+  });
+
+  it("should refresh an expired token once across workers", async () => {
+    const cache = new MemoryCache();
+    const server = { tokenRequests: 0, currentToken: null };
+    const workers = Array.from({ length: 5 }, () =>
+      createFakeApi(cache, server)
+    );
+    await Promise.all(workers.map((worker) => worker.auth.getAccessToken()));
+    server.currentToken = "revoked";
+
+    const responses = await Promise.all(workers.map((worker) => worker.call()));
+
+    expect(server.tokenRequests).toBe(2);
+    expect(responses.every((response) => response.isSuccess())).toBe(true);
+    await expect(cache.get("access_token")).resolves.toMatchObject({
+      accessToken: "token-2",
+    });
+  });
+
+  it("should hold the lock for longer than a token request may take", async () => {
+    const cache = new MemoryCache();
+    const api = createFakeApi(cache);
+    const acquireLock = jest.spyOn(cache, "acquireLock");
+    const post = jest.spyOn(api.client, "post");
+
+    await api.auth.getAccessToken();
+
+    const [, ttl] = acquireLock.mock.calls[0];
+    const [, , , options] = post.mock.calls[0];
+    expect(options.totalTimeout).toBeGreaterThan(0);
+    expect(ttl).toBeGreaterThan(options.totalTimeout);
+  });
+
+  it("should only release a lock with its own token", async () => {
+    const cache = new MemoryCache();
+    const lock = await cache.acquireLock("lock", 30);
+
+    await expect(cache.acquireLock("lock", 30)).resolves.toBeNull();
+    await expect(cache.releaseLock("lock", "other-token")).resolves.toBe(false);
+    await expect(cache.releaseLock("lock", lock)).resolves.toBe(true);
+    await expect(cache.acquireLock("lock", 30)).resolves.toEqual(
+      expect.any(String)
+    );
+  });
+});
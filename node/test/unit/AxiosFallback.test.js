@@ -0,0 +1,49 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+
+jest.unstable_mockModule("axios", () => {
+  throw new Error("Cannot find module 'axios'");
+});
+
+const { Config } = await import("../../src/Config.js");
+const { Client } = await import("../../src/http/Client.js");
+const { AxiosTransport } = await import(
+  "../../src/http/transports/AxiosTransport.js"
+);
+
+describe("Default transport without axios", () => {
+  const originalFetch = globalThis.fetch;
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it("should send requests with fetch", async () => {
+    const calls = [];
+    globalThis.fetch = async (url, init) => {
+      calls.push({ url, init });
+      return new globalThis.Response(
+        JSON.stringify({ success: true, data: { balance: 1000 } }),
+        { status: 200 }
+      );
+    };
+    const client = new Client(
+      new Config({ clientId: "a", clientSecret: "b", apiKey: "c" }),
+      null
+    );
+
+    const response = await client.get("/api/v1.0/balance-inquiry");
+
+    expect(response.getData()).toEqual({ balance: 1000 });
+    expect(calls[0].url).toBe(
+      "https://sandbox-payment-b2b.singapay.id/api/v1.0/balance-inquiry"
+    );
+    expect(client.getTransport()).toBeInstanceOf(AxiosTransport);
+    expect(client.getHttpClient()).toBeNull();
+  });
+
+  it("should fail with install instructions without a fallback", async () => {
+    await expect(
+      new AxiosTransport().send({ method: "GET", url: "http://127.0.0.1:1" })
+    ).rejects.toThrow("The axios transport requires the axios package");
+  });
+});
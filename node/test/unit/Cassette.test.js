@@ -0,0 +1,180 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { FetchTransport } from "../../src/http/transports/FetchTransport.js";
+import * as sdk from "../../src/index.js";
+import { SingaPay } from "../../src/SingaPay.js";
+import { Cassette } from "../../src/testing/index.js";
+
+const transfer = {
+  amount: 250000,
+  bank_swift_code: "BRINIDJA",
+  bank_account_number: "1234567890",
+  reference_number: "DISB-001",
+};
+
+/**
+ * Build a SingaPay instance whose API replies through the given fetch
+ */
+function createSingaPay(fetch, cassette) {
+  return new SingaPay({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    logging: false,
+    maxRetries: 1,
+    retryDelay: 1,
+    transport: new FetchTransport({ fetch }),
+    cassette,
+  });
+}
+
+/**
+ * Fake SingaPay API issuing a token and accepting transfers
+ */
+async function sandboxFetch(url, init) {
+  const reply = (body) =>
+    new globalThis.Response(JSON.stringify(body), {
+      status: 200,
+      headers: { "x-request-id": "req-1" },
+    });
+
+  if (url.endsWith("/access-token/b2b")) {
+    return reply({
+      success: true,
+      data: { access_token: "live-secret-token", expires_in: 3600 },
+    });
+  }
+
+  return reply({
+    success: true,
+    data: { ...JSON.parse(init.body), status: "processing" },
+  });
+}
+
+const offline = async () => {
+  throw new Error("Network access during replay");
+};
+
+describe("Cassette", () => {
+  let directory;
+  let cassettePath;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), "singapay-cassette-"));
+    cassettePath = path.join(directory, "cassettes", "transfer.json");
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it("should only be exported from the testing entry point", () => {
+    expect(sdk).not.toHaveProperty("Cassette");
+    expect(sdk).not.toHaveProperty("FakeSingaPayServer");
+    expect(sdk).not.toHaveProperty("WebhookSimulator");
+  });
+
+  it("should reject unknown modes and match fields", () => {
+    expect(() => new Cassette({ path: "a.json", mode: "live" })).toThrow(
+      "Invalid cassette mode: live"
+    );
+    expect(() => new Cassette({ path: "a.json", match: ["headers"] })).toThrow(
+      "Invalid cassette match field: headers"
+    );
+  });
+
+  it("should record interactions with secrets redacted", async () => {
+    const singapay = createSingaPay(
+      sandboxFetch,
+      new Cassette({
+        path: cassettePath,
+        mode: "record",
+      })
+    );
+
+    await singapay.disbursement.transfer("acc_1", transfer);
+
+    const contents = await fs.readFile(cassettePath, "utf8");
+    expect(contents).not.toContain("live-secret-token");
+    expect(contents).not.toContain("test-secret");
+
+    const { version, interactions } = JSON.parse(contents);
+    expect(version).toBe(1);
+    expect(interactions.map(({ request }) => request.path)).toEqual([
+      "/api/v1.1/access-token/b2b",
+      "/api/v1.0/disbursement/acc_1/transfer",
+    ]);
+    expect(interactions[1].request.headers).toMatchObject({
+      Authorization: "[REDACTED]",
+      "X-Signature": "[REDACTED]",
+      "X-Timestamp": "[TIMESTAMP]",
+    });
+    expect(interactions[0].response.data.data.access_token).toBe("[REDACTED]");
+  });
+
+  it("should replay recorded responses without network access", async () => {
+    await createSingaPay(
+      sandboxFetch,
+      new Cassette({
+        path: cassettePath,
+        mode: "record",
+      })
+    ).disbursement.transfer("acc_1", transfer);
+
+    const cassette = new Cassette({ path: cassettePath });
+    const singapay = createSingaPay(offline, cassette);
+
+    await expect(
+      singapay.disbursement.transfer("acc_1", transfer)
+    ).resolves.toMatchObject({ status: "processing", amount: 250000 });
+    expect(await cassette.isExhausted()).toBe(true);
+  });
+
+  it("should fail loudly on unmatched requests", async () => {
+    await createSingaPay(
+      sandboxFetch,
+      new Cassette({
+        path: cassettePath,
+        mode: "record",
+      })
+    ).disbursement.transfer("acc_1", transfer);
+
+    const singapay = createSingaPay(
+      offline,
+      new Cassette({ path: cassettePath })
+    );
+
+    const error = await singapay.disbursement
+      .transfer("acc_1", { ...transfer, amount: 100 })
+      .catch((e) => e);
+
+    expect(error.message).toMatch(
+      /No unplayed interaction in cassette .* matches POST \/api\/v1.0\/disbursement\/acc_1\/transfer/
+    );
+    expect(error.originalError.code).toBe("ERR_CASSETTE_UNMATCHED");
+  });
+
+  it("should match by the configured request parts", async () => {
+    await createSingaPay(
+      sandboxFetch,
+      new Cassette({
+        path: cassettePath,
+        mode: "record",
+      })
+    ).disbursement.transfer("acc_1", transfer);
+
+    const singapay = createSingaPay(
+      offline,
+      new Cassette({
+        path: cassettePath,
+        match: ["method", "path"],
+      })
+    );
+
+    await expect(
+      singapay.disbursement.transfer("acc_1", { ...transfer, amount: 100 })
+    ).resolves.toMatchObject({ amount: 250000 });
+  });
+});
@@ -0,0 +1,177 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import {
+  ApiException,
+  CircuitOpenException,
+  ValidationException,
+} from "../../src/exceptions/SingaPayException.js";
+import { CircuitBreaker } from "../../src/http/CircuitBreaker.js";
+import {
+  createStubClient,
+  createStubTransport,
+  networkError,
+  serverError as serverErrorReply,
+} from "./helpers/stubTransport.js";
+
+const serverError = () => new ApiException("Service unavailable", 503);
+
+describe("CircuitBreaker", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should open after consecutive failures and reject requests", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+    breaker.beforeRequest("api");
+    breaker.afterRequest("api", serverError());
+    expect(breaker.getState("api")).toBe(CircuitBreaker.CLOSED);
+
+    breaker.beforeRequest("api");
+    breaker.afterRequest("api", serverError());
+    expect(breaker.getState("api")).toBe(CircuitBreaker.OPEN);
+    expect(() => breaker.beforeRequest("api")).toThrow(CircuitOpenException);
+  });
+
+  it("should not count client errors as failures", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+
+    breaker.beforeRequest("api");
+    breaker.afterRequest("api", new ValidationException("Invalid", {}, 422));
+
+    expect(breaker.getState("api")).toBe(CircuitBreaker.CLOSED);
+  });
+
+  it("should ignore cancelled requests and unmatched cassette replays", () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    const cancelled = new ApiException("canceled", 0, {
+      code: "ERR_CANCELED",
+    });
+    const unmatched = new ApiException("No interaction", 0, {
+      code: "ERR_CASSETTE_UNMATCHED",
+    });
+
+    for (const error of [cancelled, unmatched]) {
+      breaker.beforeRequest("api");
+      breaker.afterRequest("api", error);
+    }
+
+    expect(breaker.getState("api")).toBe(CircuitBreaker.CLOSED);
+    expect(CircuitBreaker.isFailure(cancelled)).toBe(false);
+    expect(
+      CircuitBreaker.isFailure(
+        new ApiException("getaddrinfo ENOTFOUND", 0, { code: "ENOTFOUND" })
+      )
+    ).toBe(true);
+  });
+
+  it("should let one trial request through after the cool-down", () => {
+    jest.useFakeTimers({ now: 0 });
+    const changes = [];
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      coolDown: 10,
+      onStateChange: (change) => changes.push(change.to),
+    });
+    breaker.beforeRequest("api");
+    breaker.afterRequest("api", serverError());
+
+    jest.setSystemTime(10000);
+    breaker.beforeRequest("api");
+    expect(breaker.getState("api")).toBe(CircuitBreaker.HALF_OPEN);
+    expect(() => breaker.beforeRequest("api")).toThrow(CircuitOpenException);
+
+    breaker.afterRequest("api", null);
+    expect(breaker.getState("api")).toBe(CircuitBreaker.CLOSED);
+    expect(changes).toEqual(["open", "half_open", "closed"]);
+  });
+
+  it("should re-open when the trial request fails", () => {
+    jest.useFakeTimers({ now: 0 });
+    const breaker = new CircuitBreaker({ failureThreshold: 1, coolDown: 10 });
+    breaker.beforeRequest("api");
+    breaker.afterRequest("api", serverError());
+
+    jest.setSystemTime(10000);
+    breaker.beforeRequest("api");
+    breaker.afterRequest("api", serverError());
+
+    expect(breaker.getState("api")).toBe(CircuitBreaker.OPEN);
+    expect(() => breaker.beforeRequest("api")).toThrow(CircuitOpenException);
+  });
+
+  it("should scope circuits by endpoint group", () => {
+    const breaker = new CircuitBreaker({ scope: "endpoint" });
+
+    expect(
+      breaker.getScope("https://api", "/api/v1.0/disbursement/acc_1/transfer")
+    ).toBe("https://api disbursement");
+    expect(breaker.getScope("https://api", "/api/v1.0/accounts")).toBe(
+      "https://api accounts"
+    );
+  });
+});
+
+describe("Client circuit breaker", () => {
+  it("should fail fast without reaching the API while the circuit is open", async () => {
+    const transport = createStubTransport(
+      serverErrorReply(),
+      serverErrorReply()
+    );
+    const client = createStubClient(transport);
+    client.config.setMaxRetries(0);
+    client.setCircuitBreaker(new CircuitBreaker({ failureThreshold: 2 }));
+
+    await expect(client.get("/api/v1.0/accounts")).rejects.toThrow(
+      "Service unavailable"
+    );
+    await expect(client.get("/api/v1.0/accounts")).rejects.toThrow(
+      "Service unavailable"
+    );
+    await expect(client.get("/api/v1.0/accounts")).rejects.toBeInstanceOf(
+      CircuitOpenException
+    );
+    expect(transport.requests).toHaveLength(2);
+  });
+
+  it("should stop retrying once the circuit opens", async () => {
+    const transport = createStubTransport(serverErrorReply());
+    const client = createStubClient(transport);
+    client.config.setMaxRetries(3);
+    client.setCircuitBreaker(new CircuitBreaker({ failureThreshold: 1 }));
+
+    await expect(client.get("/api/v1.0/accounts")).rejects.toBeInstanceOf(
+      CircuitOpenException
+    );
+    expect(transport.requests).toHaveLength(1);
+  });
+
+  it("should leave the circuit closed when requests are aborted", async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    const transport = {
+      send: (request) =>
+        new Promise((resolve, reject) => {
+          request.signal.addEventListener("abort", () =>
+            reject(networkError("ERR_CANCELED", "canceled"))
+          );
+        }),
+    };
+    const client = createStubClient(transport);
+    client.config.setMaxRetries(0);
+    client.setCircuitBreaker(breaker);
+
+    for (let i = 0; i < 3; i++) {
+      const controller = new AbortController();
+      const request = client.get(
+        "/api/v1.0/accounts",
+        {},
+        { signal: controller.signal }
+      );
+      setTimeout(() => controller.abort(), 0);
+
+      await expect(request).rejects.toThrow("canceled");
+    }
+
+    expect(Object.values(breaker.getStates())).toEqual([CircuitBreaker.CLOSED]);
+  });
+});
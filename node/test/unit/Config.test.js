@@ -31,4 +31,23 @@ describe("Config", () => {
     expect(config.getMaxRetries()).toBe(3);
     expect(config.isAutoReauthEnabled()).toBe(true);
   });
+
+  it("should accept multiple HMAC validation keys and skip retired ones", () => {
+    const config = new Config({
+      clientId: "test-id",
+      clientSecret: "test-secret",
+      apiKey: "test-key",
+      hmacValidationKeys: [
+        { id: "current", key: "new-key" },
+        { id: "previous", key: "old-key", retiresAt: Date.now() + 60000 },
+        { id: "expired", key: "older-key", retiresAt: Date.now() - 60000 },
+      ],
+    });
+
+    expect(config.getHmacValidationKey()).toBe("new-key");
+    expect(config.getHmacValidationKeys().map((key) => key.id)).toEqual([
+      "current",
+      "previous",
+    ]);
+  });
 });
@@ -0,0 +1,169 @@
+import { describe, expect, it } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import {
+  ApiException,
+  ConflictException,
+  DuplicateReferenceException,
+  InsufficientBalanceException,
+  NotFoundException,
+  RateLimitException,
+  ServerException,
+  ValidationException,
+} from "../../src/exceptions/SingaPayException.js";
+import { Client } from "../../src/http/Client.js";
+import { FetchTransport } from "../../src/http/transports/FetchTransport.js";
+
+/**
+ * Build a client without retries whose API replies with the given status,
+ * body, and headers
+ */
+function createClient(status, body, headers = {}) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+  }).setMaxRetries(0);
+  const fakeFetch = async () =>
+    new globalThis.Response(JSON.stringify(body), { status, headers });
+  const client = new Client(config, null).setTransport(
+    new FetchTransport({ fetch: fakeFetch })
+  );
+  // Drop the default logging interceptor to keep the test output quiet
+  client.getInterceptors().splice(0, 1);
+  return client;
+}
+
+const failure = (code, message) => ({
+  success: false,
+  error: { code, message },
+});
+
+describe("Exception mapping", () => {
+  it.each([
+    [404, failure(404, "Account not found"), NotFoundException],
+    [429, failure(429, "Too many requests"), RateLimitException],
+    [409, failure(409, "Request is being processed"), ConflictException],
+    [
+      409,
+      failure("DUPLICATE_REFERENCE", "Reference number already exists"),
+      DuplicateReferenceException,
+    ],
+    [
+      400,
+      failure(400, "Duplicate reference number"),
+      DuplicateReferenceException,
+    ],
+    [
+      422,
+      failure("DUPLICATE_REFERENCE", "Reference already used"),
+      DuplicateReferenceException,
+    ],
+    [403, failure(403, "Insufficient Balance"), InsufficientBalanceException],
+    [
+      400,
+      failure("INSUFFICIENT_FUNDS", "Transfer rejected"),
+      InsufficientBalanceException,
+    ],
+    [502, failure(502, "Bad gateway"), ServerException],
+    [503, failure(503, "Duplicate request in progress"), ServerException],
+    [
+      429,
+      failure("DUPLICATE_REFERENCE", "Duplicate reference, slow down"),
+      RateLimitException,
+    ],
+    [
+      400,
+      failure("VALIDATION_ERROR", "Duplicate reference in items"),
+      ApiException,
+    ],
+    [400, failure(400, "Bad request"), ApiException],
+  ])("should map %i %j", async (status, body, expectedClass) => {
+    const client = createClient(status, body);
+
+    const error = await client.post("/api/v1.0/a", {}).catch((e) => e);
+
+    expect(error).toBeInstanceOf(expectedClass);
+    expect(error).toBeInstanceOf(ApiException);
+    expect(error.name).toBe(expectedClass.name);
+    expect(error.code).toBe(status);
+  });
+
+  it("should carry the response details", async () => {
+    const body = failure("DUPLICATE_REFERENCE", "Reference already used");
+    const client = createClient(409, body, { "X-Request-Id": "req-7" });
+
+    const error = await client
+      .post("/api/v1.0/disbursement/acc_1/transfer", {})
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(DuplicateReferenceException);
+    expect(error.toJSON()).toEqual({
+      name: "DuplicateReferenceException",
+      message: "Reference already used",
+      code: 409,
+      status: 409,
+      errorCode: "DUPLICATE_REFERENCE",
+      endpoint: "/api/v1.0/disbursement/acc_1/transfer",
+      requestId: "req-7",
+      isRetryable: false,
+      body,
+    });
+  });
+
+  it("should flag rate limits and server errors as retryable", async () => {
+    const rateLimited = await createClient(429, failure(429, "Slow down"), {
+      "Retry-After": "2",
+    })
+      .get("/a")
+      .catch((e) => e);
+    const serverError = await createClient(500, failure(500, "Oops"))
+      .get("/a")
+      .catch((e) => e);
+    const notFound = await createClient(404, failure(404, "Missing"))
+      .get("/a")
+      .catch((e) => e);
+
+    expect(rateLimited.isRetryable).toBe(true);
+    expect(rateLimited.retryAfter).toBe(2000);
+    expect(serverError.isRetryable).toBe(true);
+    expect(notFound.isRetryable).toBe(false);
+  });
+
+  it("should keep the details on validation errors", async () => {
+    const client = createClient(
+      422,
+      { success: false, errors: { amount: "Required" } },
+      { "X-Request-Id": "req-9" }
+    );
+
+    const error = await client.post("/a", {}).catch((e) => e);
+
+    expect(error).toBeInstanceOf(ValidationException);
+    expect(error.getErrors()).toEqual({ amount: "Required" });
+    expect(error.requestId).toBe("req-9");
+    expect(error.status).toBe(422);
+  });
+
+  it("should flag transient network errors as retryable", async () => {
+    const config = new Config({
+      clientId: "test-id",
+      clientSecret: "test-secret",
+      apiKey: "test-key",
+    }).setMaxRetries(0);
+    const client = new Client(config, null).setTransport({
+      send: async () => {
+        throw Object.assign(new Error("socket hang up"), {
+          code: "ECONNRESET",
+        });
+      },
+    });
+    client.getInterceptors().splice(0, 1);
+
+    const error = await client.get("/a").catch((e) => e);
+
+    expect(error).toBeInstanceOf(ApiException);
+    expect(error.isRetryable).toBe(true);
+    expect(error.endpoint).toBe("/a");
+    expect(error.status).toBeNull();
+  });
+});
@@ -0,0 +1,474 @@
+import { afterEach, beforeEach, describe, expect, it } from "@jest/globals";
+import http from "http";
+import {
+  AuthenticationException,
+  DuplicateReferenceException,
+  InsufficientBalanceException,
+  NotFoundException,
+} from "../../src/exceptions/SingaPayException.js";
+import { Signature } from "../../src/security/Signature.js";
+import { SingaPay } from "../../src/SingaPay.js";
+import { FakeSingaPayServer } from "../../src/testing/index.js";
+
+const credentials = {
+  clientId: "test-id",
+  clientSecret: "test-secret",
+  apiKey: "test-key",
+};
+
+const transfer = {
+  amount: 250000,
+  bank_swift_code: "BRINIDJA",
+  bank_account_number: "1234567890",
+  reference_number: "DISB-001",
+};
+
+/**
+ * Start a local webhook receiver recording every verified delivery
+ */
+async function startReceiver() {
+  const events = [];
+  const receiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const valid = Signature.verifyWebhook(
+        req.headers["x-timestamp"],
+        body,
+        req.headers["x-signature"],
+        "webhook-key"
+      );
+
+      if (valid) {
+        events.push(JSON.parse(body));
+      }
+
+      res.writeHead(valid ? 200 : 401).end();
+    });
+  });
+
+  await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+
+  return {
+    events,
+    url: `http://127.0.0.1:${receiver.address().port}/webhooks`,
+    close: () => new Promise((resolve) => receiver.close(resolve)),
+  };
+}
+
+/**
+ * Build a SingaPay instance talking to the fake server in process
+ */
+function createSingaPay(server, overrides = {}) {
+  return new SingaPay({
+    ...credentials,
+    logging: false,
+    maxRetries: 1,
+    retryDelay: 1,
+    transport: server.createTransport(),
+    ...overrides,
+  });
+}
+
+describe("FakeSingaPayServer", () => {
+  let server;
+  let singapay;
+
+  beforeEach(() => {
+    server = new FakeSingaPayServer(credentials);
+    singapay = createSingaPay(server);
+  });
+
+  it("should manage accounts and virtual accounts", async () => {
+    const account = await singapay.account.create({
+      name: "Toko Budi",
+      phone: "628123456789",
+      email: "budi@example.com",
+    });
+
+    await singapay.account.updateStatus(account.id, "inactive");
+    const va = await singapay.virtualAccount.create(account.id, {
+      bank_code: "BRI",
+      amount: 150000,
+      kind: "permanent",
+    });
+    const page = await singapay.virtualAccount.list(account.id);
+
+    expect(await singapay.account.get(account.id)).toMatchObject({
+      name: "Toko Budi",
+      status: "inactive",
+    });
+    expect(va).toMatchObject({ bank_name: "Bank Rakyat Indonesia" });
+    expect(va.va_number).toMatch(/^8808\d{10}$/);
+    expect(page.getItems()).toEqual([va]);
+    expect(page.getTotal()).toBe(1);
+  });
+
+  it("should transfer funds, charge the fee, and record a statement", async () => {
+    const account = server.addAccount({ balance: 1000000 });
+
+    const fee = await singapay.disbursement.checkFee(
+      account.id,
+      250000,
+      "BRINIDJA"
+    );
+    const result = await singapay.disbursement.transfer(account.id, transfer);
+    const balance = await singapay.balanceInquiry.getAccountBalance(account.id);
+    const statements = await singapay.statement.list(account.id);
+
+    expect(fee).toEqual({ amount: 250000, fee: 2500, total_amount: 252500 });
+    expect(result).toMatchObject({ status: "processing", fee: 2500 });
+    expect(balance.available_balance).toBe(747500);
+    expect(statements.getItems()).toEqual([
+      expect.objectContaining({
+        transaction_type: "debit",
+        amount: 252500,
+        running_balance: 747500,
+      }),
+    ]);
+  });
+
+  it("should reject insufficient balances and duplicate references", async () => {
+    const account = server.addAccount({ balance: 300000 });
+
+    await singapay.disbursement.transfer(account.id, transfer);
+
+    await expect(
+      singapay.disbursement.transfer(account.id, transfer)
+    ).rejects.toBeInstanceOf(DuplicateReferenceException);
+    await expect(
+      singapay.disbursement.transfer(account.id, {
+        ...transfer,
+        reference_number: "DISB-002",
+      })
+    ).rejects.toBeInstanceOf(InsufficientBalanceException);
+    await expect(singapay.account.get("acc_404")).rejects.toBeInstanceOf(
+      NotFoundException
+    );
+  });
+
+  it("should authenticate replays of idempotent requests", async () => {
+    const account = server.addAccount({ balance: 1000000 });
+    await singapay.disbursement.transfer(account.id, transfer, {
+      idempotencyKey: "transfer-1",
+    });
+
+    const replay = await server.handle({
+      method: "POST",
+      url: `/api/v1.0/disbursement/${account.id}/transfer`,
+      headers: { "X-PARTNER-ID": "test-key", "Idempotency-Key": "transfer-1" },
+      body: JSON.stringify(transfer),
+    });
+
+    expect(replay.status).toBe(401);
+    expect(
+      (await singapay.balanceInquiry.getAccountBalance(account.id))
+        .available_balance
+    ).toBe(747500);
+  });
+
+  it("should support the remaining resources", async () => {
+    const account = server.addAccount();
+
+    const link = await singapay.paymentLink.create(account.id, {
+      reff_no: "PL-001",
+      title: "Order #1",
+      total_amount: 50000,
+      items: [{ name: "Kopi", quantity: 2, unit_price: 25000 }],
+    });
+    const qris = await singapay.qris.generate(account.id, {
+      amount: 50000,
+      expired_at: "2030-12-31 23:59:59",
+    });
+    const withdrawal = await singapay.cardlessWithdrawal.create(account.id, {
+      withdraw_amount: 100000,
+      payment_vendor_code: "ATM_BERSAMA",
+    });
+    const cancelled = await singapay.cardlessWithdrawal.cancel(
+      account.id,
+      withdrawal.id
+    );
+
+    expect(link.payment_url).toContain(link.id);
+    expect(await singapay.qris.get(account.id, qris.id)).toEqual(qris);
+    expect(cancelled.status).toBe("cancelled");
+    expect(
+      (await singapay.balanceInquiry.getAccountBalance(account.id))
+        .available_balance
+    ).toBe(10000000);
+    expect(await singapay.paymentLink.getAvailablePaymentMethods()).toEqual(
+      expect.arrayContaining([expect.objectContaining({ code: "QRIS" })])
+    );
+    expect(
+      await singapay.disbursement.checkBeneficiary("1234567890", "BRINIDJA")
+    ).toMatchObject({ is_valid: true });
+    expect((await singapay.vaTransaction.list(account.id)).getItems()).toEqual(
+      []
+    );
+    expect(
+      (await singapay.paymentLinkHistory.list(account.id)).getItems()
+    ).toEqual([]);
+  });
+
+  it("should check the access token signature", async () => {
+    const impostor = createSingaPay(server, { clientSecret: "wrong-secret" });
+
+    await expect(impostor.account.list()).rejects.toBeInstanceOf(
+      AuthenticationException
+    );
+  });
+
+  it("should reject transfers with an invalid signature", async () => {
+    const account = server.addAccount();
+    const token = await singapay.auth.getAccessToken();
+
+    const response = await server.handle({
+      method: "POST",
+      url: `/api/v1.0/disbursement/${account.id}/transfer`,
+      headers: {
+        "X-PARTNER-ID": "test-key",
+        Authorization: `Bearer ${token}`,
+        "X-Timestamp": String(Math.floor(Date.now() / 1000)),
+        "X-Signature": "forged",
+      },
+      body: JSON.stringify(transfer),
+    });
+
+    expect(response.status).toBe(401);
+    expect(response.data.error.code).toBe("INVALID_SIGNATURE");
+  });
+
+  describe("payment simulations", () => {
+    let receiver;
+
+    beforeEach(async () => {
+      receiver = await startReceiver();
+      server = new FakeSingaPayServer({
+        ...credentials,
+        webhookUrl: receiver.url,
+        hmacValidationKey: "webhook-key",
+      });
+      singapay = createSingaPay(server);
+    });
+
+    afterEach(() => receiver.close());
+
+    it("should pay a virtual account and deliver a signed va.paid webhook", async () => {
+      const account = server.addAccount({ balance: 0 });
+      const va = await singapay.virtualAccount.create(account.id, {
+        bank_code: "BRI",
+        amount: 150000,
+        kind: "temporary",
+        expired_at: "2030-12-31 23:59:59",
+      });
+
+      const { transaction, webhook } = await server.payVirtualAccount(va.id);
+
+      expect(webhook.response.statusCode).toBe(200);
+      expect(receiver.events).toEqual([
+        expect.objectContaining({
+          event_type: "va.paid",
+          data: expect.objectContaining({
+            va_number: va.va_number,
+            paid_amount: 150000,
+            transaction_id: transaction.transaction_id,
+          }),
+        }),
+      ]);
+      expect(
+        await singapay.virtualAccount.get(account.id, va.id)
+      ).toMatchObject({ status: "paid", usage_count: 1 });
+      expect(
+        (await singapay.vaTransaction.list(account.id)).getItems()
+      ).toEqual([transaction]);
+      expect((await singapay.statement.list(account.id)).getItems()).toEqual([
+        expect.objectContaining({
+          transaction_type: "credit",
+          amount: 150000,
+          running_balance: 150000,
+        }),
+      ]);
+      await expect(server.payVirtualAccount(va.id)).rejects.toThrow(
+        `Virtual account ${va.id} is paid`
+      );
+    });
+
+    it("should pay a QRIS code and expire a payment link", async () => {
+      const account = server.addAccount({ balance: 0 });
+      const qris = await singapay.qris.generate(account.id, {
+        amount: 50000,
+        expired_at: "2030-12-31 23:59:59",
+      });
+      const link = await singapay.paymentLink.create(account.id, {
+        reff_no: "PL-001",
+        title: "Order #1",
+        total_amount: 75000,
+        items: [{ name: "Kopi", quantity: 3, unit_price: 25000 }],
+      });
+
+      await server.payQris(qris.id);
+      const { history } = await server.expirePaymentLink(link.id);
+
+      expect(
+        receiver.events.map(({ event_type, data }) => [event_type, data.status])
+      ).toEqual([
+        ["payment.success", "success"],
+        ["payment.expired", "expired"],
+      ]);
+      expect(receiver.events[0].data).toMatchObject({
+        payment_method: "QRIS",
+        amount: 50000,
+      });
+      expect(
+        (await singapay.balanceInquiry.getAccountBalance(account.id))
+          .available_balance
+      ).toBe(50000);
+      expect(await singapay.paymentLink.get(account.id, link.id)).toMatchObject(
+        { status: "expired" }
+      );
+      expect(
+        (await singapay.paymentLinkHistory.list(account.id)).getItems()
+      ).toEqual([history]);
+    });
+
+    it("should complete or fail processing disbursements", async () => {
+      const account = server.addAccount({ balance: 1000000 });
+      const completed = await singapay.disbursement.transfer(
+        account.id,
+        transfer
+      );
+      const failed = await singapay.disbursement.transfer(account.id, {
+        ...transfer,
+        reference_number: "DISB-002",
+      });
+
+      await server.completeDisbursement(completed.id);
+      await server.failDisbursement(failed.id, "Beneficiary bank is offline");
+
+      expect(receiver.events.map(({ event_type }) => event_type)).toEqual([
+        "disbursement.completed",
+        "disbursement.failed",
+      ]);
+      expect(receiver.events[1].data).toMatchObject({
+        reference_number: "DISB-002",
+        failure_reason: "Beneficiary bank is offline",
+      });
+      expect(
+        await singapay.disbursement.get(account.id, failed.id)
+      ).toMatchObject({ status: "failed" });
+      expect(
+        (await singapay.balanceInquiry.getAccountBalance(account.id))
+          .available_balance
+      ).toBe(747500);
+      expect(
+        (await singapay.statement.list(account.id))
+          .getItems()
+          .map(({ transaction_type }) => transaction_type)
+      ).toEqual(["debit", "debit", "credit"]);
+      await expect(server.completeDisbursement(failed.id)).rejects.toThrow(
+        `Disbursement ${failed.id} is failed`
+      );
+    });
+
+    it("should commit the payment and report the error when the receiver is down", async () => {
+      const stopped = await startReceiver();
+      await stopped.close();
+      const unreachable = new FakeSingaPayServer({
+        ...credentials,
+        webhookUrl: stopped.url,
+        hmacValidationKey: "webhook-key",
+      });
+      const account = unreachable.addAccount({ balance: 0 });
+      const va = await createSingaPay(unreachable).virtualAccount.create(
+        account.id,
+        { bank_code: "BNI", amount: 10000, kind: "permanent" }
+      );
+
+      const { transaction, webhook } = await unreachable.payVirtualAccount(
+        va.id
+      );
+
+      expect(webhook.error).toBeInstanceOf(Error);
+      expect(transaction).toMatchObject({ amount: 10000, status: "paid" });
+      expect(
+        (
+          await createSingaPay(unreachable).balanceInquiry.getAccountBalance(
+            account.id
+          )
+        ).available_balance
+      ).toBe(10000);
+    });
+
+    it("should require an HMAC key when a webhook URL is configured", () => {
+      expect(
+        () =>
+          new FakeSingaPayServer({ ...credentials, webhookUrl: receiver.url })
+      ).toThrow("hmacValidationKey is required when webhookUrl is set");
+    });
+
+    it("should simulate without webhooks when no URL is configured", async () => {
+      const offline = new FakeSingaPayServer(credentials);
+      const account = offline.addAccount();
+      const va = await createSingaPay(offline).virtualAccount.create(
+        account.id,
+        { bank_code: "BNI", amount: 10000, kind: "permanent" }
+      );
+
+      await expect(offline.payVirtualAccount(va.id, 25000)).resolves.toEqual({
+        transaction: expect.objectContaining({ amount: 25000 }),
+        webhook: null,
+      });
+      expect(receiver.events).toEqual([]);
+    });
+  });
+
+  describe("over HTTP", () => {
+    afterEach(() => server.close());
+
+    it("should serve the API on a local port", async () => {
+      const baseUrl = await server.listen();
+      const account = server.addAccount({ name: "Toko Budi" });
+      const client = createSingaPay(server, { baseUrl, transport: "fetch" });
+
+      const page = await client.account.list();
+
+      expect(baseUrl).toMatch(/^http:\/\/127\.0\.0\.1:\d+$/);
+      expect(page.getItems()).toEqual([account]);
+    });
+
+    it("should survive uploads aborted by the client", async () => {
+      const baseUrl = await server.listen();
+      const unhandled = [];
+      const onUnhandled = (reason) => unhandled.push(reason);
+      process.on("unhandledRejection", onUnhandled);
+
+      try {
+        const received = new Promise((resolve) =>
+          server.httpServer.once("request", (req) => req.once("close", resolve))
+        );
+        const upload = http.request(`${baseUrl}/api/v1.0/accounts`, {
+          method: "POST",
+          headers: { "content-length": 1024 },
+        });
+        upload.on("error", () => {});
+        upload.write("{");
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        upload.destroy();
+        await received;
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        expect(unhandled).toEqual([]);
+        expect(
+          (
+            await createSingaPay(server, {
+              baseUrl,
+              transport: "fetch",
+            }).account.list()
+          ).getItems()
+        ).toEqual([]);
+      } finally {
+        process.off("unhandledRejection", onUnhandled);
+      }
+    });
+  });
+});
@@ -0,0 +1,188 @@
+import { describe, expect, it } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import { Client } from "../../src/http/Client.js";
+import { LoggingInterceptor } from "../../src/http/interceptors/LoggingInterceptor.js";
+import { MetricsInterceptor } from "../../src/http/interceptors/MetricsInterceptor.js";
+import { Response } from "../../src/http/Response.js";
+import { PinoLoggerAdapter } from "../../src/logging/PinoLoggerAdapter.js";
+import { WinstonLoggerAdapter } from "../../src/logging/WinstonLoggerAdapter.js";
+
+/**
+ * Build a console-style logger recording every call as [level, ...args]
+ */
+function createRecordingLogger() {
+  const entries = [];
+  const logger = {};
+
+  for (const level of ["debug", "info", "warn", "error"]) {
+    logger[level] = (...args) => entries.push([level, ...args]);
+  }
+  logger.log = (...args) => entries.push(["log", ...args]);
+
+  return { logger, entries };
+}
+
+const transferRequest = {
+  headers: {
+    Authorization: "Bearer secret-token",
+    "X-Signature": "signature",
+    Accept: "application/json",
+  },
+  data: {
+    amount: 250000,
+    bank_account_number: "1234567890",
+    beneficiary: { phone: "08123456789", name: "Budi" },
+  },
+};
+
+function httpError(status, data) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    code: "ERR_BAD_REQUEST",
+    response: { status, headers: {}, data },
+  });
+}
+
+describe("LoggingInterceptor", () => {
+  it("should log header names only by default", async () => {
+    const { logger, entries } = createRecordingLogger();
+    const interceptor = new LoggingInterceptor(logger);
+
+    await interceptor.request("POST", "/transfer", transferRequest);
+
+    expect(entries).toEqual([
+      [
+        "info",
+        "SingaPay API Request",
+        {
+          method: "POST",
+          endpoint: "/transfer",
+          headers: ["Authorization", "X-Signature", "Accept"],
+          hasBody: true,
+        },
+      ],
+    ]);
+  });
+
+  it("should redact sensitive fields and headers when logging bodies", async () => {
+    const { logger, entries } = createRecordingLogger();
+    const interceptor = new LoggingInterceptor(logger, {
+      logBodies: true,
+      redactFields: ["name"],
+    });
+
+    await interceptor.request("POST", "/transfer", transferRequest);
+
+    const context = entries[0][2];
+    expect(context.headers).toEqual({
+      Authorization: "[REDACTED]",
+      "X-Signature": "[REDACTED]",
+      Accept: "application/json",
+    });
+    expect(context.body).toEqual({
+      amount: 250000,
+      bank_account_number: "[REDACTED]",
+      beneficiary: { phone: "[REDACTED]", name: "[REDACTED]" },
+    });
+    expect(transferRequest.data.bank_account_number).toBe("1234567890");
+  });
+
+  it("should match redacted fields regardless of case and separators", () => {
+    const interceptor = new LoggingInterceptor(null);
+
+    expect(
+      interceptor.redact([{ bankAccountNumber: "1", "Phone-Number": "2" }])
+    ).toEqual([
+      { bankAccountNumber: "[REDACTED]", "Phone-Number": "[REDACTED]" },
+    ]);
+  });
+
+  it("should skip entries below the configured level", async () => {
+    const { logger, entries } = createRecordingLogger();
+    const interceptor = new LoggingInterceptor(logger, { level: "warn" });
+
+    await interceptor.request("GET", "/a", { headers: {} });
+    await interceptor.response("GET", "/a", {}, new Response(200, {}), 5);
+    await interceptor.error("GET", "/a", {}, httpError(404, {}), 5);
+    await interceptor.error("GET", "/a", {}, new Error("socket hang up"), 5);
+
+    expect(entries.map(([level]) => level)).toEqual(["warn", "error"]);
+  });
+
+  it("should reject unknown levels", () => {
+    expect(() => new LoggingInterceptor(console, { level: "verbose" })).toThrow(
+      "Invalid log level: verbose"
+    );
+  });
+
+  it("should write pino-style and winston-style entries", async () => {
+    const pino = createRecordingLogger();
+    const winston = createRecordingLogger();
+
+    await new LoggingInterceptor(new PinoLoggerAdapter(pino.logger)).request(
+      "GET",
+      "/a",
+      { headers: {} }
+    );
+    await new LoggingInterceptor(
+      new WinstonLoggerAdapter(winston.logger)
+    ).request("GET", "/a", { headers: {} });
+
+    expect(pino.entries[0]).toEqual([
+      "info",
+      expect.objectContaining({ endpoint: "/a" }),
+      "SingaPay API Request",
+    ]);
+    expect(winston.entries[0]).toEqual([
+      "log",
+      "info",
+      "SingaPay API Request",
+      expect.objectContaining({ endpoint: "/a" }),
+    ]);
+  });
+});
+
+describe("Client default interceptors", () => {
+  const credentials = {
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+  };
+
+  it("should configure the default logging interceptor", () => {
+    const client = new Client(
+      new Config({ ...credentials, logging: { level: "error" } }),
+      null
+    );
+
+    const [logging, metrics] = client.getInterceptors();
+    expect(logging).toBeInstanceOf(LoggingInterceptor);
+    expect(logging.level).toBe("error");
+    expect(metrics).toBeInstanceOf(MetricsInterceptor);
+  });
+
+  it("should leave out the logging interceptor", () => {
+    const client = new Client(
+      new Config({ ...credentials, logging: false }),
+      null
+    );
+
+    expect(client.getInterceptors()).toHaveLength(1);
+    expect(client.getInterceptors()[0]).toBeInstanceOf(MetricsInterceptor);
+  });
+
+  it("should replace or disable the default interceptors", () => {
+    const custom = { request: async () => {} };
+
+    const replaced = new Client(
+      new Config({ ...credentials, defaultInterceptors: [custom] }),
+      null
+    );
+    const disabled = new Client(
+      new Config({ ...credentials, defaultInterceptors: false }),
+      null
+    );
+
+    expect(replaced.getInterceptors()).toEqual([custom]);
+    expect(disabled.getInterceptors()).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+import { describe, expect, it } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import { Client } from "../../src/http/Client.js";
+import { MetricsInterceptor } from "../../src/http/interceptors/MetricsInterceptor.js";
+import { Response } from "../../src/http/Response.js";
+
+/**
+ * Record a completed request on the interceptor
+ */
+async function track(interceptor, method, endpoint, result, responseTime) {
+  await interceptor.request(method, endpoint, {});
+
+  if (result instanceof Error) {
+    await interceptor.error(method, endpoint, {}, result, responseTime);
+  } else {
+    await interceptor.response(method, endpoint, {}, result, responseTime);
+  }
+}
+
+const ok = () => new Response(200, { success: true, data: {} });
+
+describe("MetricsInterceptor", () => {
+  it("should derive endpoint templates without IDs", () => {
+    const template = MetricsInterceptor.getEndpointTemplate;
+
+    expect(
+      template(
+        "/api/v1.0/virtual-accounts/01K2KVRQQP45234X9T3YWG1FKT/va_123?page=2"
+      )
+    ).toBe("/api/v1.0/virtual-accounts/:id/:id");
+    expect(template("/api/v1.0/disbursement/acc_1/check-fee")).toBe(
+      "/api/v1.0/disbursement/:id/check-fee"
+    );
+    expect(template("/api/v1.1/access-token/b2b")).toBe(
+      "/api/v1.1/access-token/b2b"
+    );
+  });
+
+  it("should count unsuccessful 2xx responses as failed", async () => {
+    const interceptor = new MetricsInterceptor();
+
+    await track(interceptor, "GET", "/api/v1.0/accounts", ok(), 10);
+    await track(
+      interceptor,
+      "POST",
+      "/api/v1.0/disbursement/acc_1/transfer",
+      new Response(200, {
+        success: false,
+        error: { code: "INSUFFICIENT_BALANCE" },
+      }),
+      20
+    );
+
+    const metrics = interceptor.getMetrics();
+    expect(metrics.successfulRequests).toBe(1);
+    expect(metrics.failedRequests).toBe(1);
+
+    const transfer = metrics.endpoints.find((e) => e.method === "POST");
+    expect(transfer).toMatchObject({
+      endpoint: "/api/v1.0/disbursement/:id/transfer",
+      requests: 1,
+      failedRequests: 1,
+      outcomes: [
+        { status: "200", errorCode: "INSUFFICIENT_BALANCE", count: 1 },
+      ],
+    });
+  });
+
+  it("should break down outcomes by status and error code", async () => {
+    const interceptor = new MetricsInterceptor();
+    const endpoint = "/api/v1.0/accounts/acc_1";
+    const notFound = Object.assign(new Error("Not found"), {
+      code: "ERR_BAD_REQUEST",
+      response: { status: 404, data: { error: { code: "ACCOUNT_NOT_FOUND" } } },
+    });
+    const reset = Object.assign(new Error("socket hang up"), {
+      code: "ECONNRESET",
+    });
+
+    await track(interceptor, "GET", endpoint, ok(), 10);
+    await track(interceptor, "GET", "/api/v1.0/accounts/acc_2", ok(), 10);
+    await track(interceptor, "GET", endpoint, notFound, 10);
+    await track(interceptor, "GET", endpoint, reset, 10);
+
+    const [accounts] = interceptor.getMetrics().endpoints;
+    expect(accounts.requests).toBe(4);
+    expect(accounts.outcomes).toEqual([
+      { status: "200", errorCode: "", count: 2 },
+      { status: "404", errorCode: "ACCOUNT_NOT_FOUND", count: 1 },
+      { status: "0", errorCode: "ECONNRESET", count: 1 },
+    ]);
+  });
+
+  it("should compute latency percentiles", async () => {
+    const interceptor = new MetricsInterceptor();
+
+    for (let time = 1; time <= 100; time++) {
+      await track(interceptor, "GET", "/api/v1.0/accounts", ok(), time);
+    }
+
+    const metrics = interceptor.getMetrics();
+    expect(metrics.percentiles).toEqual({ p50: 50, p95: 95, p99: 99 });
+    expect(metrics.endpoints[0]).toMatchObject({ p50: 50, p95: 95, p99: 99 });
+  });
+
+  it("should keep percentiles over the most recent samples only", async () => {
+    const interceptor = new MetricsInterceptor({ maxSamples: 10 });
+
+    for (let i = 0; i < 10; i++) {
+      await track(interceptor, "GET", "/a", ok(), 1000);
+    }
+    for (let i = 0; i < 10; i++) {
+      await track(interceptor, "GET", "/a", ok(), 10);
+    }
+
+    expect(interceptor.getMetrics().percentiles.p99).toBe(10);
+  });
+
+  it("should export counters and histograms in the Prometheus format", async () => {
+    const interceptor = new MetricsInterceptor({ buckets: [100, 1000] });
+
+    await track(interceptor, "GET", "/api/v1.0/accounts/acc_1", ok(), 50);
+    await track(interceptor, "GET", "/api/v1.0/accounts/acc_2", ok(), 500);
+
+    const output = interceptor.toPrometheus();
+    const labels = 'method="GET",endpoint="/api/v1.0/accounts/:id"';
+
+    expect(output).toContain("# TYPE singapay_requests_total counter");
+    expect(output).toContain(
+      `singapay_requests_total{${labels},status="200",error_code=""} 2`
+    );
+    expect(output).toContain(
+      "# TYPE singapay_request_duration_seconds histogram"
+    );
+    expect(output).toContain(
+      `singapay_request_duration_seconds_bucket{${labels},le="0.1"} 1`
+    );
+    expect(output).toContain(
+      `singapay_request_duration_seconds_bucket{${labels},le="1"} 2`
+    );
+    expect(output).toContain(
+      `singapay_request_duration_seconds_bucket{${labels},le="+Inf"} 2`
+    );
+    expect(output).toContain(
+      `singapay_request_duration_seconds_sum{${labels}} 0.55`
+    );
+    expect(output).toContain(
+      `singapay_request_duration_seconds_count{${labels}} 2`
+    );
+  });
+
+  it("should add the rate limiter queue depth to the client export", () => {
+    const client = new Client(
+      new Config({
+        clientId: "test-id",
+        clientSecret: "test-secret",
+        apiKey: "test-key",
+        logging: false,
+      }),
+      null
+    );
+
+    expect(client.toPrometheus()).toMatch(
+      /# TYPE singapay_requests_total counter[\s\S]*singapay_rate_limiter_queue_depth 0\n$/
+    );
+  });
+});
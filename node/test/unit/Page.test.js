@@ -0,0 +1,164 @@
+import { describe, expect, it } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import { Client } from "../../src/http/Client.js";
+import { Response } from "../../src/http/Response.js";
+import { Account } from "../../src/resources/Account.js";
+import { Page } from "../../src/resources/Page.js";
+import { Statement } from "../../src/resources/Statement.js";
+import { VirtualAccount } from "../../src/resources/VirtualAccount.js";
+
+/**
+ * Build a client serving a list of `total` items, paginated by the page
+ * and per_page query parameters, recording every requested endpoint.
+ * Without `withMetadata`, responses carry no pagination metadata.
+ */
+function createFakeListApi(total, { withMetadata = true } = {}) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+  });
+  const auth = { config, getAccessToken: async () => "test-token" };
+  const client = new Client(config, auth);
+  const sent = [];
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  client.request = async (method, endpoint) => {
+    sent.push(endpoint);
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    inFlight--;
+
+    const query = new URL(endpoint, "https://api").searchParams;
+    const page = Number(query.get("page"));
+    const perPage = Number(query.get("per_page"));
+    const items = Array.from(
+      { length: Math.max(Math.min(perPage, total - (page - 1) * perPage), 0) },
+      (_, i) => ({ id: (page - 1) * perPage + i + 1 })
+    );
+    const body = { success: true, data: items };
+
+    if (withMetadata) {
+      body.pagination = {
+        current_page: page,
+        per_page: perPage,
+        total,
+        total_pages: Math.ceil(total / perPage),
+      };
+    }
+
+    return new Response(200, body);
+  };
+
+  return { client, auth, sent, getMaxInFlight: () => maxInFlight };
+}
+
+const ids = (items) => items.map((item) => item.id);
+
+describe("Page", () => {
+  it("should expose items and pagination metadata", async () => {
+    const api = createFakeListApi(5);
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "key");
+
+    const page = await virtualAccount.list("acc_1", 1, 2);
+
+    expect(page).toBeInstanceOf(Page);
+    expect(ids(page.getItems())).toEqual([1, 2]);
+    expect(ids([...page])).toEqual([1, 2]);
+    expect(page.getTotal()).toBe(5);
+    expect(page.getTotalPages()).toBe(3);
+    expect(page.hasNextPage()).toBe(true);
+    expect(JSON.parse(JSON.stringify(page)).items).toHaveLength(2);
+  });
+
+  it("should fetch the next page with the same arguments", async () => {
+    const api = createFakeListApi(3);
+    const statement = new Statement(api.client, api.auth, "key");
+    const filters = { start_date: "2024-01-01" };
+
+    const first = await statement.list("acc_1", 1, 2, filters);
+    const second = await first.nextPage();
+
+    expect(ids(second.getItems())).toEqual([3]);
+    expect(second.hasNextPage()).toBe(false);
+    expect(await second.nextPage()).toBeNull();
+    expect(api.sent[1]).toContain("page=2");
+    expect(api.sent[1]).toContain("start_date=2024-01-01");
+  });
+
+  it("should assume another page follows a full page without metadata", async () => {
+    const api = createFakeListApi(4, { withMetadata: false });
+    const account = new Account(api.client, api.auth, "key");
+
+    const first = await account.list(1, 2);
+    const last = await (await first.nextPage()).nextPage();
+
+    expect(first.hasNextPage()).toBe(true);
+    expect(last.getItems()).toEqual([]);
+    expect(last.hasNextPage()).toBe(false);
+  });
+
+  it("should return a Page with the response when withResponse is set", async () => {
+    const api = createFakeListApi(4);
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "key");
+
+    const { data, response } = await virtualAccount.list("acc_1", 1, 2, {
+      withResponse: true,
+    });
+
+    expect(response).toBe(data.getResponse());
+    expect(await data.nextPage()).toBeInstanceOf(Page);
+  });
+});
+
+describe("listAll", () => {
+  it("should walk every page in order", async () => {
+    const api = createFakeListApi(5, { withMetadata: false });
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "key");
+    const items = [];
+
+    for await (const item of virtualAccount.listAll("acc_1", { perPage: 2 })) {
+      items.push(item);
+    }
+
+    expect(ids(items)).toEqual([1, 2, 3, 4, 5]);
+    expect(api.sent).toHaveLength(3);
+  });
+
+  it("should fetch pages concurrently and keep the item order", async () => {
+    const api = createFakeListApi(10);
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "key");
+    const items = [];
+
+    for await (const item of virtualAccount.listAll("acc_1", {
+      perPage: 2,
+      concurrency: 3,
+    })) {
+      items.push(item);
+    }
+
+    expect(ids(items)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    expect(api.sent).toHaveLength(5);
+    expect(api.getMaxInFlight()).toBe(3);
+  });
+
+  it("should stop after maxItems without fetching further pages", async () => {
+    const api = createFakeListApi(100);
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "key");
+    const items = [];
+
+    for await (const item of virtualAccount.listAll("acc_1", {
+      perPage: 10,
+      concurrency: 4,
+      maxItems: 25,
+    })) {
+      items.push(item);
+    }
+
+    expect(items).toHaveLength(25);
+    expect(ids(items).at(-1)).toBe(25);
+    expect(api.sent).toHaveLength(3);
+  });
+});
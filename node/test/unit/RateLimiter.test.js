@@ -0,0 +1,159 @@
+import { afterEach, describe, expect, it, jest } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import { Client } from "../../src/http/Client.js";
+import { RateLimiter } from "../../src/http/RateLimiter.js";
+import { Response } from "../../src/http/Response.js";
+
+/**
+ * Track whether a promise has settled without awaiting it
+ */
+function track(promise) {
+  const tracked = { settled: false, value: undefined, error: undefined };
+  promise.then(
+    (value) => Object.assign(tracked, { settled: true, value }),
+    (error) => Object.assign(tracked, { settled: true, error })
+  );
+  return tracked;
+}
+
+/**
+ * Build a client whose transport answers after the given delay, counting
+ * the requests that reached it.
+ */
+function createSlowClient(limiter, delay, overrides = {}) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    retryDelay: 1,
+    ...overrides,
+  });
+  const client = new Client(config, null);
+  client.setRateLimiter(limiter);
+  client.sent = 0;
+
+  client.request = async () => {
+    client.sent++;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return new Response(200, { success: true, data: {} });
+  };
+
+  return client;
+}
+
+describe("RateLimiter", () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("should pace requests with a token bucket", async () => {
+    jest.useFakeTimers({ now: 0 });
+    const limiter = new RateLimiter({ requestsPerSecond: 2, burst: 1 });
+
+    const first = track(limiter.acquire("GET", "/a"));
+    const second = track(limiter.acquire("GET", "/a"));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(first.settled).toBe(true);
+    expect(second.settled).toBe(false);
+    expect(limiter.getQueueDepth()).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(second.settled).toBe(true);
+    expect(limiter.getQueueDepth()).toBe(0);
+  });
+
+  it("should cap the number of requests in flight", async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+
+    const release = await limiter.acquire("GET", "/a");
+    const second = track(limiter.acquire("GET", "/a"));
+    await Promise.resolve();
+
+    expect(second.settled).toBe(false);
+    expect(limiter.getInFlight()).toBe(1);
+
+    release();
+    release();
+    await Promise.resolve();
+
+    expect(second.settled).toBe(true);
+    expect(limiter.getInFlight()).toBe(1);
+  });
+
+  it("should not let an endpoint limit hold back other endpoints", async () => {
+    const limiter = new RateLimiter({
+      endpoints: [
+        {
+          method: "POST",
+          pattern: "/api/*/disbursement/*/transfer",
+          requestsPerSecond: 1,
+        },
+      ],
+    });
+    const transfer = "/api/v1.0/disbursement/acc_1/transfer";
+
+    await limiter.acquire("POST", transfer);
+    const queued = track(limiter.acquire("POST", transfer));
+    const listing = track(
+      limiter.acquire("GET", "/api/v1.0/disbursement/acc_1")
+    );
+    await Promise.resolve();
+
+    expect(queued.settled).toBe(false);
+    expect(listing.settled).toBe(true);
+  });
+
+  it("should reject a queued request when its signal aborts", async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    const controller = new AbortController();
+    await limiter.acquire("GET", "/a");
+
+    const queued = limiter.acquire("GET", "/a", { signal: controller.signal });
+    controller.abort();
+
+    await expect(queued).rejects.toThrow("Request aborted");
+    expect(limiter.getQueueDepth()).toBe(0);
+  });
+
+  it("should reject a queued request when its deadline passes", async () => {
+    const limiter = new RateLimiter({ maxConcurrent: 1 });
+    await limiter.acquire("GET", "/a");
+
+    await expect(
+      limiter.acquire("GET", "/a", { deadline: Date.now() + 10 })
+    ).rejects.toThrow("deadline");
+    expect(limiter.getQueueDepth()).toBe(0);
+  });
+});
+
+describe("Client rate limiting", () => {
+  it("should report the queue depth through getMetrics", async () => {
+    const client = createSlowClient(new RateLimiter({ maxConcurrent: 2 }), 20);
+
+    const requests = Array.from({ length: 5 }, () => client.get("/a"));
+    await Promise.resolve();
+
+    expect(client.getMetrics().queueDepth).toBe(3);
+    await Promise.all(requests);
+    expect(client.getMetrics().queueDepth).toBe(0);
+    expect(client.sent).toBe(5);
+  });
+
+  it("should give up on a queued request once the total timeout is spent", async () => {
+    const client = createSlowClient(
+      new RateLimiter({ maxConcurrent: 1 }),
+      200,
+      { totalTimeout: 0.05 }
+    );
+
+    const results = await Promise.allSettled([
+      client.get("/a", {}, { totalTimeout: 1 }),
+      client.get("/a"),
+    ]);
+
+    expect(results[0].status).toBe("fulfilled");
+    expect(results[1].status).toBe("rejected");
+    expect(client.sent).toBe(1);
+  });
+});
@@ -0,0 +1,404 @@
+import { describe, expect, it } from "@jest/globals";
+import { MemoryCache } from "../../src/cache/MemoryCache.js";
+import { Config } from "../../src/Config.js";
+import {
+  ApiException,
+  ConflictException,
+  DuplicateReferenceException,
+  InsufficientBalanceException,
+  ValidationException,
+} from "../../src/exceptions/SingaPayException.js";
+import { Client } from "../../src/http/Client.js";
+import { Response } from "../../src/http/Response.js";
+import { FetchTransport } from "../../src/http/transports/FetchTransport.js";
+import { Signature } from "../../src/security/Signature.js";
+import { Disbursement } from "../../src/resources/Disbursement.js";
+import { VirtualAccount } from "../../src/resources/VirtualAccount.js";
+import { SingaPay } from "../../src/SingaPay.js";
+import { createStubTransport } from "./helpers/stubTransport.js";
+
+/**
+ * Build a client whose transport replies with the given results in order
+ * (an Error is thrown, anything else is a response body), recording the
+ * headers and attempt settings of every request sent.
+ */
+function createFakeApi(...results) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    retryDelay: 1,
+  });
+  const auth = {
+    config,
+    getAccessToken: async () => "test-token",
+  };
+  const client = new Client(config, auth);
+  const sent = [];
+
+  client.request = async (method, endpoint, body, headers, attempt) => {
+    const result = results[sent.length] ?? results[results.length - 1];
+    sent.push({ method, endpoint, headers, attempt });
+
+    if (result instanceof Error) {
+      throw result;
+    }
+    return new Response(
+      200,
+      { success: true, data: result },
+      { "x-request-id": `req-${sent.length}` }
+    );
+  };
+
+  return { config, auth, client, sent, cache: new MemoryCache() };
+}
+
+const transfer = {
+  amount: 250000,
+  bank_swift_code: "BRINIDJA",
+  bank_account_number: "1234567890",
+  reference_number: "DISB-001",
+};
+
+describe("Idempotent operations", () => {
+  it("should reuse one generated idempotency key across retries", async () => {
+    const api = createFakeApi(new ApiException("Bad gateway", 502), {
+      status: "processing",
+    });
+    const disbursement = new Disbursement(api.client, api.auth, api.config);
+
+    await expect(disbursement.transfer("acc_1", transfer)).resolves.toEqual({
+      status: "processing",
+    });
+
+    expect(api.sent).toHaveLength(2);
+    expect(api.sent[0].headers["Idempotency-Key"]).toEqual(expect.any(String));
+    expect(api.sent[1].headers["Idempotency-Key"]).toBe(
+      api.sent[0].headers["Idempotency-Key"]
+    );
+  });
+
+  it("should generate a new key for each logical operation", async () => {
+    const api = createFakeApi({ va_number: "8808001" });
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "test-key");
+    const data = { bank_code: "BRI", amount: 150000, kind: "permanent" };
+
+    await virtualAccount.create("acc_1", data);
+    await virtualAccount.create("acc_1", data);
+
+    expect(api.sent[0].headers["Idempotency-Key"]).not.toBe(
+      api.sent[1].headers["Idempotency-Key"]
+    );
+  });
+
+  it("should return the remembered result for a repeated caller key", async () => {
+    const api = createFakeApi({ transaction_id: "TRX-1" });
+    const disbursement = new Disbursement(
+      api.client,
+      api.auth,
+      api.config
+    ).setCache(api.cache);
+    const options = { idempotencyKey: "order-42" };
+
+    const first = await disbursement.transfer("acc_1", transfer, options);
+    const second = await disbursement.transfer("acc_1", transfer, options);
+
+    expect(second).toEqual(first);
+    expect(api.sent).toHaveLength(1);
+    expect(api.sent[0].headers["Idempotency-Key"]).toBe("order-42");
+  });
+
+  it("should send concurrent calls with one caller key only once", async () => {
+    const api = createFakeApi({ transaction_id: "TRX-1" });
+    const disbursement = new Disbursement(
+      api.client,
+      api.auth,
+      api.config
+    ).setCache(api.cache);
+    const options = { idempotencyKey: "checkout-9" };
+
+    const results = await Promise.all([
+      disbursement.transfer("acc_1", transfer, options),
+      disbursement.transfer("acc_1", transfer, options),
+    ]);
+
+    expect(results).toEqual([
+      { transaction_id: "TRX-1" },
+      { transaction_id: "TRX-1" },
+    ]);
+    expect(api.sent).toHaveLength(1);
+  });
+
+  it("should reject a key pending in another process sharing the cache", async () => {
+    const api = createFakeApi({ transaction_id: "TRX-1" });
+    const other = new Disbursement(api.client, api.auth, api.config).setCache(
+      api.cache
+    );
+    const disbursement = new Disbursement(
+      api.client,
+      api.auth,
+      api.config
+    ).setCache(api.cache);
+    const options = { idempotencyKey: "checkout-10" };
+
+    const [first, second] = await Promise.allSettled([
+      other.transfer("acc_1", transfer, options),
+      disbursement.transfer("acc_1", transfer, options),
+    ]);
+
+    expect(first.value).toEqual({ transaction_id: "TRX-1" });
+    expect(second.reason).toBeInstanceOf(ConflictException);
+    expect(second.reason.message).toContain("checkout-10");
+    expect(api.sent).toHaveLength(1);
+  });
+
+  it("should release the key when the operation fails", async () => {
+    const api = createFakeApi(new ApiException("Rejected", 400), {
+      transaction_id: "TRX-2",
+    });
+    const disbursement = new Disbursement(
+      api.client,
+      api.auth,
+      api.config
+    ).setCache(api.cache);
+    const options = { idempotencyKey: "order-43", maxRetries: 0 };
+
+    await expect(
+      disbursement.transfer("acc_1", transfer, options)
+    ).rejects.toThrow("Rejected");
+    await expect(
+      disbursement.transfer("acc_1", transfer, options)
+    ).resolves.toEqual({ transaction_id: "TRX-2" });
+    expect(api.sent).toHaveLength(2);
+  });
+
+  it("should not remember results without a cache", async () => {
+    const api = createFakeApi({ transaction_id: "TRX-1" });
+    const disbursement = new Disbursement(api.client, api.auth, api.config);
+    const options = { idempotencyKey: "order-44" };
+
+    await disbursement.transfer("acc_1", transfer, options);
+    await disbursement.transfer("acc_1", transfer, options);
+
+    expect(api.sent).toHaveLength(2);
+    expect(api.sent[1].headers["Idempotency-Key"]).toBe("order-44");
+  });
+
+  it("should remember results in the SingaPay cache", async () => {
+    const transport = createStubTransport(
+      [
+        200,
+        { success: true, data: { access_token: "token", expires_in: 3600 } },
+      ],
+      [200, { success: true, data: { transaction_id: "TRX-1" } }]
+    );
+    const singapay = new SingaPay({
+      clientId: "test-id",
+      clientSecret: "test-secret",
+      apiKey: "test-key",
+      logging: false,
+      transport,
+    });
+    const options = { idempotencyKey: "order-45" };
+
+    await singapay.disbursement.transfer("acc_1", transfer, options);
+    await singapay.disbursement.transfer("acc_1", transfer, options);
+
+    expect(transport.requests).toHaveLength(2);
+  });
+});
+
+describe("Per-call request options", () => {
+  it("should pass signal, timeout and extra headers to the transport", async () => {
+    const api = createFakeApi({ va_number: "8808001" });
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "test-key");
+    const controller = new AbortController();
+
+    await virtualAccount.get("acc_1", "va_1", {
+      signal: controller.signal,
+      timeout: 2,
+      headers: { "X-Request-Source": "checkout" },
+    });
+
+    expect(api.sent[0].attempt.signal).toBe(controller.signal);
+    expect(api.sent[0].attempt.timeout).toBe(2000);
+    expect(api.sent[0].headers["X-Request-Source"]).toBe("checkout");
+    expect(api.sent[0].headers.Authorization).toBe("Bearer test-token");
+  });
+
+  it("should let a call override the maximum number of retries", async () => {
+    const api = createFakeApi(new ApiException("Bad gateway", 502), {});
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "test-key");
+
+    await expect(
+      virtualAccount.list("acc_1", 1, 25, { maxRetries: 0 })
+    ).rejects.toThrow("Bad gateway");
+    expect(api.sent).toHaveLength(1);
+  });
+
+  it("should send a caller idempotency key with any operation", async () => {
+    const api = createFakeApi({ fee: 2500 });
+    const disbursement = new Disbursement(api.client, api.auth, api.config);
+
+    await disbursement.checkFee("acc_1", 250000, "BRINIDJA", {
+      idempotencyKey: "fee-check-1",
+    });
+
+    expect(api.sent[0].headers["Idempotency-Key"]).toBe("fee-check-1");
+  });
+});
+
+describe("Full responses", () => {
+  it("should return the data with the full response when requested", async () => {
+    const api = createFakeApi({ va_number: "8808001" });
+    const virtualAccount = new VirtualAccount(api.client, api.auth, "test-key");
+
+    const result = await virtualAccount.get("acc_1", "va_1", {
+      withResponse: true,
+    });
+
+    expect(result.data).toEqual({ va_number: "8808001" });
+    expect(result.response.getRequestId()).toBe("req-1");
+    await expect(virtualAccount.get("acc_1", "va_1")).resolves.toEqual({
+      va_number: "8808001",
+    });
+  });
+
+  it("should return a remembered result without a response", async () => {
+    const api = createFakeApi({ transaction_id: "TRX-1" });
+    const disbursement = new Disbursement(
+      api.client,
+      api.auth,
+      api.config
+    ).setCache(api.cache);
+    const options = { idempotencyKey: "order-7", withResponse: true };
+
+    const first = await disbursement.transfer("acc_1", transfer, options);
+    const second = await disbursement.transfer("acc_1", transfer, options);
+
+    expect(first.response.getRequestId()).toBe("req-1");
+    expect(second).toEqual({
+      data: { transaction_id: "TRX-1" },
+      response: null,
+    });
+  });
+});
+
+describe("Unsuccessful 2xx responses", () => {
+  /**
+   * Build a disbursement resource whose API replies 200 with the given body
+   */
+  function createDisbursement(body) {
+    const api = createFakeApi();
+    const client = new Client(api.config, api.auth).setTransport(
+      new FetchTransport({
+        fetch: async () =>
+          new globalThis.Response(JSON.stringify(body), {
+            status: 200,
+            headers: { "X-Request-Id": "req-3" },
+          }),
+      })
+    );
+    client.getInterceptors().splice(0, 1);
+
+    return new Disbursement(client, api.auth, api.config);
+  }
+
+  it.each([
+    ["INSUFFICIENT_BALANCE", "Balance too low", InsufficientBalanceException],
+    [
+      "DUPLICATE_REFERENCE",
+      "Reference already used",
+      DuplicateReferenceException,
+    ],
+    ["TRANSFER_REJECTED", "Transfer rejected", ApiException],
+  ])(
+    "should map a success:false body with code %s",
+    async (code, message, expectedClass) => {
+      const disbursement = createDisbursement({
+        success: false,
+        error: { code, message },
+      });
+
+      const error = await disbursement
+        .transfer("acc_1", transfer)
+        .catch((e) => e);
+
+      expect(error).toBeInstanceOf(expectedClass);
+      expect(error.name).toBe(expectedClass.name);
+      expect(error).toMatchObject({
+        message,
+        status: 200,
+        errorCode: code,
+        endpoint: "/api/v1.0/disbursement/acc_1/transfer",
+        requestId: "req-3",
+      });
+    }
+  );
+
+  it("should raise field errors as a ValidationException", async () => {
+    const disbursement = createDisbursement({
+      success: false,
+      error: {
+        code: "INVALID_DATA",
+        message: "Invalid data",
+        errors: { amount: "Too low" },
+      },
+    });
+
+    const error = await disbursement
+      .checkFee("acc_1", 1, "BRINIDJA")
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(ValidationException);
+    expect(error.getErrors()).toEqual({ amount: "Too low" });
+    expect(error.endpoint).toBe("/api/v1.0/disbursement/acc_1/check-fee");
+  });
+});
+
+describe("Signed requests", () => {
+  it("should sign a transfer again after refreshing the access token", async () => {
+    const api = createFakeApi();
+    let token = "stale-token";
+    api.auth.getAccessToken = async () => token;
+    api.auth.refreshToken = async () => (token = "fresh-token");
+    const sent = [];
+    const client = new Client(api.config, api.auth).setTransport(
+      new FetchTransport({
+        fetch: async (url, init) => {
+          sent.push(init.headers);
+          const status = sent.length === 1 ? 401 : 200;
+          return new globalThis.Response(
+            JSON.stringify(
+              status === 401
+                ? { success: false, error: { message: "Token expired" } }
+                : { success: true, data: { status: "processing" } }
+            ),
+            { status }
+          );
+        },
+      })
+    );
+    client.getInterceptors().splice(0, 1);
+    const disbursement = new Disbursement(client, api.auth, api.config);
+
+    await expect(disbursement.transfer("acc_1", transfer)).resolves.toEqual({
+      status: "processing",
+    });
+
+    const retry = sent[1];
+    expect(sent).toHaveLength(2);
+    expect(retry.Authorization).toBe("Bearer fresh-token");
+    expect(retry["Idempotency-Key"]).toBe(sent[0]["Idempotency-Key"]);
+    expect(retry["X-Signature"]).toBe(
+      Signature.generateDisbursementSignature(
+        "POST",
+        "/api/v1.0/disbursement/acc_1/transfer",
+        "fresh-token",
+        transfer,
+        Number(retry["X-Timestamp"]),
+        "test-secret"
+      )
+    );
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, expect, it } from "@jest/globals";
+import { ApiException } from "../../src/exceptions/SingaPayException.js";
+import { RetryPolicy } from "../../src/http/RetryPolicy.js";
+import {
+  createStubClient,
+  createStubTransport,
+  rateLimited as rateLimitedReply,
+  serverError as serverErrorReply,
+} from "./helpers/stubTransport.js";
+
+const serverError = () => new ApiException("Service unavailable", 503);
+const connectionRefused = () =>
+  new ApiException("connect ECONNREFUSED", 0, { code: "ECONNREFUSED" });
+const connectionReset = () =>
+  new ApiException("socket hang up", 0, { code: "ECONNRESET" });
+const rateLimited = (retryAfter) =>
+  new ApiException("Too many requests", 429, {
+    response: { status: 429, headers: { "retry-after": retryAfter } },
+  });
+
+describe("RetryPolicy", () => {
+  it("should retry idempotent methods on transient status codes", () => {
+    const policy = RetryPolicy.methodAware();
+
+    expect(policy.shouldRetry(serverError(), "GET", {}, 0, 3)).toBe(true);
+    expect(policy.shouldRetry(serverError(), "GET", {}, 3, 3)).toBe(false);
+    expect(
+      policy.shouldRetry(new ApiException("Bad request", 400), "GET", {}, 0, 3)
+    ).toBe(false);
+  });
+
+  it("should only retry POST requests that provably were not sent", () => {
+    const policy = RetryPolicy.methodAware();
+
+    expect(policy.shouldRetry(serverError(), "POST", {}, 0, 3)).toBe(false);
+    expect(policy.shouldRetry(connectionReset(), "POST", {}, 0, 3)).toBe(false);
+    expect(policy.shouldRetry(connectionRefused(), "POST", {}, 0, 3)).toBe(
+      true
+    );
+  });
+
+  it("should retry POST requests carrying an idempotency key", () => {
+    const policy = RetryPolicy.methodAware();
+    const headers = { "idempotency-key": "transfer-001" };
+
+    expect(policy.shouldRetry(serverError(), "POST", headers, 0, 3)).toBe(true);
+  });
+
+  it("should retry transient network errors for safe methods only", () => {
+    const policy = RetryPolicy.methodAware();
+    const timedOut = new ApiException("timeout", 0, { code: "ETIMEDOUT" });
+
+    expect(policy.shouldRetry(connectionReset(), "GET", {}, 0, 3)).toBe(true);
+    expect(policy.shouldRetry(timedOut, "GET", {}, 0, 3)).toBe(true);
+    expect(policy.shouldRetry(timedOut, "POST", {}, 0, 3)).toBe(false);
+  });
+
+  it("should parse Retry-After in seconds and HTTP-date forms", () => {
+    const now = Date.parse("2024-01-01T00:00:00Z");
+
+    expect(RetryPolicy.getRetryAfter(rateLimited("120"), now)).toBe(120000);
+    expect(
+      RetryPolicy.getRetryAfter(
+        rateLimited("Mon, 01 Jan 2024 00:00:30 GMT"),
+        now
+      )
+    ).toBe(30000);
+    expect(RetryPolicy.getRetryAfter(rateLimited("soon"), now)).toBeNull();
+    expect(RetryPolicy.getRetryAfter(serverError(), now)).toBeNull();
+  });
+
+  it("should support idempotent and none presets", () => {
+    expect(
+      RetryPolicy.idempotent().shouldRetry(serverError(), "POST", {}, 0, 3)
+    ).toBe(true);
+    expect(
+      RetryPolicy.none().shouldRetry(connectionRefused(), "GET", {}, 0, 3)
+    ).toBe(false);
+  });
+});
+
+describe("Client retry policy", () => {
+  it("should not re-send a POST after a server error", async () => {
+    const transport = createStubTransport(serverErrorReply());
+    const client = createStubClient(transport);
+
+    await expect(client.post("/transfer", {})).rejects.toThrow(
+      "Service unavailable"
+    );
+    expect(transport.requests).toHaveLength(1);
+  });
+
+  it("should let a per-call policy override the default", async () => {
+    const transport = createStubTransport(serverErrorReply());
+    const client = createStubClient(transport);
+
+    const response = await client.post(
+      "/check-fee",
+      {},
+      {},
+      { retryPolicy: RetryPolicy.idempotent() }
+    );
+
+    expect(response.isSuccess()).toBe(true);
+    expect(transport.requests).toHaveLength(2);
+  });
+
+  it("should let the client default policy be replaced", async () => {
+    const transport = createStubTransport(serverErrorReply());
+    const client = createStubClient(transport);
+    client.setRetryPolicy(RetryPolicy.none());
+
+    await expect(client.get("/accounts")).rejects.toThrow();
+    expect(transport.requests).toHaveLength(1);
+  });
+});
+
+describe("Client retry timing", () => {
+  it("should wait for the Retry-After delay before retrying", async () => {
+    const transport = createStubTransport(rateLimitedReply("0"));
+    const client = createStubClient(transport, { retryDelay: 5000 });
+
+    const response = await client.get("/accounts");
+
+    expect(response.isSuccess()).toBe(true);
+    expect(transport.requests).toHaveLength(2);
+  });
+
+  it("should stop waiting for a retry when the signal aborts", async () => {
+    const transport = createStubTransport(rateLimitedReply("30"));
+    const client = createStubClient(transport);
+    const controller = new AbortController();
+    const startedAt = Date.now();
+
+    const request = client.get("/accounts", {}, { signal: controller.signal });
+    setTimeout(() => controller.abort(), 20);
+
+    await expect(request).rejects.toThrow("Request aborted");
+    expect(transport.requests).toHaveLength(1);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it("should give up when Retry-After exceeds the total timeout", async () => {
+    const transport = createStubTransport(rateLimitedReply("30"));
+    const client = createStubClient(transport, { totalTimeout: 2 });
+    const startedAt = Date.now();
+
+    await expect(client.get("/accounts")).rejects.toThrow("Too many requests");
+    expect(transport.requests).toHaveLength(1);
+    expect(Date.now() - startedAt).toBeLessThan(1000);
+  });
+
+  it("should bound every attempt by the remaining time budget", async () => {
+    const transport = createStubTransport();
+    const client = createStubClient(transport, { totalTimeout: 2 });
+
+    await client.get("/accounts", {}, { totalTimeout: 1 });
+
+    expect(transport.requests[0].timeout).toBeLessThanOrEqual(1000);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, expect, it } from "@jest/globals";
+import crypto from "crypto";
+import { Signature } from "../../src/security/Signature.js";
+
+const HMAC_KEY = "test-hmac-key";
+
+function sign(timestamp, body, key = HMAC_KEY) {
+  const hashedBody = crypto.createHash("sha256").update(body).digest("hex");
+  return crypto
+    .createHmac("sha256", key)
+    .update(`${timestamp}${hashedBody}`)
+    .digest("hex");
+}
+
+describe("Signature.verifyWebhook", () => {
+  const body = JSON.stringify({ event_type: "va.paid", data: { amount: 1 } });
+
+  it("should accept a valid signature", () => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    expect(
+      Signature.verifyWebhook(timestamp, body, sign(timestamp, body), HMAC_KEY)
+    ).toBe(true);
+  });
+
+  it("should reject a tampered body or wrong key", () => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = sign(timestamp, body);
+
+    expect(
+      Signature.verifyWebhook(timestamp, body + " ", signature, HMAC_KEY)
+    ).toBe(false);
+    expect(
+      Signature.verifyWebhook(timestamp, body, signature, "other-key")
+    ).toBe(false);
+    expect(Signature.verifyWebhook(timestamp, body, "short", HMAC_KEY)).toBe(
+      false
+    );
+  });
+
+  it("should reject timestamps outside the tolerance window", () => {
+    const stale = (Math.floor(Date.now() / 1000) - 3600).toString();
+    const signature = sign(stale, body);
+
+    expect(Signature.verifyWebhook(stale, body, signature, HMAC_KEY, 300)).toBe(
+      false
+    );
+    expect(Signature.verifyWebhook(stale, body, signature, HMAC_KEY, 0)).toBe(
+      true
+    );
+  });
+
+  it("should accept ISO-8601 timestamps within tolerance", () => {
+    const timestamp = new Date().toISOString();
+
+    expect(
+      Signature.verifyWebhook(
+        timestamp,
+        body,
+        sign(timestamp, body),
+        HMAC_KEY,
+        300
+      )
+    ).toBe(true);
+  });
+
+  it("should throw when required parameters are missing", () => {
+    expect(() => Signature.verifyWebhook("", body, "sig", HMAC_KEY)).toThrow();
+    expect(() => Signature.verifyWebhook("1", body, "sig", null)).toThrow();
+  });
+});
+
+describe("Signature.matchWebhookKey", () => {
+  const body = JSON.stringify({ event_type: "va.paid" });
+  const keys = [
+    { id: "current", key: "new-key" },
+    { id: "previous", key: "old-key" },
+  ];
+
+  it("should report which key matched", () => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    expect(
+      Signature.matchWebhookKey(
+        timestamp,
+        body,
+        sign(timestamp, body, "old-key"),
+        keys
+      )
+    ).toEqual(keys[1]);
+    expect(
+      Signature.matchWebhookKey(
+        timestamp,
+        body,
+        sign(timestamp, body, "unknown-key"),
+        keys
+      )
+    ).toBeNull();
+  });
+
+  it("should require at least one key", () => {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    expect(() =>
+      Signature.matchWebhookKey(
+        timestamp,
+        body,
+        sign(timestamp, body, "new-key"),
+        []
+      )
+    ).toThrow(
+      "At least one HMAC validation key is required for webhook verification"
+    );
+  });
+});
@@ -0,0 +1,175 @@
+import { describe, expect, it } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import { Client } from "../../src/http/Client.js";
+import { TracingInterceptor } from "../../src/http/interceptors/TracingInterceptor.js";
+import { FetchTransport } from "../../src/http/transports/FetchTransport.js";
+
+/**
+ * Build an in-memory tracer recording every started span
+ */
+function createTracer() {
+  const spans = [];
+
+  const tracer = {
+    startSpan(name, options) {
+      const span = {
+        name,
+        kind: options.kind,
+        attributes: { ...options.attributes },
+        status: null,
+        exceptions: [],
+        ended: false,
+        setAttribute(key, value) {
+          span.attributes[key] = value;
+        },
+        setStatus(status) {
+          span.status = status;
+        },
+        recordException(exception) {
+          span.exceptions.push(exception);
+        },
+        end() {
+          span.ended = true;
+        },
+      };
+      spans.push(span);
+      return span;
+    },
+  };
+
+  return { tracer, spans };
+}
+
+/**
+ * Build a traced client whose API replies with the given [status, body,
+ * headers] replies in order
+ */
+function createClient(tracer, replies, auth = null) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    baseUrl: "https://api.example.com",
+    logging: false,
+    tracer,
+  }).setRetryDelay(1);
+  const fakeFetch = async () => {
+    const [status, body, headers = {}] = replies.shift();
+    return new globalThis.Response(JSON.stringify(body), { status, headers });
+  };
+
+  return new Client(config, auth).setTransport(
+    new FetchTransport({ fetch: fakeFetch })
+  );
+}
+
+describe("TracingInterceptor", () => {
+  it("should require a tracer with startSpan()", () => {
+    expect(() => new TracingInterceptor({})).toThrow(
+      "Tracer must implement startSpan()"
+    );
+  });
+
+  it("should create a client span with HTTP attributes", async () => {
+    const { tracer, spans } = createTracer();
+    const client = createClient(tracer, [
+      [200, { success: true, data: {} }, { "X-Request-Id": "req-1" }],
+    ]);
+
+    await client.get("/api/v1.0/accounts/acc_1");
+
+    expect(client.getInterceptors().at(-1)).toBeInstanceOf(TracingInterceptor);
+    expect(spans).toHaveLength(1);
+    expect(spans[0]).toMatchObject({
+      name: "GET /api/v1.0/accounts/:id",
+      kind: 2,
+      status: null,
+      ended: true,
+      attributes: {
+        "http.request.method": "GET",
+        "url.template": "/api/v1.0/accounts/:id",
+        "url.full": "https://api.example.com/api/v1.0/accounts/acc_1",
+        "server.address": "api.example.com",
+        "server.port": 443,
+        "http.response.status_code": 200,
+        "singapay.attempt": 1,
+        "singapay.token_refreshes": 0,
+        "singapay.request_id": "req-1",
+      },
+    });
+    expect(spans[0].attributes).not.toHaveProperty("http.request.resend_count");
+  });
+
+  it("should record attempts, retries, and token refreshes", async () => {
+    const { tracer, spans } = createTracer();
+    const auth = { refreshToken: async () => "fresh-token" };
+    const client = createClient(
+      tracer,
+      [
+        [401, { success: false, error: { message: "Token expired" } }],
+        [503, { success: false, error: { code: "SERVICE_DOWN" } }],
+        [200, { success: true, data: {} }],
+      ],
+      auth
+    );
+
+    await client.get("/api/v1.0/accounts", {
+      Authorization: "Bearer stale-token",
+    });
+
+    expect(
+      spans.map(({ attributes }) => [
+        attributes["singapay.attempt"],
+        attributes["http.request.resend_count"],
+        attributes["singapay.token_refreshes"],
+        attributes["http.response.status_code"],
+      ])
+    ).toEqual([
+      [1, undefined, 0, 401],
+      [2, 1, 1, 503],
+      [3, 2, 1, 200],
+    ]);
+    expect(spans[1].attributes).toMatchObject({
+      "error.type": "503",
+      "singapay.error_code": "SERVICE_DOWN",
+    });
+    expect(spans[1].status).toEqual({ code: 2, message: expect.any(String) });
+    expect(spans[1].exceptions).toHaveLength(1);
+    expect(spans.every((span) => span.ended)).toBe(true);
+  });
+
+  it("should mark unsuccessful 2xx responses and network errors as errors", async () => {
+    const { tracer, spans } = createTracer();
+    const interceptor = new TracingInterceptor(tracer);
+    const rejected = {};
+    const failed = {};
+
+    await interceptor.request("POST", "/transfer", rejected);
+    await interceptor.response("POST", "/transfer", rejected, {
+      getStatusCode: () => 200,
+      getRequestId: () => null,
+      isSuccess: () => false,
+      getBody: () => ({ error: { code: "INSUFFICIENT_BALANCE" } }),
+      getMessage: () => "Insufficient balance",
+    });
+    await interceptor.request("POST", "/transfer", failed);
+    await interceptor.error(
+      "POST",
+      "/transfer",
+      failed,
+      Object.assign(new Error("socket hang up"), { code: "ECONNRESET" })
+    );
+
+    expect(spans[0].attributes).toMatchObject({
+      "error.type": "INSUFFICIENT_BALANCE",
+      "singapay.error_code": "INSUFFICIENT_BALANCE",
+    });
+    expect(spans[0].status).toEqual({
+      code: 2,
+      message: "Insufficient balance",
+    });
+    expect(spans[1].attributes["error.type"]).toBe("ECONNRESET");
+    expect(spans[1].attributes).not.toHaveProperty("http.response.status_code");
+    expect(spans[1].status.message).toBe("socket hang up");
+  });
+});
@@ -0,0 +1,224 @@
+import { describe, expect, it } from "@jest/globals";
+import { Config } from "../../src/Config.js";
+import {
+  ApiException,
+  AuthenticationException,
+  ValidationException,
+} from "../../src/exceptions/SingaPayException.js";
+import { Client } from "../../src/http/Client.js";
+import { AxiosTransport } from "../../src/http/transports/AxiosTransport.js";
+import { FetchTransport } from "../../src/http/transports/FetchTransport.js";
+
+/**
+ * Build a fetch implementation replying with the given results in order
+ * (an Error is thrown, anything else is [status, body, headers]),
+ * recording every call.
+ */
+function createFakeFetch(...results) {
+  const calls = [];
+
+  const fakeFetch = async (url, init) => {
+    const result = results[calls.length] ?? results[results.length - 1];
+    calls.push({ url, init });
+
+    if (result instanceof Error) {
+      throw result;
+    }
+
+    const [status, body, headers = {}] = result;
+    return new globalThis.Response(
+      typeof body === "string" ? body : JSON.stringify(body),
+      { status, headers }
+    );
+  };
+
+  return { fakeFetch, calls };
+}
+
+function createClient(transport) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    retryDelay: 1,
+  });
+  const client = new Client(config, null).setTransport(transport);
+  // Drop the default logging interceptor to keep the test output quiet
+  client.getInterceptors().splice(0, 1);
+  return client;
+}
+
+describe("FetchTransport", () => {
+  it("should send JSON bodies and parse JSON responses", async () => {
+    const { fakeFetch, calls } = createFakeFetch([
+      201,
+      { success: true, data: { id: "va_1" } },
+      { "X-Request-Id": "req-1" },
+    ]);
+    const transport = new FetchTransport({ fetch: fakeFetch });
+
+    const response = await transport.send({
+      method: "POST",
+      baseUrl: "https://api.example.com/",
+      url: "/api/v1.0/virtual-accounts/acc_1",
+      headers: { "Content-Type": "application/json" },
+      data: { amount: 10000 },
+    });
+
+    expect(calls[0].url).toBe(
+      "https://api.example.com/api/v1.0/virtual-accounts/acc_1"
+    );
+    expect(calls[0].init.body).toBe('{"amount":10000}');
+    expect(response.status).toBe(201);
+    expect(response.headers["x-request-id"]).toBe("req-1");
+    expect(response.data.data.id).toBe("va_1");
+  });
+
+  it("should report network failures with their error code", async () => {
+    const failure = new TypeError("fetch failed");
+    failure.cause = Object.assign(new Error("connect ECONNREFUSED"), {
+      code: "ECONNREFUSED",
+    });
+    const { fakeFetch } = createFakeFetch(failure);
+    const transport = new FetchTransport({ fetch: fakeFetch });
+
+    await expect(
+      transport.send({ method: "GET", baseUrl: "https://api", url: "/a" })
+    ).rejects.toMatchObject({ code: "ECONNREFUSED" });
+  });
+
+  it("should abort requests that exceed the timeout", async () => {
+    const hangingFetch = (url, init) =>
+      new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => reject(init.signal.reason));
+      });
+    const transport = new FetchTransport({ fetch: hangingFetch });
+
+    await expect(
+      transport.send({
+        method: "GET",
+        baseUrl: "https://api",
+        url: "/a",
+        timeout: 10,
+      })
+    ).rejects.toMatchObject({ code: "ECONNABORTED" });
+  });
+});
+
+describe("AxiosTransport", () => {
+  it("should resolve error responses instead of throwing", async () => {
+    const httpClient = {
+      request: async (options) => ({
+        status: options.validateStatus(503) ? 503 : 0,
+        headers: { "retry-after": "1" },
+        data: { success: false },
+      }),
+    };
+    const transport = new AxiosTransport({ httpClient });
+
+    await expect(
+      transport.send({ method: "GET", baseUrl: "https://api", url: "/a" })
+    ).resolves.toEqual({
+      status: 503,
+      headers: { "retry-after": "1" },
+      data: { success: false },
+    });
+  });
+});
+
+describe("Lazy axios transport", () => {
+  it("should create the axios instance on the first request only", async () => {
+    const transport = new AxiosTransport({ axiosConfig: { timeout: 1000 } });
+
+    expect(transport.getHttpClient()).toBeNull();
+
+    await expect(
+      transport.send({ method: "GET", baseUrl: "http://127.0.0.1:1", url: "/" })
+    ).rejects.toMatchObject({ code: "ECONNREFUSED" });
+    expect(transport.getHttpClient().defaults.timeout).toBe(1000);
+  });
+
+  it("should not create the default transport when one is set", async () => {
+    const { fakeFetch } = createFakeFetch([200, { success: true, data: {} }]);
+    const transport = new FetchTransport({ fetch: fakeFetch });
+    const client = createClient(transport);
+
+    await client.get("/a");
+
+    expect(client.getTransport()).toBe(transport);
+    expect(
+      new Client(
+        new Config({ clientId: "a", clientSecret: "b", apiKey: "c" })
+      ).getTransport()
+    ).toBeInstanceOf(AxiosTransport);
+  });
+});
+
+describe("Client transport", () => {
+  it("should map error responses to exceptions with any transport", async () => {
+    const { fakeFetch } = createFakeFetch(
+      [401, { success: false, error: { message: "Token expired" } }],
+      [422, { success: false, errors: { amount: "Required" } }],
+      [400, { success: false, error: { message: "Bad request" } }]
+    );
+    const client = createClient(new FetchTransport({ fetch: fakeFetch }));
+
+    await expect(client.request("GET", "/a")).rejects.toBeInstanceOf(
+      AuthenticationException
+    );
+    await expect(client.request("POST", "/a", {})).rejects.toBeInstanceOf(
+      ValidationException
+    );
+    await expect(client.request("GET", "/a")).rejects.toBeInstanceOf(
+      ApiException
+    );
+  });
+
+  it("should retry through a custom transport and honor Retry-After", async () => {
+    const { fakeFetch, calls } = createFakeFetch(
+      [429, { success: false }, { "Retry-After": "0" }],
+      [200, { success: true, data: { balance: 1000 } }]
+    );
+    const client = createClient(new FetchTransport({ fetch: fakeFetch }));
+
+    const response = await client.get("/api/v1.0/balance-inquiry");
+
+    expect(response.getData()).toEqual({ balance: 1000 });
+    expect(calls).toHaveLength(2);
+  });
+
+  it("should retry network failures reported by the transport", async () => {
+    const transport = {
+      attempts: 0,
+      async send() {
+        if (this.attempts++ === 0) {
+          throw Object.assign(new Error("socket hang up"), {
+            code: "ECONNRESET",
+          });
+        }
+        return { status: 200, headers: {}, data: { success: true, data: {} } };
+      },
+    };
+    const client = createClient(transport);
+
+    await expect(client.get("/a")).resolves.toBeDefined();
+    expect(transport.attempts).toBe(2);
+    expect(client.getHttpClient()).toBeNull();
+  });
+
+  it("should expose response headers, request ID and timing", async () => {
+    const { fakeFetch } = createFakeFetch([
+      200,
+      { success: true, data: {} },
+      { "X-Request-Id": "req-42", Date: "Mon, 01 Jan 2024 00:00:00 GMT" },
+    ]);
+    const client = createClient(new FetchTransport({ fetch: fakeFetch }));
+
+    const response = await client.get("/a");
+
+    expect(response.getRequestId()).toBe("req-42");
+    expect(response.getHeader("X-REQUEST-ID")).toBe("req-42");
+    expect(response.getServerTime()).toEqual(new Date("2024-01-01T00:00:00Z"));
+    expect(response.getTiming().duration).toBeGreaterThanOrEqual(0);
+  });
+});
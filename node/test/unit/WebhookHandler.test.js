@@ -0,0 +1,331 @@
+import { describe, expect, it, jest } from "@jest/globals";
+import crypto from "crypto";
+import http from "http";
+import { Readable } from "stream";
+import { SingaPay } from "../../src/SingaPay.js";
+import { MemoryCache } from "../../src/cache/MemoryCache.js";
+import { WebhookException } from "../../src/exceptions/SingaPayException.js";
+import { WebhookSimulator } from "../../src/testing/index.js";
+import { WebhookHandler } from "../../src/webhook/WebhookHandler.js";
+import { createWebhookMiddleware } from "../../src/webhook/webhookMiddleware.js";
+
+const HMAC_KEY = "test-hmac-key";
+
+function createSingaPay() {
+  return new SingaPay({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    hmacValidationKey: HMAC_KEY,
+  });
+}
+
+function signedRequest(payload) {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const hashedBody = crypto.createHash("sha256").update(body).digest("hex");
+  const signature = crypto
+    .createHmac("sha256", HMAC_KEY)
+    .update(`${timestamp}${hashedBody}`)
+    .digest("hex");
+
+  return { timestamp, body, signature };
+}
+
+describe("WebhookHandler", () => {
+  it("should dispatch verified events to listeners of their type", async () => {
+    const handler = new WebhookHandler(createSingaPay());
+    const onPaid = jest.fn();
+    const onFailed = jest.fn();
+    handler.on("va.paid", onPaid).on("payment.failed", onFailed);
+
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+      event_id: "evt_1",
+      data: { amount: 150000 },
+    });
+    const event = await handler.handle(timestamp, body, signature);
+
+    expect(event.type).toBe("va.paid");
+    expect(event.id).toBe("evt_1");
+    expect(onPaid).toHaveBeenCalledWith(event);
+    expect(onPaid.mock.calls[0][0].data.amount).toBe(150000);
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  it("should route unhandled event types to the catch-all", async () => {
+    const handler = new WebhookHandler(createSingaPay());
+    const onUnknown = jest.fn();
+    handler.onUnknown(onUnknown);
+
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "refund.created",
+      data: {},
+    });
+    const event = await handler.handle(timestamp, body, signature);
+
+    expect(event.isKnownType()).toBe(false);
+    expect(onUnknown).toHaveBeenCalledWith(event);
+  });
+
+  it("should reject invalid signatures", async () => {
+    const handler = new WebhookHandler(createSingaPay());
+    const { timestamp, body } = signedRequest({ event_type: "va.paid" });
+
+    await expect(
+      handler.handle(timestamp, body, "invalid")
+    ).rejects.toBeInstanceOf(WebhookException);
+    await expect(handler.handle(timestamp, body, "")).rejects.toMatchObject({
+      code: 401,
+    });
+  });
+
+  it("should reject malformed payloads", () => {
+    const handler = new WebhookHandler(createSingaPay());
+
+    expect(() => handler.parse("not-json")).toThrow(WebhookException);
+  });
+});
+
+describe("WebhookHandler idempotency", () => {
+  it("should acknowledge redelivered events without calling listeners", async () => {
+    const onPaid = jest.fn();
+    const handler = new WebhookHandler(createSingaPay(), {
+      cache: new MemoryCache(),
+    }).on("va.paid", onPaid);
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+      event_id: "evt_dup",
+    });
+
+    const first = await handler.handle(timestamp, body, signature);
+    const second = await handler.handle(timestamp, body, signature);
+
+    expect(first.duplicate).toBe(false);
+    expect(second.duplicate).toBe(true);
+    expect(onPaid).toHaveBeenCalledTimes(1);
+  });
+
+  it("should deduplicate events without an ID by body hash", async () => {
+    const onPaid = jest.fn();
+    const handler = new WebhookHandler(createSingaPay(), {
+      cache: new MemoryCache(),
+    }).on("va.paid", onPaid);
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+      data: { amount: 1 },
+    });
+
+    await handler.handle(timestamp, body, signature);
+    await handler.handle(timestamp, body, signature);
+
+    expect(onPaid).toHaveBeenCalledTimes(1);
+  });
+
+  it("should retry events whose listeners failed", async () => {
+    const onPaid = jest
+      .fn()
+      .mockRejectedValueOnce(new Error("crash"))
+      .mockResolvedValueOnce(undefined);
+    const handler = new WebhookHandler(createSingaPay(), {
+      cache: new MemoryCache(),
+    }).on("va.paid", onPaid);
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+      event_id: "evt_retry",
+    });
+
+    await expect(handler.handle(timestamp, body, signature)).rejects.toThrow(
+      "crash"
+    );
+    const event = await handler.handle(timestamp, body, signature);
+
+    expect(event.duplicate).toBe(false);
+    expect(onPaid).toHaveBeenCalledTimes(2);
+  });
+
+  it("should reject deliveries of an event still being processed", async () => {
+    let release;
+    const handler = new WebhookHandler(createSingaPay(), {
+      cache: new MemoryCache(),
+    }).on("va.paid", () => new Promise((resolve) => (release = resolve)));
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+      event_id: "evt_slow",
+    });
+
+    const first = handler.handle(timestamp, body, signature);
+    await expect(
+      handler.handle(timestamp, body, signature)
+    ).rejects.toMatchObject({ code: 409 });
+
+    release();
+    await first;
+  });
+});
+
+describe("createWebhookMiddleware", () => {
+  function createResponse() {
+    const res = { statusCode: null, body: null };
+    res.status = (code) => {
+      res.statusCode = code;
+      return res;
+    };
+    res.json = (body) => {
+      res.body = body;
+      return res;
+    };
+    return res;
+  }
+
+  it("should verify raw bodies, attach the event and acknowledge", async () => {
+    const onPaid = jest.fn();
+    const middleware = createWebhookMiddleware(
+      new WebhookHandler(createSingaPay()).on("va.paid", onPaid)
+    );
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+    });
+    const req = {
+      headers: { "x-timestamp": timestamp, "x-signature": signature },
+      body: Buffer.from(body),
+    };
+    const res = createResponse();
+    const next = jest.fn();
+
+    await middleware(req, res, next);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: "success" });
+    expect(req.singapayEvent.type).toBe("va.paid");
+    expect(onPaid).toHaveBeenCalled();
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it("should respond 401 to invalid signatures", async () => {
+    const middleware = createWebhookMiddleware(createSingaPay());
+    const { timestamp, body } = signedRequest({ event_type: "va.paid" });
+    const req = {
+      headers: { "x-timestamp": timestamp, "x-signature": "invalid" },
+      body: JSON.parse(body),
+      rawBody: Buffer.from(body),
+    };
+    const res = createResponse();
+
+    await middleware(req, res, jest.fn());
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  it("should read the stream when a parser left an empty body", async () => {
+    const middleware = createWebhookMiddleware(createSingaPay());
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+      data: { amount: 150000 },
+    });
+    const req = Object.assign(Readable.from([Buffer.from(body)]), {
+      headers: { "x-timestamp": timestamp, "x-signature": signature },
+      body: {},
+    });
+    const res = createResponse();
+
+    await middleware(req, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expect(req.singapayEvent.data).toEqual({ amount: 150000 });
+  });
+
+  it("should pass listener errors to next", async () => {
+    const failure = new Error("database unavailable");
+    const middleware = createWebhookMiddleware(
+      new WebhookHandler(createSingaPay()).on("va.paid", () => {
+        throw failure;
+      })
+    );
+    const { timestamp, body, signature } = signedRequest({
+      event_type: "va.paid",
+    });
+    const next = jest.fn();
+
+    await middleware(
+      {
+        headers: { "x-timestamp": timestamp, "x-signature": signature },
+        body,
+      },
+      createResponse(),
+      next
+    );
+
+    expect(next).toHaveBeenCalledWith(failure);
+  });
+});
+
+describe("WebhookSimulator", () => {
+  it("should deliver signed webhooks that the middleware accepts", async () => {
+    const singapay = createSingaPay();
+    const onPaid = jest.fn();
+    const middleware = createWebhookMiddleware(
+      new WebhookHandler(singapay, { cache: new MemoryCache() }).on(
+        "va.paid",
+        onPaid
+      )
+    );
+    const server = http.createServer((req, res) =>
+      middleware(req, res, () => {
+        res.statusCode = 500;
+        res.end();
+      })
+    );
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const simulator = new WebhookSimulator(singapay, {
+      url: `http://127.0.0.1:${server.address().port}/webhook`,
+    });
+
+    try {
+      const valid = await simulator.deliver(
+        "va.paid",
+        { amount: 99000 },
+        { duplicates: 1 }
+      );
+      const invalid = await simulator.deliver(
+        "va.paid",
+        {},
+        { invalidSignature: true }
+      );
+      const stale = await simulator.deliver("va.paid", {}, { stale: true });
+
+      expect(valid.responses.map((r) => r.statusCode)).toEqual([200, 200]);
+      expect(onPaid).toHaveBeenCalledTimes(1);
+      expect(onPaid.mock.calls[0][0].data.amount).toBe(99000);
+      expect(invalid.response.statusCode).toBe(401);
+      expect(stale.response.statusCode).toBe(401);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("should deliver through a custom transport", async () => {
+    const sent = [];
+    const simulator = new WebhookSimulator(createSingaPay(), {
+      url: "http://merchant.test/webhook",
+      transport: {
+        send: async (request) => {
+          sent.push(request);
+          return { status: 204, headers: {}, data: null };
+        },
+      },
+    });
+
+    const { request, response } = await simulator.deliver("va.paid");
+
+    expect(response.statusCode).toBe(204);
+    expect(sent).toEqual([
+      {
+        method: "POST",
+        url: "http://merchant.test/webhook",
+        headers: request.headers,
+        data: request.body,
+      },
+    ]);
+  });
+});
@@ -0,0 +1,69 @@
+import { Config } from "../../../src/Config.js";
+import { Client } from "../../../src/http/Client.js";
+
+/**
+ * Reply of a stub transport for a 503 response
+ */
+export const serverError = () => [
+  503,
+  { success: false, error: { message: "Service unavailable" } },
+];
+
+/**
+ * Reply of a stub transport for a 429 response with a Retry-After header
+ */
+export const rateLimited = (retryAfter) => [
+  429,
+  { success: false, error: { message: "Too many requests" } },
+  { "retry-after": retryAfter },
+];
+
+/**
+ * Error of a stub transport for a request that received no response
+ */
+export const networkError = (code, message = code) =>
+  Object.assign(new Error(message), { code });
+
+/**
+ * Build a transport replying with the given results in order, then with an
+ * empty success, recording every request it receives. A result is either
+ * [status, body, headers] or an Error thrown as if no response was received.
+ */
+export function createStubTransport(...results) {
+  const requests = [];
+
+  return {
+    requests,
+    async send(request) {
+      const result = results[requests.length];
+      requests.push(request);
+
+      if (result instanceof Error) {
+        throw result;
+      }
+
+      const [status, body, headers = {}] = result || [
+        200,
+        { success: true, data: {} },
+      ];
+      return { status, headers, data: body };
+    },
+  };
+}
+
+/**
+ * Build a client without the default interceptors sending its requests
+ * through the given transport
+ */
+export function createStubClient(transport, overrides = {}) {
+  const config = new Config({
+    clientId: "test-id",
+    clientSecret: "test-secret",
+    apiKey: "test-key",
+    retryDelay: 1,
+    defaultInterceptors: false,
+    ...overrides,
+  });
+
+  return new Client(config, null).setTransport(transport);
+}